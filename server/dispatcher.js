@@ -0,0 +1,99 @@
+const http = require('http');
+const url = require('url');
+
+/**
+ * Local stand-in for the dispatcher returning the signalling server to connect to.
+ * Domains are returned in turn, and the others are returned as fallback domains.
+ */
+class Dispatcher {
+  /**
+   * Creates an instance of Dispatcher.
+   * @param {object} options - Dispatcher options.
+   * @param {string[]} options.domains - Domains of the signalling servers.
+   * @param {number} [options.port=443] - The port the signalling servers are listening to.
+   * @param {boolean} [options.secure=true] - True if the signalling servers support HTTPS/WSS.
+   * @param {string} [options.region] - The region returned with the domains.
+   */
+  constructor(options) {
+    if (!options || !options.domains || options.domains.length === 0) {
+      throw new Error('At least one signalling server domain is required.');
+    }
+
+    this.options = Object.assign({ port: 443, secure: true }, options);
+    this._nextIndex = 0;
+
+    this._httpServer = http.createServer((req, res) =>
+      this._handleRequest(req, res)
+    );
+  }
+
+  /**
+   * Start listening.
+   * @param {number} [port=0] - The port to listen to. A random port is used with 0.
+   * @param {string} [host] - The host to listen to.
+   * @return {Promise<number>} Promise that resolves with the port listening to.
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this._httpServer.once('error', reject);
+      this._httpServer.listen(port, host, () => {
+        this._httpServer.removeListener('error', reject);
+        resolve(this._httpServer.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening.
+   * @return {Promise<void>} Promise that resolves when the server is closed.
+   */
+  close() {
+    return new Promise(resolve => this._httpServer.close(() => resolve()));
+  }
+
+  /**
+   * Respond to `GET /signaling` requested by the SDK.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @private
+   */
+  _handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const { pathname } = url.parse(req.url);
+    if (req.method !== 'GET' || pathname !== '/signaling') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(this._getServerInfo()));
+  }
+
+  /**
+   * Return the response body with the next domain in turn.
+   * @return {object} The response body.
+   * @private
+   */
+  _getServerInfo() {
+    const { domains, port, secure, region } = this.options;
+
+    const index = this._nextIndex;
+    this._nextIndex = (index + 1) % domains.length;
+    const orderedDomains = domains.slice(index).concat(domains.slice(0, index));
+
+    const serverInfo = {
+      domain: orderedDomains[0],
+      port: port,
+      secure: secure,
+      fallbackDomains: orderedDomains.slice(1),
+    };
+    if (region) {
+      serverInfo.region = region;
+    }
+    return serverInfo;
+  }
+}
+
+module.exports = Dispatcher;
@@ -0,0 +1,48 @@
+const SignalingServer = require('./signaling-server');
+const Dispatcher = require('./dispatcher');
+
+(async function() {
+  const {
+    PORT = 8080,
+    HOST,
+    API_KEYS,
+    SECRET_KEY,
+    DISPATCHER_PORT,
+    SIGNALING_DOMAIN = 'localhost',
+  } = process.env;
+
+  const server = new SignalingServer({
+    apiKeys: API_KEYS ? API_KEYS.split(',') : null,
+    secretKey: SECRET_KEY || null,
+  });
+
+  const port = await server.listen(Number(PORT), HOST);
+  console.log(`Signaling server is listening on port ${port}`);
+
+  let dispatcher = null;
+  if (DISPATCHER_PORT) {
+    dispatcher = new Dispatcher({
+      domains: SIGNALING_DOMAIN.split(','),
+      port: port,
+      secure: false,
+      region: 'local',
+    });
+
+    const dispatcherPort = await dispatcher.listen(
+      Number(DISPATCHER_PORT),
+      HOST
+    );
+    console.log(`Dispatcher is listening on port ${dispatcherPort}`);
+  }
+
+  process.on('SIGINT', async () => {
+    if (dispatcher) {
+      await dispatcher.close();
+    }
+    await server.close();
+    process.exit(0);
+  });
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
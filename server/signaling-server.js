@@ -0,0 +1,838 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const EventEmitter = require('events');
+const socketIo = require('socket.io');
+const WebSocket = require('ws');
+
+// Same as config.MESSAGE_TYPES in src/shared/config.js
+const CLIENT = {
+  SEND_OFFER: 'SEND_OFFER',
+  SEND_ANSWER: 'SEND_ANSWER',
+  SEND_CANDIDATE: 'SEND_CANDIDATE',
+  SEND_LEAVE: 'SEND_LEAVE',
+  ROOM_JOIN: 'ROOM_JOIN',
+  ROOM_LEAVE: 'ROOM_LEAVE',
+  ROOM_GET_LOGS: 'ROOM_GET_LOGS',
+  ROOM_GET_USERS: 'ROOM_GET_USERS',
+  ROOM_SEND_DATA: 'ROOM_SEND_DATA',
+  SFU_GET_OFFER: 'SFU_GET_OFFER',
+  SFU_ANSWER: 'SFU_ANSWER',
+  SFU_CANDIDATE: 'SFU_CANDIDATE',
+  PING: 'PING',
+  UPDATE_CREDENTIAL: 'UPDATE_CREDENTIAL',
+  SEND_FORCE_CLOSE: 'SEND_FORCE_CLOSE',
+};
+const SERVER = {
+  OPEN: 'OPEN',
+  ERROR: 'ERROR',
+  OFFER: 'OFFER',
+  ANSWER: 'ANSWER',
+  CANDIDATE: 'CANDIDATE',
+  LEAVE: 'LEAVE',
+  AUTH_EXPIRES_IN: 'AUTH_EXPIRES_IN',
+  ROOM_LOGS: 'ROOM_LOGS',
+  ROOM_USERS: 'ROOM_USERS',
+  ROOM_DATA: 'ROOM_DATA',
+  ROOM_USER_JOIN: 'ROOM_USER_JOIN',
+  ROOM_USER_LEAVE: 'ROOM_USER_LEAVE',
+  SFU_OFFER: 'SFU_OFFER',
+  FORCE_CLOSE: 'FORCE_CLOSE',
+};
+
+// Relayed to `dst` as is, with `src` set to the sender's peerId
+const RELAYED_TYPES = {
+  [CLIENT.SEND_OFFER]: SERVER.OFFER,
+  [CLIENT.SEND_ANSWER]: SERVER.ANSWER,
+  [CLIENT.SEND_CANDIDATE]: SERVER.CANDIDATE,
+  [CLIENT.SEND_FORCE_CLOSE]: SERVER.FORCE_CLOSE,
+};
+
+// Same as BINARY_KEY in src/peer/webSocketTransport.js
+const BINARY_KEY = '__binary__';
+
+const DEFAULT_OPTIONS = {
+  apiKeys: null,
+  secretKey: null,
+  disconnectTimeout: 10000,
+  authExpiresInNotice: 60,
+  maxRoomLogs: 100,
+  listAllPeers: true,
+};
+
+/**
+ * JSON.stringify() replacer encoding Buffers, ArrayBuffers and typed arrays to base64.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value to encode.
+ * @return {*} The value to stringify.
+ */
+function encodeBinary(key, value) {
+  // Buffer#toJSON() has already been applied to value
+  const raw = this[key];
+  if (raw instanceof ArrayBuffer) {
+    return { [BINARY_KEY]: Buffer.from(raw).toString('base64') };
+  }
+  if (ArrayBuffer.isView(raw)) {
+    return {
+      [BINARY_KEY]: Buffer.from(
+        raw.buffer,
+        raw.byteOffset,
+        raw.byteLength
+      ).toString('base64'),
+    };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse() reviver decoding the values encoded by encodeBinary() to Buffers.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The parsed value.
+ * @return {*} The decoded value.
+ */
+function decodeBinary(key, value) {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof value[BINARY_KEY] !== 'string' ||
+    Object.keys(value).length !== 1
+  ) {
+    return value;
+  }
+  return Buffer.from(value[BINARY_KEY], 'base64');
+}
+
+/**
+ * Wrap a plain WebSocket connected by WebSocketTransport of the SDK
+ * with the interface of socket.io sockets used by the server.
+ * Each message is a JSON text frame of `{ type, message }`.
+ * Binary data is sent as `{ __binary__: base64 }` and handled as Buffers,
+ * so that it can be relayed to and from socket.io sockets.
+ */
+class WebSocketConnection {
+  /**
+   * Creates an instance of WebSocketConnection.
+   * @param {WebSocket} ws - The connected WebSocket.
+   * @param {object} query - The parsed query string of the request.
+   */
+  constructor(ws, query) {
+    this.handshake = { query: query };
+    this._ws = ws;
+    this._events = new EventEmitter();
+
+    ws.on('message', data => {
+      let parsed;
+      try {
+        parsed = JSON.parse(data, decodeBinary);
+      } catch (err) {
+        return;
+      }
+      // 'error' is not a message type and throws without listeners
+      if (
+        parsed &&
+        typeof parsed.type === 'string' &&
+        parsed.type !== 'error'
+      ) {
+        this._events.emit(parsed.type, parsed.message);
+      }
+    });
+    ws.on('close', () => this._events.emit('disconnect'));
+    ws.on('error', () => {});
+  }
+
+  /**
+   * Listen to the messages of the type.
+   * @param {string} type - The message type, or 'disconnect'.
+   * @param {function} listener - Called with the message.
+   */
+  on(type, listener) {
+    this._events.on(type, listener);
+  }
+
+  /**
+   * Send a message.
+   * @param {string} type - The message type.
+   * @param {*} message - The message.
+   */
+  emit(type, message) {
+    if (this._ws.readyState === WebSocket.OPEN) {
+      this._ws.send(
+        JSON.stringify({ type: type, message: message }, encodeBinary)
+      );
+    }
+  }
+
+  /**
+   * Close the connection.
+   */
+  disconnect() {
+    this._ws.close();
+  }
+}
+
+/**
+ * Reference signalling server implementing the protocol used by the SDK.
+ * P2P connections and mesh rooms are fully supported. SFU rooms can be joined
+ * for room messages only, as there is no media server.
+ * Peers can connect with socket.io, or with a plain WebSocket on `/ws`.
+ */
+class SignalingServer {
+  /**
+   * Creates an instance of SignalingServer.
+   * @param {object} [options] - Server options.
+   * @param {string[]} [options.apiKeys] - API keys allowed to connect. Any key is allowed if not specified.
+   * @param {string} [options.secretKey] - Secret key to check the credential of peers.
+   *                                       Peers can connect without credential if not specified.
+   * @param {number} [options.disconnectTimeout=10000] - Milliseconds to keep the peerId, rooms and messages
+   *                                                     of a disconnected peer for it to reconnect.
+   * @param {number} [options.authExpiresInNotice=60] - Seconds before the credential expires to send AUTH_EXPIRES_IN.
+   * @param {number} [options.maxRoomLogs=100] - Number of logs kept for each room.
+   * @param {boolean} [options.listAllPeers=true] - Allow to get the list of peers via REST API.
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    // apiKey => { peers: Map<peerId, session>, rooms: Map<roomName, room> }
+    this._apps = new Map();
+
+    this._httpServer = http.createServer((req, res) =>
+      this._handleRequest(req, res)
+    );
+    // Leave the upgrade requests for the plain WebSocket to ws
+    this._io = socketIo(this._httpServer, {
+      serveClient: false,
+      destroyUpgrade: false,
+    });
+    this._io.on('connection', socket => this._handleConnection(socket));
+
+    // ws aborts the upgrade requests of other paths if attached to the server
+    this._wss = new WebSocket.Server({ noServer: true });
+    this._httpServer.on('upgrade', (req, socket, head) => {
+      const { pathname, query } = url.parse(req.url, true);
+      if (pathname.startsWith(`${this._io.path()}/`)) {
+        return;
+      }
+      // Nobody else answers the upgrade requests of the other paths
+      if (pathname !== '/ws') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      this._wss.handleUpgrade(req, socket, head, ws => {
+        this._handleConnection(new WebSocketConnection(ws, query));
+      });
+    });
+  }
+
+  /**
+   * Start listening.
+   * @param {number} [port=0] - The port to listen to. A random port is used with 0.
+   * @param {string} [host] - The host to listen to.
+   * @return {Promise<number>} Promise that resolves with the port listening to.
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this._httpServer.once('error', reject);
+      this._httpServer.listen(port, host, () => {
+        this._httpServer.removeListener('error', reject);
+        resolve(this._httpServer.address().port);
+      });
+    });
+  }
+
+  /**
+   * Disconnect all the peers and stop listening.
+   * @return {Promise<void>} Promise that resolves when the server is closed.
+   */
+  close() {
+    for (const app of this._apps.values()) {
+      for (const session of app.peers.values()) {
+        this._clearTimers(session);
+        clearTimeout(session.disconnectTimer);
+        // Not to wait for the peers to reconnect
+        session.socket = null;
+      }
+    }
+    this._apps.clear();
+
+    return new Promise(resolve => {
+      this._wss.close(() => this._io.close(() => resolve()));
+    });
+  }
+
+  /**
+   * Handle REST API requests. Only the list of peers used by `Peer.listAllPeers()` is supported.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @private
+   */
+  _handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const { pathname } = url.parse(req.url);
+    const match = /^\/api\/apikeys\/([^/]+)\/clients\/?$/.exec(pathname);
+    if (req.method !== 'GET' || !match) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const apiKey = decodeURIComponent(match[1]);
+    if (!this.options.listAllPeers || !this._isValidKey(apiKey)) {
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    const app = this._apps.get(apiKey);
+    const peerIds = app ? Array.from(app.peers.keys()) : [];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(peerIds));
+  }
+
+  /**
+   * Authenticate a new socket, then open a session or resume the disconnected one.
+   * @param {SocketIO.Socket|WebSocketConnection} socket - The connected socket.
+   * @private
+   */
+  _handleConnection(socket) {
+    const { apiKey, token, peerId, credential } = socket.handshake.query;
+
+    if (!this._isValidKey(apiKey)) {
+      this._reject(socket, 'invalid-key', `API KEY "${apiKey}" is invalid`);
+      return;
+    }
+
+    const app = this._getApp(apiKey);
+    const id = peerId || this._generatePeerId(app);
+
+    let parsedCredential;
+    if (this.options.secretKey) {
+      try {
+        parsedCredential = JSON.parse(credential);
+      } catch (err) {
+        parsedCredential = null;
+      }
+      const err = this._checkCredential(id, parsedCredential);
+      if (err) {
+        this._reject(socket, 'authentication', err);
+        return;
+      }
+    }
+
+    let session = app.peers.get(id);
+    if (session) {
+      // Only the same client can take over its session
+      if (session.token !== token) {
+        this._reject(socket, 'unavailable-id', `ID "${id}" is taken`);
+        return;
+      }
+      clearTimeout(session.disconnectTimer);
+      session.disconnectTimer = null;
+
+      // The client reconnected before the server noticed the old socket was lost
+      if (session.socket) {
+        const oldSocket = session.socket;
+        session.socket = null;
+        oldSocket.disconnect(true);
+      }
+    } else {
+      session = {
+        id: id,
+        apiKey: apiKey,
+        token: token,
+        socket: null,
+        rooms: new Set(),
+        contacts: new Set(),
+        queue: [],
+        credential: null,
+        expiresInTimer: null,
+        expiredTimer: null,
+      };
+      app.peers.set(id, session);
+    }
+
+    session.socket = socket;
+    this._setCredential(session, parsedCredential);
+    this._setupMessageHandlers(session, socket);
+
+    socket.emit(SERVER.OPEN, { peerId: id });
+
+    // Deliver the messages received while disconnected
+    const queue = session.queue;
+    session.queue = [];
+    for (const { type, message } of queue) {
+      socket.emit(type, message);
+    }
+  }
+
+  /**
+   * Set up the handlers of the messages sent by the peer.
+   * @param {object} session - The session of the peer.
+   * @param {SocketIO.Socket|WebSocketConnection} socket - The socket of the peer.
+   * @private
+   */
+  _setupMessageHandlers(session, socket) {
+    for (const type of Object.keys(RELAYED_TYPES)) {
+      socket.on(type, message => {
+        if (!message || !message.dst) {
+          return;
+        }
+        session.contacts.add(message.dst);
+        this._relay(
+          session,
+          message.dst,
+          RELAYED_TYPES[type],
+          Object.assign({}, message, { src: session.id })
+        );
+      });
+    }
+
+    socket.on(CLIENT.SEND_LEAVE, message => {
+      if (message && message.dst) {
+        this._relay(session, message.dst, SERVER.LEAVE, session.id);
+      }
+    });
+
+    socket.on(CLIENT.ROOM_JOIN, message => {
+      if (message && message.roomName) {
+        this._joinRoom(session, message.roomName, message.roomType);
+      }
+    });
+
+    socket.on(CLIENT.ROOM_LEAVE, message => {
+      if (message && message.roomName) {
+        this._leaveRoom(session, message.roomName);
+      }
+    });
+
+    socket.on(CLIENT.ROOM_GET_USERS, message => {
+      const room = this._getJoinedRoom(session, message);
+      if (!room) {
+        return;
+      }
+      socket.emit(SERVER.ROOM_USERS, {
+        roomName: message.roomName,
+        userList: Array.from(room.members).filter(id => id !== session.id),
+        type: message.type,
+      });
+    });
+
+    socket.on(CLIENT.ROOM_SEND_DATA, message => {
+      const room = this._getJoinedRoom(session, message);
+      if (!room) {
+        return;
+      }
+      const dataMessage = {
+        src: session.id,
+        roomName: message.roomName,
+        data: message.data,
+      };
+      this._broadcast(session, room, SERVER.ROOM_DATA, dataMessage);
+    });
+
+    socket.on(CLIENT.ROOM_GET_LOGS, message => {
+      const room = this._getJoinedRoom(session, message);
+      if (!room) {
+        return;
+      }
+      socket.emit(SERVER.ROOM_LOGS, {
+        roomName: message.roomName,
+        log: room.logs.slice(),
+      });
+    });
+
+    for (const type of [
+      CLIENT.SFU_GET_OFFER,
+      CLIENT.SFU_ANSWER,
+      CLIENT.SFU_CANDIDATE,
+    ]) {
+      socket.on(type, () => {
+        this._sendError(
+          session,
+          'room-error',
+          'SFU rooms are not supported by this server.'
+        );
+      });
+    }
+
+    socket.on(CLIENT.UPDATE_CREDENTIAL, newCredential => {
+      if (!this.options.secretKey) {
+        return;
+      }
+      const err = this._checkCredential(session.id, newCredential);
+      if (err) {
+        this._sendError(session, 'authentication', err);
+        return;
+      }
+      this._setCredential(session, newCredential);
+    });
+
+    // Pings only keep the connection alive
+    socket.on(CLIENT.PING, () => {});
+
+    socket.on('disconnect', () => {
+      // The socket has been replaced or the session has already been closed
+      if (session.socket !== socket) {
+        return;
+      }
+      session.socket = null;
+      session.disconnectTimer = setTimeout(
+        () => this._closeSession(session),
+        this.options.disconnectTimeout
+      );
+    });
+  }
+
+  /**
+   * Add the peer to the room and notify all the members including the peer.
+   * Only the peer is notified if it has already joined, e.g. after reconnecting.
+   * @param {object} session - The session of the peer.
+   * @param {string} roomName - The name of the room.
+   * @param {string} roomType - One of 'mesh' or 'sfu'.
+   * @private
+   */
+  _joinRoom(session, roomName, roomType) {
+    const app = this._apps.get(session.apiKey);
+    let room = app.rooms.get(roomName);
+    if (!room) {
+      room = {
+        apiKey: session.apiKey,
+        type: roomType,
+        members: new Set(),
+        logs: [],
+      };
+      app.rooms.set(roomName, room);
+    } else if (room.type !== roomType) {
+      this._sendError(
+        session,
+        'room-error',
+        `Room "${roomName}" is already used as a ${room.type} room.`
+      );
+      return;
+    }
+
+    const joinMessage = {
+      src: session.id,
+      roomName: roomName,
+      roomType: roomType,
+    };
+
+    if (room.members.has(session.id)) {
+      this._send(session, SERVER.ROOM_USER_JOIN, joinMessage);
+      return;
+    }
+
+    room.members.add(session.id);
+    session.rooms.add(roomName);
+    this._addLog(room, SERVER.ROOM_USER_JOIN, joinMessage);
+    this._broadcast(null, room, SERVER.ROOM_USER_JOIN, joinMessage);
+  }
+
+  /**
+   * Remove the peer from the room and notify the remaining members.
+   * @param {object} session - The session of the peer.
+   * @param {string} roomName - The name of the room.
+   * @private
+   */
+  _leaveRoom(session, roomName) {
+    const app = this._apps.get(session.apiKey);
+    const room = app.rooms.get(roomName);
+    session.rooms.delete(roomName);
+    if (!room || !room.members.delete(session.id)) {
+      return;
+    }
+
+    if (room.members.size === 0) {
+      app.rooms.delete(roomName);
+      return;
+    }
+
+    const leaveMessage = { src: session.id, roomName: roomName };
+    this._addLog(room, SERVER.ROOM_USER_LEAVE, leaveMessage);
+    this._broadcast(null, room, SERVER.ROOM_USER_LEAVE, leaveMessage);
+  }
+
+  /**
+   * Release the peerId after the peer disconnected and didn't come back in time.
+   * The peers it had been talking to and its rooms are notified.
+   * @param {object} session - The session of the peer.
+   * @private
+   */
+  _closeSession(session) {
+    const app = this._apps.get(session.apiKey);
+    if (!app || app.peers.get(session.id) !== session) {
+      return;
+    }
+
+    this._clearTimers(session);
+    app.peers.delete(session.id);
+
+    for (const roomName of Array.from(session.rooms)) {
+      this._leaveRoom(session, roomName);
+    }
+    for (const peerId of session.contacts) {
+      const contact = app.peers.get(peerId);
+      if (contact) {
+        this._send(contact, SERVER.LEAVE, session.id);
+      }
+    }
+
+    if (app.peers.size === 0 && app.rooms.size === 0) {
+      this._apps.delete(session.apiKey);
+    }
+  }
+
+  /**
+   * Send a message to another peer, or an error to the sender if it doesn't exist.
+   * @param {object} session - The session of the sender.
+   * @param {string} dst - The peerId of the recipient.
+   * @param {string} type - The message type.
+   * @param {*} message - The message.
+   * @private
+   */
+  _relay(session, dst, type, message) {
+    const recipient = this._apps.get(session.apiKey).peers.get(dst);
+    if (!recipient) {
+      this._sendError(
+        session,
+        'peer-unavailable',
+        `Could not connect to peer ${dst}`
+      );
+      return;
+    }
+    recipient.contacts.add(session.id);
+    this._send(recipient, type, message);
+  }
+
+  /**
+   * Send a message to all the members of a room.
+   * @param {object} [sender] - The session excluded from the recipients.
+   * @param {object} room - The room.
+   * @param {string} type - The message type.
+   * @param {*} message - The message.
+   * @private
+   */
+  _broadcast(sender, room, type, message) {
+    const peers = this._apps.get(room.apiKey).peers;
+    for (const peerId of room.members) {
+      const member = peers.get(peerId);
+      if (member && member !== sender) {
+        this._send(member, type, message);
+      }
+    }
+  }
+
+  /**
+   * Send a message to a peer. Messages are queued while the peer is disconnected.
+   * @param {object} session - The session of the recipient.
+   * @param {string} type - The message type.
+   * @param {*} message - The message.
+   * @private
+   */
+  _send(session, type, message) {
+    if (session.socket) {
+      session.socket.emit(type, message);
+      return;
+    }
+    session.queue.push({ type: type, message: message });
+  }
+
+  /**
+   * Send an ERROR message to a peer.
+   * @param {object} session - The session of the recipient.
+   * @param {string} type - The type of error.
+   * @param {string} message - Error description.
+   * @private
+   */
+  _sendError(session, type, message) {
+    this._send(session, SERVER.ERROR, { type: type, message: message });
+  }
+
+  /**
+   * Send an ERROR message to a socket which is not allowed to connect, then disconnect it.
+   * @param {SocketIO.Socket|WebSocketConnection} socket - The socket to reject.
+   * @param {string} type - The type of error.
+   * @param {string} message - Error description.
+   * @private
+   */
+  _reject(socket, type, message) {
+    socket.emit(SERVER.ERROR, { type: type, message: message });
+    socket.disconnect(true);
+  }
+
+  /**
+   * Check the credential calculated as
+   * base64(HMAC-SHA256(secretKey, `${timestamp}:${ttl}:${peerId}`)).
+   * @param {string} peerId - The peerId of the peer.
+   * @param {object} credential - The credential sent by the peer.
+   * @return {string|null} The reason why the credential is invalid, or null if it is valid.
+   * @private
+   */
+  _checkCredential(peerId, credential) {
+    if (!credential || !credential.authToken) {
+      return 'Credential is required.';
+    }
+
+    const { timestamp, ttl, authToken } = credential;
+    if (typeof authToken !== 'string') {
+      return 'Credential is invalid.';
+    }
+
+    const expectedToken = crypto
+      .createHmac('sha256', this.options.secretKey)
+      .update(`${timestamp}:${ttl}:${peerId}`)
+      .digest('base64');
+    // timingSafeEqual() throws if the byte lengths differ, e.g. with non-ASCII tokens
+    const authTokenBuffer = Buffer.from(authToken);
+    const expectedTokenBuffer = Buffer.from(expectedToken);
+    if (
+      authTokenBuffer.byteLength !== expectedTokenBuffer.byteLength ||
+      !crypto.timingSafeEqual(authTokenBuffer, expectedTokenBuffer)
+    ) {
+      return 'Credential is invalid.';
+    }
+
+    if (this._getRemainingSec(credential) <= 0) {
+      return 'Credential has expired.';
+    }
+    return null;
+  }
+
+  /**
+   * Set the credential of a peer and schedule AUTH_EXPIRES_IN and disconnection on expiration.
+   * @param {object} session - The session of the peer.
+   * @param {object} [credential] - The valid credential.
+   * @private
+   */
+  _setCredential(session, credential) {
+    this._clearTimers(session);
+    if (!credential) {
+      return;
+    }
+    session.credential = credential;
+
+    const remainingSec = this._getRemainingSec(credential);
+    const noticeSec = Math.max(
+      remainingSec - this.options.authExpiresInNotice,
+      0
+    );
+    session.expiresInTimer = setTimeout(() => {
+      this._send(
+        session,
+        SERVER.AUTH_EXPIRES_IN,
+        this._getRemainingSec(credential)
+      );
+    }, noticeSec * 1000);
+    session.expiredTimer = setTimeout(() => {
+      if (session.socket) {
+        this._reject(
+          session.socket,
+          'authentication',
+          'Credential has expired.'
+        );
+      }
+      this._closeSession(session);
+    }, remainingSec * 1000);
+  }
+
+  /**
+   * Clear the timers of the credential.
+   * @param {object} session - The session of the peer.
+   * @private
+   */
+  _clearTimers(session) {
+    clearTimeout(session.expiresInTimer);
+    clearTimeout(session.expiredTimer);
+    session.expiresInTimer = null;
+    session.expiredTimer = null;
+  }
+
+  /**
+   * Seconds until the credential expires.
+   * @param {object} credential - The credential.
+   * @return {number} Remaining seconds.
+   * @private
+   */
+  _getRemainingSec(credential) {
+    const nowSec = Math.floor(Date.now() / 1000);
+    return Number(credential.timestamp) + Number(credential.ttl) - nowSec;
+  }
+
+  /**
+   * Return the room joined by the peer if the message refers to it.
+   * @param {object} session - The session of the peer.
+   * @param {object} message - Message containing roomName.
+   * @return {object|undefined} The room.
+   * @private
+   */
+  _getJoinedRoom(session, message) {
+    if (!message || !session.rooms.has(message.roomName)) {
+      return undefined;
+    }
+    return this._apps.get(session.apiKey).rooms.get(message.roomName);
+  }
+
+  /**
+   * Store a room event as a log which can be fetched with ROOM_GET_LOGS.
+   * @param {object} room - The room.
+   * @param {string} messageType - The type of the event.
+   * @param {object} message - The message of the event.
+   * @private
+   */
+  _addLog(room, messageType, message) {
+    room.logs.push(
+      JSON.stringify({
+        messageType: messageType,
+        message: message,
+        timestamp: new Date().toISOString(),
+      })
+    );
+    if (room.logs.length > this.options.maxRoomLogs) {
+      room.logs.shift();
+    }
+  }
+
+  /**
+   * Whether the API key is allowed to connect.
+   * @param {string} apiKey - The API key.
+   * @return {boolean} True if allowed.
+   * @private
+   */
+  _isValidKey(apiKey) {
+    if (!apiKey) {
+      return false;
+    }
+    return !this.options.apiKeys || this.options.apiKeys.includes(apiKey);
+  }
+
+  /**
+   * Return the peers and rooms of the API key.
+   * @param {string} apiKey - The API key.
+   * @return {object} The peers and rooms.
+   * @private
+   */
+  _getApp(apiKey) {
+    let app = this._apps.get(apiKey);
+    if (!app) {
+      app = { peers: new Map(), rooms: new Map() };
+      this._apps.set(apiKey, app);
+    }
+    return app;
+  }
+
+  /**
+   * Generate a peerId which is not used yet.
+   * @param {object} app - The peers and rooms of the API key.
+   * @return {string} The peerId.
+   * @private
+   */
+  _generatePeerId(app) {
+    let peerId;
+    do {
+      peerId = crypto.randomBytes(8).toString('hex');
+    } while (app.peers.has(peerId));
+    return peerId;
+  }
+}
+
+module.exports = SignalingServer;
@@ -0,0 +1,349 @@
+const assert = require('power-assert');
+const crypto = require('crypto');
+const querystring = require('querystring');
+const WebSocket = require('ws');
+const io = require('socket.io-client');
+
+const SignalingServer = require('../signaling-server');
+
+const apiKey = 'abcdefab-1234-5678-9012-abcdefabcdef';
+const secretKey = 'secret';
+
+/**
+ * Client speaking the protocol of WebSocketTransport of the SDK.
+ */
+class TestClient {
+  constructor(port, query) {
+    this._messages = [];
+    this._waiters = [];
+
+    this.ws = new WebSocket(
+      `ws://localhost:${port}/ws?${querystring.stringify(query)}`
+    );
+    this.ws.on('message', data => {
+      const { type, message } = JSON.parse(data);
+      const waiter = this._waiters.find(waiter => waiter.type === type);
+      if (waiter) {
+        this._waiters.splice(this._waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+        return;
+      }
+      this._messages.push({ type, message });
+    });
+    this.closed = new Promise(resolve => this.ws.on('close', resolve));
+  }
+
+  next(type) {
+    const received = this._messages.find(message => message.type === type);
+    if (received) {
+      this._messages.splice(this._messages.indexOf(received), 1);
+      return Promise.resolve(received.message);
+    }
+    return new Promise(resolve => this._waiters.push({ type, resolve }));
+  }
+
+  send(type, message) {
+    this.ws.send(JSON.stringify({ type: type, message: message }));
+  }
+
+  close() {
+    this.ws.close();
+    return this.closed;
+  }
+}
+
+const createCredential = (peerId, overrides = {}) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const ttl = 3600;
+  const authToken = crypto
+    .createHmac('sha256', secretKey)
+    .update(`${timestamp}:${ttl}:${peerId}`)
+    .digest('base64');
+  return Object.assign({ timestamp, ttl, authToken }, overrides);
+};
+
+describe('SignalingServer', () => {
+  let server;
+  let port;
+  let clients;
+
+  const connect = (peerId, extraQuery = {}) => {
+    const client = new TestClient(
+      port,
+      Object.assign(
+        { apiKey: apiKey, token: `token-${peerId}`, peerId: peerId },
+        extraQuery
+      )
+    );
+    clients.push(client);
+    return client;
+  };
+
+  const startServer = async options => {
+    server = new SignalingServer(
+      Object.assign({ apiKeys: [apiKey], disconnectTimeout: 100 }, options)
+    );
+    port = await server.listen(0, 'localhost');
+  };
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server.close();
+  });
+
+  describe('without secretKey', () => {
+    beforeEach(() => startServer());
+
+    it('should send OPEN with the peerId', async () => {
+      const client = connect('alice');
+
+      const message = await client.next('OPEN');
+      assert.equal(message.peerId, 'alice');
+    });
+
+    it('should send OPEN to socket.io clients', async () => {
+      const socket = io(`http://localhost:${port}`, {
+        query: { apiKey: apiKey, token: 'token', peerId: 'bob' },
+        transports: ['websocket'],
+        reconnection: false,
+      });
+
+      const message = await new Promise(resolve => socket.on('OPEN', resolve));
+      socket.close();
+      assert.equal(message.peerId, 'bob');
+    });
+
+    it('should answer 400 to upgrade requests of unknown paths', async () => {
+      const ws = new WebSocket(`ws://localhost:${port}/unknown`);
+
+      const err = await new Promise(resolve => ws.on('error', resolve));
+      assert(/400/.test(err.message));
+    });
+
+    it('should reject an invalid API key', async () => {
+      const client = connect(
+        'alice',
+        { apiKey: 'invalid' }
+      );
+
+      const message = await client.next('ERROR');
+      assert.equal(message.type, 'invalid-key');
+      await client.closed;
+    });
+
+    it('should relay OFFER with src to dst', async () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+      await Promise.all([alice.next('OPEN'), bob.next('OPEN')]);
+
+      alice.send('SEND_OFFER', {
+        dst: 'bob',
+        offer: { type: 'offer', sdp: 'sdp' },
+        connectionId: 'mc_test',
+      });
+
+      const message = await bob.next('OFFER');
+      assert.deepEqual(message, {
+        dst: 'bob',
+        src: 'alice',
+        offer: { type: 'offer', sdp: 'sdp' },
+        connectionId: 'mc_test',
+      });
+    });
+
+    it('should send peer-unavailable ERROR if dst does not exist', async () => {
+      const alice = connect('alice');
+      await alice.next('OPEN');
+
+      alice.send('SEND_OFFER', { dst: 'nobody', offer: {} });
+
+      const message = await alice.next('ERROR');
+      assert.equal(message.type, 'peer-unavailable');
+    });
+
+    it('should notify the members when a peer joins and leaves a room', async () => {
+      const alice = connect('alice');
+      const bob = connect('bob');
+      await Promise.all([alice.next('OPEN'), bob.next('OPEN')]);
+
+      alice.send('ROOM_JOIN', { roomName: 'room', roomType: 'mesh' });
+      assert.deepEqual(await alice.next('ROOM_USER_JOIN'), {
+        src: 'alice',
+        roomName: 'room',
+        roomType: 'mesh',
+      });
+
+      bob.send('ROOM_JOIN', { roomName: 'room', roomType: 'mesh' });
+      const joinMessages = await Promise.all([
+        alice.next('ROOM_USER_JOIN'),
+        bob.next('ROOM_USER_JOIN'),
+      ]);
+      joinMessages.forEach(message => assert.equal(message.src, 'bob'));
+
+      bob.send('ROOM_GET_USERS', { roomName: 'room', type: 'media' });
+      assert.deepEqual((await bob.next('ROOM_USERS')).userList, ['alice']);
+
+      bob.send('ROOM_LEAVE', { roomName: 'room' });
+      assert.deepEqual(await alice.next('ROOM_USER_LEAVE'), {
+        src: 'bob',
+        roomName: 'room',
+      });
+    });
+
+    it('should relay binary room data between WebSocket and socket.io clients', async () => {
+      const alice = connect('alice');
+      const socket = io(`http://localhost:${port}`, {
+        query: { apiKey: apiKey, token: 'token', peerId: 'bob' },
+        transports: ['websocket'],
+        reconnection: false,
+      });
+      const next = type => new Promise(resolve => socket.once(type, resolve));
+      await Promise.all([alice.next('OPEN'), next('OPEN')]);
+
+      alice.send('ROOM_JOIN', { roomName: 'room', roomType: 'mesh' });
+      await alice.next('ROOM_USER_JOIN');
+      socket.emit('ROOM_JOIN', { roomName: 'room', roomType: 'mesh' });
+      await alice.next('ROOM_USER_JOIN');
+
+      const roomDataFromAlice = next('ROOM_DATA');
+      alice.send('ROOM_SEND_DATA', {
+        roomName: 'room',
+        data: { data: { __binary__: 'AAH/' }, compression: 'deflate' },
+      });
+      const received = await roomDataFromAlice;
+      assert(Buffer.isBuffer(received.data.data));
+      assert.deepEqual([...received.data.data], [0, 1, 255]);
+
+      socket.emit('ROOM_SEND_DATA', {
+        roomName: 'room',
+        data: Buffer.from([2, 3]),
+      });
+      assert.deepEqual((await alice.next('ROOM_DATA')).data, {
+        __binary__: 'AgM=',
+      });
+      socket.close();
+    });
+  });
+
+  describe('with secretKey', () => {
+    beforeEach(() => startServer({ secretKey: secretKey }));
+
+    it('should accept a valid credential', async () => {
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(createCredential('alice')),
+        }
+      );
+
+      const message = await client.next('OPEN');
+      assert.equal(message.peerId, 'alice');
+    });
+
+    it('should reject a missing credential', async () => {
+      const client = connect('alice');
+
+      const message = await client.next('ERROR');
+      assert.equal(message.type, 'authentication');
+      await client.closed;
+    });
+
+    it('should reject a wrong authToken', async () => {
+      const credential = createCredential('alice', {
+        authToken: createCredential('bob').authToken,
+      });
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(credential),
+        }
+      );
+
+      const message = await client.next('ERROR');
+      assert.equal(message.type, 'authentication');
+      assert.equal(message.message, 'Credential is invalid.');
+    });
+
+    it('should reject an authToken of the same length but a different byte length', async () => {
+      const credential = createCredential('alice', {
+        authToken: 'é'.repeat(44),
+      });
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(credential),
+        }
+      );
+
+      const message = await client.next('ERROR');
+      assert.equal(message.message, 'Credential is invalid.');
+
+      // The server keeps running
+      const other = connect(
+        'bob',
+        {
+          credential: JSON.stringify(createCredential('bob')),
+        }
+      );
+      assert.equal((await other.next('OPEN')).peerId, 'bob');
+    });
+
+    it('should reject an authToken which is not a string', async () => {
+      const credential = createCredential('alice', { authToken: 12345 });
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(credential),
+        }
+      );
+
+      const message = await client.next('ERROR');
+      assert.equal(message.message, 'Credential is invalid.');
+    });
+
+    it('should reject an expired credential', async () => {
+      const timestamp = Math.floor(Date.now() / 1000) - 7200;
+      const credential = {
+        timestamp: timestamp,
+        ttl: 3600,
+        authToken: crypto
+          .createHmac('sha256', secretKey)
+          .update(`${timestamp}:3600:alice`)
+          .digest('base64'),
+      };
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(credential),
+        }
+      );
+
+      const message = await client.next('ERROR');
+      assert.equal(message.message, 'Credential has expired.');
+    });
+
+    it('should send an ERROR for an invalid UPDATE_CREDENTIAL without closing', async () => {
+      const client = connect(
+        'alice',
+        {
+          credential: JSON.stringify(createCredential('alice')),
+        }
+      );
+      await client.next('OPEN');
+
+      client.send(
+        'UPDATE_CREDENTIAL',
+        createCredential('alice', { authToken: 'é'.repeat(44) })
+      );
+      const message = await client.next('ERROR');
+      assert.equal(message.type, 'authentication');
+
+      client.send('SEND_OFFER', { dst: 'nobody', offer: {} });
+      assert.equal((await client.next('ERROR')).type, 'peer-unavailable');
+    });
+  });
+});
@@ -7,7 +7,46 @@ import { EventEmitter } from "events";
 
 // 0: none | 1: error | 2: warn | 3: full
 type LogLevel = 0 | 1 | 2 | 3;
-type DataConnectionSerialization = "binary" | "binary-utf8" | "json" | "none";
+type DataConnectionSerialization =
+  | "binary"
+  | "binary-utf8"
+  | "json"
+  | "none"
+  | string;
+type DataCompression = "deflate" | "gzip";
+
+export interface IceRestartOption {
+  maxAttempts?: number;
+  timeout?: number;
+}
+
+type NetworkQuality = "excellent" | "good" | "poor" | "bad";
+type QualityEventName =
+  | "quality"
+  | "networkDegraded"
+  | "networkRecovered"
+  | "videoFrozen"
+  | "videoResumed"
+  | "audioSilent"
+  | "audioResumed";
+
+export interface QualityThresholds {
+  rtt?: number;
+  packetLoss?: number;
+  jitter?: number;
+}
+
+export interface QualityOption {
+  interval?: number;
+  thresholds?: {
+    excellent?: QualityThresholds;
+    good?: QualityThresholds;
+    poor?: QualityThresholds;
+  };
+  videoFreezeDuration?: number;
+  audioSilenceDuration?: number;
+  audioSilenceLevel?: number;
+}
 
 export interface PeerCredential {
   timestamp: number;
@@ -16,7 +55,7 @@ export interface PeerCredential {
 }
 
 export interface PeerConstructorOption {
-  key: string;
+  key?: string;
   debug?: LogLevel;
   turn?: boolean;
   credential?: PeerCredential;
@@ -24,6 +63,41 @@ export interface PeerConstructorOption {
   secure?: boolean;
   host?: string;
   port?: number;
+  dataConnection?: DataConnectionLimitOption;
+  reconnect?: ReconnectOption;
+  transport?: "socket.io" | "websocket" | "manual" | SignalingTransport;
+  quality?: boolean | QualityOption;
+}
+
+export interface ReconnectOption {
+  maxAttempts?: number;
+  maxServers?: number;
+  maxDispatcherAttempts?: number;
+  delay?: number;
+  maxDelay?: number;
+  jitter?: number;
+  timeout?: number;
+  onGiveUp?: (err: Error | string) => void;
+}
+
+export interface SignalingTransport {
+  readonly connected: boolean;
+  connect(url: string | undefined, query: string): void;
+  send(type: string, message?: any): void;
+  close(): void;
+  setQuery?(query: string): void;
+  on(event: string, listener: (message?: any) => void): this;
+  emit(event: string, ...args: any[]): boolean;
+}
+
+export interface Signal {
+  type: "OFFER" | "ANSWER" | "CANDIDATE" | "FORCE_CLOSE";
+  message: any;
+}
+
+export interface ReconnectAttempt {
+  type: "dispatcher" | "signaling";
+  attempt: number;
 }
 
 interface PeerOption {
@@ -49,29 +123,130 @@ interface PeerOption {
 interface ConnectionOption {
   metadata?: any;
   connectionId?: string;
+  iceRestart?: boolean | IceRestartOption;
+  statsInterval?: number;
+  quality?: boolean | QualityOption;
 }
 
+export type CodecPreference =
+  | string
+  | { name: string; parameters?: { [key: string]: string | number } };
+
 export interface CallOption extends ConnectionOption {
   videoBandwidth?: number;
   audioBandwidth?: number;
-  videoCodec?: string;
-  audioCodec?: string;
+  videoCodec?: CodecPreference | CodecPreference[];
+  audioCodec?: CodecPreference | CodecPreference[];
   videoReceiveEnabled?: boolean;
   audioReceiveEnabled?: boolean;
+  sendEncodings?: RTCRtpEncodingParameters[];
+}
+
+export interface EncodingParameters {
+  active?: boolean;
+  maxBitrate?: number;
+  maxFramerate?: number;
+  scaleResolutionDownBy?: number;
+  degradationPreference?:
+    | "maintain-framerate"
+    | "maintain-resolution"
+    | "balanced";
+  encodings?: RTCRtpEncodingParameters[];
 }
 
 export interface ConnectOption extends ConnectionOption {
   serialization?: DataConnectionSerialization;
   dcInit?: RTCDataChannelInit;
+  highWaterMark?: number;
+  lowWaterMark?: number;
+  maxMessageSize?: number;
+  maxPartialMessages?: number;
+  reassemblyTimeout?: number;
+  compression?: DataCompression;
+  encryption?: CryptoKey | "ecdh";
+  latestWins?: boolean;
+}
+
+export interface DataConnectionChannelOption {
+  serialization?: DataConnectionSerialization;
+  highWaterMark?: number;
+  lowWaterMark?: number;
+  compression?: DataCompression;
+  latestWins?: boolean;
+}
+
+export interface DataConnectionLimitOption {
+  maxMessageSize?: number;
+  maxPartialMessages?: number;
+  reassemblyTimeout?: number;
+  encryption?: CryptoKey;
+  statsInterval?: number;
 }
 
 export interface AnswerOption {
   videoBandwidth?: number;
   audioBandwidth?: number;
-  videoCodec?: string;
-  audioCodec?: string;
+  videoCodec?: CodecPreference | CodecPreference[];
+  audioCodec?: CodecPreference | CodecPreference[];
   videoReceiveEnabled?: boolean;
   audioReceiveEnabled?: boolean;
+  sendEncodings?: RTCRtpEncodingParameters[];
+  statsInterval?: number;
+}
+
+export interface StatsCandidate {
+  address: string | null;
+  port: number | null;
+  protocol: string | null;
+  candidateType: "host" | "srflx" | "prflx" | "relay" | null;
+  relayProtocol: string | null;
+}
+
+export interface StatsCandidatePair {
+  local: StatsCandidate | null;
+  remote: StatsCandidate | null;
+  type: "host" | "srflx" | "prflx" | "relay" | null;
+}
+
+export interface StreamStats {
+  bytes: number;
+  packets: number;
+  packetsLost: number | null;
+  packetLossRate: number | null;
+  jitter: number | null;
+  rtt: number | null;
+  bitrate: number | null;
+  frameRate: number | null;
+  frameWidth: number | null;
+  frameHeight: number | null;
+  framesDecoded?: number | null;
+  audioLevel?: number | null;
+}
+
+export interface StatsReport {
+  timestamp: number;
+  rtt: number | null;
+  candidatePair: StatsCandidatePair | null;
+  bytesSent: number | null;
+  bytesReceived: number | null;
+  bitrate: { in: number | null; out: number | null };
+  audio: { inbound: StreamStats | null; outbound: StreamStats | null };
+  video: { inbound: StreamStats | null; outbound: StreamStats | null };
+  data: {
+    bytesSent: number;
+    bytesReceived: number;
+    messagesSent: number;
+    messagesReceived: number;
+  } | null;
+}
+
+export interface QualityEvent {
+  quality: NetworkQuality | null;
+  report: StatsReport;
+}
+
+export interface RoomQualityEvent extends QualityEvent {
+  peerId?: string;
 }
 
 declare class Connection extends EventEmitter {
@@ -80,45 +255,197 @@ declare class Connection extends EventEmitter {
   metadata: any;
   remoteId: string;
   id: string;
+  readonly ready: Promise<MediaStream | void>;
+  readonly quality: NetworkQuality | null;
 
   getPeerConnection(): RTCPeerConnection | null;
+  getStats(): Promise<StatsReport>;
   close(forceClose?: boolean): void;
 }
 
+export interface MediaOptions {
+  videoBandwidth?: number | null;
+  audioBandwidth?: number | null;
+  videoCodec?: CodecPreference | CodecPreference[] | null;
+  audioCodec?: CodecPreference | CodecPreference[] | null;
+}
+
 export declare class MediaConnection extends Connection {
   type: "media";
   localStream: MediaStream;
+  readonly ready: Promise<MediaStream>;
 
   answer(stream?: MediaStream, options?: AnswerOption): void;
   replaceStream(stream: MediaStream): void;
+  setEncodingParameters(
+    kind: "audio" | "video",
+    parameters: EncodingParameters
+  ): Promise<void>;
+  setVideoBandwidth(bandwidth: number | null): Promise<void>;
+  setAudioBandwidth(bandwidth: number | null): Promise<void>;
+  setVideoCodec(
+    codec: CodecPreference | CodecPreference[] | null
+  ): Promise<void>;
+  setAudioCodec(
+    codec: CodecPreference | CodecPreference[] | null
+  ): Promise<void>;
 
   on(event: "stream", listener: (stream: MediaStream) => void): this;
+  on(
+    event: "mediaOptionsUpdated",
+    listener: (options: MediaOptions) => void
+  ): this;
+  on(event: "reconnecting", listener: () => void): this;
+  on(event: "reconnected", listener: () => void): this;
+  on(event: "stats", listener: (report: StatsReport) => void): this;
+  on(event: QualityEventName, listener: (event: QualityEvent) => void): this;
   on(event: "close", listener: () => void): this;
   on(event: "error", listener: (err: Error) => void): this;
   on(event: string, listener: Function): this;
 
   once(event: "stream", listener: (stream: MediaStream) => void): this;
+  once(
+    event: "mediaOptionsUpdated",
+    listener: (options: MediaOptions) => void
+  ): this;
+  once(event: "reconnecting", listener: () => void): this;
+  once(event: "reconnected", listener: () => void): this;
+  once(event: "stats", listener: (report: StatsReport) => void): this;
+  once(event: QualityEventName, listener: (event: QualityEvent) => void): this;
   once(event: "close", listener: () => void): this;
   once(event: "error", listener: (err: Error) => void): this;
   once(event: string, listener: Function): this;
 }
 
+export interface DataConnectionProgress {
+  id: string;
+  type: string;
+  name?: string;
+  mimeType?: string;
+  size: number;
+  totalParts: number;
+}
+
+export interface DataConnectionSendProgress extends DataConnectionProgress {
+  sentParts: number;
+  sentBytes: number;
+}
+
+export interface DataConnectionReceiveProgress extends DataConnectionProgress {
+  receivedParts: number;
+  receivedBytes: number;
+}
+
+export interface DataConnectionLostMessage extends DataConnectionProgress {
+  receivedParts: number;
+  receivedBytes: number;
+}
+
+export interface DataConnectionTransfer {
+  id: string;
+  type: "Blob" | "File";
+  name?: string;
+  mimeType?: string;
+  size?: number;
+  pipeTo(writableStream: WritableStream): void;
+}
+
+export interface DataConnectionSerializer {
+  encode(data: any): string | ArrayBuffer | ArrayBufferView | Blob;
+  decode(data: any): any;
+  chunked?: boolean;
+}
+
 export declare class DataConnection extends Connection {
   type: "data";
   label: string;
   serialization: DataConnectionSerialization;
   dcInit: RTCDataChannelInit;
-
-  send(data: any): void;
+  highWaterMark: number;
+  readonly bufferedAmount: number;
+  readonly ready: Promise<void>;
+
+  static registerSerialization(
+    name: string,
+    serializer: DataConnectionSerializer
+  ): void;
+
+  send(data: any): boolean;
+  sendAsync(data: any, options?: { timeout?: number }): Promise<void>;
+  messages(): AsyncIterableIterator<any>;
+  request(
+    method: string,
+    params?: any,
+    options?: { timeout?: number }
+  ): Promise<any>;
+  handle(method: string, fn?: (params: any) => any): void;
+  sendFile(file: Blob | File): string | null;
+  sendStream(
+    readableStream: ReadableStream,
+    options?: { name?: string; mimeType?: string }
+  ): string | null;
+  resumeFile(file: Blob | File, id: string): string | null;
+  cancel(id: string): void;
+  createChannel(
+    label: string,
+    dcInit?: RTCDataChannelInit,
+    options?: DataConnectionChannelOption
+  ): DataConnection | null;
 
   on(event: "open", listener: () => void): this;
   on(event: "data", listener: (data: any) => void): this;
+  on(event: "drain", listener: () => void): this;
+  on(
+    event: "sendProgress",
+    listener: (progress: DataConnectionSendProgress) => void
+  ): this;
+  on(
+    event: "receiveProgress",
+    listener: (progress: DataConnectionReceiveProgress) => void
+  ): this;
+  on(
+    event: "transfer",
+    listener: (transfer: DataConnectionTransfer) => void
+  ): this;
+  on(event: "cancel", listener: (event: { id: string }) => void): this;
+  on(event: "channel", listener: (channel: DataConnection) => void): this;
+  on(
+    event: "messageLost",
+    listener: (message: DataConnectionLostMessage) => void
+  ): this;
+  on(event: "reconnecting", listener: () => void): this;
+  on(event: "reconnected", listener: () => void): this;
+  on(event: "stats", listener: (report: StatsReport) => void): this;
+  on(event: QualityEventName, listener: (event: QualityEvent) => void): this;
   on(event: "close", listener: () => void): this;
   on(event: "error", listener: (err: Error) => void): this;
   on(event: string, listener: Function): this;
 
   once(event: "open", listener: () => void): this;
   once(event: "data", listener: (data: any) => void): this;
+  once(event: "drain", listener: () => void): this;
+  once(
+    event: "sendProgress",
+    listener: (progress: DataConnectionSendProgress) => void
+  ): this;
+  once(
+    event: "receiveProgress",
+    listener: (progress: DataConnectionReceiveProgress) => void
+  ): this;
+  once(
+    event: "transfer",
+    listener: (transfer: DataConnectionTransfer) => void
+  ): this;
+  once(event: "cancel", listener: (event: { id: string }) => void): this;
+  once(event: "channel", listener: (channel: DataConnection) => void): this;
+  once(
+    event: "messageLost",
+    listener: (message: DataConnectionLostMessage) => void
+  ): this;
+  once(event: "reconnecting", listener: () => void): this;
+  once(event: "reconnected", listener: () => void): this;
+  once(event: "stats", listener: (report: StatsReport) => void): this;
+  once(event: QualityEventName, listener: (event: QualityEvent) => void): this;
   once(event: "close", listener: () => void): this;
   once(event: "error", listener: (err: Error) => void): this;
   once(event: string, listener: Function): this;
@@ -129,10 +456,16 @@ interface RoomOption {
   stream?: MediaStream;
   videoBandwidth?: number;
   audioBandwidth?: number;
-  videoCodec?: string;
-  audioCodec?: string;
+  videoCodec?: CodecPreference | CodecPreference[];
+  audioCodec?: CodecPreference | CodecPreference[];
   videoReceiveEnabled?: boolean;
   audioReceiveEnabled?: boolean;
+  sendEncodings?: RTCRtpEncodingParameters[];
+  compression?: DataCompression;
+  encryption?: CryptoKey;
+  iceRestart?: boolean | IceRestartOption;
+  statsInterval?: number;
+  quality?: boolean | QualityOption;
 }
 
 export interface RoomData {
@@ -146,10 +479,16 @@ export interface RoomStream extends MediaStream {
 
 declare class Room extends EventEmitter {
   name: string;
+  readonly opened: Promise<void>;
 
   getLog(): void;
   close(): void;
   replaceStream(stream: MediaStream): void;
+  setEncodingParameters(
+    kind: "audio" | "video",
+    parameters: EncodingParameters
+  ): Promise<void>;
+  getStats(): Promise<StatsReport | { [peerId: string]: StatsReport }>;
   send(data: any): void;
 
   on(event: "open", listener: () => void): this;
@@ -158,6 +497,16 @@ declare class Room extends EventEmitter {
   on(event: "log", listener: (logs: string[]) => void): this;
   on(event: "stream", listener: (stream: RoomStream) => void): this;
   on(event: "data", listener: (data: RoomData) => void): this;
+  on(event: "reconnecting", listener: (peerId?: string) => void): this;
+  on(event: "reconnected", listener: (peerId?: string) => void): this;
+  on(
+    event: "stats",
+    listener: (stats: StatsReport | { [peerId: string]: StatsReport }) => void
+  ): this;
+  on(
+    event: QualityEventName,
+    listener: (event: RoomQualityEvent) => void
+  ): this;
   on(event: "close", listener: () => void): this;
   on(event: "error", listener: (err: Error) => void): this;
   on(event: string, listener: Function): this;
@@ -168,6 +517,16 @@ declare class Room extends EventEmitter {
   once(event: "log", listener: (logs: string[]) => void): this;
   once(event: "stream", listener: (stream: RoomStream) => void): this;
   once(event: "data", listener: (data: RoomData) => void): this;
+  once(event: "reconnecting", listener: (peerId?: string) => void): this;
+  once(event: "reconnected", listener: (peerId?: string) => void): this;
+  once(
+    event: "stats",
+    listener: (stats: StatsReport | { [peerId: string]: StatsReport }) => void
+  ): this;
+  once(
+    event: QualityEventName,
+    listener: (event: RoomQualityEvent) => void
+  ): this;
   once(event: "close", listener: () => void): this;
   once(event: "error", listener: (err: Error) => void): this;
   once(event: string, listener: Function): this;
@@ -177,6 +536,8 @@ export declare class MeshRoom extends Room {
   connections: {
     [peerId: string]: MediaConnection | DataConnection;
   };
+
+  getStats(): Promise<{ [peerId: string]: StatsReport }>;
 }
 
 export declare class SfuRoom extends Room {
@@ -184,6 +545,8 @@ export declare class SfuRoom extends Room {
     [peerId: string]: RoomStream;
   };
   members: string[];
+
+  getStats(): Promise<StatsReport>;
 }
 
 declare class Peer extends EventEmitter {
@@ -200,6 +563,9 @@ declare class Peer extends EventEmitter {
   constructor(peerId: string, options: PeerConstructorOption);
   constructor(options: PeerConstructorOption);
 
+  static create(peerId: string, options: PeerConstructorOption): Promise<Peer>;
+  static create(options: PeerConstructorOption): Promise<Peer>;
+
   call(
     peerId: string,
     stream?: MediaStream,
@@ -212,19 +578,26 @@ declare class Peer extends EventEmitter {
   disconnect(): void;
   reconnect(): void;
 
-  listAllPeers(callback: (peers: string[]) => void): void;
+  listAllPeers(callback?: (peers: string[]) => void): Promise<string[]>;
   getConnection<T extends Connection>(
     peerId: string,
     connectionId: string
   ): T | null;
   updateCredential(credential: PeerCredential): void;
+  handleSignal(signal: Signal): void;
 
   on(event: "open", listener: (peerId: string) => void): this;
   on(event: "call", listener: (conn: MediaConnection) => void): this;
   on(event: "close", listener: () => void): this;
   on(event: "connection", listener: (conn: DataConnection) => void): this;
   on(event: "disconnected", listener: (peerId: string) => void): this;
+  on(event: "reconnected", listener: (peerId: string) => void): this;
+  on(
+    event: "reconnectAttempt",
+    listener: (attempt: ReconnectAttempt) => void
+  ): this;
   on(event: "expiresin", listener: (sec: number) => void): this;
+  on(event: "signal", listener: (signal: Signal) => void): this;
   on(event: "error", listener: (err: Error) => void): this;
   on(event: string, listener: Function): this;
 
@@ -233,7 +606,13 @@ declare class Peer extends EventEmitter {
   once(event: "close", listener: () => void): this;
   once(event: "connection", listener: (conn: DataConnection) => void): this;
   once(event: "disconnected", listener: (peerId: string) => void): this;
+  once(event: "reconnected", listener: (peerId: string) => void): this;
+  once(
+    event: "reconnectAttempt",
+    listener: (attempt: ReconnectAttempt) => void
+  ): this;
   once(event: "expiresin", listener: (sec: number) => void): this;
+  once(event: "signal", listener: (signal: Signal) => void): this;
   once(event: "error", listener: (err: Error) => void): this;
   once(event: string, listener: Function): this;
 }
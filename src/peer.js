@@ -2,6 +2,7 @@ import EventEmitter from 'events';
 import Enum from 'enum';
 
 import Socket from './peer/socket';
+import ManualTransport from './peer/manualTransport';
 import Connection from './peer/connection';
 import DataConnection from './peer/dataConnection';
 import MediaConnection from './peer/mediaConnection';
@@ -19,6 +20,9 @@ const PeerEvents = new Enum([
   'expiresin',
   'close',
   'disconnected',
+  'reconnected',
+  'reconnectAttempt',
+  'signal',
 ]);
 
 /**
@@ -44,6 +48,40 @@ class Peer extends EventEmitter {
    + @param {number} [options.credential.timestamp] - Current UNIX timestamp.
    + @param {number} [options.credential.ttl] - Time to live; The credential expires at timestamp + ttl.
    + @param {string} [options.credential.authToken] - Credential token calculated with HMAC.
+   * @param {object} [options.dataConnection] - Default options for DataConnections created by connect() or received.
+   * @param {number} [options.dataConnection.maxMessageSize] - Maximum size in bytes of a received message.
+   * @param {number} [options.dataConnection.maxPartialMessages] - Maximum number of messages being received at the same time.
+   * @param {number} [options.dataConnection.reassemblyTimeout] - Milliseconds to wait for the next chunk of a received message.
+   * @param {CryptoKey} [options.dataConnection.encryption] - An AES-GCM CryptoKey to decrypt data of received DataConnections.
+   * @param {number} [options.dataConnection.statsInterval] - Milliseconds between stats events of received DataConnections.
+   * @param {object} [options.reconnect] - Retry and backoff policy to connect to the dispatcher and the signaling server.
+   * @param {number} [options.reconnect.maxAttempts=2] - Number of reconnection attempts to the same signaling server.
+   * @param {number} [options.reconnect.maxServers=3] - Number of new signaling servers to try after reconnection failed.
+   * @param {number} [options.reconnect.maxDispatcherAttempts=10] - Number of requests to the dispatcher before giving up.
+   * @param {number} [options.reconnect.delay=1000] - Milliseconds to wait before the first retry. Doubled after each attempt.
+   * @param {number} [options.reconnect.maxDelay=5000] - Maximum milliseconds to wait between attempts.
+   * @param {number} [options.reconnect.jitter=0.5] - Ratio between 0 and 1 of the delay randomly reduced.
+   * @param {number} [options.reconnect.timeout] - Milliseconds to wait for each attempt.
+   * @param {function} [options.reconnect.onGiveUp] - Called with the error when giving up connecting.
+   * @param {string|object} [options.transport='socket.io'] - Transport to the signaling server. One of 'socket.io', 'websocket'
+   *                                                         or an object implementing connect(url, query), send(type, message),
+   *                                                         on(type, listener), close() and connected.
+   *                                                         The dispatcher is not used with a custom transport.
+   *                                                         With 'manual', no server is used and the key is not required.
+   *                                                         Messages to remote peers are emitted as signal events
+   *                                                         and the ones from remote peers are passed to handleSignal().
+   * @param {boolean|object} [options.quality] - Compute the network quality of connections and room members from getStats()
+   *                                            and emit quality, networkDegraded, networkRecovered, videoFrozen,
+   *                                            videoResumed, audioSilent and audioResumed events.
+   * @param {number} [options.quality.interval=2000] - Milliseconds between getStats() calls.
+   *                                                  The statsInterval option of the connection or the room
+   *                                                  is used instead if set.
+   * @param {object} [options.quality.thresholds] - Max rtt(ms), packetLoss(0-1) and jitter(ms) of each quality
+   *                                               like `{ excellent: { rtt: 100 }, good: { packetLoss: 0.05 } }`.
+   *                                               Worse than poor is bad.
+   * @param {number} [options.quality.videoFreezeDuration=2000] - Milliseconds without decoded frames to emit videoFrozen.
+   * @param {number} [options.quality.audioSilenceDuration=3000] - Milliseconds of silence to emit audioSilent.
+   * @param {number} [options.quality.audioSilenceLevel=0.001] - Audio level(0-1) regarded as silence.
    */
   constructor(id, options) {
     super();
@@ -51,9 +89,15 @@ class Peer extends EventEmitter {
     this.connections = {};
     this.rooms = {};
 
+    // ROOM_JOIN messages of the rooms, to join them again after reconnecting to the server
+    this._roomJoinMessages = {};
+
     // messages received before connection is ready
     this._queuedMessages = {};
 
+    // set with transport: 'manual' to handle signals from remote peers
+    this._manualTransport = null;
+
     if (id && id.constructor === Object) {
       options = id;
       id = undefined;
@@ -83,7 +127,7 @@ class Peer extends EventEmitter {
       return;
     }
 
-    if (!util.validateKey(options.key)) {
+    if (this.options.transport !== 'manual' && !util.validateKey(options.key)) {
       this._abort('invalid-key', `API KEY "${this.options.key}" is invalid`);
       return;
     }
@@ -97,6 +141,33 @@ class Peer extends EventEmitter {
     this._initializeServerConnection(id);
   }
 
+  /**
+   * Create a Peer and wait for it to connect to the signaling server.
+   * The Peer is destroyed if an error occurs before connecting.
+   * @param {string} [id] - User's peerId.
+   * @param {Object} options - Optional arguments for the connection. Same as the ones of the constructor.
+   * @return {Promise<Peer>} Promise that resolves with the Peer on open and rejects with the error.
+   */
+  static create(id, options) {
+    let peer;
+    try {
+      peer = new Peer(id, options);
+    } catch (err) {
+      // Errors in the constructor are thrown as there are no listeners yet
+      return Promise.reject(err);
+    }
+
+    return util
+      .waitForEvent(peer, Peer.EVENTS.open.key, [Peer.EVENTS.error.key])
+      .then(
+        () => peer,
+        err => {
+          peer.destroy();
+          throw err;
+        }
+      );
+  }
+
   /**
    * Creates new MediaConnection.
    * @param {string} peerId - The peerId of the peer you are connecting to.
@@ -107,10 +178,15 @@ class Peer extends EventEmitter {
    * @param {string} [options.label] - Label to easily identify the connection on either peer.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   * @param {boolean|object} [options.iceRestart] - Restart ICE to recover the connection when ICE is disconnected or failed.
+   *                  Pass an object containing `maxAttempts` and `timeout`(ms) to override the defaults.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Overrides the quality option of Peer.
    * @return {MediaConnection} An instance of MediaConnection.
    */
   call(peerId, stream, options = {}) {
@@ -121,6 +197,9 @@ class Peer extends EventEmitter {
     options.originator = true;
     options.stream = stream;
     options.pcConfig = this._pcConfig;
+    if (options.quality === undefined) {
+      options.quality = this.options.quality;
+    }
     const mc = new MediaConnection(peerId, options);
     mc.startConnection();
     logger.log('MediaConnection created in call method');
@@ -138,6 +217,14 @@ class Peer extends EventEmitter {
    *                  See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
    * @param {string} [options.serialization] - How to serialize data when sending.
    *                  One of 'binary', 'json' or 'none'.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data when sending.
+   * @param {boolean} [options.latestWins] - Drop messages older than the latest on the remote peer.
+   * @param {CryptoKey|string} [options.encryption] - An AES-GCM CryptoKey shared with the remote peer
+   *                  or 'ecdh' to derive a key by exchanging public keys.
+   * @param {boolean|object} [options.iceRestart] - Restart ICE to recover the connection when ICE is disconnected or failed.
+   *                  Pass an object containing `maxAttempts` and `timeout`(ms) to override the defaults.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Overrides the quality option of Peer.
    * @return {DataConnection} An instance of DataConnection.
    */
   connect(peerId, options = {}) {
@@ -145,7 +232,11 @@ class Peer extends EventEmitter {
       return;
     }
 
+    options = Object.assign({}, this.options.dataConnection, options);
     options.pcConfig = this._pcConfig;
+    if (options.quality === undefined) {
+      options.quality = this.options.quality;
+    }
     const connection = new DataConnection(peerId, options);
     connection.startConnection();
     logger.log('DataConnection created in connect method');
@@ -161,10 +252,17 @@ class Peer extends EventEmitter {
    * @param {MediaStream} [roomOptions.stream] - Media stream user wants to emit.
    * @param {number} [roomOptions.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [roomOptions.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [roomOptions.videoCodec] - A video codec like 'H264'
-   * @param {string} [roomOptions.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [roomOptions.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [roomOptions.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [roomOptions.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   * @param {string} [roomOptions.compression] - 'deflate' or 'gzip' to compress data sent by room.send().
+   * @param {CryptoKey} [roomOptions.encryption] - An AES-GCM CryptoKey shared by the participants to encrypt data.
+   * @param {boolean|object} [roomOptions.iceRestart] - Recover connections by ICE restarts when ICE is disconnected or failed.
+   *                  Pass an object containing `maxAttempts` and `timeout`(ms) to override the defaults.
+   * @param {number} [roomOptions.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [roomOptions.quality] - Overrides the quality option of Peer.
    * @return {SFURoom|MeshRoom} - An instance of SFURoom or MeshRoom.
    */
   joinRoom(roomName, roomOptions = {}) {
@@ -172,6 +270,14 @@ class Peer extends EventEmitter {
       return;
     }
 
+    if (this._manualTransport) {
+      const err = new Error('Rooms can not be joined with manual signaling.');
+      err.type = 'room-error';
+      logger.error(err);
+      this.emit(Peer.EVENTS.error.key, err);
+      return null;
+    }
+
     if (!roomName) {
       const err = new Error('Room name must be defined.');
       err.type = 'room-error';
@@ -182,6 +288,9 @@ class Peer extends EventEmitter {
 
     roomOptions.pcConfig = this._pcConfig;
     roomOptions.peerId = this.id;
+    if (roomOptions.quality === undefined) {
+      roomOptions.quality = this.options.quality;
+    }
 
     if (roomOptions.mode === 'sfu') {
       return this._initializeSfuRoom(roomName, roomOptions);
@@ -191,6 +300,26 @@ class Peer extends EventEmitter {
     return this._initializeFullMeshRoom(roomName, roomOptions);
   }
 
+  /**
+   * Handle a signal emitted as signal event by the remote peer. Only available with `transport: 'manual'`.
+   * @param {object} signal - The signal delivered by the application.
+   * @param {string} signal.type - One of OFFER, ANSWER, CANDIDATE or FORCE_CLOSE.
+   * @param {object} signal.message - The message.
+   */
+  handleSignal(signal) {
+    if (!this._manualTransport) {
+      const err = new Error(
+        "handleSignal() is only available with transport: 'manual' option."
+      );
+      err.type = 'signaling-error';
+      logger.error(err);
+      this.emit(Peer.EVENTS.error.key, err);
+      return;
+    }
+
+    this._manualTransport.handleSignal(signal);
+  }
+
   /**
    * Returns a connection according to given peerId and connectionId.
    * @param {string} peerId - The peerId of the connection to be searched.
@@ -260,14 +389,25 @@ class Peer extends EventEmitter {
 
   /**
    * Call Rest API and get the list of peerIds assciated with API key.
-   * @param {function} cb - The callback function that is called after XHR.
+   * @param {function} [cb] - The callback function that is called after XHR.
+   * @return {Promise<string[]>} Promise that resolves with the list passed to the callback.
+   *                             Resolves with an empty list if not connected to the server.
    */
   listAllPeers(cb) {
     if (!this._checkOpenStatus()) {
-      return;
+      return Promise.resolve([]);
     }
 
     cb = cb || function() {};
+    let resolvePeers;
+    const promise = new Promise(resolve => {
+      resolvePeers = resolve;
+    });
+    const onPeers = peers => {
+      cb(peers);
+      resolvePeers(peers);
+    };
+
     const self = this;
     const http = new XMLHttpRequest();
 
@@ -279,14 +419,14 @@ class Peer extends EventEmitter {
     /* istanbul ignore next */
     http.onerror = function() {
       self._abort('server-error', 'Could not get peers from the server.');
-      cb([]);
+      onPeers([]);
     };
     http.onreadystatechange = function() {
       if (http.readyState !== 4) {
         return;
       }
       if (http.status === 401) {
-        cb([]);
+        onPeers([]);
         const err = new Error(
           "It doesn't look like you have permission to list peers IDs. " +
             'Please enable the SkyWay REST API on dashboard'
@@ -295,12 +435,14 @@ class Peer extends EventEmitter {
         logger.error(err);
         self.emit(Peer.EVENTS.error.key, err);
       } else if (http.status === 200) {
-        cb(JSON.parse(http.responseText));
+        onPeers(JSON.parse(http.responseText));
       } else {
-        cb([]);
+        onPeers([]);
       }
     };
     http.send(null);
+
+    return promise;
   }
 
   /**
@@ -338,6 +480,15 @@ class Peer extends EventEmitter {
    * @private
    */
   _initializeServerConnection(id) {
+    let transport = this.options.transport;
+    if (transport === 'manual') {
+      this._manualTransport = new ManualTransport();
+      this._manualTransport.on('signal', signal => {
+        this.emit(Peer.EVENTS.signal.key, signal);
+      });
+      transport = this._manualTransport;
+    }
+
     this.socket = new Socket(this.options.key, {
       secure: this.options.secure,
       host: this.options.host,
@@ -346,6 +497,9 @@ class Peer extends EventEmitter {
       dispatcherSecure: this.options.dispatcherSecure,
       dispatcherHost: this.options.dispatcherHost,
       dispatcherPort: this.options.dispatcherPort,
+
+      reconnect: this.options.reconnect,
+      transport: transport,
     });
 
     this._setupMessageHandlers();
@@ -364,9 +518,55 @@ class Peer extends EventEmitter {
       this.emit(Peer.EVENTS.error.key, err);
     });
 
+    this.socket.on('reconnect', () => {
+      this._restoreSession();
+    });
+
+    this.socket.on('reconnectAttempt', attemptMessage => {
+      logger.log(
+        `Retrying to connect to the ${attemptMessage.type} server (${attemptMessage.attempt})`
+      );
+      this.emit(Peer.EVENTS.reconnectAttempt.key, attemptMessage);
+    });
+
     this.socket.start(id, this.options.token, this.options.credential);
   }
 
+  /**
+   * Join the rooms again and send the negotiation messages which might have been lost
+   * while reconnecting to the signalling server, then emit reconnected event.
+   * @private
+   */
+  _restoreSession() {
+    const roomNames = Object.keys(this.rooms);
+
+    // The joins and leaves queued while reconnecting are superseded by joining the rooms again
+    const { ROOM_JOIN, ROOM_LEAVE } = config.MESSAGE_TYPES.CLIENT;
+    this.socket.removeQueuedMessages(
+      (type, message) =>
+        [ROOM_JOIN.key, ROOM_LEAVE.key].includes(type) &&
+        roomNames.includes(message.roomName)
+    );
+
+    for (const roomName of roomNames) {
+      const data = this._roomJoinMessages[roomName];
+      this.socket.send(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, data);
+
+      if (data.roomType === 'mesh') {
+        this.rooms[roomName].resendNegotiationMessages();
+      }
+    }
+
+    for (const peerId of Object.keys(this.connections)) {
+      this.connections[peerId].forEach(connection => {
+        connection.resendNegotiationMessages();
+      });
+    }
+
+    logger.log('Reconnected to the signalling server');
+    this.emit(Peer.EVENTS.reconnected.key, this.id);
+  }
+
   /**
    * Create and setup a SFURoom instance and emit SFU_JOIN message to SkyWay server.
    * @param {string} roomName - The name of the room user is joining to.
@@ -377,10 +577,11 @@ class Peer extends EventEmitter {
    * @param {MediaStream} [roomOptions.stream] - Media stream user wants to emit.
    * @param {number} [roomOptions.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [roomOptions.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [roomOptions.videoCodec] - A video codec like 'H264'
-   * @param {string} [roomOptions.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [roomOptions.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [roomOptions.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [roomOptions.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [roomOptions.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [roomOptions.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
    * @return {SFURoom} - An instance of SFURoom.
    */
   _initializeSfuRoom(roomName, roomOptions = {}) {
@@ -396,6 +597,7 @@ class Peer extends EventEmitter {
       roomType: 'sfu',
     };
 
+    this._roomJoinMessages[roomName] = data;
     this.socket.send(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, data);
 
     return sfuRoom;
@@ -411,10 +613,11 @@ class Peer extends EventEmitter {
    * @param {MediaStream} [roomOptions.stream] - Media stream user wants to emit.
    * @param {number} [roomOptions.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [roomOptions.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [roomOptions.videoCodec] - A video codec like 'H264'
-   * @param {string} [roomOptions.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [roomOptions.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [roomOptions.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [roomOptions.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [roomOptions.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [roomOptions.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
    * @return {SFURoom} - An instance of MeshRoom.
    */
   _initializeFullMeshRoom(roomName, roomOptions = {}) {
@@ -430,6 +633,7 @@ class Peer extends EventEmitter {
       roomType: 'mesh',
     };
 
+    this._roomJoinMessages[roomName] = data;
     this.socket.send(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, data);
 
     return meshRoom;
@@ -557,6 +761,7 @@ class Peer extends EventEmitter {
           originator: false,
           queuedMessages: this._queuedMessages[connectionId],
           pcConfig: this._pcConfig,
+          quality: this.options.quality,
         });
         connection.startConnection();
 
@@ -565,16 +770,44 @@ class Peer extends EventEmitter {
         this._addConnection(offerMessage.src, connection);
         this.emit(Peer.EVENTS.call.key, connection);
       } else if (offerMessage.connectionType === 'data') {
-        connection = new DataConnection(offerMessage.src, {
-          connectionId: connectionId,
-          payload: offerMessage,
-          metadata: offerMessage.metadata,
-          label: offerMessage.label,
-          dcInit: offerMessage.dcInit,
-          serialization: offerMessage.serialization,
-          queuedMessages: this._queuedMessages[connectionId],
-          pcConfig: this._pcConfig,
-        });
+        if (
+          offerMessage.serialization &&
+          !DataConnection.SERIALIZATIONS.get(offerMessage.serialization)
+        ) {
+          const err = new Error(
+            `Serialization "${offerMessage.serialization}" offered by ${offerMessage.src} is not registered.`
+          );
+          err.type = 'serialization-error';
+          logger.error(err);
+          this.emit(Peer.EVENTS.error.key, err);
+          delete this._queuedMessages[connectionId];
+          return;
+        }
+
+        try {
+          connection = new DataConnection(
+            offerMessage.src,
+            Object.assign({}, this.options.dataConnection, {
+              connectionId: connectionId,
+              payload: offerMessage,
+              metadata: offerMessage.metadata,
+              label: offerMessage.label,
+              dcInit: offerMessage.dcInit,
+              serialization: offerMessage.serialization,
+              queuedMessages: this._queuedMessages[connectionId],
+              pcConfig: this._pcConfig,
+              quality: this.options.quality,
+            })
+          );
+        } catch (err) {
+          // The encryption requested by the offer or by the dataConnection option
+          // can not be used with the offered serialization
+          err.type = 'encryption-error';
+          delete this._queuedMessages[connectionId];
+          logger.error(err);
+          this.emit(Peer.EVENTS.error.key, err);
+          return;
+        }
         connection.startConnection();
 
         logger.log('DataConnection created in OFFER');
@@ -774,6 +1007,7 @@ class Peer extends EventEmitter {
     });
     room.on(SFURoom.MESSAGE_EVENTS.leave.key, leaveMessage => {
       delete this.rooms[room.name];
+      delete this._roomJoinMessages[room.name];
       this.socket.send(
         config.MESSAGE_TYPES.CLIENT.ROOM_LEAVE.key,
         leaveMessage
@@ -964,6 +1198,33 @@ class Peer extends EventEmitter {
    * @event Peer#disconnected
    * @type {string}
    */
+
+  /**
+   * Reconnected to the signalling server after the connection was lost.
+   * Rooms are joined again and connections being negotiated are resumed.
+   *
+   * @event Peer#reconnected
+   * @type {string}
+   */
+
+  /**
+   * Retrying to connect to the dispatcher or the signaling server.
+   *
+   * @event Peer#reconnectAttempt
+   * @type {object}
+   * @property {string} type - 'dispatcher' or 'signaling'.
+   * @property {number} attempt - The number of the attempt starting from 1.
+   */
+
+  /**
+   * Signalling message to deliver to the remote peer with transport: 'manual'.
+   * Pass it to handleSignal() of the remote peer.
+   *
+   * @event Peer#signal
+   * @type {object}
+   * @property {string} type - One of OFFER, ANSWER, CANDIDATE or FORCE_CLOSE.
+   * @property {object} message - The message. `message.dst` is the peerId of the remote peer.
+   */
 }
 
 export default Peer;
@@ -2,7 +2,9 @@ import EventEmitter from 'events';
 import Enum from 'enum';
 
 import Negotiator from './negotiator';
+import QualityMonitor from './qualityMonitor';
 import util from '../shared/util';
+import statsUtil from '../shared/statsUtil';
 import logger from '../shared/logger';
 import config from '../shared/config';
 
@@ -12,7 +14,11 @@ const ConnectionEvents = new Enum([
   'answer',
   'close',
   'forceClose',
+  'reconnecting',
+  'reconnected',
+  'stats',
 ]);
+ConnectionEvents.extend(QualityMonitor.EVENTS.enums);
 
 /**
  * Class that manages connections to other peers.
@@ -67,6 +73,16 @@ class Connection extends EventEmitter {
     this._idPrefix = 'c_';
     this._randomIdSuffix = util.randomToken();
 
+    // The last offer or answer message and the candidates sent after it, to send them again after reconnection
+    this._sentDescriptionMessage = null;
+    this._sentCandidateMessages = [];
+
+    this._statsTimer = null;
+    // The previous reports of getStats() and of the stats timer are kept apart
+    // not to shorten the period of the deltas of each other
+    this._lastStatsReport = null;
+    this._lastTimerStatsReport = null;
+
     this._setupNegotiatorMessageHandlers();
   }
 
@@ -77,14 +93,39 @@ class Connection extends EventEmitter {
     return this._options.connectionId || this._idPrefix + this._randomIdSuffix;
   }
 
+  /**
+   * Promise that resolves when the connection is ready, and rejects if it is closed before that.
+   * MediaConnection resolves with the remote MediaStream, and DataConnection resolves when it is open.
+   * @type {Promise<MediaStream|void>}
+   */
+  get ready() {
+    return this._ready;
+  }
+
+  /**
+   * Start waiting for the event the connection is ready with.
+   * Called by subclasses.
+   * @param {string} event - The event name.
+   * @private
+   */
+  _waitForReady(event) {
+    this._ready = util.waitForEvent(this, event, [Connection.EVENTS.close.key]);
+    // Not to report the rejection as unhandled if ready is not used
+    this._ready.catch(() => {});
+  }
+
   /**
    * Handle an sdp answer message from the remote peer.
    * @param {object} answerMessage - Message object containing sdp answer.
    */
   async handleAnswer(answerMessage) {
     if (this._pcAvailable) {
-      await this._negotiator.handleAnswer(answerMessage.answer);
+      await this._negotiator.handleAnswer(
+        answerMessage.answer,
+        Boolean(answerMessage.resent)
+      );
       this.open = true;
+      this._startStatsTimer(this._options.statsInterval);
       this._handleQueuedMessages();
     } else {
       logger.log(`Queuing ANSWER message in ${this.id} from ${this.remoteId}`);
@@ -135,6 +176,29 @@ class Connection extends EventEmitter {
     }
   }
 
+  /**
+   * Send the last offer or answer and the candidates again while ICE is still being negotiated.
+   * They might have been lost while the signalling server was disconnected.
+   */
+  resendNegotiationMessages() {
+    const pc = this._negotiator._pc;
+    if (!pc || !['new', 'checking'].includes(pc.iceConnectionState)) {
+      return;
+    }
+
+    const description = this._sentDescriptionMessage;
+    if (description) {
+      logger.log(`Sending ${description.type} again in ${this.id}`);
+      this.emit(
+        description.type,
+        Object.assign({}, description.message, { resent: true })
+      );
+    }
+    for (const candidateMessage of this._sentCandidateMessages) {
+      this.emit(Connection.EVENTS.candidate.key, candidateMessage);
+    }
+  }
+
   /**
    * Gives a RTCPeerConnection.
    */
@@ -145,6 +209,68 @@ class Connection extends EventEmitter {
     return this._negotiator._pc;
   }
 
+  /**
+   * Get the statistics of the RTCPeerConnection normalized into the quality metrics.
+   * Bitrates and packet loss rates are computed from the deltas to the previous report.
+   * @return {Promise<object>} Promise that resolves with the normalized report.
+   */
+  async getStats() {
+    const report = await this._getNormalizedStats(this._lastStatsReport);
+    this._lastStatsReport = report;
+    return report;
+  }
+
+  /**
+   * Get the statistics of the RTCPeerConnection normalized with the deltas to the previous report.
+   * @param {object} lastReport - The previous report, or null.
+   * @return {Promise<object>} Promise that resolves with the normalized report.
+   * @private
+   */
+  async _getNormalizedStats(lastReport) {
+    const pc = this.getPeerConnection();
+    if (!pc) {
+      throw new Error('Connection is not open.');
+    }
+
+    return statsUtil.normalizeReport(await pc.getStats(), lastReport);
+  }
+
+  /**
+   * Start getting the stats periodically to emit stats event and to update the network quality.
+   * The stats are got at the interval of the quality option if statsInterval is not set.
+   * Do nothing if already started or neither is set.
+   * @param {number} [statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @private
+   */
+  _startStatsTimer(statsInterval) {
+    const interval =
+      statsInterval || QualityMonitor.getInterval(this._options.quality);
+    if (!interval || this._statsTimer) {
+      return;
+    }
+
+    this._statsTimer = setInterval(() => {
+      this._getNormalizedStats(this._lastTimerStatsReport)
+        .then(report => {
+          this._lastTimerStatsReport = report;
+          this._negotiator.updateQuality(report);
+          if (statsInterval) {
+            this.emit(Connection.EVENTS.stats.key, report);
+          }
+        })
+        .catch(err => logger.warn('Failed to get stats, ', err));
+    }, interval);
+  }
+
+  /**
+   * Stop emitting stats event.
+   * @private
+   */
+  _stopStatsTimer() {
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+  }
+
   /**
    * Process messages received before the RTCPeerConnection is ready.
    * @private
@@ -183,6 +309,7 @@ class Connection extends EventEmitter {
     }
 
     this.open = false;
+    this._stopStatsTimer();
     this._negotiator.cleanup();
     this.emit(Connection.EVENTS.close.key);
 
@@ -203,6 +330,14 @@ class Connection extends EventEmitter {
         connectionId: this.id,
         connectionType: this.type,
       };
+      if (this._localPublicKey) {
+        connectionAnswer.publicKey = this._localPublicKey;
+      }
+      this._sentDescriptionMessage = {
+        type: Connection.EVENTS.answer.key,
+        message: connectionAnswer,
+      };
+      this._sentCandidateMessages = [];
       this.emit(Connection.EVENTS.answer.key, connectionAnswer);
     });
 
@@ -223,6 +358,17 @@ class Connection extends EventEmitter {
       if (this.dcInit) {
         connectionOffer.dcInit = this.dcInit;
       }
+      if (this._localPublicKey) {
+        connectionOffer.publicKey = this._localPublicKey;
+      }
+      if (this._options.iceRestart) {
+        connectionOffer.iceRestart = this._options.iceRestart;
+      }
+      this._sentDescriptionMessage = {
+        type: Connection.EVENTS.offer.key,
+        message: connectionOffer,
+      };
+      this._sentCandidateMessages = [];
       this.emit(Connection.EVENTS.offer.key, connectionOffer);
     });
 
@@ -233,12 +379,36 @@ class Connection extends EventEmitter {
         connectionId: this.id,
         connectionType: this.type,
       };
+      this._sentCandidateMessages.push(connectionCandidate);
       this.emit(Connection.EVENTS.candidate.key, connectionCandidate);
     });
 
     this._negotiator.on(Negotiator.EVENTS.iceConnectionFailed.key, () => {
       this.close();
     });
+
+    this._negotiator.on(Negotiator.EVENTS.reconnecting.key, () => {
+      this.emit(Connection.EVENTS.reconnecting.key);
+    });
+
+    this._negotiator.on(Negotiator.EVENTS.reconnected.key, () => {
+      this.emit(Connection.EVENTS.reconnected.key);
+    });
+
+    QualityMonitor.EVENTS.enums.forEach(event => {
+      this._negotiator.on(event.key, qualityEvent => {
+        this.emit(event.key, qualityEvent);
+      });
+    });
+  }
+
+  /**
+   * The network quality computed if quality option is set.
+   * One of 'excellent', 'good', 'poor' or 'bad', or null if not computed.
+   * @type {string|null}
+   */
+  get quality() {
+    return this._negotiator.quality;
   }
 
   /**
@@ -302,11 +472,94 @@ class Connection extends EventEmitter {
    * @event Connection#close
    */
 
+  /**
+   * Statistics emitted periodically if statsInterval option is set.
+   * Bitrates and packet loss rates are computed from the deltas to the previous report.
+   *
+   * @event Connection#stats
+   * @type {object}
+   */
+
   /**
    * Requested to close the connection.
    *
    * @event Connection#forceClose
    */
+
+  /**
+   * ICE connection is disconnected and being recovered by ICE restarts.
+   *
+   * @event Connection#reconnecting
+   */
+
+  /**
+   * ICE connection is recovered.
+   *
+   * @event Connection#reconnected
+   */
+
+  /**
+   * The network quality is changed. Emitted if quality option is set.
+   *
+   * @event Connection#quality
+   * @type {object}
+   * @property {string} quality - One of 'excellent', 'good', 'poor' or 'bad'.
+   * @property {object} report - The normalized stats the quality is computed from.
+   */
+
+  /**
+   * The network quality is changed to poor or bad.
+   *
+   * @event Connection#networkDegraded
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
+
+  /**
+   * The network quality is recovered from poor or bad.
+   *
+   * @event Connection#networkRecovered
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
+
+  /**
+   * No frame of the remote video is decoded for videoFreezeDuration.
+   *
+   * @event Connection#videoFrozen
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
+
+  /**
+   * Frames of the remote video are decoded again.
+   *
+   * @event Connection#videoResumed
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
+
+  /**
+   * The remote audio is silent for audioSilenceDuration.
+   *
+   * @event Connection#audioSilent
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
+
+  /**
+   * The remote audio is not silent again.
+   *
+   * @event Connection#audioResumed
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized stats.
+   */
 }
 
 export default Connection;
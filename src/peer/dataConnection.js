@@ -8,12 +8,31 @@ import util from '../shared/util';
 import logger from '../shared/logger';
 import config from '../shared/config';
 
-const DCEvents = new Enum(['open', 'data', 'error']);
+const DCEvents = new Enum([
+  'open',
+  'data',
+  'error',
+  'drain',
+  'sendProgress',
+  'receiveProgress',
+  'transfer',
+  'cancel',
+  'channel',
+  'messageLost',
+]);
 
 DCEvents.extend(Connection.EVENTS.enums);
 
 const DCSerializations = new Enum(['binary', 'binary-utf8', 'json', 'none']);
 
+// Implementations of DCSerializations, keyed by name.
+// Data encoded by a chunked serializer is sliced into chunks with the metadata.
+const serializers = {};
+
+// Incomplete Files and Blobs received by closed connections, keyed by `${remoteId}:${id}`.
+// They are kept for a while so that a new connection from the same peer can resume them.
+const suspendedTransfers = {};
+
 /**
  * Class that manages data connections to other peers.
  * @extends Connection
@@ -24,10 +43,30 @@ class DataConnection extends Connection {
    * @param {string} remoteId - The peerId of the peer you are connecting to.
    * @param {object} [options] - Optional arguments for the connection.
    * @param {string} [options.connectionId] - An ID to uniquely identify the connection. Defaults to random string if not specified.
-   * @param {string} [options.serialization] - How to serialize data when sending. One of 'binary', 'json' or 'none'.
+   * @param {string} [options.serialization] - How to serialize data when sending.
+   *                  One of 'binary', 'binary-utf8', 'json', 'none' or a name registered by registerSerialization().
    * @param {string} [options.label] - Label to easily identify the connection on either peer.
    * @param {Object} [options.dcInit] - Options passed to createDataChannel() as a RTCDataChannelInit.
    *                  See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
+   * @param {number} [options.highWaterMark] - Number of buffered bytes above which send() returns false.
+   * @param {number} [options.lowWaterMark] - Number of buffered bytes at or below which sending is resumed and `drain` is emitted.
+   * @param {number} [options.maxMessageSize] - Maximum size in bytes of a message received with binary serialization.
+   * @param {number} [options.maxPartialMessages] - Maximum number of messages being received at the same time.
+   * @param {number} [options.reassemblyTimeout] - Milliseconds to wait for the next chunk of a message being received.
+   *                  On unreliable mode, `messageLost` is emitted when it times out.
+   * @param {boolean} [options.latestWins] - Number messages sent by send() so that the remote peer
+   *                  drops the ones older than the latest received. Useful for game states on unreliable mode.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data sent with a chunked serialization.
+   *                  Ignored if the browser does not support CompressionStream.
+   * @param {CryptoKey|string} [options.encryption] - An AES-GCM CryptoKey shared with the remote peer
+   *                  or 'ecdh' to derive a key by exchanging public keys in the offer and the answer.
+   *                  Data sent with a chunked serialization is encrypted end-to-end.
+   * @param {boolean|object} [options.iceRestart] - Restart ICE to recover the connection when ICE is disconnected or failed.
+   *                  Pass an object containing `maxAttempts` and `timeout`(ms) to override the defaults.
+   *                  The remote peer follows the option in the offer.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Emit network quality events computed from the stats.
+   *                  See the quality option of Peer.
    * @param {string} [options.queuedMessages] - An array of messages that were already received before the connection was created.
    * @param {string} [options.payload] - An offer message that triggered creating this object.
    */
@@ -47,6 +86,7 @@ class DataConnection extends Connection {
 
     // Use reliable mode by default
     this.dcInit = this._options.dcInit || {};
+    this._isUnreliable = this._isUnreliableDCInit(this.dcInit);
 
     // Serialization is binary by default
     this.serialization = DataConnection.SERIALIZATIONS.binary.key;
@@ -56,37 +96,139 @@ class DataConnection extends Connection {
         throw new Error('Invalid serialization');
       }
       this.serialization = this._options.serialization;
+    }
+    this._serializer = serializers[this.serialization];
+
+    // Number messages sent by send() so that the remote peer drops the ones older than the latest
+    this._latestWins = false;
+    this._sequenceNumber = 0;
+    if (this._options.latestWins) {
+      if (this._serializer.chunked) {
+        this._latestWins = true;
+      } else {
+        logger.warn(
+          `You can not use latestWins with ${this.serialization} serialization.`
+        );
+      }
+    }
+    // The sequence number of the latest message emitted as data
+    this._latestReceivedSequence = 0;
 
-      if (this._isUnreliableDCInit(this.dcInit)) {
+    // Compression of data sent with a chunked serialization
+    this._compression = null;
+    if (this._options.compression) {
+      if (!util.validateCompression(this._options.compression)) {
+        throw new Error('Invalid compression');
+      }
+
+      if (!this._serializer.chunked) {
         logger.warn(
-          'You can not specify serialization with unreliable mode enabled.'
+          `You can not compress data with ${this.serialization} serialization.`
+        );
+      } else if (!util.isCompressionSupported()) {
+        logger.warn('Compression is not supported by this browser.');
+      } else {
+        this._compression = this._options.compression;
+      }
+    }
+
+    // End-to-end encryption of data sent with a chunked serialization
+    this._encryption = this._options.encryption || null;
+    // The remote peer asks for a key exchange by sending its public key in the offer
+    if (this._options.payload && this._options.payload.publicKey) {
+      this._encryption = 'ecdh';
+    }
+    this._encryptionKey = null;
+    this._keyPair = null;
+    if (this._encryption) {
+      if (
+        this._encryption !== 'ecdh' &&
+        !util.validateEncryptionKey(this._encryption)
+      ) {
+        throw new Error('Invalid encryption');
+      }
+
+      // Falling back to plain text is not acceptable for encryption
+      if (!this._serializer.chunked) {
+        throw new Error(
+          `You can not encrypt data with ${this.serialization} serialization.`
         );
-        this.serialization = DataConnection.SERIALIZATIONS.binary.key;
+      }
+
+      if (this._encryption !== 'ecdh') {
+        this._encryptionKey = this._encryption;
       }
     }
 
+    // Promise chains to keep the order of messages while encrypting or compressing them
+    this._encodingQueue = Promise.resolve();
+    this._decodingQueue = Promise.resolve();
+    this._decodingCount = 0;
+
+    /**
+     * Number of buffered bytes above which send() returns false.
+     * @type {number}
+     */
+    this.highWaterMark = this._options.highWaterMark || config.dcHighWaterMark;
+    this._lowWaterMark =
+      typeof this._options.lowWaterMark === 'number'
+        ? this._options.lowWaterMark
+        : config.dcLowWaterMark;
+
+    // Limits to protect the receiver from a malicious or buggy remote peer
+    this._maxMessageSize =
+      this._options.maxMessageSize || config.dcMaxMessageSize;
+    this._maxPartialMessages =
+      this._options.maxPartialMessages || config.dcMaxPartialMessages;
+    this._reassemblyTimeout =
+      this._options.reassemblyTimeout ||
+      (this._isUnreliable
+        ? config.dcUnreliableReassemblyTimeout
+        : config.dcReassemblyTimeout);
+
     // New send code properties
     this._sendBuffer = [];
+    this._sendBufferSize = 0;
+    this._isSending = false;
+    this._needDrain = false;
+    // Promises of sendAsync() waiting for the acknowledgement, keyed by message id
+    this._pendingAcks = {};
+    // Promises of request() waiting for the response, keyed by request id
+    this._pendingRequests = {};
+    // Functions registered by handle(), keyed by method name
+    this._requestHandlers = {};
+    // Messages being read lazily by sendFile() or sendStream(), keyed by message id
+    this._activeSends = {};
+    // Callbacks of resumeFile() waiting for the index to resume from, keyed by message id
+    this._pendingResumes = {};
     this._receivedData = {};
+    // Ids of messages cancelled by cancel() or lost on unreliable mode and the time they expire at,
+    // in the order they are added
+    this._cancelledIds = new Map();
     // Messages stored by peer because DC was not ready yet
     this._queuedMessages = this._options.queuedMessages || [];
 
+    // The DataConnection whose RTCPeerConnection is shared if this is created by createChannel()
+    this._parent = this._options.parent || null;
+    // Channels sharing the RTCPeerConnection of this connection
+    this._channels = [];
+
+    this._waitForReady(DataConnection.EVENTS.open.key);
+
     // This replaces the PeerJS 'initialize' method
     this._negotiator.on(Negotiator.EVENTS.dcCreated.key, dc => {
-      this._dc = dc;
-      this._dc.binaryType = 'arraybuffer';
-      this._setupMessageHandlers();
-
-      // Manually call dataChannel.onopen() if the dataChannel opened before the event handler was set.
-      // This can happen if the tab is in the background in Chrome as the event loop is handled differently.
-      if (!this._isOnOpenCalled && this._dc.readyState === 'open') {
-        this._dc.onopen();
+      // Data channels after the first one are created by createChannel() of the remote peer
+      if (this._dc) {
+        this._handleRemoteChannel(dc);
+        return;
       }
+      this._setDataChannel(dc);
     });
 
     // If this is not the originator, we need to set the pcConfig
     if (this._options.payload) {
       this._options.payload.pcConfig = this._options.pcConfig;
+      this._options.payload.quality = this._options.quality;
     }
   }
 
@@ -95,6 +237,15 @@ class DataConnection extends Connection {
    * @return {Promise<void>} Promise that resolves when starting is done.
    */
   async startConnection() {
+    if (this._encryption === 'ecdh') {
+      try {
+        await this._prepareKeyExchange();
+      } catch (err) {
+        this._handleEncryptionError(err);
+        return;
+      }
+    }
+
     await this._negotiator.startConnection(
       this._options.payload || {
         originator: true,
@@ -102,6 +253,8 @@ class DataConnection extends Connection {
         label: this.label,
         dcInit: this.dcInit,
         pcConfig: this._options.pcConfig,
+        iceRestart: this._options.iceRestart,
+        quality: this._options.quality,
       }
     );
 
@@ -109,11 +262,212 @@ class DataConnection extends Connection {
     this._handleQueuedMessages();
   }
 
+  /**
+   * Handle an sdp answer message from the remote peer.
+   * If the key exchange is requested, the AES-GCM key is derived before the connection is opened.
+   * @param {object} answerMessage - Message object containing sdp answer.
+   */
+  async handleAnswer(answerMessage) {
+    if (this._pcAvailable && this._keyPair && !this._encryptionKey) {
+      try {
+        if (!answerMessage.publicKey) {
+          throw new Error(
+            `${this.remoteId} does not support the key exchange for encryption.`
+          );
+        }
+        this._encryptionKey = await util.deriveEncryptionKey(
+          this._keyPair.privateKey,
+          answerMessage.publicKey
+        );
+      } catch (err) {
+        this._handleEncryptionError(err);
+        return;
+      }
+    }
+
+    await super.handleAnswer(answerMessage);
+  }
+
+  /**
+   * Generate an ECDH key pair whose public key is sent in the offer or the answer.
+   * The answerer derives the AES-GCM key with the public key in the offer.
+   * @return {Promise<void>} Promise that resolves when the public key is ready.
+   * @private
+   */
+  async _prepareKeyExchange() {
+    const { keyPair, publicKey } = await util.generateKeyPair();
+    this._keyPair = keyPair;
+
+    if (this._options.payload) {
+      if (!this._options.payload.publicKey) {
+        throw new Error(
+          `${this.remoteId} does not support the key exchange for encryption.`
+        );
+      }
+      this._encryptionKey = await util.deriveEncryptionKey(
+        keyPair.privateKey,
+        this._options.payload.publicKey
+      );
+    }
+    // Connection sends it with the offer or the answer
+    this._localPublicKey = publicKey;
+  }
+
+  /**
+   * Emit an error of the key exchange and stop connecting.
+   * @param {Error} err - The error.
+   * @private
+   */
+  _handleEncryptionError(err) {
+    err.type = 'encryption-error';
+    logger.error(err);
+    this.emit(DataConnection.EVENTS.error.key, err);
+    this._negotiator.cleanup();
+  }
+
+  /**
+   * Start using a RTCDataChannel to send and receive data.
+   * @param {RTCDataChannel} dc - The data channel.
+   * @private
+   */
+  _setDataChannel(dc) {
+    this._dc = dc;
+    this._dc.binaryType = 'arraybuffer';
+    this._setupMessageHandlers();
+
+    // Manually call dataChannel.onopen() if the dataChannel opened before the event handler was set.
+    // This can happen if the tab is in the background in Chrome as the event loop is handled differently.
+    if (!this._isOnOpenCalled && this._dc.readyState === 'open') {
+      this._dc.onopen();
+    }
+  }
+
+  /**
+   * Create a channel which shares the RTCPeerConnection of this connection.
+   * The channel is a DataConnection with its own serialization, events and close().
+   * The remote peer receives it with `channel` event.
+   * Data is encrypted with the same key as this connection if the encryption is enabled.
+   * @param {string} label - Label to identify the channel on either peer.
+   * @param {Object} [dcInit] - Options passed to createDataChannel() as a RTCDataChannelInit.
+   *                  See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
+   * @param {Object} [options] - Optional arguments for the channel.
+   * @param {string} [options.serialization] - How to serialize data when sending.
+   * @param {number} [options.highWaterMark] - Number of buffered bytes above which send() returns false.
+   * @param {number} [options.lowWaterMark] - Number of buffered bytes at or below which `drain` is emitted.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data.
+   * @param {boolean} [options.latestWins] - Drop messages older than the latest on the remote peer.
+   * @return {DataConnection} The channel. Null if this connection is not open.
+   */
+  createChannel(label, dcInit = {}, options = {}) {
+    const pc = this.getPeerConnection();
+    if (!pc) {
+      this.emit(
+        DataConnection.EVENTS.error.key,
+        new Error(
+          'Connection is not open. You should listen for the `open` event before creating channels.'
+        )
+      );
+      return null;
+    }
+
+    const channel = new DataConnection(
+      this.remoteId,
+      Object.assign({}, this._getChannelOptions(), options, {
+        label: label,
+        dcInit: dcInit,
+        encryption: this._encryptionKey,
+      })
+    );
+    // The remote peer reads the serialization from the protocol
+    channel._setDataChannel(
+      pc.createDataChannel(
+        label,
+        Object.assign({}, dcInit, { protocol: channel.serialization })
+      )
+    );
+    this._channels.push(channel);
+
+    return channel;
+  }
+
+  /**
+   * Handle a data channel created by createChannel() of the remote peer.
+   * @param {RTCDataChannel} dc - The data channel.
+   * @fires DataConnection#channel
+   * @private
+   */
+  _handleRemoteChannel(dc) {
+    const dcInit = { ordered: dc.ordered };
+    if (typeof dc.maxRetransmits === 'number') {
+      dcInit.maxRetransmits = dc.maxRetransmits;
+    }
+    if (typeof dc.maxPacketLifeTime === 'number') {
+      dcInit.maxPacketLifeTime = dc.maxPacketLifeTime;
+    }
+
+    let channel;
+    try {
+      channel = new DataConnection(
+        this.remoteId,
+        Object.assign(this._getChannelOptions(), {
+          label: dc.label,
+          dcInit: dcInit,
+          serialization:
+            dc.protocol || DataConnection.SERIALIZATIONS.binary.key,
+          encryption: this._encryptionKey,
+        })
+      );
+    } catch (e) {
+      // The serialization is not registered or can not be used with the encryption
+      const err = new Error(
+        `Channel ${dc.label} with "${dc.protocol}" serialization can not be received: ${e.message}`
+      );
+      err.type = 'serialization-error';
+      dc.close();
+      logger.error(err);
+      this.emit(DataConnection.EVENTS.error.key, err);
+      return;
+    }
+    channel._setDataChannel(dc);
+    this._channels.push(channel);
+
+    this.emit(DataConnection.EVENTS.channel.key, channel);
+  }
+
+  /**
+   * Get the options which channels inherit from this connection.
+   * @return {Object} The options of the channel.
+   * @private
+   */
+  _getChannelOptions() {
+    return {
+      parent: this,
+      metadata: this.metadata,
+      maxMessageSize: this._maxMessageSize,
+      maxPartialMessages: this._maxPartialMessages,
+      // The default depends on whether the channel is reliable or not
+      reassemblyTimeout: this._options.reassemblyTimeout,
+    };
+  }
+
+  /**
+   * Gives a RTCPeerConnection. Channels give the one of the DataConnection which created them.
+   * @return {RTCPeerConnection} The RTCPeerConnection. Null if the connection is not open.
+   */
+  getPeerConnection() {
+    if (this._parent) {
+      return this.open ? this._parent.getPeerConnection() : null;
+    }
+    return super.getPeerConnection();
+  }
+
   /**
    * Set up data channel event and message handlers.
    * @private
    */
   _setupMessageHandlers() {
+    this._dc.bufferedAmountLowThreshold = this._lowWaterMark;
+
     this._dc.onopen = () => {
       if (this._isOnOpenCalled) {
         return;
@@ -122,6 +476,7 @@ class DataConnection extends Connection {
       logger.log('Data channel connection success');
       this.open = true;
       this._isOnOpenCalled = true;
+      this._startStatsTimer(this._options.statsInterval);
       this.emit(DataConnection.EVENTS.open.key);
     };
 
@@ -138,6 +493,20 @@ class DataConnection extends Connection {
     this._dc.onerror = err => {
       logger.error(err);
     };
+
+    this._dc.onbufferedamountlow = () => {
+      this._startSendLoop();
+      this._emitDrainIfNeeded();
+    };
+  }
+
+  /**
+   * The number of bytes queued to be sent, including the ones buffered by the RTCDataChannel.
+   * @type {number}
+   */
+  get bufferedAmount() {
+    const dcBufferedAmount = (this._dc && this._dc.bufferedAmount) || 0;
+    return this._sendBufferSize + dcBufferedAmount;
   }
 
   /**
@@ -146,197 +515,1693 @@ class DataConnection extends Connection {
    * @private
    */
   _handleDataMessage(msg) {
-    if (this.serialization === DataConnection.SERIALIZATIONS.none.key) {
-      this.emit(DataConnection.EVENTS.data.key, msg.data);
-      return;
-    } else if (this.serialization === DataConnection.SERIALIZATIONS.json.key) {
-      this.emit(DataConnection.EVENTS.data.key, JSON.parse(msg.data));
+    if (!this._serializer.chunked) {
+      this._emitDecodedData(msg.data);
       return;
     }
 
-    // Everything below is for serialization binary or binary-utf8
+    // Everything below is for chunked serializations like binary or binary-utf8
 
     const dataMeta = BinaryPack.unpack(msg.data);
 
+    // Ignore data not sent by DataConnection
+    if (!dataMeta || typeof dataMeta !== 'object') {
+      logger.warn('Received data is not a chunk:', msg.data);
+      return;
+    }
+
+    if (dataMeta.control) {
+      this._handleControlMessage(dataMeta);
+      return;
+    }
+    // Chunks which were in flight when the message was cancelled or lost
+    if (this._isCancelled(dataMeta.id)) {
+      return;
+    }
+    // Messages numbered by latestWins of the remote peer are useless once a newer one is received
+    if (
+      dataMeta.seq !== undefined &&
+      dataMeta.seq <= this._latestReceivedSequence
+    ) {
+      return;
+    }
+    // The last chunk of an empty stream has no data
+    if (dataMeta.data === undefined) {
+      dataMeta.data = new ArrayBuffer(0);
+    }
+
     // If we haven't started receiving pieces of data with a given id, this will be undefined
     // In that case, we need to initialise receivedData[id] to hold incoming file chunks
     let currData = this._receivedData[dataMeta.id];
+
+    // Encrypted data can not be decrypted without encryption, and plain text
+    // is not accepted with encryption as it may be altered
+    if (!currData && !!this._encryption !== !!dataMeta.encrypted) {
+      this._dropReceivingMessage(
+        dataMeta.id,
+        dataMeta.encrypted
+          ? 'Received encrypted data without encryption.'
+          : 'Received data which is not encrypted.',
+        'encryption-error'
+      );
+      return;
+    }
+
+    const violation = this._getChunkViolation(dataMeta, currData);
+    if (violation) {
+      this._dropReceivingMessage(dataMeta.id, violation);
+      return;
+    }
+
     if (!currData) {
       currData = this._receivedData[dataMeta.id] = {
+        id: dataMeta.id,
         size: dataMeta.size,
         type: dataMeta.type,
         name: dataMeta.name,
         mimeType: dataMeta.mimeType,
         totalParts: dataMeta.totalParts,
-        parts: new Array(dataMeta.totalParts),
+        stream: dataMeta.stream,
+        parts: [],
         receivedParts: 0,
+        receivedBytes: 0,
+        ack: dataMeta.ack,
+        rpc: dataMeta.rpc,
+        seq: dataMeta.seq,
+        compression: dataMeta.compression,
+        encrypted: dataMeta.encrypted,
       };
+
+      // Encrypted data is decrypted after all the chunks are received
+      if (
+        !currData.encrypted &&
+        (currData.stream ||
+          (this._isFileType(currData.type) && this._isBinarySerialization()))
+      ) {
+        this._startFileTransfer(currData);
+      }
+    }
+    // The number of parts of a stream is notified with its last chunk
+    if (dataMeta.totalParts !== undefined) {
+      currData.totalParts = dataMeta.totalParts;
     }
+    this._resetReassemblyTimer(currData);
     currData.receivedParts++;
-    currData.parts[dataMeta.index] = dataMeta.data;
+    currData.receivedBytes += this._getByteLength(dataMeta.data);
+    if (currData.file) {
+      this._writeFilePart(currData, dataMeta.index, dataMeta.data);
+    } else {
+      currData.parts[dataMeta.index] = dataMeta.data;
+    }
+
+    this.emit(DataConnection.EVENTS.receiveProgress.key, {
+      id: dataMeta.id,
+      type: currData.type,
+      name: currData.name,
+      mimeType: currData.mimeType,
+      size: currData.size,
+      totalParts: currData.totalParts,
+      receivedParts: currData.receivedParts,
+      receivedBytes: currData.receivedBytes,
+    });
 
     if (currData.receivedParts === currData.totalParts) {
       delete this._receivedData[dataMeta.id];
+      clearTimeout(currData.timer);
 
-      // recombine the sliced arraybuffers
-      const ab = util.joinArrayBuffers(currData.parts);
-      const unpackedData = BinaryPack.unpack(ab);
-
-      let finalData;
-      switch (currData.type) {
-        case 'Blob':
-          finalData = new Blob([new Uint8Array(unpackedData)], {
-            type: currData.mimeType,
-          });
-          break;
-        case 'File':
-          finalData = new File([new Uint8Array(unpackedData)], currData.name, {
-            type: currData.mimeType,
-          });
-          break;
-        default:
-          finalData = unpackedData;
+      if (currData.ack) {
+        this._sendControlMessage({ control: 'ack', id: dataMeta.id });
+      }
+      if (currData.seq !== undefined) {
+        this._discardStaleMessages(currData.seq);
       }
 
-      this.emit(DataConnection.EVENTS.data.key, finalData);
+      if (currData.file) {
+        const finalData = this._completeFileTransfer(currData);
+        // Data piped to a WritableStream is not emitted
+        if (finalData !== undefined) {
+          this.emit(DataConnection.EVENTS.data.key, finalData);
+        }
+      } else {
+        // recombine the sliced arraybuffers
+        this._emitDecodedData(util.joinArrayBuffers(currData.parts), currData);
+      }
     }
   }
 
   /**
-   * Send data to peer. If serialization is 'binary', it will chunk it before sending.
-   * @param {*} data - The data to send to the peer.
+   * Decrypt, decompress and decode received data, then emit it in the order it was received.
+   * @param {*} data - The data encoded by the remote peer.
+   * @param {object} [dataMeta] - The metadata of the data.
+   * @private
    */
-  send(data) {
-    if (!this.open) {
-      this.emit(
-        DataConnection.EVENTS.error.key,
-        new Error(
-          'Connection is not open. You should listen for the `open` event before sending messages.'
-        )
-      );
+  _emitDecodedData(data, dataMeta = {}) {
+    if (
+      !dataMeta.compression &&
+      !dataMeta.encrypted &&
+      this._decodingCount === 0
+    ) {
+      this._decodeAndEmit(data, dataMeta);
       return;
     }
 
-    if (data === undefined || data === null) {
-      return;
+    this._decodingCount++;
+    this._decodingQueue = this._decodingQueue.then(async () => {
+      try {
+        data = await this._restoreEncodedData(data, dataMeta);
+      } catch (err) {
+        logger.error(err);
+        this.emit(DataConnection.EVENTS.error.key, err);
+        return;
+      } finally {
+        this._decodingCount--;
+      }
+
+      this._decodeAndEmit(data, dataMeta);
+    });
+  }
+
+  /**
+   * Decrypt and decompress received data to be decoded by the serializer.
+   * @param {ArrayBuffer} data - The received data.
+   * @param {object} dataMeta - The metadata of the data.
+   * @return {Promise<ArrayBuffer>} Promise that resolves with the data encoded by the serializer.
+   * @private
+   */
+  async _restoreEncodedData(data, dataMeta) {
+    if (dataMeta.encrypted) {
+      try {
+        data = await util.decrypt(data, this._encryptionKey);
+      } catch (e) {
+        const err = new Error('Failed to decrypt received data.');
+        err.type = 'encryption-error';
+        throw err;
+      }
     }
 
-    if (this.serialization === DataConnection.SERIALIZATIONS.none.key) {
-      this._sendBuffer.push(data);
-      this._startSendLoop();
+    if (dataMeta.compression) {
+      try {
+        data = await util.decompress(
+          data,
+          dataMeta.compression,
+          this._maxMessageSize
+        );
+      } catch (err) {
+        err.type = 'serialization-error';
+        throw err;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Decode received data with the serializer and emit it.
+   * @param {*} data - The data encoded by the remote peer.
+   * @param {object} [dataMeta] - The metadata of the data.
+   * @private
+   */
+  _decodeAndEmit(data, dataMeta = {}) {
+    let decodedData;
+    try {
+      decodedData = this._serializer.decode(data);
+    } catch (err) {
+      err.type = 'serialization-error';
+      logger.error(err);
+      this.emit(DataConnection.EVENTS.error.key, err);
       return;
-    } else if (this.serialization === DataConnection.SERIALIZATIONS.json.key) {
-      this._sendBuffer.push(JSON.stringify(data));
-      this._startSendLoop();
+    }
+
+    // Blob and File are decoded as ArrayBuffer when they are not received as a transfer
+    if (this._isFileType(dataMeta.type) && this._isBinarySerialization()) {
+      decodedData =
+        dataMeta.type === 'File'
+          ? new File([decodedData], dataMeta.name, { type: dataMeta.mimeType })
+          : new Blob([decodedData], { type: dataMeta.mimeType });
+    }
+
+    // Requests and responses of request() are not emitted as data
+    if (dataMeta.rpc) {
+      this._handleRpcMessage(decodedData);
       return;
     }
 
-    // Everything below is for serialization binary or binary-utf8
+    this.emit(DataConnection.EVENTS.data.key, decodedData);
+  }
 
-    const packedData = BinaryPack.pack(data);
-    const size = packedData.size;
-    const type = data.constructor.name;
+  /**
+   * Check a received chunk against the limits and the metadata received so far.
+   * @param {object} dataMeta - The received chunk.
+   * @param {object} [currData] - The state of the message being received. Undefined for the first chunk.
+   * @return {string|null} The description of the violation. Null if the chunk is valid.
+   * @private
+   */
+  _getChunkViolation(dataMeta, currData) {
+    const id = dataMeta.id;
 
-    const dataMeta = {
-      id: util.randomId(),
-      type: type,
-      size: size,
-      totalParts: 0,
-    };
+    if (!currData) {
+      if (Object.keys(this._receivedData).length >= this._maxPartialMessages) {
+        return `Too many messages are being received. The limit is ${this._maxPartialMessages}.`;
+      }
+      if (dataMeta.size > this._maxMessageSize) {
+        return `Message ${id} is too large. The limit is ${this._maxMessageSize} bytes.`;
+      }
+    }
 
-    if (type === 'File') {
-      dataMeta.name = data.name;
+    // The size and the number of parts of a stream are unknown until it ends
+    const isStream = currData ? currData.stream : dataMeta.stream;
+    const size = currData ? currData.size : dataMeta.size;
+    const totalParts =
+      dataMeta.totalParts !== undefined
+        ? dataMeta.totalParts
+        : currData && currData.totalParts;
+
+    if (
+      (size !== undefined || !isStream) &&
+      !(Number.isInteger(size) && size >= 0)
+    ) {
+      return `Message ${id} has invalid size: ${size}.`;
     }
-    if (data instanceof Blob) {
-      dataMeta.mimeType = data.type;
+
+    if (totalParts !== undefined || !isStream) {
+      // Every part carries at least 1 byte except the empty one
+      if (
+        !Number.isInteger(totalParts) ||
+        totalParts < 1 ||
+        totalParts > Math.max(size || this._maxMessageSize, 1)
+      ) {
+        return `Message ${id} has invalid totalParts: ${totalParts}.`;
+      }
+      if (
+        currData &&
+        currData.totalParts &&
+        currData.totalParts !== totalParts
+      ) {
+        return `Message ${id} has inconsistent totalParts.`;
+      }
     }
 
-    // dataMeta contains all possible parameters by now.
-    // Adjust the chunk size to avoid issues with sending
-    const chunkSize = config.maxChunkSize - sizeof(dataMeta);
-    const numSlices = Math.ceil(size / chunkSize);
-    dataMeta.totalParts = numSlices;
+    const index = dataMeta.index;
+    if (
+      !Number.isInteger(index) ||
+      index < 0 ||
+      (totalParts !== undefined && index >= totalParts)
+    ) {
+      return `Message ${id} has invalid index: ${index}.`;
+    }
+    if (currData && this._isPartReceived(currData, index)) {
+      return `Part ${index} of message ${id} is received twice.`;
+    }
 
-    // Perform any required slicing
-    for (let sliceIndex = 0; sliceIndex < numSlices; sliceIndex++) {
-      const slice = packedData.slice(
-        sliceIndex * chunkSize,
-        (sliceIndex + 1) * chunkSize
-      );
-      dataMeta.index = sliceIndex;
-      dataMeta.data = slice;
+    const data = dataMeta.data;
+    if (
+      !data ||
+      (typeof data.byteLength !== 'number' && typeof data.size !== 'number')
+    ) {
+      return `Message ${id} has invalid data.`;
+    }
 
-      // Add all chunks to our buffer and start the send loop (if we haven't already)
-      util.blobToArrayBuffer(BinaryPack.pack(dataMeta), ab => {
-        this._sendBuffer.push(ab);
-        this._startSendLoop();
-      });
+    const receivedBytes =
+      (currData ? currData.receivedBytes : 0) + this._getByteLength(data);
+    if (receivedBytes > Math.min(size || Infinity, this._maxMessageSize)) {
+      return `Message ${id} is larger than declared or the limit.`;
     }
+
+    return null;
   }
 
   /**
-   * Disconnect from remote peer.
-   * @fires DataConnection#close
+   * Return whether a part of the message being received is already received.
+   * @param {object} currData - The state of the message being received.
+   * @param {number} index - The index of the part.
+   * @return {boolean} True if the part is already received.
+   * @private
    */
-  close(forceClose) {
-    super.close(forceClose);
-
-    this._isOnOpenCalled = false;
+  _isPartReceived(currData, index) {
+    const file = currData.file;
+    if (file) {
+      return index < file.nextIndex || index in file.pendingParts;
+    }
+    return currData.parts[index] !== undefined;
   }
 
   /**
-   * Start sending messages at intervals to allow other threads to run.
+   * Restart the timer to discard the message being received if the next chunk does not arrive.
+   * @param {object} currData - The state of the message being received.
    * @private
    */
-  _startSendLoop() {
-    if (!this.sendInterval) {
-      // Define send interval
-      // Try sending a new chunk with every callback
-      this.sendInterval = setInterval(() => {
-        // Might need more extensive buffering than this:
-        const currMsg = this._sendBuffer.shift();
-        try {
-          this._dc.send(currMsg);
-        } catch (error) {
-          this._sendBuffer.push(currMsg);
-        }
+  _resetReassemblyTimer(currData) {
+    clearTimeout(currData.timer);
+    currData.timer = setTimeout(() => {
+      // Lost chunks are never retransmitted on unreliable mode
+      if (this._isUnreliable) {
+        this._loseReceivingMessage(currData);
+        return;
+      }
 
-        if (this._sendBuffer.length === 0) {
-          clearInterval(this.sendInterval);
-          this.sendInterval = undefined;
-        }
-      }, config.sendInterval);
-    }
+      this._dropReceivingMessage(
+        currData.id,
+        `Message ${currData.id} was not completed within ${this._reassemblyTimeout}ms.`
+      );
+    }, this._reassemblyTimeout);
   }
 
   /**
-   * Check dcInit argument is valid to enable unreliable mode.
-   * See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
-   * @param {Object} dcInit - Options passed to createDataChannel() as a RTCDataChannelInit.
-   *                  See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
-   * @return {boolean} Returns this dcInit has valid properties to enable unreliable mode.
+   * Discard a message whose chunks were lost and emit messageLost.
+   * @param {object} currData - The state of the message being received.
+   * @fires DataConnection#messageLost
+   * @private
    */
-  _isUnreliableDCInit(dcInit) {
-    if (!dcInit) {
-      return false;
-    }
-
-    // Either of these props are passed, works on unreliable mode.
-    if ('maxRetransmits' in dcInit || 'maxPacketLifeTime' in dcInit) {
-      return true;
-    }
+  _loseReceivingMessage(currData) {
+    delete this._receivedData[currData.id];
+    clearTimeout(currData.timer);
+    // Chunks arriving late are ignored
+    this._addCancelledId(currData.id);
+    this._abortFileTransfer(currData, `${currData.id} was lost.`);
 
-    return false;
+    this.emit(DataConnection.EVENTS.messageLost.key, {
+      id: currData.id,
+      type: currData.type,
+      name: currData.name,
+      mimeType: currData.mimeType,
+      size: currData.size,
+      totalParts: currData.totalParts,
+      receivedParts: currData.receivedParts,
+      receivedBytes: currData.receivedBytes,
+    });
   }
 
   /**
-   * Possible serializations for the DataConnection.
-   * @type {Enum}
+   * Discard messages being received which are older than the latest received one.
+   * @param {number} seq - The sequence number of the latest received message.
+   * @private
+   */
+  _discardStaleMessages(seq) {
+    this._latestReceivedSequence = seq;
+
+    for (const id of Object.keys(this._receivedData)) {
+      const currData = this._receivedData[id];
+      if (currData.seq !== undefined && currData.seq < seq) {
+        delete this._receivedData[id];
+        clearTimeout(currData.timer);
+        this._abortFileTransfer(currData, `${id} is older than the latest.`);
+      }
+    }
+  }
+
+  /**
+   * Discard a message being received, ask the remote peer to stop sending it and emit error.
+   * @param {string} id - The id of the message.
+   * @param {string} reason - The description of the violation.
+   * @param {string} [type='data-limit'] - The type of the error.
+   * @private
+   */
+  _dropReceivingMessage(id, reason, type = 'data-limit') {
+    this.cancel(id);
+
+    const err = new Error(reason);
+    err.type = type;
+    logger.error(err);
+    this.emit(DataConnection.EVENTS.error.key, err);
+  }
+
+  /**
+   * Prepare to receive a File, a Blob or a stream without holding all the chunks as ArrayBuffer,
+   * then emit transfer event so that the application can pipe it to a WritableStream.
+   * @param {object} currData - The state of the message being received.
+   * @private
+   */
+  _startFileTransfer(currData) {
+    const file = {
+      nextIndex: 0,
+      // Bytes of the parts up to nextIndex
+      nextBytes: 0,
+      pendingParts: {},
+      blobParts: [],
+      writer: null,
+    };
+    currData.file = file;
+
+    this.emit(DataConnection.EVENTS.transfer.key, {
+      id: currData.id,
+      type: currData.type,
+      name: currData.name,
+      mimeType: currData.mimeType,
+      size: currData.size,
+      pipeTo: writableStream => {
+        if (file.nextIndex > 0) {
+          throw new Error(
+            'pipeTo() must be called in the `transfer` event listener.'
+          );
+        }
+        file.writer = writableStream.getWriter();
+      },
+    });
+  }
+
+  /**
+   * Write a received part of a File, a Blob or a stream in order.
+   * @param {object} currData - The state of the message being received.
+   * @param {number} index - The index of the part.
+   * @param {ArrayBuffer} part - The received part.
+   * @private
+   */
+  _writeFilePart(currData, index, part) {
+    const file = currData.file;
+    file.pendingParts[index] = part;
+
+    while (file.nextIndex in file.pendingParts) {
+      let bytes = file.pendingParts[file.nextIndex];
+      delete file.pendingParts[file.nextIndex];
+
+      file.nextBytes += bytes.byteLength;
+
+      // Files sent by send() or sendFile() are packed and start with the BinaryPack header
+      if (file.nextIndex === 0 && !currData.stream) {
+        bytes = bytes.slice(this._getBinaryPackHeaderLength(bytes));
+      }
+      file.nextIndex++;
+
+      if (file.writer) {
+        file.writer.write(new Uint8Array(bytes)).catch(err => {
+          logger.error(err);
+        });
+        continue;
+      }
+
+      file.blobParts.push(bytes);
+      // Move the ArrayBuffers into a Blob so that the browser can release them
+      if (file.blobParts.length > config.dcBlobFlushParts) {
+        file.blobParts = [new Blob(file.blobParts)];
+      }
+    }
+  }
+
+  /**
+   * Finish receiving a File, a Blob or a stream.
+   * @param {object} currData - The state of the message being received.
+   * @return {Blob|File|undefined} The received data. Undefined if it is piped to a WritableStream.
+   * @private
+   */
+  _completeFileTransfer(currData) {
+    const file = currData.file;
+
+    if (file.writer) {
+      file.writer.close().catch(err => {
+        logger.error(err);
+      });
+      return undefined;
+    }
+
+    if (currData.type === 'File') {
+      return new File(file.blobParts, currData.name, {
+        type: currData.mimeType,
+      });
+    }
+    return new Blob(file.blobParts, { type: currData.mimeType });
+  }
+
+  /**
+   * Return whether the type of the data is received as a Blob.
+   * @param {string} type - The type of the data in the metadata.
+   * @return {boolean} True if the type is 'Blob' or 'File'.
+   * @private
+   */
+  _isFileType(type) {
+    return type === 'Blob' || type === 'File';
+  }
+
+  /**
+   * Get the length of the BinaryPack header for a raw binary data.
+   * See https://github.com/binaryjs/js-binarypack
+   * @param {ArrayBuffer} ab - The ArrayBuffer starts with the header.
+   * @return {number} The length of the header in bytes.
+   * @private
+   */
+  _getBinaryPackHeaderLength(ab) {
+    switch (new Uint8Array(ab)[0]) {
+      // raw 16
+      case 0xda:
+        return 3;
+      // raw 32
+      case 0xdb:
+        return 5;
+      // fix raw
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Handle a control message which is sent by the SDK itself, not by the application.
+   * @param {object} message - The control message to handle.
+   * @param {string} message.control - The type of the control message.
+   * @param {string} message.id - The id of the data message the control message is about.
+   * @private
+   */
+  _handleControlMessage(message) {
+    switch (message.control) {
+      case 'ack': {
+        const pendingAck = this._pendingAcks[message.id];
+        if (pendingAck) {
+          delete this._pendingAcks[message.id];
+          clearTimeout(pendingAck.timer);
+          pendingAck.resolve();
+        }
+        break;
+      }
+      case 'cancel':
+        this._cancelMessage(message.id);
+        this.emit(DataConnection.EVENTS.cancel.key, { id: message.id });
+        break;
+      case 'resume': {
+        const currData =
+          this._receivedData[message.id] ||
+          this._restoreSuspendedTransfer(message.id);
+
+        let index = 0;
+        if (currData && currData.file && !currData.stream) {
+          // Parts after the first missing one will be sent again
+          const file = currData.file;
+          file.pendingParts = {};
+          currData.receivedParts = file.nextIndex;
+          currData.receivedBytes = file.nextBytes;
+          index = file.nextIndex;
+        }
+        this._sendControlMessage({
+          control: 'resumeFrom',
+          id: message.id,
+          index: index,
+        });
+        break;
+      }
+      case 'resumeFrom': {
+        const pendingResume = this._pendingResumes[message.id];
+        if (pendingResume) {
+          delete this._pendingResumes[message.id];
+          pendingResume(message.index);
+        }
+        break;
+      }
+      default:
+        logger.warn('Unrecognized control message:', message.control);
+        break;
+    }
+  }
+
+  /**
+   * Send a control message to the peer.
+   * @param {object} message - The control message to send.
+   * @private
+   */
+  _sendControlMessage(message) {
+    this._queueChunk(BinaryPack.pack(message));
+  }
+
+  /**
+   * Take over an incomplete File or Blob received by a closed connection from the same peer.
+   * @param {string} id - The id of the message.
+   * @return {object} The state of the message being received. Undefined if not found.
+   * @private
+   */
+  _restoreSuspendedTransfer(id) {
+    const key = `${this.remoteId}:${id}`;
+    const suspended = suspendedTransfers[key];
+    if (!suspended) {
+      return undefined;
+    }
+
+    delete suspendedTransfers[key];
+    clearTimeout(suspended.timer);
+    this._receivedData[id] = suspended.currData;
+    return suspended.currData;
+  }
+
+  /**
+   * Keep an incomplete File or Blob so that a new connection from the same peer can resume it.
+   * It is discarded after config.dcResumeTimeout.
+   * @param {object} currData - The state of the message being received.
+   * @private
+   */
+  _suspendTransfer(currData) {
+    const key = `${this.remoteId}:${currData.id}`;
+    suspendedTransfers[key] = {
+      currData: currData,
+      timer: setTimeout(() => {
+        delete suspendedTransfers[key];
+        this._abortFileTransfer(currData, 'Transfer was not resumed.');
+      }, config.dcResumeTimeout),
+    };
+  }
+
+  /**
+   * Abort the WritableStream of the message being received, if any.
+   * @param {object} currData - The state of the message being received.
+   * @param {string} reason - The reason passed to the WritableStream.
+   * @private
+   */
+  _abortFileTransfer(currData, reason) {
+    const file = currData.file;
+    if (file && file.writer) {
+      file.writer.abort(new Error(reason)).catch(() => {});
+    }
+  }
+
+  /**
+   * Cancel a message being sent or received.
+   * Chunks not sent yet are discarded, and the remote peer drops the parts received so far.
+   * @param {string} id - The id of the message.
+   */
+  cancel(id) {
+    this._cancelMessage(id);
+    // Chunks in flight are ignored when they arrive
+    this._addCancelledId(id);
+
+    if (this.open) {
+      this._sendControlMessage({ control: 'cancel', id: id });
+    }
+  }
+
+  /**
+   * Remember the id of a cancelled or lost message for reassemblyTimeout.
+   * Expired ids are forgotten, and the oldest ones are evicted over dcMaxCancelledIds.
+   * @param {string} id - The id of the message.
+   * @private
+   */
+  _addCancelledId(id) {
+    const now = Date.now();
+    // Expiry times are in ascending order as all ids are kept for the same duration
+    for (const [cancelledId, expiresAt] of this._cancelledIds) {
+      if (
+        expiresAt > now &&
+        this._cancelledIds.size < config.dcMaxCancelledIds
+      ) {
+        break;
+      }
+      this._cancelledIds.delete(cancelledId);
+    }
+
+    this._cancelledIds.delete(id);
+    this._cancelledIds.set(id, now + this._reassemblyTimeout);
+  }
+
+  /**
+   * Whether the message is cancelled or lost recently.
+   * @param {string} id - The id of the message.
+   * @return {boolean} True if the chunks of the message should be ignored.
+   * @private
+   */
+  _isCancelled(id) {
+    const expiresAt = this._cancelledIds.get(id);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  /**
+   * Discard every state of a message being sent or received.
+   * @param {string} id - The id of the message.
+   * @private
+   */
+  _cancelMessage(id) {
+    this._sendBuffer = this._sendBuffer.filter(chunk => chunk.id !== id);
+    this._sendBufferSize = this._sendBuffer.reduce(
+      (size, chunk) => size + chunk.size,
+      0
+    );
+    delete this._activeSends[id];
+    delete this._pendingResumes[id];
+
+    const pendingAck = this._pendingAcks[id];
+    if (pendingAck) {
+      delete this._pendingAcks[id];
+      clearTimeout(pendingAck.timer);
+      pendingAck.reject(new Error(`${id} was cancelled.`));
+    }
+
+    const currData =
+      this._receivedData[id] || this._restoreSuspendedTransfer(id);
+    if (currData) {
+      delete this._receivedData[id];
+      clearTimeout(currData.timer);
+      this._abortFileTransfer(currData, `${id} was cancelled.`);
+    }
+
+    this._emitDrainIfNeeded();
+  }
+
+  /**
+   * Send data to peer. If serialization is 'binary', it will chunk it before sending.
+   * @param {*} data - The data to send to the peer.
+   * @return {boolean} False if the buffered amount has reached highWaterMark.
+   *                   In that case, you should wait for the `drain` event before sending more data.
+   */
+  send(data) {
+    if (!this.open) {
+      this.emit(
+        DataConnection.EVENTS.error.key,
+        new Error(
+          'Connection is not open. You should listen for the `open` event before sending messages.'
+        )
+      );
+      return false;
+    }
+
+    if (data === undefined || data === null) {
+      return this._checkHighWaterMark();
+    }
+
+    if (this._serializer.chunked) {
+      this._sendChunks(
+        data,
+        this._latestWins ? { seq: ++this._sequenceNumber } : {}
+      );
+    } else {
+      this._queueChunk(this._serializer.encode(data));
+    }
+
+    return this._checkHighWaterMark();
+  }
+
+  /**
+   * Send data to peer and wait for the peer to receive all of it.
+   * Only available with a chunked serialization like 'binary' or 'binary-utf8'.
+   * The remote peer also needs to support the acknowledgement.
+   * @param {*} data - The data to send to the peer.
+   * @param {object} [options] - Optional arguments for sending.
+   * @param {number} [options.timeout] - Milliseconds to wait for the acknowledgement after the last chunk is sent.
+   * @return {Promise<void>} Promise that resolves when the peer has reassembled the data
+   *                         and rejects when the data can not be encoded, the connection is closed
+   *                         or the acknowledgement times out.
+   */
+  sendAsync(data, options = {}) {
+    return new Promise((resolve, reject) => {
+      const err = this._getSendError('sendAsync', this._serializer.chunked);
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      if (data === undefined || data === null) {
+        reject(new Error('Data to send must be defined.'));
+        return;
+      }
+
+      const timeout = options.timeout || config.dcAckTimeout;
+      const pendingAck = { resolve, reject, timer: null };
+
+      const id = this._sendChunks(
+        data,
+        { ack: true },
+        () => {
+          // Start waiting after all chunks are passed to the RTCDataChannel
+          pendingAck.timer = setTimeout(() => {
+            delete this._pendingAcks[id];
+            reject(new Error(`Acknowledgement for ${id} timed out.`));
+          }, timeout);
+        },
+        err => {
+          delete this._pendingAcks[id];
+          reject(err);
+        }
+      );
+      this._pendingAcks[id] = pendingAck;
+    });
+  }
+
+  /**
+   * Return an async iterator of the data received from the peer, to be used with `for await`.
+   * Data received while not iterating is buffered, and the iteration finishes when the connection is closed.
+   * Data events are still emitted.
+   * @return {AsyncIterator<*>} The async iterator yielding each received data.
+   */
+  messages() {
+    return util.createEventIterator(this, DataConnection.EVENTS.data.key, [
+      DataConnection.EVENTS.close.key,
+    ]);
+  }
+
+  /**
+   * Call a method registered by handle() on the remote peer.
+   * Only available with a chunked serialization like 'binary' or 'binary-utf8'.
+   * @param {string} method - The name of the method.
+   * @param {*} [params] - The parameters passed to the method. Must be serializable.
+   * @param {object} [options] - Optional arguments for the request.
+   * @param {number} [options.timeout] - Milliseconds to wait for the response after the request is sent.
+   * @return {Promise<*>} Promise that resolves with the result of the method
+   *                      and rejects when the request can not be encoded, the method throws,
+   *                      the request times out or the connection is closed.
+   */
+  request(method, params, options = {}) {
+    return new Promise((resolve, reject) => {
+      const err = this._getSendError('request', this._serializer.chunked);
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const id = util.randomId();
+      const timeout = options.timeout || config.dcRequestTimeout;
+      const pendingRequest = { resolve, reject, timer: null };
+      this._pendingRequests[id] = pendingRequest;
+
+      const message = {
+        rpc: 'request',
+        id: id,
+        method: method,
+        params: params,
+      };
+      const onError = err => {
+        delete this._pendingRequests[id];
+        reject(err);
+      };
+      try {
+        this._sendChunks(
+          message,
+          { rpc: true },
+          () => {
+            // Start waiting after all chunks are passed to the RTCDataChannel
+            if (!this._pendingRequests[id]) {
+              return;
+            }
+            pendingRequest.timer = setTimeout(() => {
+              delete this._pendingRequests[id];
+              reject(new Error(`Request ${method} (${id}) timed out.`));
+            }, timeout);
+          },
+          onError
+        );
+      } catch (err) {
+        // The params can not be serialized
+        onError(err);
+      }
+    });
+  }
+
+  /**
+   * Register a function called when the remote peer calls request() with the method.
+   * The returned value or the value the returned Promise resolves with is sent back as the result.
+   * If the function throws or the Promise rejects, request() of the remote peer rejects with the message.
+   * @param {string} method - The name of the method.
+   * @param {function} [fn] - The function called with the parameters. Unregister the method if not specified.
+   */
+  handle(method, fn) {
+    if (typeof fn !== 'function') {
+      delete this._requestHandlers[method];
+      return;
+    }
+    this._requestHandlers[method] = fn;
+  }
+
+  /**
+   * Handle a request or a response sent by request().
+   * @param {object} message - The request or the response.
+   * @private
+   */
+  _handleRpcMessage(message) {
+    if (!message || typeof message !== 'object') {
+      logger.warn('Received invalid request or response:', message);
+      return;
+    }
+
+    if (message.rpc === 'request') {
+      this._respond(message);
+      return;
+    }
+
+    const pendingRequest = this._pendingRequests[message.id];
+    if (message.rpc !== 'response' || !pendingRequest) {
+      return;
+    }
+    delete this._pendingRequests[message.id];
+    clearTimeout(pendingRequest.timer);
+
+    if (message.error) {
+      const err = new Error(message.error.message);
+      err.type = 'rpc-error';
+      pendingRequest.reject(err);
+      return;
+    }
+    pendingRequest.resolve(message.result);
+  }
+
+  /**
+   * Call the function registered for the requested method and send the response.
+   * @param {object} request - The request.
+   * @return {Promise<void>} Promise that resolves when the response is added to the send buffer.
+   * @private
+   */
+  async _respond(request) {
+    const response = { rpc: 'response', id: request.id };
+
+    const fn = this._requestHandlers[request.method];
+    try {
+      if (!fn) {
+        throw new Error(`Method ${request.method} is not handled.`);
+      }
+      response.result = await fn(request.params);
+    } catch (err) {
+      response.error = {
+        message: err instanceof Error ? err.message : String(err),
+      };
+    }
+
+    // The connection may be closed while the function is running
+    if (!this.open) {
+      return;
+    }
+    this._sendChunks(response, { rpc: true });
+  }
+
+  /**
+   * Send a File or a Blob to peer reading it slice by slice
+   * only when the buffered amount is below highWaterMark.
+   * The remote peer receives it in the same way as the one sent by send().
+   * Only available when serialization is 'binary' or 'binary-utf8'.
+   * @param {Blob|File} file - The File or Blob to send to the peer.
+   * @return {string} The id of the message. Null if it can not be sent.
+   */
+  sendFile(file) {
+    const err = this._getFileSendError('sendFile');
+    if (err) {
+      this.emit(DataConnection.EVENTS.error.key, err);
+      return null;
+    }
+
+    const id = util.randomId();
+    this._sendFileSlices(file, id, 0);
+    return id;
+  }
+
+  /**
+   * Resume sending a File or a Blob sent by sendFile() on a previous connection to the same peer.
+   * Only the parts after the last part the remote peer received are sent.
+   * If the remote peer does not have the parts anymore, the whole file is sent again.
+   * Only available when serialization is 'binary' or 'binary-utf8'.
+   * @param {Blob|File} file - The same File or Blob passed to sendFile().
+   * @param {string} id - The id returned by sendFile().
+   * @return {string} The id of the message. Null if it can not be sent.
+   */
+  resumeFile(file, id) {
+    const err = this._getFileSendError('resumeFile');
+    if (err) {
+      this.emit(DataConnection.EVENTS.error.key, err);
+      return null;
+    }
+
+    this._pendingResumes[id] = index => {
+      this._sendFileSlices(file, id, index);
+    };
+    this._sendControlMessage({ control: 'resume', id: id });
+    return id;
+  }
+
+  /**
+   * Read a File or a Blob slice by slice and add the chunks to the send buffer
+   * only when the buffered amount is below highWaterMark.
+   * @param {Blob|File} file - The File or Blob to send to the peer.
+   * @param {string} id - The id of the message.
+   * @param {number} startIndex - The index of the first slice to send.
+   * @private
+   */
+  async _sendFileSlices(file, id, startIndex) {
+    const packedData = BinaryPack.pack(file);
+    const dataMeta = this._createDataMeta(file, packedData.size);
+    dataMeta.id = id;
+    const chunkSize = this._getChunkSize(dataMeta);
+    const numSlices = Math.ceil(packedData.size / chunkSize);
+    dataMeta.totalParts = numSlices;
+
+    const progress = this._createSendProgress(dataMeta);
+    progress.sentParts = Math.min(startIndex, numSlices);
+    progress.sentBytes = Math.min(startIndex * chunkSize, packedData.size);
+
+    this._activeSends[id] = true;
+    for (let sliceIndex = startIndex; sliceIndex < numSlices; sliceIndex++) {
+      await this._waitForLowBufferedAmount();
+      if (!this._isSendActive(id)) {
+        return;
+      }
+
+      const slice = packedData.slice(
+        sliceIndex * chunkSize,
+        (sliceIndex + 1) * chunkSize
+      );
+      dataMeta.index = sliceIndex;
+      this._queueSlice(dataMeta, slice, progress);
+    }
+    delete this._activeSends[id];
+  }
+
+  /**
+   * Return whether a message read by sendFile() or sendStream() should be sent continuously.
+   * @param {string} id - The id of the message.
+   * @return {boolean} False if the connection is closed or the message is cancelled.
+   * @private
+   */
+  _isSendActive(id) {
+    return this.open && !!this._activeSends[id];
+  }
+
+  /**
+   * Send binary data read from a ReadableStream to peer
+   * only when the buffered amount is below highWaterMark.
+   * The remote peer receives it as a File if the name is specified, otherwise as a Blob.
+   * The remote peer also needs to support streams.
+   * Only available when serialization is 'binary' or 'binary-utf8'.
+   * @param {ReadableStream} readableStream - The stream of ArrayBuffer or ArrayBufferView to send to the peer.
+   * @param {object} [options] - Optional arguments for sending.
+   * @param {string} [options.name] - The file name.
+   * @param {string} [options.mimeType] - The MIME type.
+   * @return {string} The id of the message. Null if it can not be sent.
+   */
+  sendStream(readableStream, options = {}) {
+    const err = this._getFileSendError('sendStream');
+    if (err) {
+      this.emit(DataConnection.EVENTS.error.key, err);
+      return null;
+    }
+
+    const dataMeta = {
+      id: util.randomId(),
+      type: options.name ? 'File' : 'Blob',
+      mimeType: options.mimeType || '',
+      stream: true,
+      // The number of parts is unknown until the stream ends
+      totalParts: 0,
+    };
+    if (options.name) {
+      dataMeta.name = options.name;
+    }
+    const chunkSize = this._getChunkSize(dataMeta);
+    delete dataMeta.totalParts;
+
+    const progress = this._createSendProgress(dataMeta);
+    const reader = readableStream.getReader();
+    this._activeSends[dataMeta.id] = true;
+
+    (async () => {
+      let buffer = new ArrayBuffer(0);
+      let sliceIndex = 0;
+
+      try {
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+
+          const ab = ArrayBuffer.isView(value)
+            ? value.buffer.slice(
+                value.byteOffset,
+                value.byteOffset + value.byteLength
+              )
+            : value;
+          if (!(ab instanceof ArrayBuffer)) {
+            throw new TypeError(
+              'sendStream() accepts only ArrayBuffer or ArrayBufferView chunks.'
+            );
+          }
+          buffer = util.joinArrayBuffers([buffer, ab]);
+
+          // Keep the rest of the stream to be sent as the last slice
+          let offset = 0;
+          while (buffer.byteLength - offset > chunkSize) {
+            await this._waitForLowBufferedAmount();
+            if (!this._isSendActive(dataMeta.id)) {
+              reader.cancel();
+              return;
+            }
+
+            dataMeta.index = sliceIndex++;
+            this._queueSlice(
+              dataMeta,
+              buffer.slice(offset, offset + chunkSize),
+              progress
+            );
+            offset += chunkSize;
+          }
+          buffer = buffer.slice(offset);
+        }
+      } catch (err) {
+        delete this._activeSends[dataMeta.id];
+        logger.error(err);
+        this.emit(DataConnection.EVENTS.error.key, err);
+        return;
+      }
+
+      await this._waitForLowBufferedAmount();
+      if (!this._isSendActive(dataMeta.id)) {
+        return;
+      }
+      delete this._activeSends[dataMeta.id];
+
+      dataMeta.index = sliceIndex;
+      dataMeta.totalParts = sliceIndex + 1;
+      progress.totalParts = dataMeta.totalParts;
+      this._queueSlice(dataMeta, buffer, progress);
+    })();
+
+    return dataMeta.id;
+  }
+
+  /**
+   * Encode the data and add its chunks to the send buffer.
+   * @param {*} data - The data to send to the peer.
+   * @param {object} [extraMeta] - Additional properties for the metadata of every chunk.
+   * @param {function} [onSent] - Called when the last chunk is passed to the RTCDataChannel.
+   * @param {function} [onError] - Called with an error instead of emitting error event
+   *                               if the data is not queued because of an encoding failure,
+   *                               cancellation or close while encoding.
+   * @return {string} The id of the message.
+   * @private
+   */
+  _sendChunks(data, extraMeta = {}, onSent, onError) {
+    const id = util.randomId();
+    let encodedData = this._serializer.encode(data);
+    // Keep the encoded data as Blob to slice it lazily
+    if (!(encodedData instanceof Blob)) {
+      encodedData = new Blob([encodedData]);
+    }
+
+    if (!this._compression && !this._encryptionKey) {
+      this._queueEncodedData(
+        data,
+        encodedData,
+        Object.assign({ id: id }, extraMeta),
+        onSent
+      );
+      return id;
+    }
+
+    this._encodingQueue = this._encodingQueue
+      .then(async () => {
+        const meta = Object.assign({ id: id }, extraMeta);
+        // Blob and File packed by BinaryPack are received without being decoded
+        // unless they are encrypted, so they can not be compressed
+        if (
+          this._compression &&
+          !(
+            this._isFileType(data.constructor.name) &&
+            this._isBinarySerialization()
+          )
+        ) {
+          encodedData = new Blob([
+            await util.compress(encodedData, this._compression),
+          ]);
+          meta.compression = this._compression;
+        }
+
+        if (this._encryptionKey) {
+          encodedData = new Blob([
+            await util.encrypt(encodedData, this._encryptionKey),
+          ]);
+          meta.encrypted = true;
+        }
+
+        // The message may be cancelled or the connection may be closed while encoding
+        if (!this.open || this._isCancelled(id)) {
+          if (onError) {
+            onError(
+              new Error(
+                this.open
+                  ? `${id} was cancelled.`
+                  : `Connection closed before ${id} was sent.`
+              )
+            );
+          }
+          return;
+        }
+        this._queueEncodedData(data, encodedData, meta, onSent);
+      })
+      .catch(err => {
+        logger.error(err);
+        if (onError) {
+          onError(err);
+          return;
+        }
+        this.emit(DataConnection.EVENTS.error.key, err);
+      });
+
+    return id;
+  }
+
+  /**
+   * Slice the encoded data and add the chunks to the send buffer.
+   * @param {*} data - The data to send to the peer.
+   * @param {Blob} encodedData - The data encoded by the serializer.
+   * @param {object} extraMeta - Additional properties for the metadata of every chunk including the id.
+   * @param {function} [onSent] - Called when the last chunk is passed to the RTCDataChannel.
+   * @private
+   */
+  _queueEncodedData(data, encodedData, extraMeta, onSent) {
+    const packedData = encodedData;
+    const dataMeta = Object.assign(
+      this._createDataMeta(data, packedData.size),
+      extraMeta
+    );
+
+    const chunkSize = this._getChunkSize(dataMeta);
+    const numSlices = Math.ceil(packedData.size / chunkSize);
+    dataMeta.totalParts = numSlices;
+
+    const progress = this._createSendProgress(dataMeta);
+
+    // Perform any required slicing
+    for (let sliceIndex = 0; sliceIndex < numSlices; sliceIndex++) {
+      const slice = packedData.slice(
+        sliceIndex * chunkSize,
+        (sliceIndex + 1) * chunkSize
+      );
+      dataMeta.index = sliceIndex;
+
+      const isLastSlice = sliceIndex === numSlices - 1;
+      this._queueSlice(dataMeta, slice, progress, isLastSlice ? onSent : null);
+    }
+  }
+
+  /**
+   * Create the metadata of the data sent with binary serialization.
+   * @param {*} data - The data to send to the peer.
+   * @param {number} size - The size of the packed data.
+   * @return {object} The metadata without totalParts.
+   * @private
+   */
+  _createDataMeta(data, size) {
+    const type = data.constructor.name;
+
+    const dataMeta = {
+      id: util.randomId(),
+      type: type,
+      size: size,
+      totalParts: 0,
+    };
+
+    if (type === 'File') {
+      dataMeta.name = data.name;
+    }
+    if (data instanceof Blob) {
+      dataMeta.mimeType = data.type;
+    }
+
+    return dataMeta;
+  }
+
+  /**
+   * Get the size of a slice in a chunk.
+   * @param {object} dataMeta - The metadata containing all possible parameters.
+   * @return {number} The size of a slice in bytes.
+   * @private
+   */
+  _getChunkSize(dataMeta) {
+    // Adjust the chunk size to avoid issues with sending
+    return config.maxChunkSize - sizeof(dataMeta);
+  }
+
+  /**
+   * Create an object to be emitted with sendProgress event.
+   * @param {object} dataMeta - The metadata of the data.
+   * @return {object} The progress of sending.
+   * @private
+   */
+  _createSendProgress(dataMeta) {
+    return {
+      id: dataMeta.id,
+      type: dataMeta.type,
+      name: dataMeta.name,
+      mimeType: dataMeta.mimeType,
+      size: dataMeta.size,
+      totalParts: dataMeta.totalParts,
+      sentParts: 0,
+      sentBytes: 0,
+    };
+  }
+
+  /**
+   * Pack a slice with the metadata and add it to the send buffer.
+   * @param {object} dataMeta - The metadata of the data. The index must be set.
+   * @param {Blob|ArrayBuffer} slice - The slice of the packed data.
+   * @param {object} progress - The progress of sending, updated when the chunk is sent.
+   * @param {function} [onSent] - Called when the chunk is passed to the RTCDataChannel.
+   * @private
+   */
+  _queueSlice(dataMeta, slice, progress, onSent) {
+    const sliceSize = this._getByteLength(slice);
+    // BinaryPack can not pack empty binary, which is the last slice of an empty stream
+    if (sliceSize > 0) {
+      dataMeta.data = slice;
+    } else {
+      delete dataMeta.data;
+    }
+
+    // Add the chunk to our buffer and start the send loop (if we haven't already).
+    // Chunks are kept as Blob and read as ArrayBuffer just before sending them.
+    this._queueChunk(BinaryPack.pack(dataMeta), dataMeta.id, () => {
+      progress.sentParts++;
+      progress.sentBytes += sliceSize;
+      this.emit(
+        DataConnection.EVENTS.sendProgress.key,
+        Object.assign({}, progress)
+      );
+
+      if (onSent) {
+        onSent();
+      }
+    });
+  }
+
+  /**
+   * Return whether the serialization is 'binary' or 'binary-utf8'.
+   * @return {boolean} True if data is packed by BinaryPack.
+   * @private
+   */
+  _isBinarySerialization() {
+    return (
+      this.serialization === DataConnection.SERIALIZATIONS.binary.key ||
+      this.serialization === DataConnection.SERIALIZATIONS['binary-utf8'].key
+    );
+  }
+
+  /**
+   * Return an error if data can not be sent by a method.
+   * @param {string} methodName - The name of the method called to send.
+   * @param {boolean} isAvailable - Whether the method is available with the serialization.
+   * @return {Error|null} The error. Null if it can be sent.
+   * @private
+   */
+  _getSendError(methodName, isAvailable) {
+    if (!this.open) {
+      return new Error(
+        'Connection is not open. You should listen for the `open` event before sending messages.'
+      );
+    }
+
+    if (!isAvailable) {
+      return new Error(
+        `${methodName}() is not available with ${this.serialization} serialization.`
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Return an error if a File, a Blob or a stream can not be sent by a method.
+   * @param {string} methodName - The name of the method called to send.
+   * @return {Error|null} The error. Null if it can be sent.
+   * @private
+   */
+  _getFileSendError(methodName) {
+    const err = this._getSendError(methodName, this._isBinarySerialization());
+    if (err) {
+      return err;
+    }
+
+    // Each chunk is written to the file as soon as it is received
+    if (this._encryption) {
+      return new Error(
+        `${methodName}() is not available with encryption. Use send() instead.`
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait until the buffered amount becomes below highWaterMark or the connection is closed.
+   * @return {Promise<void>} Promise that resolves when more data can be sent.
+   * @private
+   */
+  _waitForLowBufferedAmount() {
+    if (this._checkHighWaterMark()) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const onDrainOrClose = () => {
+        this.removeListener(DataConnection.EVENTS.drain.key, onDrainOrClose);
+        this.removeListener(DataConnection.EVENTS.close.key, onDrainOrClose);
+        resolve();
+      };
+      this.on(DataConnection.EVENTS.drain.key, onDrainOrClose);
+      this.on(DataConnection.EVENTS.close.key, onDrainOrClose);
+    });
+  }
+
+  /**
+   * Disconnect from remote peer.
+   * @fires DataConnection#close
+   */
+  close(forceClose) {
+    // Channels can not be used without the RTCPeerConnection
+    for (const channel of this._channels.slice()) {
+      channel.close();
+    }
+
+    // A channel closes only its RTCDataChannel, not the shared RTCPeerConnection
+    if (this._parent) {
+      const channels = this._parent._channels;
+      if (channels.includes(this)) {
+        channels.splice(channels.indexOf(this), 1);
+      }
+      if (this._dc) {
+        this._dc.close();
+      }
+    }
+
+    super.close(forceClose);
+
+    this._isOnOpenCalled = false;
+    this._sendBuffer = [];
+    this._sendBufferSize = 0;
+
+    this._activeSends = {};
+    this._pendingResumes = {};
+    this._cancelledIds.clear();
+
+    for (const id of Object.keys(this._receivedData)) {
+      const currData = this._receivedData[id];
+      clearTimeout(currData.timer);
+      if (currData.file && !currData.stream) {
+        this._suspendTransfer(currData);
+      } else {
+        this._abortFileTransfer(currData, 'Connection closed.');
+      }
+    }
+    this._receivedData = {};
+
+    for (const id of Object.keys(this._pendingAcks)) {
+      const pendingAck = this._pendingAcks[id];
+      clearTimeout(pendingAck.timer);
+      pendingAck.reject(
+        new Error(`Connection closed before ${id} was acknowledged.`)
+      );
+    }
+    this._pendingAcks = {};
+
+    for (const id of Object.keys(this._pendingRequests)) {
+      const pendingRequest = this._pendingRequests[id];
+      clearTimeout(pendingRequest.timer);
+      pendingRequest.reject(
+        new Error(`Connection closed before ${id} was responded.`)
+      );
+    }
+    this._pendingRequests = {};
+  }
+
+  /**
+   * Add a chunk to the send buffer and start the send loop.
+   * @param {*} data - The chunk to send. Blob if serialization is binary.
+   * @param {string} [id] - The id of the message the chunk belongs to.
+   * @param {function} [onSent] - Called when the chunk is passed to the RTCDataChannel.
+   * @private
+   */
+  _queueChunk(data, id, onSent) {
+    const size = this._getByteLength(data);
+    this._sendBuffer.push({ data, size, id, onSent });
+    this._sendBufferSize += size;
+    this._startSendLoop();
+  }
+
+  /**
+   * Send buffered chunks in order until the buffer of RTCDataChannel reaches highWaterMark.
+   * The loop is restarted by `bufferedamountlow` event of the RTCDataChannel.
+   * @return {Promise<void>} Promise that resolves when the loop stops.
+   * @private
+   */
+  async _startSendLoop() {
+    if (this._isSending) {
+      return;
+    }
+    this._isSending = true;
+
+    let retries = 0;
+    while (this.open && this._sendBuffer.length > 0) {
+      if (this._dc.bufferedAmount > this.highWaterMark) {
+        break;
+      }
+
+      const chunk = this._sendBuffer[0];
+      if (
+        chunk.data instanceof Blob &&
+        this.serialization !== DataConnection.SERIALIZATIONS.none.key
+      ) {
+        chunk.data = await new Promise(resolve => {
+          util.blobToArrayBuffer(chunk.data, resolve);
+        });
+        // The buffer may be cleared while reading
+        if (this._sendBuffer[0] !== chunk) {
+          continue;
+        }
+      }
+
+      try {
+        this._dc.send(chunk.data);
+      } catch (err) {
+        // The RTCDataChannel is closed before close event of the connection
+        if (this._dc.readyState !== 'open') {
+          logger.warn(
+            'Stopped sending because the RTCDataChannel is not open.'
+          );
+          break;
+        }
+
+        retries++;
+        if (retries > config.dcSendMaxRetries) {
+          // Chunks after the failed one can not be reassembled by the remote peer
+          this._sendBuffer = [];
+          this._sendBufferSize = 0;
+
+          const error = new Error(`Failed to send data: ${err.message}`);
+          error.type = 'send-error';
+          logger.error(error);
+          this.emit(DataConnection.EVENTS.error.key, error);
+          break;
+        }
+
+        // Keep the chunk at the head of the buffer not to reorder chunks
+        logger.warn('Failed to send a chunk, it will be retried.', err);
+        await new Promise(resolve => setTimeout(resolve, config.sendInterval));
+        continue;
+      }
+      retries = 0;
+
+      this._sendBuffer.shift();
+      this._sendBufferSize -= chunk.size;
+
+      if (chunk.onSent) {
+        chunk.onSent();
+      }
+    }
+
+    this._isSending = false;
+    this._emitDrainIfNeeded();
+  }
+
+  /**
+   * Return whether more data can be sent without exceeding highWaterMark.
+   * If not, `drain` event will be emitted when the buffered amount becomes low.
+   * @return {boolean} True if the buffered amount is below highWaterMark.
+   * @private
+   */
+  _checkHighWaterMark() {
+    const isBelow = this.bufferedAmount < this.highWaterMark;
+    if (!isBelow) {
+      this._needDrain = true;
+    }
+    return isBelow;
+  }
+
+  /**
+   * Emit drain event if send() has returned false and the buffered amount became low.
+   * @private
+   */
+  _emitDrainIfNeeded() {
+    if (this._needDrain && this.bufferedAmount <= this._lowWaterMark) {
+      this._needDrain = false;
+      this.emit(DataConnection.EVENTS.drain.key);
+    }
+  }
+
+  /**
+   * Get the number of bytes the data occupies when it is sent.
+   * @param {*} data - The data to be sent.
+   * @return {number} The size of the data in bytes.
+   * @private
+   */
+  _getByteLength(data) {
+    if (typeof data === 'string') {
+      // RTCDataChannel sends strings encoded in UTF-8
+      return new window.TextEncoder().encode(data).byteLength;
+    }
+    if (data instanceof Blob) {
+      return data.size;
+    }
+    if (data.byteLength !== undefined) {
+      return data.byteLength;
+    }
+    return 0;
+  }
+
+  /**
+   * Check dcInit argument is valid to enable unreliable mode.
+   * See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
+   * @param {Object} dcInit - Options passed to createDataChannel() as a RTCDataChannelInit.
+   *                  See https://www.w3.org/TR/webrtc/#dom-rtcdatachannelinit
+   * @return {boolean} Returns this dcInit has valid properties to enable unreliable mode.
+   */
+  _isUnreliableDCInit(dcInit) {
+    if (!dcInit) {
+      return false;
+    }
+
+    // Either of these props are passed, works on unreliable mode.
+    if ('maxRetransmits' in dcInit || 'maxPacketLifeTime' in dcInit) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Possible serializations for the DataConnection.
+   * @type {Enum}
    */
   static get SERIALIZATIONS() {
     return DCSerializations;
   }
 
+  /**
+   * Register a serialization which can be passed as `serialization` option.
+   * The remote peer also needs to register the same serialization
+   * because it is notified with the offer.
+   * @param {string} name - The name of the serialization.
+   * @param {object} serializer - The implementation of the serialization.
+   * @param {function} serializer.encode - Encode data passed to send().
+   *                   Return a string, ArrayBuffer, ArrayBufferView or Blob.
+   * @param {function} serializer.decode - Decode received data and return data to emit with `data` event.
+   *                   ArrayBuffer is passed if chunked is true.
+   * @param {boolean} [serializer.chunked=false] - Whether the encoded data is sliced into chunks
+   *                  with the metadata like 'binary'. If false, encoded data is sent as a message.
+   */
+  static registerSerialization(name, serializer) {
+    if (
+      typeof name !== 'string' ||
+      !serializer ||
+      typeof serializer.encode !== 'function' ||
+      typeof serializer.decode !== 'function'
+    ) {
+      throw new Error('Invalid serializer');
+    }
+
+    if (!DCSerializations.get(name)) {
+      DCSerializations.extend([name]);
+    }
+    serializers[name] = {
+      encode: serializer.encode,
+      decode: serializer.decode,
+      chunked: !!serializer.chunked,
+    };
+  }
+
   /**
    * Events the DataConnection class can emit.
    * @type {Enum}
@@ -364,6 +2229,104 @@ class DataConnection extends Connection {
    * @event DataConnection#error
    * @type {Error}
    */
+
+  /**
+   * The buffered amount became low after send() returned false.
+   *
+   * @event DataConnection#drain
+   */
+
+  /**
+   * A chunk of binary serialized data was passed to the RTCDataChannel.
+   *
+   * @event DataConnection#sendProgress
+   * @type {object}
+   * @property {string} id - The id of the message.
+   * @property {string} type - The type of the data. e.g. 'File', 'Blob' or 'String'.
+   * @property {string} [name] - The file name if the data is a File.
+   * @property {string} [mimeType] - The MIME type if the data is a Blob or a File.
+   * @property {number} size - The total size of the packed data in bytes.
+   * @property {number} totalParts - The number of chunks of the message.
+   * @property {number} sentParts - The number of chunks sent so far.
+   * @property {number} sentBytes - The number of bytes sent so far.
+   */
+
+  /**
+   * A chunk of binary serialized data was received from peer.
+   *
+   * @event DataConnection#receiveProgress
+   * @type {object}
+   * @property {string} id - The id of the message.
+   * @property {string} type - The type of the data. e.g. 'File', 'Blob' or 'String'.
+   * @property {string} [name] - The file name if the data is a File.
+   * @property {string} [mimeType] - The MIME type if the data is a Blob or a File.
+   * @property {number} size - The total size of the packed data in bytes.
+   * @property {number} totalParts - The number of chunks of the message.
+   * @property {number} receivedParts - The number of chunks received so far.
+   * @property {number} receivedBytes - The number of bytes received so far.
+   */
+
+  /**
+   * Started receiving a File, a Blob or a stream.
+   * If pipeTo() is called in the listener, the data is written to the WritableStream
+   * and data event is not emitted for it.
+   *
+   * @event DataConnection#transfer
+   * @type {object}
+   * @property {string} id - The id of the message.
+   * @property {string} type - 'File' or 'Blob'.
+   * @property {string} [name] - The file name if the data is a File.
+   * @property {string} [mimeType] - The MIME type.
+   * @property {number} [size] - The total size of the packed data in bytes. Undefined for streams.
+   * @property {function} pipeTo - Pass a WritableStream to write the received data to it.
+   */
+
+  /**
+   * The remote peer cancelled a message being sent or received.
+   *
+   * @event DataConnection#cancel
+   * @type {object}
+   * @property {string} id - The id of the message.
+   */
+
+  /**
+   * Chunks of a message were lost on unreliable mode and the message was not completed
+   * within the reassembly timeout.
+   *
+   * @event DataConnection#messageLost
+   * @type {object}
+   * @property {string} id - The id of the message.
+   * @property {string} type - The type of the data. e.g. 'File', 'Blob' or 'String'.
+   * @property {string} [name] - The file name if the data is a File.
+   * @property {string} [mimeType] - The MIME type if the data is a Blob or a File.
+   * @property {number} size - The total size of the packed data in bytes.
+   * @property {number} totalParts - The number of chunks of the message.
+   * @property {number} receivedParts - The number of chunks received before it was lost.
+   * @property {number} receivedBytes - The number of bytes received before it was lost.
+   */
+
+  /**
+   * The remote peer created a channel by createChannel().
+   *
+   * @event DataConnection#channel
+   * @type {DataConnection}
+   */
 }
 
+const binarySerializer = {
+  encode: data => BinaryPack.pack(data),
+  decode: ab => BinaryPack.unpack(ab),
+  chunked: true,
+};
+DataConnection.registerSerialization('binary', binarySerializer);
+DataConnection.registerSerialization('binary-utf8', binarySerializer);
+DataConnection.registerSerialization('json', {
+  encode: data => JSON.stringify(data),
+  decode: data => JSON.parse(data),
+});
+DataConnection.registerSerialization('none', {
+  encode: data => data,
+  decode: data => data,
+});
+
 export default DataConnection;
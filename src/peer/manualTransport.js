@@ -0,0 +1,133 @@
+import EventEmitter from 'events';
+import queryString from 'query-string';
+
+import config from '../shared/config';
+import logger from '../shared/logger';
+import util from '../shared/util';
+
+const CLIENT = config.MESSAGE_TYPES.CLIENT;
+const SERVER = config.MESSAGE_TYPES.SERVER;
+
+// Messages between peers and the types the remote peer receives them as
+const SIGNAL_TYPES = {
+  [CLIENT.SEND_OFFER.key]: SERVER.OFFER.key,
+  [CLIENT.SEND_ANSWER.key]: SERVER.ANSWER.key,
+  [CLIENT.SEND_CANDIDATE.key]: SERVER.CANDIDATE.key,
+  [CLIENT.SEND_FORCE_CLOSE.key]: SERVER.FORCE_CLOSE.key,
+};
+
+// Messages only meaningful to the signalling server
+const IGNORED_TYPES = [CLIENT.PING.key, CLIENT.UPDATE_CREDENTIAL.key];
+
+/**
+ * Signalling transport without any server. Messages to the remote peers are emitted as `signal` events
+ * for the application to deliver them through its own channel, and passed to `handleSignal()` on the remote peer.
+ * Only P2P connections are supported.
+ * @extends EventEmitter
+ */
+class ManualTransport extends EventEmitter {
+  /**
+   * Creates an instance of ManualTransport.
+   */
+  constructor() {
+    super();
+
+    this._peerId = null;
+    this._connected = false;
+  }
+
+  /**
+   * Whether the transport is connected or not. True from connect() until close().
+   * @type {boolean}
+   */
+  get connected() {
+    return this._connected;
+  }
+
+  /**
+   * Open the transport with the peerId in the query, or a random one.
+   * OPEN is emitted asynchronously as if the server responded.
+   * @param {string} url - Not used.
+   * @param {string} query - The query string which may contain peerId.
+   */
+  connect(url, query) {
+    if (!this._peerId) {
+      this._peerId = queryString.parse(query).peerId || util.randomId();
+    }
+    this._connected = true;
+
+    setTimeout(() => {
+      if (this._connected) {
+        this.emit(SERVER.OPEN.key, { peerId: this._peerId });
+      }
+    }, 0);
+  }
+
+  /**
+   * Emit a message to a remote peer as a signal event.
+   * @param {string} type - The signalling message type.
+   * @param {string | object} message - The message to send.
+   * @fires ManualTransport#signal
+   */
+  send(type, message) {
+    const signalType = SIGNAL_TYPES[type];
+    if (!signalType) {
+      if (!IGNORED_TYPES.includes(type)) {
+        logger.warn(`${type} can not be sent with manual signaling.`);
+      }
+      return;
+    }
+
+    this.emit('signal', {
+      type: signalType,
+      message: Object.assign({}, message, { src: this._peerId }),
+    });
+  }
+
+  /**
+   * Handle a signal emitted by the remote peer as if it was received from the server.
+   * @param {object} signal - The signal.
+   * @param {string} signal.type - One of OFFER, ANSWER, CANDIDATE or FORCE_CLOSE.
+   * @param {object} signal.message - The message.
+   * @return {boolean} False if the signal is invalid or the transport is closed.
+   */
+  handleSignal(signal) {
+    const isValid =
+      signal &&
+      signal.message &&
+      Object.keys(SIGNAL_TYPES).some(key => SIGNAL_TYPES[key] === signal.type);
+    if (!isValid) {
+      logger.warn('Received an invalid signal.');
+      return false;
+    }
+    if (!this._connected) {
+      return false;
+    }
+
+    if (signal.message.dst && signal.message.dst !== this._peerId) {
+      logger.warn(`Ignored a signal to ${signal.message.dst}.`);
+      return false;
+    }
+
+    this.emit(signal.type, signal.message);
+    return true;
+  }
+
+  /**
+   * Close the transport.
+   */
+  close() {
+    this._connected = false;
+  }
+
+  /**
+   * Message to deliver to the remote peer.
+   *
+   * @event ManualTransport#signal
+   * @type {object}
+   * @property {string} type - One of OFFER, ANSWER, CANDIDATE or FORCE_CLOSE.
+   * @property {object} message - The message. `message.dst` is the peerId of the remote peer.
+   */
+}
+
+export default ManualTransport;
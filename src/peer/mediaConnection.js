@@ -3,8 +3,9 @@ import Enum from 'enum';
 import Negotiator from './negotiator';
 import Connection from './connection';
 import logger from '../shared/logger';
+import config from '../shared/config';
 
-const MCEvents = new Enum(['stream']);
+const MCEvents = new Enum(['stream', 'mediaOptionsUpdated']);
 
 MCEvents.extend(Connection.EVENTS.enums);
 
@@ -26,10 +27,17 @@ class MediaConnection extends Connection {
    * @param {string} [options.payload] - An offer message that triggered creating this object.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   * @param {boolean|object} [options.iceRestart] - Restart ICE to recover the connection when ICE is disconnected or failed.
+   *                  Pass an object containing `maxAttempts` and `timeout`(ms) to override the defaults.
+   *                  The remote peer follows the option in the offer.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Emit network quality events computed from the stats.
+   *                  See the quality option of Peer.
    */
   constructor(remoteId, options) {
     super(remoteId, options);
@@ -46,6 +54,11 @@ class MediaConnection extends Connection {
     // Messages stored by peer because MC was not ready yet
     this._queuedMessages = this._options.queuedMessages || [];
     this._pcAvailable = false;
+
+    // Updates of the media options applied one by one
+    this._mediaOptionsUpdates = [];
+
+    this._waitForReady(MediaConnection.EVENTS.stream.key);
   }
 
   /**
@@ -68,6 +81,9 @@ class MediaConnection extends Connection {
       audioCodec: this._options.audioCodec,
       videoReceiveEnabled: this._options.videoReceiveEnabled,
       audioReceiveEnabled: this._options.audioReceiveEnabled,
+      sendEncodings: this._options.sendEncodings,
+      iceRestart: this._options.iceRestart,
+      quality: this._options.quality,
     });
 
     this._pcAvailable = true;
@@ -80,8 +96,11 @@ class MediaConnection extends Connection {
    * @param {object} [options] - Optional arguments for the connection.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track.
+   *                  Set to the encodings offered by the remote peer.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
    */
   answer(stream, options = {}) {
     if (this.localStream) {
@@ -104,12 +123,16 @@ class MediaConnection extends Connection {
       videoBandwidth: options.videoBandwidth,
       videoCodec: options.videoCodec,
       audioCodec: options.audioCodec,
+      sendEncodings: options.sendEncodings,
+      iceRestart: this._options.payload.iceRestart,
+      quality: this._options.quality,
     });
     this._pcAvailable = true;
 
     this._handleQueuedMessages();
 
     this.open = true;
+    this._startStatsTimer(options.statsInterval);
   }
 
   /**
@@ -121,6 +144,138 @@ class MediaConnection extends Connection {
     this.localStream = newStream;
   }
 
+  /**
+   * Set the encoding parameters of the tracks being sent without renegotiation.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} parameters - The parameters to set.
+   * @param {boolean} [parameters.active] - Whether to send the encodings or not.
+   * @param {number} [parameters.maxBitrate] - Max bitrate (bps) of each encoding.
+   * @param {number} [parameters.maxFramerate] - Max framerate of each encoding.
+   * @param {number} [parameters.scaleResolutionDownBy] - Factor to scale down the resolution of each video encoding.
+   * @param {string} [parameters.degradationPreference] - One of 'maintain-framerate', 'maintain-resolution' or 'balanced'.
+   * @param {Array<object>} [parameters.encodings] - Parameters of each encoding like simulcast layers.
+   *                  Matched to the encodings by rid, or by index if rid is not specified.
+   * @return {Promise<void>} Promise that resolves when the parameters are set.
+   */
+  setEncodingParameters(kind, parameters) {
+    return this._negotiator.setEncodingParameters(kind, parameters);
+  }
+
+  /**
+   * Change the max video bandwidth by renegotiation.
+   * @param {number} bandwidth - A max video bandwidth(kbps). Pass null to remove the limit.
+   * @return {Promise<void>} Promise that resolves when the renegotiation is done.
+   */
+  setVideoBandwidth(bandwidth) {
+    return this._updateMediaOptions({ videoBandwidth: bandwidth });
+  }
+
+  /**
+   * Change the max audio bandwidth by renegotiation.
+   * @param {number} bandwidth - A max audio bandwidth(kbps). Pass null to remove the limit.
+   * @return {Promise<void>} Promise that resolves when the renegotiation is done.
+   */
+  setAudioBandwidth(bandwidth) {
+    return this._updateMediaOptions({ audioBandwidth: bandwidth });
+  }
+
+  /**
+   * Change the preferred video codecs by renegotiation.
+   * @param {string|object|Array<string|object>} codec - Video codecs in the order of preference like ['VP9', 'H264'].
+   *                  Pass null to remove the preference.
+   * @return {Promise<void>} Promise that resolves when the renegotiation is done.
+   */
+  setVideoCodec(codec) {
+    return this._updateMediaOptions({ videoCodec: codec });
+  }
+
+  /**
+   * Change the preferred audio codecs by renegotiation.
+   * @param {string|object|Array<string|object>} codec - Audio codecs in the order of preference like ['opus', 'PCMU'].
+   *                  Pass null to remove the preference.
+   * @return {Promise<void>} Promise that resolves when the renegotiation is done.
+   */
+  setAudioCodec(codec) {
+    return this._updateMediaOptions({ audioCodec: codec });
+  }
+
+  /**
+   * Disconnect from remote peer.
+   * @fires MediaConnection#close
+   */
+  close(forceClose) {
+    super.close(forceClose);
+
+    const updates = this._mediaOptionsUpdates;
+    this._mediaOptionsUpdates = [];
+    for (const update of updates) {
+      clearTimeout(update.timer);
+      update.reject(
+        new Error('Connection closed before the media options were applied.')
+      );
+    }
+  }
+
+  /**
+   * Update the media options of the negotiator and wait for mediaOptionsUpdated event.
+   * The update is started after the previous ones are done.
+   * @param {object} options - The options passed to Negotiator#updateMediaOptions().
+   * @return {Promise<void>} Promise that resolves when the renegotiation is done,
+   *                         and rejects when it fails, times out or the connection is closed.
+   * @private
+   */
+  _updateMediaOptions(options) {
+    return new Promise((resolve, reject) => {
+      this._mediaOptionsUpdates.push({ options, resolve, reject, timer: null });
+      if (this._mediaOptionsUpdates.length === 1) {
+        this._startMediaOptionsUpdate();
+      }
+    });
+  }
+
+  /**
+   * Start the first update of the media options in the queue.
+   * @private
+   */
+  _startMediaOptionsUpdate() {
+    const update = this._mediaOptionsUpdates[0];
+    if (!update) {
+      return;
+    }
+
+    try {
+      this._negotiator.updateMediaOptions(update.options);
+    } catch (err) {
+      this._finishMediaOptionsUpdate(err);
+      return;
+    }
+    update.timer = setTimeout(() => {
+      this._finishMediaOptionsUpdate(
+        new Error('The renegotiation to apply the media options timed out.')
+      );
+    }, config.mediaOptionsTimeout);
+  }
+
+  /**
+   * Settle the running update of the media options and start the next one.
+   * @param {Error} [err] - The error to reject with. Resolved if not specified.
+   * @private
+   */
+  _finishMediaOptionsUpdate(err) {
+    const update = this._mediaOptionsUpdates.shift();
+    if (!update) {
+      return;
+    }
+
+    clearTimeout(update.timer);
+    if (err) {
+      update.reject(err);
+    } else {
+      update.resolve();
+    }
+    this._startMediaOptionsUpdate();
+  }
+
   /**
    * Set up negotiator message handlers.
    * @private
@@ -139,6 +294,16 @@ class MediaConnection extends Connection {
 
       this.emit(MediaConnection.EVENTS.stream.key, remoteStream);
     });
+
+    this._negotiator.on(Negotiator.EVENTS.mediaOptionsUpdated.key, options => {
+      this.emit(MediaConnection.EVENTS.mediaOptionsUpdated.key, options);
+      this._finishMediaOptionsUpdate();
+    });
+
+    // The renegotiation applying the media options failed
+    this._negotiator.on(Negotiator.EVENTS.error.key, err => {
+      this._finishMediaOptionsUpdate(err);
+    });
   }
 
   /**
@@ -155,6 +320,17 @@ class MediaConnection extends Connection {
    * @event MediaConnection#stream
    * @type {MediaStream}
    */
+
+  /**
+   * The bandwidths and the codecs changed by setVideoBandwidth() etc. are applied by renegotiation.
+   *
+   * @event MediaConnection#mediaOptionsUpdated
+   * @type {object}
+   * @property {number} videoBandwidth - The max video bandwidth(kbps).
+   * @property {number} audioBandwidth - The max audio bandwidth(kbps).
+   * @property {string|object|Array<string|object>} videoCodec - The preferred video codecs.
+   * @property {string|object|Array<string|object>} audioCodec - The preferred audio codecs.
+   */
 }
 
 export default MediaConnection;
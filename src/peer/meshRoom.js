@@ -2,6 +2,7 @@ import Enum from 'enum';
 
 import Room from './room';
 import Connection from './connection';
+import QualityMonitor from './qualityMonitor';
 import MediaConnection from './mediaConnection';
 import DataConnection from './dataConnection';
 import logger from '../shared/logger';
@@ -28,18 +29,32 @@ class MeshRoom extends Room {
    * @param {object} [options.pcConfig] - A RTCConfiguration dictionary for the RTCPeerConnection.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data sent by send().
+   * @param {CryptoKey} [options.encryption] - An AES-GCM CryptoKey shared by the participants to encrypt data.
+   * @param {boolean|object} [options.iceRestart] - Restart ICE to recover connections when ICE is disconnected or failed.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Emit network quality events of each member. See the quality option of Peer.
    */
   constructor(name, peerId, options) {
     super(name, peerId, options);
 
     this.connections = {};
 
+    this._open = false;
+
     // messages(candidates) received before connection is ready
     this._queuedMessages = {};
+
+    // parameters passed to setEncodingParameters() by kind, set to new connections too
+    this._encodingParameters = {};
+
+    // the previous reports of the stats timer by connection id, kept apart from the ones of getStats()
+    this._lastTimerStatsReports = {};
   }
 
   /**
@@ -90,6 +105,9 @@ class MeshRoom extends Room {
       audioCodec: this._options.audioCodec,
       videoReceiveEnabled: this._options.videoReceiveEnabled,
       audioReceiveEnabled: this._options.audioReceiveEnabled,
+      sendEncodings: this._options.sendEncodings,
+      iceRestart: this._options.iceRestart,
+      quality: this._options.quality,
     };
 
     this._makeConnections(peerIds, 'media', options);
@@ -102,6 +120,8 @@ class MeshRoom extends Room {
   makeDataConnections(peerIds) {
     const options = {
       pcConfig: this._pcConfig,
+      iceRestart: this._options.iceRestart,
+      quality: this._options.quality,
     };
 
     this._makeConnections(peerIds, 'data', options);
@@ -117,6 +137,13 @@ class MeshRoom extends Room {
   handleJoin(joinMessage) {
     const src = joinMessage.src;
     if (src === this._peerId) {
+      // Connections are kept when the room is joined again after reconnecting to the signalling server
+      if (this._open) {
+        return;
+      }
+      this._open = true;
+      this._startStatsTimer(this._options.statsInterval);
+
       this.call(this._localStream);
       this.emit(MeshRoom.EVENTS.open.key);
 
@@ -166,6 +193,7 @@ class MeshRoom extends Room {
         metadata: offerMessage.metadata,
         queuedMessages: this._queuedMessages[connectionId],
         pcConfig: this._pcConfig,
+        quality: this._options.quality,
       });
       connection.startConnection();
 
@@ -180,6 +208,7 @@ class MeshRoom extends Room {
         audioCodec: this._options.audioCodec,
         videoReceiveEnabled: this._options.videoReceiveEnabled,
         audioReceiveEnabled: this._options.audioReceiveEnabled,
+        sendEncodings: this._options.sendEncodings,
       });
     } else {
       logger.warn(
@@ -245,11 +274,7 @@ class MeshRoom extends Room {
    * @param {*} data - The data to send.
    */
   send(data) {
-    const message = {
-      roomName: this.name,
-      data: data,
-    };
-    this.emit(MeshRoom.MESSAGE_EVENTS.broadcast.key, message);
+    this._broadcast(data);
   }
 
   /**
@@ -263,6 +288,9 @@ class MeshRoom extends Room {
         });
       }
     }
+    this._open = false;
+    this._stopStatsTimer();
+
     const message = {
       roomName: this.name,
     };
@@ -270,6 +298,20 @@ class MeshRoom extends Room {
     this.emit(MeshRoom.EVENTS.close.key);
   }
 
+  /**
+   * Send the negotiation messages of connections still being negotiated again.
+   * Called after reconnecting to the signalling server.
+   */
+  resendNegotiationMessages() {
+    for (const peerId in this.connections) {
+      if (this.connections.hasOwnProperty(peerId)) {
+        this.connections[peerId].forEach(connection => {
+          connection.resendNegotiationMessages();
+        });
+      }
+    }
+  }
+
   /**
    * Replace the stream being sent on all MediaConnections   with a new one.
    * @param {MediaStream} newStream - The stream to replace the old stream with.
@@ -287,6 +329,99 @@ class MeshRoom extends Room {
     }
   }
 
+  /**
+   * Set the encoding parameters of the tracks being sent to all participants without renegotiation.
+   * The parameters are also set to the MediaConnections made after this call once they are ready.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} parameters - The parameters to set.
+   * @param {boolean} [parameters.active] - Whether to send the encodings or not.
+   * @param {number} [parameters.maxBitrate] - Max bitrate (bps) of each encoding.
+   * @param {number} [parameters.maxFramerate] - Max framerate of each encoding.
+   * @param {number} [parameters.scaleResolutionDownBy] - Factor to scale down the resolution of each video encoding.
+   * @param {string} [parameters.degradationPreference] - One of 'maintain-framerate', 'maintain-resolution' or 'balanced'.
+   * @param {Array<object>} [parameters.encodings] - Parameters of each encoding like simulcast layers.
+   *                  Matched to the encodings by rid, or by index if rid is not specified.
+   * @return {Promise<void>} Promise that resolves when the parameters are set to all the connections.
+   */
+  setEncodingParameters(kind, parameters) {
+    this._encodingParameters[kind] = Object.assign(
+      {},
+      this._encodingParameters[kind],
+      parameters
+    );
+
+    const promises = [];
+    for (const peerId in this.connections) {
+      if (this.connections.hasOwnProperty(peerId)) {
+        this.connections[peerId].forEach(connection => {
+          if (connection.type === 'media') {
+            promises.push(connection.setEncodingParameters(kind, parameters));
+          }
+        });
+      }
+    }
+    return Promise.all(promises).then(() => {});
+  }
+
+  /**
+   * Get the statistics of the MediaConnection to each participant normalized into the quality metrics.
+   * @return {Promise<object>} Promise that resolves with an object which has peerIds as the keys and the reports as the values.
+   *                  Participants without an open MediaConnection are omitted.
+   */
+  getStats() {
+    return this._getReports(connection => connection.getStats());
+  }
+
+  /**
+   * Get the reports emitted by the stats timer.
+   * @return {Promise<object>} Promise that resolves with an object which has peerIds as the keys and the reports as the values.
+   * @private
+   */
+  async _getTimerStats() {
+    const lastReports = {};
+
+    const reports = await this._getReports(async connection => {
+      const report = await connection._getNormalizedStats(
+        this._lastTimerStatsReports[connection.id] || null
+      );
+      lastReports[connection.id] = report;
+      return report;
+    });
+
+    // Replaced not to keep the reports of closed connections
+    this._lastTimerStatsReports = lastReports;
+    return reports;
+  }
+
+  /**
+   * Get the report of the open MediaConnection to each participant.
+   * @param {function} getReport - Called with the MediaConnection and returns Promise of the report.
+   * @return {Promise<object>} Promise that resolves with an object which has peerIds as the keys and the reports as the values.
+   * @private
+   */
+  async _getReports(getReport) {
+    const reports = {};
+
+    await Promise.all(
+      Object.keys(this.connections).map(async peerId => {
+        const connection = this.connections[peerId]
+          .filter(connection => connection.type === 'media' && connection.open)
+          .pop();
+        if (!connection) {
+          return;
+        }
+
+        try {
+          reports[peerId] = await getReport(connection);
+        } catch (err) {
+          logger.warn(`Failed to get stats of ${peerId}, `, err);
+        }
+      })
+    );
+
+    return reports;
+  }
+
   /**
    * Append a connection to peer's array of connections, stored in room.connections.
    * @param {string} peerId - User's peerID.
@@ -300,6 +435,29 @@ class MeshRoom extends Room {
     this.connections[peerId].push(connection);
   }
 
+  /**
+   * Set the parameters passed to setEncodingParameters() so far to the MediaConnection once it is ready.
+   * @param {MediaConnection} connection - An instance of MediaConnection.
+   * @private
+   */
+  _setEncodingParametersWhenReady(connection) {
+    connection.ready.then(
+      () => {
+        const promises = Object.keys(this._encodingParameters).map(kind =>
+          connection.setEncodingParameters(kind, this._encodingParameters[kind])
+        );
+        return Promise.all(promises).catch(err => {
+          logger.warn(
+            `Failed to set the encoding parameters to ${connection.remoteId}, `,
+            err
+          );
+        });
+      },
+      // closed before ready
+      () => {}
+    );
+  }
+
   /**
    * Start connections and add handlers.
    * @param {Array} peerIds - Array of peerIds you are creating connections for.
@@ -383,11 +541,29 @@ class MeshRoom extends Room {
       this.emit(MeshRoom.MESSAGE_EVENTS.candidate.key, candidateMessage);
     });
 
+    connection.on(Connection.EVENTS.reconnecting.key, () => {
+      this.emit(MeshRoom.EVENTS.reconnecting.key, connection.remoteId);
+    });
+
+    connection.on(Connection.EVENTS.reconnected.key, () => {
+      this.emit(MeshRoom.EVENTS.reconnected.key, connection.remoteId);
+    });
+
+    QualityMonitor.EVENTS.enums.forEach(event => {
+      connection.on(event.key, qualityEvent => {
+        this.emit(
+          event.key,
+          Object.assign({ peerId: connection.remoteId }, qualityEvent)
+        );
+      });
+    });
+
     if (connection.type === 'media') {
       connection.on(MediaConnection.EVENTS.stream.key, remoteStream => {
         remoteStream.peerId = connection.remoteId;
         this.emit(MeshRoom.EVENTS.stream.key, remoteStream);
       });
+      this._setEncodingParametersWhenReady(connection);
     }
   }
 
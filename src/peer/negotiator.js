@@ -3,6 +3,9 @@ import Enum from 'enum';
 
 import sdpUtil from '../shared/sdpUtil';
 import logger from '../shared/logger';
+import config from '../shared/config';
+
+import QualityMonitor from './qualityMonitor';
 
 const NegotiatorEvents = new Enum([
   'addStream',
@@ -12,8 +15,20 @@ const NegotiatorEvents = new Enum([
   'iceCandidate',
   'iceConnectionFailed',
   'negotiationNeeded',
+  'reconnecting',
+  'reconnected',
+  'mediaOptionsUpdated',
   'error',
 ]);
+NegotiatorEvents.extend(QualityMonitor.EVENTS.enums);
+
+// Parameters of RTCRtpEncodingParameters which can be changed by setEncodingParameters()
+const ENCODING_PARAMETERS = [
+  'active',
+  'maxBitrate',
+  'maxFramerate',
+  'scaleResolutionDownBy',
+];
 
 /**
  * Class that manages RTCPeerConnection and SDP exchange.
@@ -31,6 +46,20 @@ class Negotiator extends EventEmitter {
     this._replaceStreamCalled = false;
     this._isNegotiationAllowed = true;
     this.hasRemoteDescription = false;
+    this._isReconnecting = false;
+    this._iceRestartAttempts = 0;
+    this._iceRestartTimer = null;
+    this._isMediaOptionsUpdated = false;
+    this._isApplyingMediaOptions = false;
+    this._qualityMonitor = null;
+  }
+
+  /**
+   * The network quality computed from the stats, or null if not monitored or not computed yet.
+   * @type {string|null}
+   */
+  get quality() {
+    return this._qualityMonitor ? this._qualityMonitor.quality : null;
   }
 
   /**
@@ -47,20 +76,35 @@ class Negotiator extends EventEmitter {
    * @param {object} [options.pcConfig] - A RTCConfiguration dictionary for the RTCPeerConnection.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   *                  Set when adding the track on the originator side, and to the layers offered by the remote peer otherwise.
+   * @param {boolean|object} [options.iceRestart] - Try ICE restarts when ICE is disconnected or failed.
+   * @param {number} [options.iceRestart.maxAttempts] - Number of ICE restarts before giving up.
+   * @param {number} [options.iceRestart.timeout] - Milliseconds to wait for ICE to recover after each restart.
+   * @param {boolean|object} [options.quality] - Monitor the network quality with the reports passed to updateQuality()
+   *                  and emit its events.
+   * @param {object} [options.quality.thresholds] - Max rtt(ms), packetLoss(0-1) and jitter(ms) of excellent, good and poor.
+   * @param {number} [options.quality.videoFreezeDuration] - Milliseconds without decoded frames to emit videoFrozen.
+   * @param {number} [options.quality.audioSilenceDuration] - Milliseconds of silence to emit audioSilent.
+   * @param {number} [options.quality.audioSilenceLevel] - Audio level(0-1) regarded as silence.
    * @return {Promise<void>} Promise that resolves when starting is done.
    */
   async startConnection(options = {}) {
     this._pc = this._createPeerConnection(options.pcConfig);
+    this._iceRestart = this._getIceRestartOptions(options.iceRestart);
     this._setupPCListeners();
+    this._startQualityMonitor(options.quality);
     this.originator = options.originator;
     this._audioBandwidth = options.audioBandwidth;
     this._videoBandwidth = options.videoBandwidth;
     this._audioCodec = options.audioCodec;
     this._videoCodec = options.videoCodec;
+    this._sendEncodings = options.sendEncodings;
+    this._isSendEncodingsSet = false;
     this._type = options.type;
 
     // Trigger negotiationneeded event
@@ -73,7 +117,18 @@ class Negotiator extends EventEmitter {
 
         // create m= section w/ direction sendrecv
         if (vTracks.length > 0) {
-          vTracks.forEach(track => this._pc.addTrack(track, options.stream));
+          vTracks.forEach(track => {
+            if (this._sendEncodings && this.originator) {
+              this._pc.addTransceiver(track, {
+                direction: 'sendrecv',
+                streams: [options.stream],
+                sendEncodings: this._sendEncodings,
+              });
+              this._isSendEncodingsSet = true;
+            } else {
+              this._pc.addTrack(track, options.stream);
+            }
+          });
         }
         // create m= section w/ direction recvonly or omit whole m= section
         else {
@@ -173,6 +228,8 @@ class Negotiator extends EventEmitter {
    * @return {Promise<void>} Promise that resolves when handling offer is done.
    */
   async handleOffer(offerSdp) {
+    const isLastOfferHandledAgain = !offerSdp;
+
     // Avoid unnecessary processing by short circuiting the code if nothing has changed in the sdp.
     if (this._lastOffer && offerSdp && this._lastOffer.sdp === offerSdp.sdp) {
       return;
@@ -193,21 +250,57 @@ class Negotiator extends EventEmitter {
       return;
     }
 
+    // The answer to the last offer is sent again only to make the remote peer send a new offer
+    const isMediaOptionsApplied =
+      !isLastOfferHandledAgain && this._isMediaOptionsUpdated;
+    if (isMediaOptionsApplied) {
+      this._isMediaOptionsUpdated = false;
+    }
+
     await this._setRemoteDescription(offerSdp);
     const answer = await this._makeAnswerSdp().catch(err => logger.error(err));
     this.emit(Negotiator.EVENTS.answerCreated.key, answer);
+
+    if (isMediaOptionsApplied) {
+      this._emitMediaOptionsUpdated();
+    } else if (!isLastOfferHandledAgain && this._isMediaOptionsUpdated) {
+      // The media options were updated while handling the offer
+      this._replaceStreamCalled = true;
+      this._pc.onnegotiationneeded();
+    }
   }
 
   /**
    * Set remote description with Answer SDP.
    * @param {object} answerSdp - An object containing Answer SDP.
+   * @param {boolean} [isResent] - Whether the answer is sent again after the signalling server reconnected.
    */
-  async handleAnswer(answerSdp) {
+  async handleAnswer(answerSdp, isResent = false) {
+    // Ignore the answer sent again if it has already been set.
+    // The same answer not sent again is a request from the answerer to make a new offer.
+    const remoteDescription = this._pc.remoteDescription;
+    if (
+      isResent &&
+      remoteDescription &&
+      remoteDescription.sdp === answerSdp.sdp
+    ) {
+      return;
+    }
+
     this._isNegotiationAllowed = true;
 
     if (this._isExpectingAnswer) {
       await this._setRemoteDescription(answerSdp);
       this._isExpectingAnswer = false;
+
+      if (this._isApplyingMediaOptions) {
+        this._isApplyingMediaOptions = false;
+        this._emitMediaOptionsUpdated();
+      }
+      // The media options were updated after creating the offer
+      if (this._isMediaOptionsUpdated) {
+        this._pc.onnegotiationneeded();
+      }
     } else if (this._pc.onnegotiationneeded) {
       // manually trigger negotiation
       this._pc.onnegotiationneeded();
@@ -226,12 +319,107 @@ class Negotiator extends EventEmitter {
       .catch(err => logger.error('Failed to add ICE candidate', err));
   }
 
+  /**
+   * Set the encoding parameters of the tracks being sent without renegotiation.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} parameters - The parameters to set.
+   * @param {boolean} [parameters.active] - Whether to send the encodings or not.
+   * @param {number} [parameters.maxBitrate] - Max bitrate (bps) of each encoding.
+   * @param {number} [parameters.maxFramerate] - Max framerate of each encoding.
+   * @param {number} [parameters.scaleResolutionDownBy] - Factor to scale down the resolution of each video encoding.
+   * @param {string} [parameters.degradationPreference] - One of 'maintain-framerate', 'maintain-resolution' or 'balanced'.
+   * @param {Array<object>} [parameters.encodings] - Parameters of each encoding like simulcast layers.
+   *                  Matched to the encodings by rid, or by index if rid is not specified.
+   * @return {Promise<void>} Promise that resolves when the parameters are set.
+   */
+  async setEncodingParameters(kind, parameters = {}) {
+    if (!this._pc) {
+      throw new Error('The connection has not started yet.');
+    }
+
+    const senders = this._pc
+      .getSenders()
+      .filter(sender => sender.track && sender.track.kind === kind);
+
+    try {
+      await Promise.all(
+        senders.map(sender => this._setSenderParameters(sender, parameters))
+      );
+    } catch (err) {
+      err.type = 'webrtc';
+      logger.error(err);
+      throw err;
+    }
+  }
+
+  /**
+   * Update the bandwidths and the codecs, then renegotiate through the offer/answer flow to apply them.
+   * mediaOptionsUpdated event is emitted when the renegotiation is done.
+   * On the answerer side, the remote peer is made to send a new offer by sending the answer to the last offer again.
+   * @param {object} options - The options to update. Pass null to remove the bandwidth limit or the codec preference.
+   * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
+   * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
+   */
+  updateMediaOptions(options = {}) {
+    if (!this._pc) {
+      throw new Error('The connection has not started yet.');
+    }
+
+    for (const key of ['videoBandwidth', 'audioBandwidth']) {
+      if (
+        options[key] !== undefined &&
+        options[key] !== null &&
+        (typeof options[key] !== 'number' || isNaN(options[key]))
+      ) {
+        throw new Error(`${options[key]} is not a number`);
+      }
+    }
+
+    if (options.videoBandwidth !== undefined) {
+      this._videoBandwidth = options.videoBandwidth;
+    }
+    if (options.audioBandwidth !== undefined) {
+      this._audioBandwidth = options.audioBandwidth;
+    }
+    if (options.videoCodec !== undefined) {
+      this._videoCodec = options.videoCodec;
+    }
+    if (options.audioCodec !== undefined) {
+      this._audioCodec = options.audioCodec;
+    }
+
+    this._isMediaOptionsUpdated = true;
+    this._isNegotiationAllowed = true;
+    if (!this.originator) {
+      this._replaceStreamCalled = true;
+    }
+    this._pc.onnegotiationneeded();
+  }
+
+  /**
+   * Update the network quality with a report of the stats of the RTCPeerConnection.
+   * Do nothing if the quality is not monitored.
+   * @param {object} report - The report normalized by statsUtil.normalizeReport().
+   */
+  updateQuality(report) {
+    if (this._qualityMonitor) {
+      this._qualityMonitor.update(report);
+    }
+  }
+
   /**
    * Close a PeerConnection.
    */
   cleanup() {
     logger.log('Cleaning up PeerConnection');
 
+    clearTimeout(this._iceRestartTimer);
+    this._iceRestartTimer = null;
+    this._isReconnecting = false;
+    this._stopQualityMonitor();
+
     if (
       this._pc &&
       (this._pc.readyState !== 'closed' || this._pc.signalingState !== 'closed')
@@ -241,6 +429,60 @@ class Negotiator extends EventEmitter {
     this._pc = null;
   }
 
+  /**
+   * Merge the parameters to the current ones of the sender and set them.
+   * @param {RTCRtpSender} sender - The sender.
+   * @param {object} parameters - The parameters passed to setEncodingParameters().
+   * @return {Promise<void>} Promise that resolves when the parameters are set.
+   * @private
+   */
+  _setSenderParameters(sender, parameters) {
+    if (typeof sender.setParameters !== 'function') {
+      return Promise.reject(
+        new Error('RTCRtpSender.setParameters() is not supported.')
+      );
+    }
+
+    const pickEncodingParameters = source => {
+      const picked = {};
+      for (const key of ENCODING_PARAMETERS) {
+        if (source && source[key] !== undefined) {
+          picked[key] = source[key];
+        }
+      }
+      return picked;
+    };
+
+    const layers = parameters.encodings || [];
+    const sendParameters = sender.getParameters();
+    const encodings =
+      sendParameters.encodings && sendParameters.encodings.length > 0
+        ? sendParameters.encodings
+        : [{}];
+
+    sendParameters.encodings = encodings.map((encoding, index) => {
+      const layer =
+        layers.find(
+          layer => layer.rid !== undefined && layer.rid === encoding.rid
+        ) ||
+        (layers[index] && layers[index].rid === undefined
+          ? layers[index]
+          : null);
+
+      return Object.assign(
+        {},
+        encoding,
+        pickEncodingParameters(parameters),
+        pickEncodingParameters(layer)
+      );
+    });
+    if (parameters.degradationPreference) {
+      sendParameters.degradationPreference = parameters.degradationPreference;
+    }
+
+    return sender.setParameters(sendParameters);
+  }
+
   /**
    * Create new RTCPeerConnection.
    * @param {object} pcConfig - A RTCConfiguration dictionary for the RTCPeerConnection.
@@ -296,22 +538,40 @@ class Negotiator extends EventEmitter {
 
     pc.oniceconnectionstatechange = () => {
       switch (pc.iceConnectionState) {
+        case 'connected':
+          logger.log('iceConnectionState is connected');
+          this._handleIceRecovered();
+          break;
         case 'completed':
           logger.log('iceConnectionState is completed');
-          // istanbul ignore next
-          pc.onicecandidate = () => {};
+          this._handleIceRecovered();
+          // Candidates gathered by ICE restarts have to be sent
+          if (!this._iceRestart) {
+            // istanbul ignore next
+            pc.onicecandidate = () => {};
+          }
           break;
         case 'disconnected':
           /**
            * Browsers(Chrome/Safari/Firefox) implement iceRestart with createOffer(),
-           * but it seems buggy at 2017/08, so we don't use iceRestart to reconnect intensionally.
+           * but it seems buggy at 2017/08, so we don't use iceRestart to reconnect by default.
            * Ref: https://github.com/nttcom-webcore/ECLRTC-JS-SDK/pull/37
            */
+          if (this._iceRestart) {
+            logger.log('iceConnectionState is disconnected, restarting ICE');
+            this._startIceRecovery();
+            break;
+          }
           logger.log(
             'iceConnectionState is disconnected, trying reconnect by browser'
           );
           break;
         case 'failed':
+          if (this._iceRestart) {
+            logger.log('iceConnectionState is failed, restarting ICE');
+            this._startIceRecovery();
+            break;
+          }
           logger.log('iceConnectionState is failed, closing connection');
           this.emit(Negotiator.EVENTS.iceConnectionFailed.key);
           break;
@@ -330,6 +590,11 @@ class Negotiator extends EventEmitter {
         // this must be `disconnected`, but ensure it
         pc.iceConnectionState === 'disconnected'
       ) {
+        if (this._iceRestart) {
+          logger.log('connectionState is failed, restarting ICE');
+          this._startIceRecovery();
+          return;
+        }
         logger.log('connectionState is failed, closing connection');
         this.emit(Negotiator.EVENTS.iceConnectionFailed.key);
       }
@@ -372,16 +637,164 @@ class Negotiator extends EventEmitter {
     };
   }
 
+  /**
+   * Normalize the iceRestart option of startConnection().
+   * @param {boolean|object} [iceRestart] - The iceRestart option.
+   * @return {object|null} Object containing maxAttempts and timeout, or null if ICE restart is disabled.
+   * @private
+   */
+  _getIceRestartOptions(iceRestart) {
+    if (!iceRestart) {
+      return null;
+    }
+
+    const options = typeof iceRestart === 'object' ? iceRestart : {};
+    return {
+      maxAttempts:
+        typeof options.maxAttempts === 'number'
+          ? options.maxAttempts
+          : config.iceRestartMaxAttempts,
+      timeout: options.timeout || config.iceRestartTimeout,
+    };
+  }
+
+  /**
+   * Create the quality monitor and emit its events.
+   * @param {boolean|object} [quality] - The quality option of startConnection().
+   * @private
+   */
+  _startQualityMonitor(quality) {
+    if (!quality) {
+      return;
+    }
+
+    const options = typeof quality === 'object' ? quality : {};
+    this._qualityMonitor = new QualityMonitor(options);
+    QualityMonitor.EVENTS.enums.forEach(event => {
+      this._qualityMonitor.on(event.key, qualityEvent => {
+        this.emit(event.key, qualityEvent);
+      });
+    });
+  }
+
+  /**
+   * Stop the quality monitor.
+   * @private
+   */
+  _stopQualityMonitor() {
+    if (this._qualityMonitor) {
+      this._qualityMonitor.removeAllListeners();
+      this._qualityMonitor = null;
+    }
+  }
+
+  /**
+   * Start recovering the ICE connection and emit reconnecting event.
+   * Only the originator restarts ICE, the other peer waits for the restart offer to arrive.
+   * @private
+   */
+  _startIceRecovery() {
+    if (this._isReconnecting) {
+      return;
+    }
+
+    this._isReconnecting = true;
+    this._iceRestartAttempts = 0;
+    this.emit(Negotiator.EVENTS.reconnecting.key);
+
+    this._attemptIceRestart();
+  }
+
+  /**
+   * Restart ICE and schedule the next attempt.
+   * If ICE does not recover after all attempts, emit iceConnectionFailed event.
+   * @private
+   */
+  _attemptIceRestart() {
+    if (!this._pc) {
+      return;
+    }
+
+    if (this._iceRestartAttempts >= this._iceRestart.maxAttempts) {
+      logger.log('ICE did not recover, closing connection');
+      this._iceRestartTimer = null;
+      this._isReconnecting = false;
+      this.emit(Negotiator.EVENTS.iceConnectionFailed.key);
+      return;
+    }
+
+    this._iceRestartAttempts++;
+    this._iceRestartTimer = setTimeout(
+      () => this._attemptIceRestart(),
+      this._iceRestart.timeout
+    );
+
+    if (this.originator) {
+      this._restartIce().catch(err =>
+        logger.error('Failed to restart ICE', err)
+      );
+    }
+  }
+
+  /**
+   * Create Offer SDP with new ICE credentials and emit offerCreated event.
+   * @return {Promise<void>} A promise that is resolved when the Offer SDP is set as local description.
+   * @private
+   */
+  async _restartIce() {
+    logger.log(
+      `Restarting ICE (${this._iceRestartAttempts}/${this._iceRestart.maxAttempts})`
+    );
+
+    // Answer for the previous restart may be lost, discard the Offer SDP waiting for it
+    if (this._pc.signalingState === 'have-local-offer') {
+      await this._pc.setLocalDescription({ type: 'rollback' });
+      this._isExpectingAnswer = false;
+    }
+    // The remote Offer SDP is being handled, try again in the next attempt
+    if (this._pc.signalingState !== 'stable') {
+      return;
+    }
+
+    const offer = await this._makeOfferSdp({ iceRestart: true });
+    await this._setLocalDescription(offer);
+  }
+
+  /**
+   * Stop recovering the ICE connection and emit reconnected event.
+   * @private
+   */
+  _handleIceRecovered() {
+    if (!this._isReconnecting) {
+      return;
+    }
+
+    clearTimeout(this._iceRestartTimer);
+    this._iceRestartTimer = null;
+    this._isReconnecting = false;
+
+    logger.log(`ICE recovered after ${this._iceRestartAttempts} restart(s)`);
+    this.emit(Negotiator.EVENTS.reconnected.key);
+  }
+
   /**
    * Create Offer SDP.
+   * @param {object} [offerOptions] - Options passed to createOffer() as a RTCOfferOptions.
    * @return {Promise<Object>} A promise that resolves with Offer SDP.
    * @private
    */
-  async _makeOfferSdp() {
+  async _makeOfferSdp(offerOptions) {
     let offer;
 
+    // The updated media options are applied when the answer to this offer is set
+    if (this._isMediaOptionsUpdated) {
+      this._isMediaOptionsUpdated = false;
+      this._isApplyingMediaOptions = true;
+    }
+    const isCodecPreferencesSet = this._setCodecPreferences();
+
     try {
-      offer = await this._pc.createOffer();
+      offer = await this._pc.createOffer(offerOptions);
     } catch (err) {
       err.type = 'webrtc';
       logger.error(err);
@@ -399,12 +812,7 @@ class Negotiator extends EventEmitter {
     if (this._videoBandwidth) {
       offer.sdp = sdpUtil.addVideoBandwidth(offer.sdp, this._videoBandwidth);
     }
-    if (this._audioCodec) {
-      offer.sdp = sdpUtil.filterAudioCodec(offer.sdp, this._audioCodec);
-    }
-    if (this._videoCodec) {
-      offer.sdp = sdpUtil.filterVideoCodec(offer.sdp, this._videoCodec);
-    }
+    this._preferCodecs(offer, isCodecPreferencesSet);
 
     return offer;
   }
@@ -416,6 +824,16 @@ class Negotiator extends EventEmitter {
    */
   async _makeAnswerSdp() {
     let answer;
+    const isCodecPreferencesSet = this._setCodecPreferences();
+
+    // The layers are offered by the remote peer on the answerer side
+    if (this._sendEncodings && !this._isSendEncodingsSet) {
+      this._isSendEncodingsSet = true;
+      await this.setEncodingParameters('video', {
+        encodings: this._sendEncodings,
+      }).catch(err => logger.warn('Failed to set sendEncodings, ', err));
+    }
+
     try {
       answer = await this._pc.createAnswer();
     } catch (err) {
@@ -435,12 +853,7 @@ class Negotiator extends EventEmitter {
     if (this._videoBandwidth) {
       answer.sdp = sdpUtil.addVideoBandwidth(answer.sdp, this._videoBandwidth);
     }
-    if (this._audioCodec) {
-      answer.sdp = sdpUtil.filterAudioCodec(answer.sdp, this._audioCodec);
-    }
-    if (this._videoCodec) {
-      answer.sdp = sdpUtil.filterVideoCodec(answer.sdp, this._videoCodec);
-    }
+    this._preferCodecs(answer, isCodecPreferencesSet);
 
     try {
       await this._pc.setLocalDescription(answer);
@@ -459,6 +872,107 @@ class Negotiator extends EventEmitter {
     return answer;
   }
 
+  /**
+   * Set the codec preferences to the transceivers if RTCRtpTransceiver.setCodecPreferences() is supported.
+   * @return {object} Whether the preferences of audio and video are set to the transceivers.
+   * @private
+   */
+  _setCodecPreferences() {
+    return {
+      audio:
+        Boolean(this._audioCodec) &&
+        this._setTransceiverCodecPreferences('audio', this._audioCodec),
+      video:
+        Boolean(this._videoCodec) &&
+        this._setTransceiverCodecPreferences('video', this._videoCodec),
+    };
+  }
+
+  /**
+   * Set the codec preferences to the transceivers of the media type.
+   * @param {string} mediaType - 'audio' or 'video'
+   * @param {string|object|Array<string|object>} codecs - Codecs in the order of preference.
+   * @return {boolean} True if set, false if not supported and SDP needs to be munged.
+   * @private
+   */
+  _setTransceiverCodecPreferences(mediaType, codecs) {
+    const { RTCRtpTransceiver, RTCRtpReceiver } = window;
+    if (
+      !RTCRtpTransceiver ||
+      typeof RTCRtpTransceiver.prototype.setCodecPreferences !== 'function' ||
+      !RTCRtpReceiver ||
+      typeof RTCRtpReceiver.getCapabilities !== 'function' ||
+      typeof this._pc.getTransceivers !== 'function'
+    ) {
+      return false;
+    }
+
+    const capabilities = RTCRtpReceiver.getCapabilities(mediaType);
+    if (!capabilities) {
+      return false;
+    }
+    const preferredCodecs = sdpUtil.preferCodecCapabilities(
+      capabilities.codecs,
+      codecs
+    );
+    if (preferredCodecs === null) {
+      logger.warn(`None of the preferred ${mediaType} codecs is supported.`);
+      return true;
+    }
+
+    try {
+      this._pc
+        .getTransceivers()
+        .filter(
+          transceiver =>
+            !transceiver.stopped &&
+            transceiver.receiver.track &&
+            transceiver.receiver.track.kind === mediaType
+        )
+        .forEach(transceiver =>
+          transceiver.setCodecPreferences(preferredCodecs)
+        );
+    } catch (err) {
+      logger.warn('Failed to setCodecPreferences, ', err);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Order the codecs in the SDP by the preferences which are not set to the transceivers.
+   * @param {RTCSessionDescriptionInit} description - The offer or the answer to modify.
+   * @param {object} isCodecPreferencesSet - Returned by _setCodecPreferences().
+   * @private
+   */
+  _preferCodecs(description, isCodecPreferencesSet) {
+    if (this._audioCodec && !isCodecPreferencesSet.audio) {
+      description.sdp = sdpUtil.preferAudioCodecs(
+        description.sdp,
+        this._audioCodec
+      );
+    }
+    if (this._videoCodec && !isCodecPreferencesSet.video) {
+      description.sdp = sdpUtil.preferVideoCodecs(
+        description.sdp,
+        this._videoCodec
+      );
+    }
+  }
+
+  /**
+   * Emit mediaOptionsUpdated event with the current media options.
+   * @private
+   */
+  _emitMediaOptionsUpdated() {
+    this.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, {
+      videoBandwidth: this._videoBandwidth,
+      audioBandwidth: this._audioBandwidth,
+      videoCodec: this._videoCodec,
+      audioCodec: this._audioCodec,
+    });
+  }
+
   /**
    * Set local description with Offer SDP and emit offerCreated event.
    * @param {RTCSessionDescription} offer - Offer SDP.
@@ -616,6 +1130,33 @@ class Negotiator extends EventEmitter {
    * @event Negotiator#negotiationNeeded
    */
 
+  /**
+   * Ice connection is disconnected and being recovered by ICE restarts.
+   *
+   * @event Negotiator#reconnecting
+   */
+
+  /**
+   * Ice connection is recovered.
+   *
+   * @event Negotiator#reconnected
+   */
+
+  /**
+   * The media options updated by updateMediaOptions() are applied by renegotiation.
+   *
+   * @event Negotiator#mediaOptionsUpdated
+   * @type {object}
+   */
+
+  /**
+   * The network quality is changed. networkDegraded, networkRecovered, videoFrozen, videoResumed,
+   * audioSilent and audioResumed are also emitted with the same object. See QualityMonitor.
+   *
+   * @event Negotiator#quality
+   * @type {object}
+   */
+
   /**
    * Error occurred.
    *
@@ -0,0 +1,366 @@
+import EventEmitter from 'events';
+import Enum from 'enum';
+
+import config from '../shared/config';
+
+const QualityMonitorEvents = new Enum([
+  'quality',
+  'networkDegraded',
+  'networkRecovered',
+  'videoFrozen',
+  'videoResumed',
+  'audioSilent',
+  'audioResumed',
+]);
+
+// Network qualities from the best, the ones after 'good' are degraded
+const QUALITIES = ['excellent', 'good', 'poor', 'bad'];
+const DEGRADED_QUALITIES = ['poor', 'bad'];
+
+/**
+ * Class that computes the network quality and detects frozen video and silent audio
+ * from the reports normalized by statsUtil.
+ * @extends EventEmitter
+ */
+class QualityMonitor extends EventEmitter {
+  /**
+   * Creates an instance of QualityMonitor.
+   * @param {object} [options] - Optional arguments for the monitor.
+   * @param {object} [options.thresholds] - Max rtt(ms), packetLoss(0-1) and jitter(ms) of excellent, good and poor.
+   * @param {number} [options.videoFreezeDuration] - Milliseconds without decoded frames to be frozen.
+   * @param {number} [options.audioSilenceDuration] - Milliseconds of silence to be silent.
+   * @param {number} [options.audioSilenceLevel] - Audio level(0-1) regarded as silence.
+   */
+  constructor(options = {}) {
+    super();
+
+    const thresholds = options.thresholds || {};
+    this._thresholds = {};
+    for (const quality of QUALITIES.slice(0, -1)) {
+      this._thresholds[quality] = Object.assign(
+        {},
+        config.qualityThresholds[quality],
+        thresholds[quality]
+      );
+    }
+    this._videoFreezeDuration =
+      options.videoFreezeDuration || config.videoFreezeDuration;
+    this._audioSilenceDuration =
+      options.audioSilenceDuration || config.audioSilenceDuration;
+    this._audioSilenceLevel =
+      typeof options.audioSilenceLevel === 'number'
+        ? options.audioSilenceLevel
+        : config.audioSilenceLevel;
+
+    this._quality = null;
+    this._previousReport = null;
+    this._hasDecodedVideo = false;
+    this._videoStalledSince = null;
+    this._isVideoFrozen = false;
+    this._audioSilentSince = null;
+    this._isAudioSilent = false;
+  }
+
+  /**
+   * The current network quality. One of 'excellent', 'good', 'poor' or 'bad', or null before computed.
+   * @type {string|null}
+   */
+  get quality() {
+    return this._quality;
+  }
+
+  /**
+   * Update the quality with a new report and emit events if changed.
+   * @param {object} report - The report normalized by statsUtil.normalizeReport().
+   */
+  update(report) {
+    this._updateQuality(report);
+    this._updateVideoFrozen(report);
+    this._updateAudioSilent(report);
+    this._previousReport = report;
+  }
+
+  /**
+   * Compute the network quality of the report.
+   * The quality is the best one whose thresholds all metrics are within.
+   * Metrics not reported are ignored.
+   * @param {object} report - The normalized report.
+   * @return {string|null} The quality, or null if no metric is reported.
+   */
+  getQuality(report) {
+    const metrics = this._getMetrics(report);
+    const keys = Object.keys(metrics).filter(key => metrics[key] !== null);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    return (
+      QUALITIES.slice(0, -1).find(quality => {
+        const thresholds = this._thresholds[quality];
+        return keys.every(
+          key =>
+            typeof thresholds[key] !== 'number' ||
+            metrics[key] <= thresholds[key]
+        );
+      }) || 'bad'
+    );
+  }
+
+  /**
+   * Pick the worst rtt, packet loss rate and jitter of the report.
+   * @param {object} report - The normalized report.
+   * @return {object} The metrics. Each is null if not reported.
+   * @private
+   */
+  _getMetrics(report) {
+    const streams = [];
+    for (const kind of ['audio', 'video']) {
+      if (report[kind]) {
+        streams.push(report[kind].inbound, report[kind].outbound);
+      }
+    }
+    const max = (values, fallback) => {
+      const reported = values.filter(value => typeof value === 'number');
+      return reported.length > 0 ? Math.max(...reported) : fallback;
+    };
+    const existingStreams = streams.filter(stream => stream);
+
+    return {
+      rtt:
+        typeof report.rtt === 'number'
+          ? report.rtt
+          : max(existingStreams.map(stream => stream.rtt), null),
+      packetLoss: max(
+        existingStreams.map(stream => stream.packetLossRate),
+        null
+      ),
+      jitter: max(existingStreams.map(stream => stream.jitter), null),
+    };
+  }
+
+  /**
+   * Emit quality event if the quality is changed, and networkDegraded or networkRecovered event
+   * if it is changed from or to poor and bad.
+   * @param {object} report - The normalized report.
+   * @private
+   */
+  _updateQuality(report) {
+    const quality = this.getQuality(report);
+    if (quality === null || quality === this._quality) {
+      return;
+    }
+
+    const wasDegraded = DEGRADED_QUALITIES.includes(this._quality);
+    const isDegraded = DEGRADED_QUALITIES.includes(quality);
+    this._quality = quality;
+
+    this._emitEvent(QualityMonitor.EVENTS.quality.key, report);
+    if (isDegraded && !wasDegraded) {
+      this._emitEvent(QualityMonitor.EVENTS.networkDegraded.key, report);
+    } else if (!isDegraded && wasDegraded) {
+      this._emitEvent(QualityMonitor.EVENTS.networkRecovered.key, report);
+    }
+  }
+
+  /**
+   * Emit videoFrozen event if no frame is decoded for videoFreezeDuration after frames have been decoded,
+   * and videoResumed event when frames are decoded again.
+   * @param {object} report - The normalized report.
+   * @private
+   */
+  _updateVideoFrozen(report) {
+    const inbound = report.video && report.video.inbound;
+    const previousInbound =
+      this._previousReport &&
+      this._previousReport.video &&
+      this._previousReport.video.inbound;
+    if (!inbound || !previousInbound) {
+      return;
+    }
+
+    // Frame rate is used instead if framesDecoded is not supported
+    let isDecoding;
+    if (
+      typeof inbound.framesDecoded === 'number' &&
+      typeof previousInbound.framesDecoded === 'number'
+    ) {
+      isDecoding = inbound.framesDecoded > previousInbound.framesDecoded;
+    } else if (typeof inbound.frameRate === 'number') {
+      isDecoding = inbound.frameRate > 0;
+    } else {
+      return;
+    }
+
+    if (isDecoding) {
+      this._hasDecodedVideo = true;
+      this._videoStalledSince = null;
+      if (this._isVideoFrozen) {
+        this._isVideoFrozen = false;
+        this._emitEvent(QualityMonitor.EVENTS.videoResumed.key, report);
+      }
+      return;
+    }
+
+    // The remote peer has not started sending video yet
+    if (!this._hasDecodedVideo) {
+      return;
+    }
+
+    if (this._videoStalledSince === null) {
+      this._videoStalledSince = this._previousReport.timestamp;
+    }
+    if (
+      !this._isVideoFrozen &&
+      report.timestamp - this._videoStalledSince >= this._videoFreezeDuration
+    ) {
+      this._isVideoFrozen = true;
+      this._emitEvent(QualityMonitor.EVENTS.videoFrozen.key, report);
+    }
+  }
+
+  /**
+   * Emit audioSilent event if the received audio is silent for audioSilenceDuration,
+   * and audioResumed event when it is not silent again.
+   * If the audio level is not supported, audio is silent while no byte is received.
+   * @param {object} report - The normalized report.
+   * @private
+   */
+  _updateAudioSilent(report) {
+    const inbound = report.audio && report.audio.inbound;
+    // The remote peer has not started sending audio yet
+    if (!inbound || !(inbound.bytes > 0)) {
+      return;
+    }
+    const previousInbound =
+      this._previousReport &&
+      this._previousReport.audio &&
+      this._previousReport.audio.inbound;
+
+    let isSilent;
+    if (typeof inbound.audioLevel === 'number') {
+      isSilent = inbound.audioLevel <= this._audioSilenceLevel;
+    } else if (previousInbound) {
+      isSilent = inbound.bytes <= previousInbound.bytes;
+    } else {
+      return;
+    }
+
+    if (!isSilent) {
+      this._audioSilentSince = null;
+      if (this._isAudioSilent) {
+        this._isAudioSilent = false;
+        this._emitEvent(QualityMonitor.EVENTS.audioResumed.key, report);
+      }
+      return;
+    }
+
+    if (this._audioSilentSince === null) {
+      this._audioSilentSince = report.timestamp;
+    }
+    if (
+      !this._isAudioSilent &&
+      report.timestamp - this._audioSilentSince >= this._audioSilenceDuration
+    ) {
+      this._isAudioSilent = true;
+      this._emitEvent(QualityMonitor.EVENTS.audioSilent.key, report);
+    }
+  }
+
+  /**
+   * Emit an event with the current quality and the report.
+   * @param {string} type - The event type.
+   * @param {object} report - The normalized report.
+   * @private
+   */
+  _emitEvent(type, report) {
+    this.emit(type, { quality: this._quality, report: report });
+  }
+
+  /**
+   * Get the milliseconds between the reports to monitor the quality with.
+   * @param {boolean|object} [quality] - The quality option.
+   * @return {number|null} The interval, or null if the quality is not monitored.
+   */
+  static getInterval(quality) {
+    if (!quality) {
+      return null;
+    }
+    return (
+      (typeof quality === 'object' && quality.interval) ||
+      config.qualityInterval
+    );
+  }
+
+  /**
+   * Events the QualityMonitor class can emit.
+   * @type {Enum}
+   */
+  static get EVENTS() {
+    return QualityMonitorEvents;
+  }
+
+  /**
+   * Network quality changed event.
+   *
+   * @event QualityMonitor#quality
+   * @type {object}
+   * @property {string} quality - One of 'excellent', 'good', 'poor' or 'bad'.
+   * @property {object} report - The normalized report the quality is computed from.
+   */
+
+  /**
+   * Network quality changed to poor or bad event.
+   *
+   * @event QualityMonitor#networkDegraded
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+
+  /**
+   * Network quality changed from poor or bad to excellent or good event.
+   *
+   * @event QualityMonitor#networkRecovered
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+
+  /**
+   * Received video stopped being decoded event.
+   *
+   * @event QualityMonitor#videoFrozen
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+
+  /**
+   * Received video started being decoded again event.
+   *
+   * @event QualityMonitor#videoResumed
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+
+  /**
+   * Received audio became silent event.
+   *
+   * @event QualityMonitor#audioSilent
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+
+  /**
+   * Received audio is not silent again event.
+   *
+   * @event QualityMonitor#audioResumed
+   * @type {object}
+   * @property {string} quality - The current quality.
+   * @property {object} report - The normalized report.
+   */
+}
+
+export default QualityMonitor;
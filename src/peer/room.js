@@ -1,5 +1,12 @@
 import EventEmitter from 'events';
 import Enum from 'enum';
+import BinaryPack from 'js-binarypack';
+
+import util from '../shared/util';
+import logger from '../shared/logger';
+import config from '../shared/config';
+
+import QualityMonitor from './qualityMonitor';
 
 const Events = [
   'stream',
@@ -10,6 +17,9 @@ const Events = [
   'error',
   'data',
   'log',
+  'reconnecting',
+  'reconnected',
+  'stats',
 ];
 
 const MessageEvents = [
@@ -23,6 +33,7 @@ const MessageEvents = [
 ];
 
 const RoomEvents = new Enum(Events);
+RoomEvents.extend(QualityMonitor.EVENTS.enums);
 const RoomMessageEvents = new Enum(MessageEvents);
 
 /**
@@ -39,10 +50,15 @@ class Room extends EventEmitter {
    * @param {object} [options.pcConfig] - A RTCConfiguration dictionary for the RTCPeerConnection.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track like simulcast layers.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data sent by send().
+   *                  Ignored if the browser does not support CompressionStream.
+   * @param {CryptoKey} [options.encryption] - An AES-GCM CryptoKey shared by the participants
+   *                  to encrypt data sent by send() end-to-end.
    */
   constructor(name, peerId, options = {}) {
     super();
@@ -58,6 +74,148 @@ class Room extends EventEmitter {
     this._localStream = this._options.stream;
 
     this._pcConfig = this._options.pcConfig;
+
+    this._compression = null;
+    if (this._options.compression) {
+      if (!util.validateCompression(this._options.compression)) {
+        throw new Error('Invalid compression');
+      }
+
+      if (util.isCompressionSupported()) {
+        this._compression = this._options.compression;
+      } else {
+        logger.warn('Compression is not supported by this browser.');
+      }
+    }
+
+    // Data is relayed by the server, so the key must be shared by the application
+    this._encryptionKey = null;
+    if (this._options.encryption) {
+      if (!util.validateEncryptionKey(this._options.encryption)) {
+        throw new Error('Invalid encryption');
+      }
+      this._encryptionKey = this._options.encryption;
+    }
+
+    // Promise chains to keep the order of messages while encoding them
+    this._encodingQueue = Promise.resolve();
+    this._decodingQueue = Promise.resolve();
+    this._decodingCount = 0;
+
+    this._opened = util.waitForEvent(this, RoomEvents.open.key, [
+      RoomEvents.close.key,
+    ]);
+    // Not to report the rejection as unhandled if opened is not used
+    this._opened.catch(() => {});
+
+    this._statsTimer = null;
+  }
+
+  /**
+   * Promise that resolves when the room is ready, and rejects if it is closed before that.
+   * @type {Promise<void>}
+   */
+  get opened() {
+    return this._opened;
+  }
+
+  /**
+   * Emit broadcast event to send data to all participants in the room.
+   * If compression or encryption is enabled, the data is packed by BinaryPack,
+   * compressed and encrypted.
+   * @param {*} data - The data to send.
+   * @private
+   */
+  _broadcast(data) {
+    if (!this._compression && !this._encryptionKey) {
+      this.emit(Room.MESSAGE_EVENTS.broadcast.key, {
+        roomName: this.name,
+        data: data,
+      });
+      return;
+    }
+
+    this._encodingQueue = this._encodingQueue
+      .then(async () => {
+        const encodedData = { data: BinaryPack.pack(data) };
+
+        if (this._compression) {
+          encodedData.data = await util.compress(
+            encodedData.data,
+            this._compression
+          );
+          encodedData.compression = this._compression;
+        }
+        if (this._encryptionKey) {
+          encodedData.data = await util.encrypt(
+            encodedData.data,
+            this._encryptionKey
+          );
+          encodedData.encrypted = true;
+        }
+
+        this.emit(Room.MESSAGE_EVENTS.broadcast.key, {
+          roomName: this.name,
+          data: encodedData,
+        });
+      })
+      .catch(err => {
+        logger.error(err);
+        this.emit(Room.EVENTS.error.key, err);
+      });
+  }
+
+  /**
+   * Whether the received data is encoded by _broadcast() or not.
+   * @param {*} data - The received data.
+   * @return {boolean} True if the data is compressed or encrypted.
+   * @private
+   */
+  _isEncodedData(data) {
+    if (
+      !data ||
+      typeof data !== 'object' ||
+      !(data.data instanceof ArrayBuffer)
+    ) {
+      return false;
+    }
+
+    const keys = Object.keys(data);
+    const isCompressed = util.validateCompression(data.compression);
+    const isEncrypted = data.encrypted === true;
+    return (
+      (isCompressed || isEncrypted) &&
+      keys.length === 1 + (isCompressed ? 1 : 0) + (isEncrypted ? 1 : 0)
+    );
+  }
+
+  /**
+   * Decrypt, decompress and unpack the data encoded by _broadcast().
+   * @param {object} encodedData - The received data.
+   * @return {Promise<*>} Promise that resolves with the data sent by the remote peer.
+   * @private
+   */
+  async _decodeData(encodedData) {
+    let data = encodedData.data;
+
+    if (encodedData.encrypted) {
+      try {
+        data = await util.decrypt(data, this._encryptionKey);
+      } catch (e) {
+        const err = new Error('Failed to decrypt received data.');
+        err.type = 'encryption-error';
+        throw err;
+      }
+    }
+    if (encodedData.compression) {
+      data = await util.decompress(
+        data,
+        encodedData.compression,
+        config.dcMaxMessageSize
+      );
+    }
+
+    return BinaryPack.unpack(data);
   }
 
   /**
@@ -73,7 +231,45 @@ class Room extends EventEmitter {
       data: dataMessage.data,
       src: dataMessage.src,
     };
-    this.emit(Room.EVENTS.data.key, message);
+
+    const isEncoded = this._isEncodedData(message.data);
+    const isEncrypted = isEncoded && message.data.encrypted;
+    // Encrypted data can not be decrypted without the key, and plain text
+    // is not accepted with encryption as it may be sent by the server
+    if (!!this._encryptionKey !== !!isEncrypted) {
+      const err = new Error(
+        isEncrypted
+          ? `Received encrypted data from ${message.src} without encryption.`
+          : `Received data from ${message.src} which is not encrypted.`
+      );
+      err.type = 'encryption-error';
+      logger.error(err);
+      this.emit(Room.EVENTS.error.key, err);
+      return;
+    }
+
+    if (!isEncoded && this._decodingCount === 0) {
+      this.emit(Room.EVENTS.data.key, message);
+      return;
+    }
+
+    // Keep the order of data events while decoding
+    this._decodingCount++;
+    this._decodingQueue = this._decodingQueue.then(async () => {
+      try {
+        if (isEncoded) {
+          message.data = await this._decodeData(message.data);
+        }
+      } catch (err) {
+        logger.error(err);
+        this.emit(Room.EVENTS.error.key, err);
+        return;
+      } finally {
+        this._decodingCount--;
+      }
+
+      this.emit(Room.EVENTS.data.key, message);
+    });
   }
 
   /**
@@ -95,6 +291,41 @@ class Room extends EventEmitter {
     this.emit(Room.MESSAGE_EVENTS.getLog.key, message);
   }
 
+  /**
+   * Start emitting stats event with the result of _getTimerStats() periodically.
+   * Subclasses implement _getTimerStats() to compute the deltas apart from getStats().
+   * Do nothing if already started or neither of the intervals is set.
+   * @param {number} [statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {number} [qualityInterval] - Milliseconds between _getTimerStats() calls if statsInterval is not set,
+   *                  for subclasses updating the network quality in it.
+   * @private
+   */
+  _startStatsTimer(statsInterval, qualityInterval) {
+    const interval = statsInterval || qualityInterval;
+    if (!interval || this._statsTimer) {
+      return;
+    }
+
+    this._statsTimer = setInterval(() => {
+      this._getTimerStats()
+        .then(stats => {
+          if (statsInterval) {
+            this.emit(Room.EVENTS.stats.key, stats);
+          }
+        })
+        .catch(err => logger.warn('Failed to get stats, ', err));
+    }, interval);
+  }
+
+  /**
+   * Stop emitting stats event.
+   * @private
+   */
+  _stopStatsTimer() {
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+  }
+
   /**
    * Events the Room class can emit.
    * @type {Enum}
@@ -158,6 +389,44 @@ class Room extends EventEmitter {
    * @type {Array}
    */
 
+  /**
+   * ICE connection is disconnected and being recovered by ICE restarts.
+   * MeshRoom emits it with the peerId of the connection, SFURoom emits it without arguments.
+   *
+   * @event Room#reconnecting
+   * @type {string}
+   */
+
+  /**
+   * ICE connection is recovered.
+   * MeshRoom emits it with the peerId of the connection, SFURoom emits it without arguments.
+   *
+   * @event Room#reconnected
+   * @type {string}
+   */
+
+  /**
+   * Statistics emitted periodically if statsInterval option is set.
+   * MeshRoom emits an object which has peerIds as the keys and the reports as the values,
+   * SFURoom emits the report of the connection to the SFU server.
+   *
+   * @event Room#stats
+   * @type {object}
+   */
+
+  /**
+   * The network quality is changed. Emitted if quality option is set.
+   * networkDegraded, networkRecovered, videoFrozen, videoResumed, audioSilent and audioResumed
+   * are also emitted with the same object. See the events of Connection.
+   * MeshRoom adds the peerId of the connection, SFURoom emits the quality of the connection to the SFU server.
+   *
+   * @event Room#quality
+   * @type {object}
+   * @property {string} quality - One of 'excellent', 'good', 'poor' or 'bad'.
+   * @property {object} report - The normalized stats the quality is computed from.
+   * @property {string} [peerId] - The peerId of the member. Only in MeshRoom.
+   */
+
   /**
    * Connection closed event.
    *
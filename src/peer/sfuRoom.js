@@ -2,9 +2,11 @@ import Enum from 'enum';
 
 import Room from './room';
 import Negotiator from './negotiator';
+import QualityMonitor from './qualityMonitor';
 import logger from '../shared/logger';
 import sdpUtil from '../shared/sdpUtil';
 import util from '../shared/util';
+import statsUtil from '../shared/statsUtil';
 
 const MessageEvents = ['offerRequest', 'candidate'];
 
@@ -27,10 +29,19 @@ class SFURoom extends Room {
    * @param {object} [options.pcConfig] - A RTCConfiguration dictionary for the RTCPeerConnection.
    * @param {number} [options.videoBandwidth] - A max video bandwidth(kbps)
    * @param {number} [options.audioBandwidth] - A max audio bandwidth(kbps)
-   * @param {string} [options.videoCodec] - A video codec like 'H264'
-   * @param {string} [options.audioCodec] - A video codec like 'PCMU'
+   * @param {string|object|Array<string|object>} [options.videoCodec] - Video codecs in the order of preference like ['VP9', 'H264']
+   * @param {string|object|Array<string|object>} [options.audioCodec] - Audio codecs in the order of preference like ['opus', 'PCMU']
    * @param {boolean} [options.videoReceiveEnabled] - A flag to set video recvonly
    * @param {boolean} [options.audioReceiveEnabled] - A flag to set audio recvonly
+   * @param {Array<object>} [options.sendEncodings] - RTCRtpEncodingParameters of the video track
+   *                  like simulcast layers published to the SFU.
+   * @param {string} [options.compression] - 'deflate' or 'gzip' to compress data sent by send().
+   * @param {CryptoKey} [options.encryption] - An AES-GCM CryptoKey shared by the participants to encrypt data.
+   * @param {boolean|object} [options.iceRestart] - Wait for ICE to recover when it is disconnected or failed
+   *                  instead of closing the room.
+   * @param {number} [options.statsInterval] - Milliseconds between stats events. Not emitted if not set.
+   * @param {boolean|object} [options.quality] - Emit network quality events of the connection to the SFU server.
+   *                  See the quality option of Peer.
    */
   constructor(name, peerId, options) {
     super(name, peerId, options);
@@ -41,6 +52,9 @@ class SFURoom extends Room {
     this._open = false;
     this._msidMap = {};
     this._unknownStreams = {};
+    // The previous reports of getStats() and of the stats timer are kept apart
+    this._lastStatsReport = null;
+    this._lastTimerStatsReport = null;
 
     this._negotiator = new Negotiator();
   }
@@ -96,6 +110,9 @@ class SFURoom extends Room {
         stream: this._localStream,
         pcConfig: this._options.pcConfig,
         offer: offer,
+        sendEncodings: this._options.sendEncodings,
+        iceRestart: this._options.iceRestart,
+        quality: this._options.quality,
       });
       this._setupNegotiatorMessageHandlers();
       this._connectionStarted = true;
@@ -161,6 +178,20 @@ class SFURoom extends Room {
       this.close();
     });
 
+    this._negotiator.on(Negotiator.EVENTS.reconnecting.key, () => {
+      this.emit(SFURoom.EVENTS.reconnecting.key);
+    });
+
+    this._negotiator.on(Negotiator.EVENTS.reconnected.key, () => {
+      this.emit(SFURoom.EVENTS.reconnected.key);
+    });
+
+    QualityMonitor.EVENTS.enums.forEach(event => {
+      this._negotiator.on(event.key, qualityEvent => {
+        this.emit(event.key, qualityEvent);
+      });
+    });
+
     this._negotiator.on(Negotiator.EVENTS.iceCandidate.key, candidate => {
       const candidateMessage = {
         roomName: this.name,
@@ -181,7 +212,16 @@ class SFURoom extends Room {
     const src = joinMessage.src;
 
     if (src === this._peerId) {
+      // Joined again after reconnecting to the signalling server, request a new offer to restore the stream
+      if (this._open) {
+        this.call(this._localStream);
+        return;
+      }
       this._open = true;
+      this._startStatsTimer(
+        this._options.statsInterval,
+        QualityMonitor.getInterval(this._options.quality)
+      );
 
       this.call(this._localStream);
       this.emit(SFURoom.EVENTS.open.key);
@@ -233,11 +273,7 @@ class SFURoom extends Room {
       return;
     }
 
-    const message = {
-      roomName: this.name,
-      data: data,
-    };
-    this.emit(SFURoom.MESSAGE_EVENTS.broadcast.key, message);
+    this._broadcast(data);
   }
 
   /**
@@ -253,6 +289,7 @@ class SFURoom extends Room {
     }
 
     this._open = false;
+    this._stopStatsTimer();
 
     const message = {
       roomName: this.name,
@@ -270,6 +307,61 @@ class SFURoom extends Room {
     this._negotiator.replaceStream(newStream);
   }
 
+  /**
+   * Set the encoding parameters of the tracks being sent to the SFU without renegotiation.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} parameters - The parameters to set.
+   * @param {boolean} [parameters.active] - Whether to send the encodings or not.
+   * @param {number} [parameters.maxBitrate] - Max bitrate (bps) of each encoding.
+   * @param {number} [parameters.maxFramerate] - Max framerate of each encoding.
+   * @param {number} [parameters.scaleResolutionDownBy] - Factor to scale down the resolution of each video encoding.
+   * @param {string} [parameters.degradationPreference] - One of 'maintain-framerate', 'maintain-resolution' or 'balanced'.
+   * @param {Array<object>} [parameters.encodings] - Parameters of each encoding like simulcast layers.
+   *                  Matched to the encodings by rid, or by index if rid is not specified.
+   * @return {Promise<void>} Promise that resolves when the parameters are set.
+   */
+  setEncodingParameters(kind, parameters) {
+    return this._negotiator.setEncodingParameters(kind, parameters);
+  }
+
+  /**
+   * Get the statistics of the connection to the SFU server normalized into the quality metrics.
+   * Bitrates and packet loss rates are computed from the deltas to the previous report.
+   * @return {Promise<object>} Promise that resolves with the normalized report.
+   */
+  async getStats() {
+    const report = await this._getNormalizedStats(this._lastStatsReport);
+    this._lastStatsReport = report;
+    return report;
+  }
+
+  /**
+   * Get the report emitted by the stats timer and update the network quality with it.
+   * @return {Promise<object>} Promise that resolves with the normalized report.
+   * @private
+   */
+  async _getTimerStats() {
+    const report = await this._getNormalizedStats(this._lastTimerStatsReport);
+    this._lastTimerStatsReport = report;
+    this._negotiator.updateQuality(report);
+    return report;
+  }
+
+  /**
+   * Get the statistics of the connection to the SFU server normalized with the deltas to the previous report.
+   * @param {object} lastReport - The previous report, or null.
+   * @return {Promise<object>} Promise that resolves with the normalized report.
+   * @private
+   */
+  async _getNormalizedStats(lastReport) {
+    const pc = this._negotiator._pc;
+    if (!this._open || !pc) {
+      throw new Error('Room is not open.');
+    }
+
+    return statsUtil.normalizeReport(await pc.getStats(), lastReport);
+  }
+
   /**
    * Update the entries in the msid to peerId map.
    * @param {Object} msids - Object with msids as the key and peerIds as the values.
@@ -1,7 +1,9 @@
-import io from 'socket.io-client';
 import EventEmitter from 'events';
 import queryString from 'query-string';
 
+import SocketIoTransport from './socketIoTransport';
+import WebSocketTransport from './webSocketTransport';
+
 import config from '../shared/config';
 import logger from '../shared/logger';
 
@@ -22,6 +24,18 @@ class Socket extends EventEmitter {
    * @param {boolean} options.dispatcherSecure - True if dispatcher server supports HTTPS/WSS.
    * @param {string} options.dispatcherHost - The signalling server host.
    * @param {number | string} options.dispatcherPort - The port the signalling server is listening to.
+   * @param {object} [options.reconnect] - Retry and backoff policy for the dispatcher and the signalling server.
+   * @param {number} [options.reconnect.maxAttempts] - Number of reconnection attempts to the same signalling server.
+   * @param {number} [options.reconnect.maxServers] - Number of new signalling servers to try after reconnection failed.
+   * @param {number} [options.reconnect.maxDispatcherAttempts] - Number of requests to the dispatcher before giving up.
+   * @param {number} [options.reconnect.delay] - Milliseconds to wait before the first retry. Doubled after each attempt.
+   * @param {number} [options.reconnect.maxDelay] - Maximum milliseconds to wait between attempts.
+   * @param {number} [options.reconnect.jitter] - Ratio between 0 and 1 of the delay randomly reduced.
+   * @param {number} [options.reconnect.timeout] - Milliseconds to wait for each attempt.
+   * @param {function} [options.reconnect.onGiveUp] - Called with the error when giving up connecting.
+   * @param {string|object} [options.transport='socket.io'] - 'socket.io', 'websocket' or a custom transport
+   *                                                         implementing the interface of SocketIoTransport.
+   *                                                         The dispatcher is not used with a custom transport.
    */
   constructor(key, options) {
     super();
@@ -30,18 +44,39 @@ class Socket extends EventEmitter {
     this._isPeerIdSet = false;
     this._queue = [];
 
-    this._io = null;
+    this._query = '';
     this._key = key;
     this._reconnectAttempts = 0;
+    this._fallbackServers = [];
+
+    this._reconnectOptions = Object.assign(
+      {
+        maxAttempts: config.reconnectionAttempts,
+        maxServers: config.numberServersToTry,
+        maxDispatcherAttempts: config.dispatcherAttempts,
+        delay: config.reconnectionDelay,
+        maxDelay: config.reconnectionDelayMax,
+        jitter: config.reconnectionJitter,
+      },
+      options.reconnect
+    );
+
+    const isCustomTransport =
+      options.transport !== null && typeof options.transport === 'object';
+    this._transport = isCustomTransport
+      ? options.transport
+      : this._createTransport(options.transport);
 
     if (options.host && options.port) {
       const httpProtocol = options.secure ? 'https://' : 'http://';
       this.signalingServerUrl = `${httpProtocol}${options.host}:${options.port}`;
-    } else {
+    } else if (!isCustomTransport) {
       const dispatcherHost = options.dispatcherHost || config.DISPATCHER_HOST;
       const dispatcherPort = options.dispatcherPort || config.DISPATCHER_PORT;
       const dispatcherSecure =
-        options.dispatcherSecure || config.DISPATCHER_SECURE;
+        options.dispatcherSecure === undefined
+          ? config.DISPATCHER_SECURE
+          : options.dispatcherSecure;
 
       const httpProtocol = dispatcherSecure ? 'https://' : 'http://';
       this._dispatcherUrl = `${httpProtocol}${dispatcherHost}:${dispatcherPort}/signaling`;
@@ -53,7 +88,9 @@ class Socket extends EventEmitter {
    * @type {boolean}
    */
   get isOpen() {
-    return Boolean(this._io && this._io.connected && this._isOpen);
+    return Boolean(
+      this._transport && this._transport.connected && this._isOpen
+    );
   }
 
   /**
@@ -87,73 +124,192 @@ class Socket extends EventEmitter {
     if (this._dispatcherUrl) {
       let serverInfo;
       try {
-        serverInfo = await this._getSignalingServer();
+        serverInfo = await this._fetchSignalingServer();
       } catch (err) {
-        this.emit('error', err);
+        this._giveUp(err);
         return;
       }
-      const httpProtocol = serverInfo.secure ? 'https://' : 'http://';
-      this.signalingServerUrl = `${httpProtocol}${serverInfo.host}:${serverInfo.port}`;
+      this._setSignalingServer(serverInfo);
     }
 
-    this._io = io(this.signalingServerUrl, {
-      'force new connection': true,
-      query: query,
-      reconnectionAttempts: config.reconnectionAttempts,
+    this._query = query;
+
+    this._transport.on('reconnectAttempt', attempt => {
+      this.emit('reconnectAttempt', { type: 'signaling', attempt: attempt });
     });
 
-    this._io.on('reconnect_failed', () => {
+    this._transport.on('reconnectFailed', () => {
       this._stopPings();
       this._connectToNewServer();
     });
 
-    this._io.on('error', e => {
+    this._transport.on('error', e => {
       logger.error(e);
     });
 
     this._setupMessageHandlers();
+
+    this._transport.connect(this.signalingServerUrl, this._query);
+  }
+
+  /**
+   * Create the built-in transport with the reconnect options.
+   * @param {string} [type='socket.io'] - 'socket.io' or 'websocket'.
+   * @return {SocketIoTransport|WebSocketTransport} The transport.
+   * @private
+   */
+  _createTransport(type = 'socket.io') {
+    const transportOptions = {
+      reconnectionAttempts: this._reconnectOptions.maxAttempts,
+      reconnectionDelay: this._reconnectOptions.delay,
+      reconnectionDelayMax: this._reconnectOptions.maxDelay,
+      randomizationFactor: this._reconnectOptions.jitter,
+    };
+    // Keep the default of socket.io unless specified
+    if (this._reconnectOptions.timeout) {
+      transportOptions.timeout = this._reconnectOptions.timeout;
+    }
+
+    if (type === 'websocket') {
+      return new WebSocketTransport(transportOptions);
+    }
+    return new SocketIoTransport(transportOptions);
   }
 
   /**
-   * Connect to "new" signaling server. Attempts up to 10 times before giving up and emitting an error on the socket.
-   * @param {number} [numAttempts=0] - Current number of attempts.
+   * Connect to "new" signaling server. The fallback servers returned by the dispatcher
+   * are tried first, then a new one is requested to the dispatcher.
+   * Gives up and emits an error on the socket after trying `reconnect.maxServers` servers.
    * @return {Promise<void>} A promise that resolves with new connection has done.
    * @private
    */
-  async _connectToNewServer(numAttempts = 0) {
-    // max number of attempts to get a new server from the dispatcher.
-    const maxNumberOfAttempts = 10;
-    if (
-      numAttempts >= maxNumberOfAttempts ||
-      this._reconnectAttempts >= config.numberServersToTry
-    ) {
-      this.emit('error', 'Could not connect to server.');
+  async _connectToNewServer() {
+    if (this._reconnectAttempts >= this._reconnectOptions.maxServers) {
+      this._giveUp('Could not connect to server.');
       return;
     }
 
-    // Keep trying until we connect to a new server because consul can take some time to remove from the active list.
-    let serverInfo;
-    try {
-      serverInfo = await this._getSignalingServer();
-    } catch (err) {
-      this.emit('error', err);
-      return;
+    if (this._fallbackServers.length > 0) {
+      const fallbackServer = this._fallbackServers.shift();
+      logger.log(`Trying the fallback signaling server ${fallbackServer.host}`);
+      this.signalingServerUrl = this._getServerUrl(fallbackServer);
+    } else {
+      let serverInfo;
+      try {
+        serverInfo = await this._fetchSignalingServer(true);
+      } catch (err) {
+        this._giveUp(err);
+        return;
+      }
+      this._setSignalingServer(serverInfo);
     }
 
-    if (this.signalingServerUrl.indexOf(serverInfo.host) === -1) {
-      const httpProtocol = serverInfo.secure ? 'https://' : 'http://';
-      this.signalingServerUrl = `${httpProtocol}${serverInfo.host}:${serverInfo.port}`;
+    this._transport.connect(this.signalingServerUrl, this._query);
+    this._reconnectAttempts++;
+  }
 
-      this._io.io.uri = this.signalingServerUrl;
-      this._io.connect();
-      this._reconnectAttempts++;
-    } else {
-      this._connectToNewServer(++numAttempts);
+  /**
+   * Request signaling server info to the dispatcher.
+   * Failed requests are retried up to `reconnect.maxDispatcherAttempts` times with exponential backoff.
+   * @param {boolean} [isNewServerRequired=false] - Also retry if the current signaling server is returned.
+   * @return {Promise<Object>} A promise that resolves with signaling server info
+   *                           and rejects with the last error if every attempt failed.
+   * @private
+   */
+  async _fetchSignalingServer(isNewServerRequired = false) {
+    let lastError;
+
+    for (
+      let attempt = 0;
+      attempt < this._reconnectOptions.maxDispatcherAttempts;
+      attempt++
+    ) {
+      if (attempt > 0) {
+        await new Promise(resolve =>
+          setTimeout(resolve, this._getBackoffDelay(attempt))
+        );
+        this.emit('reconnectAttempt', { type: 'dispatcher', attempt: attempt });
+      }
+
+      try {
+        const serverInfo = await this._getSignalingServer();
+
+        // Consul can take some time to remove the current server from the active list
+        if (
+          !isNewServerRequired ||
+          this.signalingServerUrl.indexOf(serverInfo.host) === -1
+        ) {
+          return serverInfo;
+        }
+        lastError = new Error('Could not connect to server.');
+      } catch (err) {
+        lastError = err;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Set the signaling server returned by the dispatcher to connect to,
+   * and keep its fallback servers to try when the connection failed.
+   * @param {Object} serverInfo - Signaling server info returned by `_getSignalingServer()`.
+   * @private
+   */
+  _setSignalingServer(serverInfo) {
+    this.signalingServerUrl = this._getServerUrl(serverInfo);
+    this._fallbackServers = serverInfo.fallbacks
+      ? serverInfo.fallbacks.slice()
+      : [];
+
+    if (serverInfo.region) {
+      this.region = serverInfo.region;
+      logger.log(`Signaling server region: ${serverInfo.region}`);
     }
   }
 
+  /**
+   * Return the URL of the signaling server.
+   * @param {Object} serverInfo - Signaling server info.
+   * @param {string} serverInfo.host - The host of the server.
+   * @param {number} serverInfo.port - The port of the server.
+   * @param {boolean} serverInfo.secure - True if the server supports HTTPS/WSS.
+   * @return {string} The URL.
+   * @private
+   */
+  _getServerUrl(serverInfo) {
+    const httpProtocol = serverInfo.secure ? 'https://' : 'http://';
+    return `${httpProtocol}${serverInfo.host}:${serverInfo.port}`;
+  }
+
+  /**
+   * Compute the delay before the attempt with exponential backoff and jitter.
+   * @param {number} attempt - The number of the attempt starting from 1.
+   * @return {number} Milliseconds to wait.
+   * @private
+   */
+  _getBackoffDelay(attempt) {
+    const { delay, maxDelay, jitter } = this._reconnectOptions;
+    const backoff = Math.min(delay * Math.pow(2, attempt - 1), maxDelay);
+    return backoff * (1 - jitter * Math.random());
+  }
+
+  /**
+   * Call the onGiveUp callback of the reconnect option and emit an error.
+   * @param {Error|string} err - The reason of giving up.
+   * @private
+   */
+  _giveUp(err) {
+    if (typeof this._reconnectOptions.onGiveUp === 'function') {
+      this._reconnectOptions.onGiveUp(err);
+    }
+    this.emit('error', err);
+  }
+
   /**
    * Return object including signaling server info.
+   * The dispatcher responds with `domain`, and optionally `port` (default 443), `secure` (default true),
+   * `fallbackDomains` served on the same port and `region`.
    * @return {Promise<Object>} A promise that resolves with signaling server info
    and rejects if there's no response or status code isn't 200.
    */
@@ -161,7 +317,8 @@ class Socket extends EventEmitter {
     return new Promise((resolve, reject) => {
       const http = new XMLHttpRequest();
 
-      http.timeout = config.DISPATCHER_TIMEOUT;
+      http.timeout =
+        this._reconnectOptions.timeout || config.DISPATCHER_TIMEOUT;
       http.open('GET', this._dispatcherUrl, true);
       /* istanbul ignore next */
       http.onerror = () => {
@@ -193,7 +350,25 @@ class Socket extends EventEmitter {
         try {
           const res = JSON.parse(http.responseText);
           if (res && res.domain) {
-            resolve({ host: res.domain, port: 443, secure: true });
+            const serverInfo = {
+              host: res.domain,
+              port: res.port || 443,
+              secure: typeof res.secure === 'boolean' ? res.secure : true,
+            };
+            if (
+              Array.isArray(res.fallbackDomains) &&
+              res.fallbackDomains.length > 0
+            ) {
+              serverInfo.fallbacks = res.fallbackDomains.map(domain => ({
+                host: domain,
+                port: serverInfo.port,
+                secure: serverInfo.secure,
+              }));
+            }
+            if (res.region) {
+              serverInfo.region = res.region;
+            }
+            resolve(serverInfo);
             return;
           }
           reject(
@@ -220,7 +395,7 @@ class Socket extends EventEmitter {
    */
   send(type, message) {
     if (!type) {
-      this._io.emit('error', 'Invalid message');
+      logger.error('Invalid message');
       return;
     }
 
@@ -230,18 +405,28 @@ class Socket extends EventEmitter {
       return;
     }
 
-    if (this._io.connected === true) {
-      this._io.emit(type, message);
+    if (this._transport.connected === true) {
+      this._transport.send(type, message);
     }
   }
 
+  /**
+   * Remove queued messages which have not been sent yet.
+   * @param {function} predicate - Called with the type and the message of each queued message. Return true to remove it.
+   */
+  removeQueuedMessages(predicate) {
+    this._queue = this._queue.filter(
+      data => !predicate(data.type, data.message)
+    );
+  }
+
   /**
    * Disconnect from the signalling server.
    */
   close() {
     if (this.isOpen) {
       this._stopPings();
-      this._io.disconnect();
+      this._transport.close();
       this._isOpen = false;
     }
   }
@@ -250,12 +435,12 @@ class Socket extends EventEmitter {
    * Reconnect to the signaling server.
    */
   reconnect() {
-    this._io.connect();
+    this._transport.connect(this.signalingServerUrl, this._query);
   }
 
   /**
    * Update Credential by sending the new credential to the signaling server.
-   * Also set the new one to the Socket.io.opts's query string for reconnection.
+   * Also set the new one to the query string for reconnection.
    * @param {object} newCredential - The new credential generated by user.
    * @param {number} [newCredential.timestamp] - Current UNIX timestamp.
    + @param {number} [newCredential.ttl] - Time to live; The credential expires at timestamp + ttl.
@@ -263,7 +448,7 @@ class Socket extends EventEmitter {
    */
   updateCredential(newCredential) {
     // Parse the current queryString and replace the new credential with old one
-    const parseQuery = queryString.parse(this._io.io.opts.query);
+    const parseQuery = queryString.parse(this._query);
     if (parseQuery.credential) {
       parseQuery.credential = encodeURIComponent(JSON.stringify(newCredential));
     } else {
@@ -271,7 +456,7 @@ class Socket extends EventEmitter {
       // which connection(p2p/turn/sfu) should be authenticated.
       logger.warn("Adding a credential when one wasn't specified before.");
     }
-    this._io.io.opts.query = queryString.stringify(parseQuery);
+    this._setQuery(queryString.stringify(parseQuery));
 
     this.send(config.MESSAGE_TYPES.CLIENT.UPDATE_CREDENTIAL.key, newCredential);
   }
@@ -294,35 +479,52 @@ class Socket extends EventEmitter {
   _setupMessageHandlers() {
     config.MESSAGE_TYPES.SERVER.enums.forEach(type => {
       if (type.key === config.MESSAGE_TYPES.SERVER.OPEN.key) {
-        this._io.on(type.key, openMessage => {
+        this._transport.on(type.key, openMessage => {
           if (!openMessage || !openMessage.peerId) {
             return;
           }
           if (!this._isPeerIdSet) {
             // set peerId for when reconnecting to the server
-            this._io.io.opts.query += `&peerId=${openMessage.peerId}`;
+            this._setQuery(`${this._query}&peerId=${openMessage.peerId}`);
             this._isPeerIdSet = true;
           }
           this._reconnectAttempts = 0;
 
           this._startPings();
-          this._sendQueuedMessages();
-
-          if (!this._isOpen) {
-            this._isOpen = true;
 
-            // To inform the peer that the socket successfully connected
-            this.emit(type.key, openMessage);
+          if (this._isOpen) {
+            // Let the peer restore rooms and connections before sending the messages queued while disconnected
+            this.emit('reconnect', openMessage);
+            this._sendQueuedMessages();
+            return;
           }
+
+          this._sendQueuedMessages();
+          this._isOpen = true;
+
+          // To inform the peer that the socket successfully connected
+          this.emit(type.key, openMessage);
         });
       } else {
-        this._io.on(type.key, message => {
+        this._transport.on(type.key, message => {
           this.emit(type.key, message);
         });
       }
     });
   }
 
+  /**
+   * Set the query string used when reconnecting.
+   * @param {string} query - The query string.
+   * @private
+   */
+  _setQuery(query) {
+    this._query = query;
+    if (typeof this._transport.setQuery === 'function') {
+      this._transport.setQuery(query);
+    }
+  }
+
   /**
    * Send messages that were queued when the client wasn't connected to the signalling server yet.
    * @private
@@ -362,6 +564,24 @@ class Socket extends EventEmitter {
    * @type {Error}
    */
 
+  /**
+   * Retrying to connect to the dispatcher or the signalling server.
+   *
+   * @event Socket#reconnectAttempt
+   * @type {object}
+   * @property {string} type - 'dispatcher' or 'signaling'.
+   * @property {number} attempt - The number of the attempt starting from 1.
+   */
+
+  /**
+   * Socket reconnected to the signalling server after the connection was lost.
+   * Messages queued while disconnected are sent after this event.
+   *
+   * @event Socket#reconnect
+   * @type {object}
+   * @property {string} peerId - The peerId of the client.
+   */
+
   /**
    * Socket opened.
    *
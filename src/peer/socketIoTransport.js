@@ -0,0 +1,105 @@
+import io from 'socket.io-client';
+import EventEmitter from 'events';
+
+import config from '../shared/config';
+
+/**
+ * Signalling transport using socket.io. This is the default transport of Socket.
+ *
+ * A transport connects to the signalling server and exchanges messages typed by config.MESSAGE_TYPES.
+ * Custom transports implement the same interface:
+ * - `connect(url, query)` connects, or reconnects with a new url, to the signalling server.
+ * - `send(type, message)` sends a message to the server.
+ * - `close()` disconnects from the server.
+ * - `connected` is true while connected.
+ * - `setQuery(query)` (optional) updates the query used when reconnecting.
+ * - `on(type, listener)` listens to the messages from the server, and to `reconnectAttempt`,
+ *   `reconnectFailed` and `error` events.
+ * @extends EventEmitter
+ */
+class SocketIoTransport extends EventEmitter {
+  /**
+   * Creates an instance of SocketIoTransport.
+   * @param {object} [options] - Options passed to socket.io.
+   */
+  constructor(options = {}) {
+    super();
+
+    this._options = options;
+    this._io = null;
+  }
+
+  /**
+   * Whether the transport is connected to the signalling server or not.
+   * @type {boolean}
+   */
+  get connected() {
+    return Boolean(this._io && this._io.connected);
+  }
+
+  /**
+   * Connect to the signalling server. If already connected, reconnect to the new url.
+   * @param {string} url - The URL of the signalling server.
+   * @param {string} query - The query string sent when connecting.
+   */
+  connect(url, query) {
+    if (this._io) {
+      this._io.io.uri = url;
+      this._io.io.opts.query = query;
+      this._io.connect();
+      return;
+    }
+
+    this._io = io(
+      url,
+      Object.assign(
+        { 'force new connection': true, query: query },
+        this._options
+      )
+    );
+
+    this._io.on('reconnect_attempt', attempt => {
+      this.emit('reconnectAttempt', attempt);
+    });
+
+    this._io.on('reconnect_failed', () => {
+      this.emit('reconnectFailed');
+    });
+
+    this._io.on('error', e => {
+      this.emit('error', e);
+    });
+
+    config.MESSAGE_TYPES.SERVER.enums.forEach(type => {
+      this._io.on(type.key, message => {
+        this.emit(type.key, message);
+      });
+    });
+  }
+
+  /**
+   * Update the query string used when reconnecting.
+   * @param {string} query - The query string.
+   */
+  setQuery(query) {
+    this._io.io.opts.query = query;
+  }
+
+  /**
+   * Send a message to the signalling server.
+   * @param {string} type - The signalling message type.
+   * @param {string | object} message - The message to send to the server.
+   */
+  send(type, message) {
+    this._io.emit(type, message);
+  }
+
+  /**
+   * Disconnect from the signalling server.
+   */
+  close() {
+    this._io.disconnect();
+  }
+}
+
+export default SocketIoTransport;
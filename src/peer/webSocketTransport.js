@@ -0,0 +1,239 @@
+import EventEmitter from 'events';
+
+import logger from '../shared/logger';
+
+// Key of the object replacing binary data in the JSON frames
+const BINARY_KEY = '__binary__';
+
+/**
+ * Signalling transport using a plain WebSocket.
+ * Each message is sent as a JSON text frame of `{ type, message }`.
+ * ArrayBuffers and typed arrays in the message are sent as `{ __binary__: base64 }`
+ * and received as ArrayBuffers, as socket.io does with binary data.
+ * @extends EventEmitter
+ */
+class WebSocketTransport extends EventEmitter {
+  /**
+   * Creates an instance of WebSocketTransport.
+   * Reconnection options have the same names as the ones of socket.io.
+   * @param {object} [options] - Transport options.
+   * @param {string} [options.path='/ws'] - The path of the WebSocket endpoint.
+   * @param {number} [options.reconnectionAttempts=Infinity] - Number of reconnection attempts before giving up.
+   * @param {number} [options.reconnectionDelay=1000] - Milliseconds to wait before the first reconnection. Doubled after each attempt.
+   * @param {number} [options.reconnectionDelayMax=5000] - Maximum milliseconds to wait between reconnections.
+   * @param {number} [options.randomizationFactor=0.5] - Ratio between 0 and 1 of the delay randomly reduced.
+   */
+  constructor(options = {}) {
+    super();
+
+    this._options = Object.assign(
+      {
+        path: '/ws',
+        reconnectionAttempts: Infinity,
+        reconnectionDelay: 1000,
+        reconnectionDelayMax: 5000,
+        randomizationFactor: 0.5,
+      },
+      options
+    );
+
+    this._ws = null;
+    this._url = null;
+    this._query = '';
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+  }
+
+  /**
+   * Whether the transport is connected to the signalling server or not.
+   * @type {boolean}
+   */
+  get connected() {
+    return Boolean(this._ws && this._ws.readyState === window.WebSocket.OPEN);
+  }
+
+  /**
+   * Connect to the signalling server. If already connected, reconnect to the new url.
+   * @param {string} url - The URL of the signalling server. http(s) is replaced with ws(s).
+   * @param {string} query - The query string sent when connecting.
+   */
+  connect(url, query) {
+    this._url = url.replace(/^http/, 'ws');
+    this._query = query;
+    this._reconnectAttempts = 0;
+
+    this._closeWebSocket();
+    this._openWebSocket();
+  }
+
+  /**
+   * Update the query string used when reconnecting.
+   * @param {string} query - The query string.
+   */
+  setQuery(query) {
+    this._query = query;
+  }
+
+  /**
+   * Send a message to the signalling server.
+   * @param {string} type - The signalling message type.
+   * @param {string | object} message - The message to send to the server.
+   */
+  send(type, message) {
+    if (!this.connected) {
+      return;
+    }
+    this._ws.send(
+      JSON.stringify({ type: type, message: message }, encodeBinary)
+    );
+  }
+
+  /**
+   * Disconnect from the signalling server without reconnecting.
+   */
+  close() {
+    this._closeWebSocket();
+  }
+
+  /**
+   * Open a WebSocket and set up its handlers.
+   * @private
+   */
+  _openWebSocket() {
+    const ws = new window.WebSocket(
+      `${this._url}${this._options.path}?${this._query}`
+    );
+    this._ws = ws;
+
+    ws.onopen = () => {
+      this._reconnectAttempts = 0;
+    };
+
+    ws.onmessage = event => {
+      let data;
+      try {
+        data = JSON.parse(event.data, decodeBinary);
+      } catch (err) {
+        logger.warn('Received a malformed message from the server.');
+        return;
+      }
+      if (data && data.type) {
+        this.emit(data.type, data.message);
+      }
+    };
+
+    ws.onerror = () => {
+      this.emit('error', new Error('WebSocket error.'));
+    };
+
+    ws.onclose = () => {
+      // Closed by close() or replaced by connect()
+      if (this._ws !== ws) {
+        return;
+      }
+      this._ws = null;
+      this._scheduleReconnect();
+    };
+  }
+
+  /**
+   * Close the current WebSocket and cancel reconnection.
+   * @private
+   */
+  _closeWebSocket() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    if (this._ws) {
+      const ws = this._ws;
+      this._ws = null;
+      ws.close();
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff, or emit reconnectFailed after reconnectionAttempts.
+   * @private
+   */
+  _scheduleReconnect() {
+    const {
+      reconnectionAttempts,
+      reconnectionDelay,
+      reconnectionDelayMax,
+      randomizationFactor,
+    } = this._options;
+
+    if (this._reconnectAttempts >= reconnectionAttempts) {
+      this.emit('reconnectFailed');
+      return;
+    }
+    this._reconnectAttempts++;
+
+    const backoff = Math.min(
+      reconnectionDelay * Math.pow(2, this._reconnectAttempts - 1),
+      reconnectionDelayMax
+    );
+    const delay = backoff * (1 - randomizationFactor * Math.random());
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this.emit('reconnectAttempt', this._reconnectAttempts);
+      this._openWebSocket();
+    }, delay);
+  }
+}
+
+/**
+ * JSON.stringify() replacer encoding ArrayBuffers and typed arrays to base64.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value to encode.
+ * @return {*} The value to stringify.
+ * @private
+ */
+function encodeBinary(key, value) {
+  let bytes;
+  if (value instanceof ArrayBuffer) {
+    bytes = new Uint8Array(value);
+  } else if (ArrayBuffer.isView(value)) {
+    bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  } else {
+    return value;
+  }
+
+  // Convert in chunks not to exceed the maximum number of arguments
+  let binaryString = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binaryString += String.fromCharCode.apply(
+      null,
+      bytes.subarray(i, i + 0x8000)
+    );
+  }
+  return { [BINARY_KEY]: window.btoa(binaryString) };
+}
+
+/**
+ * JSON.parse() reviver decoding the values encoded by encodeBinary() to ArrayBuffers.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The parsed value.
+ * @return {*} The decoded value.
+ * @private
+ */
+function decodeBinary(key, value) {
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    typeof value[BINARY_KEY] !== 'string' ||
+    Object.keys(value).length !== 1
+  ) {
+    return value;
+  }
+
+  const binaryString = window.atob(value[BINARY_KEY]);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+export default WebSocketTransport;
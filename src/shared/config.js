@@ -55,8 +55,77 @@ const reconnectionAttempts = 2;
 // Number of times to try changing servers before giving up
 const numberServersToTry = 3;
 
-// Send loop interval in milliseconds
+// Number of requests to the dispatcher before giving up
+const dispatcherAttempts = 10;
+
+// Initial and maximum delay in milliseconds between reconnection attempts, doubled after each attempt
+const reconnectionDelay = 1000;
+const reconnectionDelayMax = 5000;
+// Ratio of the delay randomly reduced to avoid reconnecting at the same time
+const reconnectionJitter = 0.5;
+
+// Delay in milliseconds before retrying a chunk that RTCDataChannel.send() rejected
 const sendInterval = 1;
+// Number of retries of a chunk before giving up sending the buffered data
+const dcSendMaxRetries = 1000;
+
+// Default number of bytes that can be buffered by a DataConnection
+// before send() starts to report that the producer should wait for `drain`
+const dcHighWaterMark = 1024 * 1024;
+
+// Default bufferedAmountLowThreshold set on the RTCDataChannel.
+// Sending is resumed when the buffered amount goes down to this value.
+const dcLowWaterMark = 256 * 1024;
+
+// Default milliseconds to wait for the acknowledgement of DataConnection.sendAsync()
+const dcAckTimeout = 30000;
+
+// Default milliseconds to wait for the response of DataConnection.request()
+const dcRequestTimeout = 30000;
+
+// Number of received parts of a File or a Blob to be moved into a Blob at once
+const dcBlobFlushParts = 64;
+
+// Time to keep incomplete files received by a closed DataConnection for resuming
+const dcResumeTimeout = 60000;
+
+// Default limits for messages received by a DataConnection with binary serialization.
+// BinaryPack can not pack binary data larger than 4GiB.
+const dcMaxMessageSize = 4 * 1024 * 1024 * 1024;
+const dcMaxPartialMessages = 100;
+// Milliseconds to wait for the next chunk of a message
+const dcReassemblyTimeout = 30000;
+// Lost chunks are never retransmitted on unreliable DataConnections
+const dcUnreliableReassemblyTimeout = 3000;
+// Maximum number of ids of cancelled or lost messages remembered to ignore their chunks in flight
+const dcMaxCancelledIds = 1000;
+
+// Number of ICE restarts to try before closing a connection whose ICE is disconnected or failed
+const iceRestartMaxAttempts = 3;
+// Time in milliseconds to wait for ICE to recover after each ICE restart
+const iceRestartTimeout = 10000;
+
+// Milliseconds to wait for the renegotiation applying the bandwidths and the codecs of a MediaConnection
+const mediaOptionsTimeout = 30000;
+
+// Milliseconds between getStats() calls to compute the network quality
+const qualityInterval = 2000;
+// Max RTT(ms), packet loss rate and jitter(ms) of each network quality. Worse than poor is bad.
+const qualityThresholds = {
+  excellent: { rtt: 100, packetLoss: 0.01, jitter: 20 },
+  good: { rtt: 250, packetLoss: 0.03, jitter: 50 },
+  poor: { rtt: 500, packetLoss: 0.1, jitter: 100 },
+};
+// Milliseconds without decoded frames before videoFrozen is emitted
+const videoFreezeDuration = 2000;
+// Milliseconds of the audio level below audioSilenceLevel before audioSilent is emitted
+const audioSilenceDuration = 3000;
+const audioSilenceLevel = 0.001;
+
+// Byte length of the IV prepended to data encrypted with AES-GCM
+const aesGcmIvLength = 12;
+// Curve of ECDH keys to derive an AES-GCM key shared by DataConnections
+const ecdhNamedCurve = 'P-256';
 
 // Ping interval in milliseconds
 const pingInterval = 25000;
@@ -82,7 +151,33 @@ export default {
   maxChunkSize,
   reconnectionAttempts,
   numberServersToTry,
+  dispatcherAttempts,
+  reconnectionDelay,
+  reconnectionDelayMax,
+  reconnectionJitter,
   sendInterval,
+  dcSendMaxRetries,
+  dcHighWaterMark,
+  dcLowWaterMark,
+  dcAckTimeout,
+  dcRequestTimeout,
+  dcBlobFlushParts,
+  dcResumeTimeout,
+  dcMaxMessageSize,
+  dcMaxPartialMessages,
+  dcReassemblyTimeout,
+  dcUnreliableReassemblyTimeout,
+  dcMaxCancelledIds,
+  iceRestartMaxAttempts,
+  iceRestartTimeout,
+  mediaOptionsTimeout,
+  qualityInterval,
+  qualityThresholds,
+  videoFreezeDuration,
+  audioSilenceDuration,
+  audioSilenceLevel,
+  aesGcmIvLength,
+  ecdhNamedCurve,
   pingInterval,
   defaultConfig,
 };
@@ -1,6 +1,8 @@
 import sdpTransform from 'sdp-transform';
 import { Interop } from 'sdp-interop';
 
+import logger from './logger';
+
 /**
  * Class that contains utility functions for SDP munging.
  */
@@ -60,25 +62,48 @@ class SdpUtil {
   }
 
   /**
-   * Remove video codecs in SDP except argument's codec.
-   * If the codec doesn't exist, throw error.
+   * Move video codecs in SDP to the top in the order of preference.
+   * The other codecs are kept to fall back to them if the remote peer does not support the preferred ones.
    * @param {string} sdp - A SDP.
-   * @param {string} codec - Video codec name (e.g. H264)
-   * @return {string} A SDP which contains the codecs except argument's codec
+   * @param {string|object|Array<string|object>} codecs - Video codecs in the order of preference (e.g. ['VP9', 'H264']).
+   *                                                     See preferCodecCapabilities() for the format.
+   * @return {string} A SDP which contains the video codecs in the order of preference
    */
-  filterVideoCodec(sdp, codec) {
-    return this._filterCodec(sdp, codec, 'video');
+  preferVideoCodecs(sdp, codecs) {
+    return this._preferCodecs(sdp, codecs, 'video');
   }
 
   /**
-   * Remove audio codecs in SDP except argument's codec.
-   * If the codec doesn't exist, throw error.
+   * Move audio codecs in SDP to the top in the order of preference.
+   * The other codecs are kept to fall back to them if the remote peer does not support the preferred ones.
    * @param {string} sdp - A SDP.
-   * @param {string} codec - Audio codec name (e.g. PCMU)
-   * @return {string} A SDP which contains the codecs except argument's codec
+   * @param {string|object|Array<string|object>} codecs - Audio codecs in the order of preference (e.g. ['opus', 'PCMU']).
+   *                                                     See preferCodecCapabilities() for the format.
+   * @return {string} A SDP which contains the audio codecs in the order of preference
+   */
+  preferAudioCodecs(sdp, codecs) {
+    return this._preferCodecs(sdp, codecs, 'audio');
+  }
+
+  /**
+   * Move codec capabilities to the top in the order of preference,
+   * to be passed to RTCRtpTransceiver.setCodecPreferences().
+   *
+   * Each codec is a name like 'H264', or an object with the name and fmtp parameters
+   * like `{ name: 'H264', parameters: { 'profile-level-id': '42e01f' } }`.
+   * Names are case insensitive. Only the profile of profile-level-id is compared, not the level.
+   *
+   * @param {RTCRtpCodecCapability[]} capabilities - Codecs returned by RTCRtpReceiver.getCapabilities().
+   * @param {string|object|Array<string|object>} codecs - Codecs in the order of preference.
+   * @return {RTCRtpCodecCapability[]} The capabilities in the order of preference.
    */
-  filterAudioCodec(sdp, codec) {
-    return this._filterCodec(sdp, codec, 'audio');
+  preferCodecCapabilities(capabilities, codecs) {
+    return this._sortByPreference(
+      capabilities,
+      this._normalizeCodecs(codecs),
+      capability => capability.mimeType.split('/')[1],
+      capability => capability.sdpFmtpLine
+    );
   }
 
   /**
@@ -110,62 +135,157 @@ class SdpUtil {
   }
 
   /**
-   * Remove codecs except the codec passed as argument and return the SDP
+   * Move the codecs passed as argument to the top of the payloads and return the SDP.
+   * If none of them exists, the SDP is returned as it is.
    *
    * @param {string} sdp - A SDP.
-   * @param {string} codec - The codec name, case sensitive.
+   * @param {string|object|Array<string|object>} codecs - Codecs in the order of preference.
    * @param {string} mediaType - 'audio' or 'video'
-   * @return {string} A SDP which contains the codecs except argument's codec
+   * @return {string} A SDP which contains the codecs in the order of preference
    * @private
    */
-  _filterCodec(sdp, codec, mediaType) {
-    if (codec === undefined) {
-      throw new Error('codec is not passed');
-    }
-
+  _preferCodecs(sdp, codecs, mediaType) {
+    const preferences = this._normalizeCodecs(codecs);
     const sdpObject = sdpTransform.parse(sdp);
 
     sdpObject.media = sdpObject.media.map(media => {
-      if (media.type === mediaType) {
-        media.rtp = media.rtp.filter(rtp => {
-          return rtp.codec === codec;
-        });
-
-        // Extract the payload number into Array, like [126, 97];
-        // Note, there are cases the length of Array is more than 2.
-        //   e.g. Firefox generates two 'H264' video codecs: 126, 97;
-        //   e.g. Chrome generates three 'CN' audio codecs:  106, 105, 13;
-        const payloadNumbers = media.rtp.reduce((prev, curr) => {
-          return [...prev, curr.payload];
-        }, []);
-
-        // At this point, 0 means there's no codec, so let's throw Error.
-        if (media.rtp.length === 0) {
-          throw new Error(`${codec} does not exist`);
-        }
-
-        // fmtp is optional though most codecs have this parameter.
-        if (media.fmtp) {
-          media.fmtp = media.fmtp.filter(fmtp => {
-            return payloadNumbers.includes(fmtp.payload);
-          });
-        }
+      if (media.type !== mediaType) {
+        return media;
+      }
 
-        // rtcpFb is optional. Especially, m=audio doesn't have rtcpFb.
-        if (media.rtcpFb) {
-          media.rtcpFb = media.rtcpFb.filter(rtcpFb => {
-            return payloadNumbers.includes(rtcpFb.payload);
-          });
+      const fmtps = media.fmtp || [];
+      const payloadNumbers = this._sortByPreference(
+        media.payloads
+          .toString()
+          .split(' ')
+          .map(payload => parseInt(payload)),
+        preferences,
+        payload => {
+          const rtp = media.rtp.find(rtp => rtp.payload === payload);
+          return rtp ? rtp.codec : '';
+        },
+        payload => {
+          const fmtp = fmtps.find(fmtp => fmtp.payload === payload);
+          return fmtp ? fmtp.config : '';
         }
+      );
 
-        media.payloads = payloadNumbers.join(' ');
+      if (payloadNumbers === null) {
+        logger.warn(
+          `None of the ${mediaType} codecs ${preferences
+            .map(codec => codec.name)
+            .join(', ')} exists. Falling back to the default order.`
+        );
+        return media;
       }
+
+      media.payloads = payloadNumbers.join(' ');
       return media;
     });
 
     return sdpTransform.write(sdpObject);
   }
 
+  /**
+   * Convert codecs passed by users to an array of objects.
+   * @param {string|object|Array<string|object>} codecs - Codecs in the order of preference.
+   * @return {Array<object>} Objects containing name and parameters.
+   * @private
+   */
+  _normalizeCodecs(codecs) {
+    if (codecs === undefined) {
+      throw new Error('codec is not passed');
+    }
+
+    return (Array.isArray(codecs) ? codecs : [codecs]).map(codec => {
+      if (typeof codec === 'string') {
+        return { name: codec, parameters: {} };
+      }
+      if (codec && typeof codec.name === 'string') {
+        return { name: codec.name, parameters: codec.parameters || {} };
+      }
+      throw new Error(`${JSON.stringify(codec)} is not a valid codec`);
+    });
+  }
+
+  /**
+   * Stable sort items so that the ones matching the preferences come first in the order of preference.
+   * @param {Array} items - Payload numbers or codec capabilities.
+   * @param {Array<object>} preferences - Normalized codecs in the order of preference.
+   * @param {function} getName - Return the codec name of the item.
+   * @param {function} getFmtp - Return the fmtp parameters of the item like 'profile-id=0'.
+   * @return {Array|null} The sorted items, or null if no item matches the preferences.
+   * @private
+   */
+  _sortByPreference(items, preferences, getName, getFmtp) {
+    const ranks = items.map(item => {
+      const name = getName(item);
+      const parameters = this._parseFmtp(getFmtp(item));
+      const rank = preferences.findIndex(codec =>
+        this._isMatchingCodec(codec, name, parameters)
+      );
+      return rank === -1 ? preferences.length : rank;
+    });
+
+    if (ranks.every(rank => rank === preferences.length)) {
+      return null;
+    }
+
+    return items
+      .map((item, index) => ({ item, rank: ranks[index], index }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Check whether a codec matches the preferred codec.
+   * @param {object} codec - A normalized codec.
+   * @param {string} name - The codec name.
+   * @param {object} parameters - The fmtp parameters of the codec.
+   * @return {boolean} True if the name and all the parameters of the preferred codec match.
+   * @private
+   */
+  _isMatchingCodec(codec, name, parameters) {
+    if (codec.name.toLowerCase() !== (name || '').toLowerCase()) {
+      return false;
+    }
+
+    return Object.keys(codec.parameters).every(key => {
+      const expected = String(codec.parameters[key]).toLowerCase();
+      const actual = parameters[key];
+      if (actual === undefined) {
+        return false;
+      }
+
+      // The first 2 bytes are the profile, and the last byte is the level
+      if (key === 'profile-level-id') {
+        return expected.substr(0, 4) === actual.substr(0, 4);
+      }
+      return expected === actual;
+    });
+  }
+
+  /**
+   * Parse fmtp parameters like 'profile-level-id=42e01f;packetization-mode=1'.
+   * @param {string} [config] - The fmtp parameters.
+   * @return {object} The parameters whose values are lower case strings.
+   * @private
+   */
+  _parseFmtp(config) {
+    const parameters = {};
+    if (!config) {
+      return parameters;
+    }
+
+    for (const param of config.split(';')) {
+      const [key, value] = param.split('=');
+      if (key && value !== undefined) {
+        parameters[key.trim()] = value.trim().toLowerCase();
+      }
+    }
+    return parameters;
+  }
+
   /**
    * Add b=AS to 'm=audio' or 'm=video' section and return the SDP
    *
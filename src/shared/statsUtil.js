@@ -0,0 +1,357 @@
+// Candidate types in the order used to decide the type of a candidate pair
+const CANDIDATE_TYPES = ['relay', 'srflx', 'prflx', 'host'];
+
+/**
+ * Class that contains utility functions to normalize the reports of RTCPeerConnection.getStats().
+ */
+class StatsUtil {
+  /**
+   * Normalize a RTCStatsReport into the quality metrics.
+   * Bitrates and packet loss rates are computed from the deltas to the previous report.
+   * They are null if the previous report is not passed.
+   * @param {RTCStatsReport} stats - The report returned by RTCPeerConnection.getStats().
+   * @param {object} [previous] - The report previously returned by this method for the same RTCPeerConnection.
+   * @return {object} The normalized report.
+   */
+  normalizeReport(stats, previous) {
+    const entries = [];
+    stats.forEach(stat => entries.push(stat));
+
+    const timestamp = entries.reduce(
+      (max, stat) => Math.max(max, stat.timestamp || 0),
+      0
+    );
+    const elapsed = previous ? (timestamp - previous.timestamp) / 1000 : 0;
+
+    const pair = this._getSelectedCandidatePair(stats, entries);
+    const bytesSent =
+      pair && pair.bytesSent !== undefined ? pair.bytesSent : null;
+    const bytesReceived =
+      pair && pair.bytesReceived !== undefined ? pair.bytesReceived : null;
+
+    const report = {
+      timestamp: timestamp,
+      rtt:
+        pair && pair.currentRoundTripTime !== undefined
+          ? pair.currentRoundTripTime * 1000
+          : null,
+      candidatePair: pair ? this._normalizeCandidatePair(stats, pair) : null,
+      bytesSent: bytesSent,
+      bytesReceived: bytesReceived,
+      bitrate: {
+        in: this._getBitrate(
+          bytesReceived,
+          previous && previous.bytesReceived,
+          elapsed
+        ),
+        out: this._getBitrate(
+          bytesSent,
+          previous && previous.bytesSent,
+          elapsed
+        ),
+      },
+    };
+
+    for (const kind of ['audio', 'video']) {
+      const previousKind = previous ? previous[kind] : {};
+      report[kind] = {
+        inbound: this._normalizeInbound(
+          entries,
+          kind,
+          previousKind.inbound,
+          elapsed
+        ),
+        outbound: this._normalizeOutbound(
+          entries,
+          kind,
+          previousKind.outbound,
+          elapsed
+        ),
+      };
+    }
+    report.data = this._normalizeDataChannels(entries);
+
+    return report;
+  }
+
+  /**
+   * Find the candidate pair used to send and receive.
+   * @param {RTCStatsReport} stats - The report returned by getStats().
+   * @param {Array<object>} entries - The stats in the report.
+   * @return {object|null} The stats of the candidate pair.
+   * @private
+   */
+  _getSelectedCandidatePair(stats, entries) {
+    const transport = entries.find(
+      stat => stat.type === 'transport' && stat.selectedCandidatePairId
+    );
+    if (transport) {
+      return stats.get(transport.selectedCandidatePairId) || null;
+    }
+
+    // Firefox marks the pair with selected instead
+    return (
+      entries.find(
+        stat =>
+          stat.type === 'candidate-pair' &&
+          (stat.selected || (stat.nominated && stat.state === 'succeeded'))
+      ) || null
+    );
+  }
+
+  /**
+   * Normalize the candidate pair with its local and remote candidates.
+   * The type of the pair is 'relay' if either candidate is relayed, then 'srflx', 'prflx' and 'host'.
+   * @param {RTCStatsReport} stats - The report returned by getStats().
+   * @param {object} pair - The stats of the candidate pair.
+   * @return {object} The normalized candidate pair.
+   * @private
+   */
+  _normalizeCandidatePair(stats, pair) {
+    const local = this._normalizeCandidate(stats.get(pair.localCandidateId));
+    const remote = this._normalizeCandidate(stats.get(pair.remoteCandidateId));
+
+    const candidateTypes = [local, remote]
+      .filter(candidate => candidate)
+      .map(candidate => candidate.candidateType);
+
+    return {
+      local: local,
+      remote: remote,
+      type: CANDIDATE_TYPES.find(type => candidateTypes.includes(type)) || null,
+    };
+  }
+
+  /**
+   * Pick the fields of a candidate.
+   * @param {object} [candidate] - The stats of the local or remote candidate.
+   * @return {object|null} The normalized candidate.
+   * @private
+   */
+  _normalizeCandidate(candidate) {
+    if (!candidate) {
+      return null;
+    }
+    return {
+      address: candidate.address || candidate.ip || null,
+      port: candidate.port !== undefined ? candidate.port : null,
+      protocol: candidate.protocol || null,
+      candidateType: candidate.candidateType || null,
+      relayProtocol: candidate.relayProtocol || null,
+    };
+  }
+
+  /**
+   * Aggregate the inbound RTP streams of the kind.
+   * @param {Array<object>} entries - The stats in the report.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} [previous] - The normalized inbound stream of the previous report.
+   * @param {number} elapsed - Seconds from the previous report.
+   * @return {object|null} The normalized inbound stream, or null if not receiving the kind.
+   * @private
+   */
+  _normalizeInbound(entries, kind, previous, elapsed) {
+    const rtps = this._findRtpStats(entries, 'inbound-rtp', kind);
+    if (rtps.length === 0) {
+      return null;
+    }
+
+    const stream = this._aggregateRtpStats(
+      rtps,
+      'bytesReceived',
+      'packetsReceived'
+    );
+    stream.packetsLost = this._sum(rtps, 'packetsLost');
+    stream.jitter = this._maxJitter(rtps);
+    stream.rtt = null;
+
+    // Used to detect frozen video and silent audio
+    const decodedRtps = rtps.filter(rtp => rtp.framesDecoded !== undefined);
+    stream.framesDecoded =
+      decodedRtps.length > 0 ? this._sum(decodedRtps, 'framesDecoded') : null;
+    const audioLevels = rtps
+      .filter(rtp => rtp.audioLevel !== undefined)
+      .map(rtp => rtp.audioLevel);
+    stream.audioLevel =
+      audioLevels.length > 0 ? Math.max(...audioLevels) : null;
+
+    return this._addRates(stream, previous, elapsed, true);
+  }
+
+  /**
+   * Aggregate the outbound RTP streams of the kind like simulcast layers.
+   * Packet loss, jitter and RTT are the ones reported by the remote peer.
+   * @param {Array<object>} entries - The stats in the report.
+   * @param {string} kind - 'audio' or 'video'.
+   * @param {object} [previous] - The normalized outbound stream of the previous report.
+   * @param {number} elapsed - Seconds from the previous report.
+   * @return {object|null} The normalized outbound stream, or null if not sending the kind.
+   * @private
+   */
+  _normalizeOutbound(entries, kind, previous, elapsed) {
+    const rtps = this._findRtpStats(entries, 'outbound-rtp', kind);
+    if (rtps.length === 0) {
+      return null;
+    }
+
+    const remoteRtps = this._findRtpStats(
+      entries,
+      'remote-inbound-rtp',
+      kind
+    ).filter(
+      remote => !remote.localId || rtps.some(rtp => rtp.id === remote.localId)
+    );
+
+    const stream = this._aggregateRtpStats(rtps, 'bytesSent', 'packetsSent');
+    stream.packetsLost =
+      remoteRtps.length > 0 ? this._sum(remoteRtps, 'packetsLost') : null;
+    stream.jitter = remoteRtps.length > 0 ? this._maxJitter(remoteRtps) : null;
+
+    const rtts = remoteRtps
+      .filter(remote => remote.roundTripTime !== undefined)
+      .map(remote => remote.roundTripTime * 1000);
+    stream.rtt = rtts.length > 0 ? Math.max(...rtts) : null;
+
+    return this._addRates(stream, previous, elapsed, false);
+  }
+
+  /**
+   * Find the RTP stats of the type and the kind.
+   * @param {Array<object>} entries - The stats in the report.
+   * @param {string} type - The type of the stats like 'inbound-rtp'.
+   * @param {string} kind - 'audio' or 'video'.
+   * @return {Array<object>} The RTP stats.
+   * @private
+   */
+  _findRtpStats(entries, type, kind) {
+    return entries.filter(
+      stat =>
+        stat.type === type &&
+        // mediaType is the old name of kind
+        (stat.kind || stat.mediaType) === kind &&
+        !stat.isRemote
+    );
+  }
+
+  /**
+   * Sum the counters of the RTP streams and pick the frame rate and the resolution of the largest one.
+   * @param {Array<object>} rtps - The RTP stats.
+   * @param {string} bytesKey - 'bytesReceived' or 'bytesSent'.
+   * @param {string} packetsKey - 'packetsReceived' or 'packetsSent'.
+   * @return {object} The aggregated stream.
+   * @private
+   */
+  _aggregateRtpStats(rtps, bytesKey, packetsKey) {
+    const largest = rtps.reduce((largest, rtp) =>
+      (rtp.frameWidth || 0) > (largest.frameWidth || 0) ? rtp : largest
+    );
+
+    return {
+      bytes: this._sum(rtps, bytesKey),
+      packets: this._sum(rtps, packetsKey),
+      frameRate:
+        largest.framesPerSecond !== undefined ? largest.framesPerSecond : null,
+      frameWidth: largest.frameWidth !== undefined ? largest.frameWidth : null,
+      frameHeight:
+        largest.frameHeight !== undefined ? largest.frameHeight : null,
+    };
+  }
+
+  /**
+   * Add the bitrate and the packet loss rate computed from the previous stream.
+   * If the previous stream is not passed, the packet loss rate is computed from the totals.
+   * @param {object} stream - The normalized stream.
+   * @param {object} [previous] - The normalized stream of the previous report.
+   * @param {number} elapsed - Seconds from the previous report.
+   * @param {boolean} isInbound - True if lost packets are not counted in the packets.
+   * @return {object} The stream.
+   * @private
+   */
+  _addRates(stream, previous, elapsed, isInbound) {
+    stream.bitrate = this._getBitrate(
+      stream.bytes,
+      previous && previous.bytes,
+      elapsed
+    );
+
+    let packets = stream.packets;
+    let packetsLost = stream.packetsLost;
+    if (previous && packetsLost !== null && previous.packetsLost !== null) {
+      packets -= previous.packets;
+      packetsLost -= previous.packetsLost;
+    }
+
+    const expected = isInbound ? packets + packetsLost : packets;
+    stream.packetLossRate =
+      packetsLost === null || expected <= 0
+        ? null
+        : Math.max(0, packetsLost) / expected;
+
+    return stream;
+  }
+
+  /**
+   * Aggregate the data channels.
+   * @param {Array<object>} entries - The stats in the report.
+   * @return {object|null} The totals of the data channels, or null if there is no data channel.
+   * @private
+   */
+  _normalizeDataChannels(entries) {
+    const channels = entries.filter(stat => stat.type === 'data-channel');
+    if (channels.length === 0) {
+      return null;
+    }
+    return {
+      bytesSent: this._sum(channels, 'bytesSent'),
+      bytesReceived: this._sum(channels, 'bytesReceived'),
+      messagesSent: this._sum(channels, 'messagesSent'),
+      messagesReceived: this._sum(channels, 'messagesReceived'),
+    };
+  }
+
+  /**
+   * Compute bits per second from the bytes.
+   * @param {number} bytes - The current bytes.
+   * @param {number} [previousBytes] - The bytes of the previous report.
+   * @param {number} elapsed - Seconds from the previous report.
+   * @return {number|null} The bitrate, or null if it can not be computed.
+   * @private
+   */
+  _getBitrate(bytes, previousBytes, elapsed) {
+    if (
+      typeof bytes !== 'number' ||
+      typeof previousBytes !== 'number' ||
+      bytes < previousBytes ||
+      elapsed <= 0
+    ) {
+      return null;
+    }
+    return ((bytes - previousBytes) * 8) / elapsed;
+  }
+
+  /**
+   * Sum a field of the stats.
+   * @param {Array<object>} entries - The stats.
+   * @param {string} key - The field.
+   * @return {number} The sum.
+   * @private
+   */
+  _sum(entries, key) {
+    return entries.reduce((sum, stat) => sum + (stat[key] || 0), 0);
+  }
+
+  /**
+   * Get the max jitter in milliseconds.
+   * @param {Array<object>} entries - The RTP stats.
+   * @return {number|null} The jitter, or null if not reported.
+   * @private
+   */
+  _maxJitter(entries) {
+    const jitters = entries
+      .filter(stat => stat.jitter !== undefined)
+      .map(stat => stat.jitter * 1000);
+    return jitters.length > 0 ? Math.max(...jitters) : null;
+  }
+}
+
+export default new StatsUtil();
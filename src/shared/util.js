@@ -1,5 +1,7 @@
 import { detect } from 'detect-browser';
 
+import config from './config';
+
 /**
  * Validate the Peer ID format.
  * @param {string} [id] - A Peer ID.
@@ -74,6 +76,159 @@ function blobToArrayBuffer(blob, cb) {
   fr.readAsArrayBuffer(blob);
 }
 
+/**
+ * Validate the compression format.
+ * @param {string} format - A compression format.
+ * @return {boolean} True if the format is 'deflate' or 'gzip'. False if not.
+ */
+function validateCompression(format) {
+  return format === 'deflate' || format === 'gzip';
+}
+
+/**
+ * Whether the browser supports CompressionStream and DecompressionStream or not.
+ * @return {boolean} Whether data can be compressed or not.
+ */
+function isCompressionSupported() {
+  return (
+    typeof window.CompressionStream !== 'undefined' &&
+    typeof window.DecompressionStream !== 'undefined'
+  );
+}
+
+/**
+ * Compress data with CompressionStream.
+ * @param {Blob|ArrayBuffer|string} data - The data to be compressed.
+ * @param {string} format - 'deflate' or 'gzip'.
+ * @return {Promise<ArrayBuffer>} Promise that resolves with the compressed data.
+ */
+function compress(data, format) {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new window.CompressionStream(format));
+  return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Decompress data with DecompressionStream.
+ * @param {Blob|ArrayBuffer} data - The compressed data.
+ * @param {string} format - 'deflate' or 'gzip'.
+ * @param {number} [maxSize] - Reject if the decompressed data is larger than this bytes.
+ * @return {Promise<ArrayBuffer>} Promise that resolves with the decompressed data.
+ */
+async function decompress(data, format, maxSize = Infinity) {
+  const reader = new Blob([data])
+    .stream()
+    .pipeThrough(new window.DecompressionStream(format))
+    .getReader();
+
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    size += value.byteLength;
+    if (size > maxSize) {
+      reader.cancel();
+      throw new Error(`Decompressed data is larger than ${maxSize} bytes.`);
+    }
+    chunks.push(value);
+  }
+  return joinArrayBuffers(chunks);
+}
+
+/**
+ * Whether the object is an AES-GCM CryptoKey which can encrypt and decrypt data.
+ * @param {*} key - The object to validate.
+ * @return {boolean} True if the key can be used for encryption. False if not.
+ */
+function validateEncryptionKey(key) {
+  return (
+    typeof window.CryptoKey !== 'undefined' &&
+    key instanceof window.CryptoKey &&
+    key.algorithm.name === 'AES-GCM' &&
+    key.usages.includes('encrypt') &&
+    key.usages.includes('decrypt')
+  );
+}
+
+/**
+ * Encrypt data with AES-GCM.
+ * @param {Blob|ArrayBuffer} data - The data to be encrypted.
+ * @param {CryptoKey} key - An AES-GCM key.
+ * @return {Promise<ArrayBuffer>} Promise that resolves with the IV followed by the encrypted data.
+ */
+async function encrypt(data, key) {
+  const plainData = await new Response(new Blob([data])).arrayBuffer();
+  const iv = window.crypto.getRandomValues(
+    new Uint8Array(config.aesGcmIvLength)
+  );
+  const encryptedData = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: iv },
+    key,
+    plainData
+  );
+  return joinArrayBuffers([iv.buffer, encryptedData]);
+}
+
+/**
+ * Decrypt data encrypted by encrypt().
+ * @param {Blob|ArrayBuffer} data - The IV followed by the encrypted data.
+ * @param {CryptoKey} key - The AES-GCM key used to encrypt the data.
+ * @return {Promise<ArrayBuffer>} Promise that resolves with the decrypted data.
+ */
+async function decrypt(data, key) {
+  const ab = await new Response(new Blob([data])).arrayBuffer();
+  return window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: ab.slice(0, config.aesGcmIvLength) },
+    key,
+    ab.slice(config.aesGcmIvLength)
+  );
+}
+
+/**
+ * Generate an ECDH key pair to derive an AES-GCM key shared with the remote peer.
+ * @return {Promise<Object>} Promise that resolves with the CryptoKeyPair and the public key as JWK.
+ */
+async function generateKeyPair() {
+  const keyPair = await window.crypto.subtle.generateKey(
+    { name: 'ECDH', namedCurve: config.ecdhNamedCurve },
+    false,
+    ['deriveKey']
+  );
+  const publicKey = await window.crypto.subtle.exportKey(
+    'jwk',
+    keyPair.publicKey
+  );
+  return { keyPair, publicKey };
+}
+
+/**
+ * Derive an AES-GCM key from the local private key and the public key of the remote peer.
+ * @param {CryptoKey} privateKey - The private key generated by generateKeyPair().
+ * @param {Object} publicKey - The public key of the remote peer as JWK.
+ * @return {Promise<CryptoKey>} Promise that resolves with the AES-GCM key.
+ */
+async function deriveEncryptionKey(privateKey, publicKey) {
+  const remoteKey = await window.crypto.subtle.importKey(
+    'jwk',
+    publicKey,
+    { name: 'ECDH', namedCurve: config.ecdhNamedCurve },
+    false,
+    []
+  );
+  return window.crypto.subtle.deriveKey(
+    { name: 'ECDH', public: remoteKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
 /**
  * Whether the protocol is https or not.
  * @return {boolean} Whether the protocol is https or not.
@@ -119,6 +274,105 @@ function isPlanBSafari() {
   return true;
 }
 
+/**
+ * Wait for an event of the EventEmitter.
+ * @param {EventEmitter} emitter - The EventEmitter.
+ * @param {string} event - The event to wait for.
+ * @param {string[]} [rejectEvents] - Events which reject the Promise if emitted before the event.
+ * @return {Promise<*>} Promise that resolves with the first argument of the event.
+ */
+function waitForEvent(emitter, event, rejectEvents = []) {
+  return new Promise((resolve, reject) => {
+    const rejectListeners = {};
+    const removeListeners = () => {
+      emitter.removeListener(event, onEvent);
+      for (const rejectEvent of rejectEvents) {
+        emitter.removeListener(rejectEvent, rejectListeners[rejectEvent]);
+      }
+    };
+
+    const onEvent = value => {
+      removeListeners();
+      resolve(value);
+    };
+    emitter.on(event, onEvent);
+
+    for (const rejectEvent of rejectEvents) {
+      rejectListeners[rejectEvent] = err => {
+        removeListeners();
+        reject(
+          err instanceof Error
+            ? err
+            : new Error(`${rejectEvent} was emitted before ${event}.`)
+        );
+      };
+      emitter.on(rejectEvent, rejectListeners[rejectEvent]);
+    }
+  });
+}
+
+/**
+ * Create an async iterator of the events of the EventEmitter, to be used with `for await`.
+ * Events emitted while not iterating are buffered.
+ * @param {EventEmitter} emitter - The EventEmitter.
+ * @param {string} event - The event to iterate.
+ * @param {string[]} [endEvents] - Events which finish the iteration after the buffered events.
+ * @return {object} The async iterator yielding the first argument of each event.
+ */
+function createEventIterator(emitter, event, endEvents = []) {
+  const values = [];
+  const waitingResolvers = [];
+  let isDone = false;
+
+  const finish = () => {
+    isDone = true;
+    emitter.removeListener(event, onEvent);
+    for (const endEvent of endEvents) {
+      emitter.removeListener(endEvent, finish);
+    }
+    while (waitingResolvers.length > 0) {
+      waitingResolvers.shift()({ value: undefined, done: true });
+    }
+  };
+
+  const onEvent = value => {
+    if (waitingResolvers.length > 0) {
+      waitingResolvers.shift()({ value: value, done: false });
+    } else {
+      values.push(value);
+    }
+  };
+
+  emitter.on(event, onEvent);
+  for (const endEvent of endEvents) {
+    emitter.on(endEvent, finish);
+  }
+
+  // Symbol.asyncIterator is not defined in some browsers
+  const asyncIterator =
+    Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+  return {
+    next() {
+      if (values.length > 0) {
+        return Promise.resolve({ value: values.shift(), done: false });
+      }
+      if (isDone) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(resolve => waitingResolvers.push(resolve));
+    },
+    return() {
+      values.length = 0;
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [asyncIterator]() {
+      return this;
+    },
+  };
+}
+
 export default {
   validateId,
   validateKey,
@@ -126,7 +380,18 @@ export default {
   randomToken,
   joinArrayBuffers,
   blobToArrayBuffer,
+  validateCompression,
+  isCompressionSupported,
+  compress,
+  decompress,
+  validateEncryptionKey,
+  encrypt,
+  decrypt,
+  generateKeyPair,
+  deriveEncryptionKey,
   isSecure,
   detectBrowser,
   isPlanBSafari,
+  waitForEvent,
+  createEventIterator,
 };
@@ -8,6 +8,7 @@ import SFURoom from '../src/peer/sfuRoom';
 import MeshRoom from '../src/peer/meshRoom';
 import Room from '../src/peer/room';
 import Socket from '../src/peer/socket';
+import ManualTransport from '../src/peer/manualTransport';
 import util from '../src/shared/util';
 import config from '../src/shared/config';
 import logger from '../src/shared/logger';
@@ -253,6 +254,22 @@ describe('Peer', () => {
           assert.equal(peer.socket.constructor.name, 'Socket');
         });
 
+        it('should pass the transport option to the Socket', () => {
+          const transport = { connect: () => {} };
+          peer = new Peer(peerId, {
+            key: apiKey,
+            host: signalingHost,
+            port: signalingPort,
+            transport: transport,
+          });
+
+          assert(
+            SocketConstructorStub.lastCall.calledWithMatch(peer.options.key, {
+              transport: transport,
+            })
+          );
+        });
+
         it("should abort on a socket 'error'", done => {
           const errMsg = 'test error';
 
@@ -310,6 +327,51 @@ describe('Peer', () => {
     });
   });
 
+  describe('create', () => {
+    it('should resolve with the Peer on open', async () => {
+      const promise = Peer.create(peerId, { key: apiKey });
+      const peer = initializeServerConnectionSpy.thisValues[0];
+
+      peer.socket.emit(config.MESSAGE_TYPES.SERVER.OPEN.key, {
+        peerId: peerId,
+      });
+
+      assert.equal(await promise, peer);
+      assert.equal(peer.id, peerId);
+      peer.destroy();
+    });
+
+    it('should reject and destroy the Peer on error', async () => {
+      const promise = Peer.create(peerId, { key: apiKey });
+      const peer = initializeServerConnectionSpy.thisValues[0];
+      const destroySpy = sinon.spy(peer, 'destroy');
+
+      peer.socket.emit(config.MESSAGE_TYPES.SERVER.ERROR.key, {
+        type: 'unavailable-id',
+        message: 'ID is taken',
+      });
+
+      try {
+        await promise;
+      } catch (err) {
+        assert.equal(err.type, 'unavailable-id');
+        assert.equal(destroySpy.callCount, 1);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject with the error of the constructor', async () => {
+      try {
+        await Peer.create('invalid id!', { key: apiKey });
+      } catch (err) {
+        assert.equal(err.type, 'invalid-id');
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
   describe('call', () => {
     let peer;
     beforeEach(() => {
@@ -509,6 +571,17 @@ describe('Peer', () => {
         assert.equal(roomOptions.pcConfig, peer._pcConfig);
         assert.equal(roomOptions.peerId, peer.id);
       });
+
+      it('should set roomOptions quality to the quality option of Peer if not set', () => {
+        const initMeshRoomStub = sinon.stub(peer, '_initializeFullMeshRoom');
+        peer.options.quality = { interval: 1000 };
+
+        peer.joinRoom(roomName, {});
+        peer.joinRoom(roomName, { quality: false });
+
+        assert.equal(initMeshRoomStub.args[0][1].quality, peer.options.quality);
+        assert.equal(initMeshRoomStub.args[1][1].quality, false);
+      });
     });
 
     describe('when its socket is not open', () => {
@@ -529,6 +602,68 @@ describe('Peer', () => {
     });
   });
 
+  describe('manual signaling', () => {
+    const signal = {
+      type: config.MESSAGE_TYPES.SERVER.OFFER.key,
+      message: { src: 'remotePeerId', dst: peerId },
+    };
+    let peer;
+
+    beforeEach(() => {
+      peer = new Peer(peerId, { transport: 'manual' });
+    });
+
+    it('should pass a ManualTransport to the Socket without the key', () => {
+      assert.equal(SocketConstructorStub.callCount, 1);
+      const transport = SocketConstructorStub.args[0][1].transport;
+      assert(transport instanceof ManualTransport);
+      assert.equal(peer._manualTransport, transport);
+    });
+
+    it('should emit signal events of the transport', done => {
+      peer.on(Peer.EVENTS.signal.key, emittedSignal => {
+        assert.deepEqual(emittedSignal, signal);
+        done();
+      });
+
+      peer._manualTransport.emit('signal', signal);
+    });
+
+    it('should pass signals to the transport on handleSignal', () => {
+      const handleSignalStub = sinon.stub(
+        peer._manualTransport,
+        'handleSignal'
+      );
+
+      peer.handleSignal(signal);
+
+      assert.equal(handleSignalStub.callCount, 1);
+      assert(handleSignalStub.calledWith(signal));
+    });
+
+    it('should emit an error on joinRoom', done => {
+      sinon.stub(peer.socket, 'isOpen').get(() => true);
+
+      peer.on('error', err => {
+        assert.equal(err.type, 'room-error');
+        done();
+      });
+
+      assert.equal(peer.joinRoom('testRoomName'), null);
+    });
+
+    it('should emit an error on handleSignal without manual signaling', done => {
+      const serverPeer = new Peer(peerId, { key: apiKey });
+
+      serverPeer.on('error', err => {
+        assert.equal(err.type, 'signaling-error');
+        done();
+      });
+
+      serverPeer.handleSignal(signal);
+    });
+  });
+
   describe('getConnection', () => {
     let peer;
     beforeEach(() => {
@@ -830,6 +965,15 @@ describe('Peer', () => {
         assert.equal(spy.withArgs([]).callCount, responseCodes.length);
       });
 
+      it('should resolve with the response', async () => {
+        const promise = peer.listAllPeers();
+
+        const peerList = ['peerId1', 'peerId2', 'peerId3'];
+        requests[0].respond(200, {}, JSON.stringify(peerList));
+
+        assert.deepEqual(await promise, peerList);
+      });
+
       it("should not throw an error if cb isn't provided", () => {
         try {
           peer.listAllPeers();
@@ -865,6 +1009,12 @@ describe('Peer', () => {
 
         peer.listAllPeers();
       });
+
+      it('should resolve with an empty array', async () => {
+        peer.on('error', () => {});
+
+        assert.deepEqual(await peer.listAllPeers(), []);
+      });
     });
   });
 
@@ -1277,6 +1427,65 @@ describe('Peer', () => {
             peer.socket.emit(config.MESSAGE_TYPES.SERVER.OFFER.key, offerMsg);
           });
 
+          it('should pass dataConnection option to DataConnection on data OFFER events', done => {
+            peer.options.dataConnection = { maxMessageSize: 10 };
+
+            peer.on(Peer.EVENTS.connection.key, connection => {
+              assert.equal(connection._maxMessageSize, 10);
+              done();
+            });
+
+            const offerMsg = {
+              connectionType: 'data',
+              connectionId: util.randomToken(),
+              src: peerId,
+              metadata: {},
+              offer: {},
+            };
+            peer.socket.emit(config.MESSAGE_TYPES.SERVER.OFFER.key, offerMsg);
+          });
+
+          it('should emit an error on data OFFER events with an unknown serialization', done => {
+            peer.on(Peer.EVENTS.error.key, err => {
+              assert.equal(err.type, 'serialization-error');
+              assert.equal(DataConnectionConstructorSpy.callCount, 0);
+              done();
+            });
+
+            const offerMsg = {
+              connectionType: 'data',
+              connectionId: util.randomToken(),
+              src: peerId,
+              serialization: 'unknown',
+              metadata: {},
+              offer: {},
+            };
+            peer.socket.emit(config.MESSAGE_TYPES.SERVER.OFFER.key, offerMsg);
+          });
+
+          it('should emit an error on data OFFER events with a publicKey and json serialization', done => {
+            const connectionId = util.randomToken();
+            peer._queuedMessages[connectionId] = [{ type: 'CANDIDATE' }];
+
+            peer.on(Peer.EVENTS.error.key, err => {
+              assert.equal(err.type, 'encryption-error');
+              assert.equal(peer.connections[peerId], undefined);
+              assert.equal(peer._queuedMessages[connectionId], undefined);
+              done();
+            });
+
+            const offerMsg = {
+              connectionType: 'data',
+              connectionId: connectionId,
+              src: peerId,
+              serialization: 'json',
+              publicKey: {},
+              metadata: {},
+              offer: {},
+            };
+            peer.socket.emit(config.MESSAGE_TYPES.SERVER.OFFER.key, offerMsg);
+          });
+
           it('should not create a connection if connectType is invalid', () => {
             const connectionId = util.randomToken();
 
@@ -1915,6 +2124,7 @@ describe('Peer', () => {
         sfuRoomInstanceStub.emit(SFURoom.MESSAGE_EVENTS.leave.key, message);
 
         assert.equal(peer.rooms[roomName], undefined);
+        assert.equal(peer._roomJoinMessages[roomName], undefined);
       });
     });
   });
@@ -2105,6 +2315,86 @@ describe('Peer', () => {
     });
   });
 
+  describe('_restoreSession', () => {
+    let peer;
+    beforeEach(() => {
+      peer = new Peer(peerId, {
+        key: apiKey,
+        host: signalingHost,
+        port: signalingPort,
+      });
+      peer.id = peerId;
+    });
+
+    it('should be called on socket reconnect event', () => {
+      const restoreSessionStub = sinon.stub(peer, '_restoreSession');
+
+      peer.socket.emit('reconnect', { peerId: peerId });
+
+      assert.equal(restoreSessionStub.callCount, 1);
+    });
+
+    it('should send ROOM_JOIN messages again', () => {
+      peer._initializeSfuRoom('sfuRoom');
+      peer._initializeFullMeshRoom('meshRoom');
+      peer.socket.send.resetHistory();
+
+      peer._restoreSession();
+
+      assert.equal(peer.socket.send.callCount, 2);
+      assert(
+        peer.socket.send.calledWith(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, {
+          roomName: 'sfuRoom',
+          roomType: 'sfu',
+        })
+      );
+      assert(
+        peer.socket.send.calledWith(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, {
+          roomName: 'meshRoom',
+          roomType: 'mesh',
+        })
+      );
+      assert.equal(meshRoomInstanceStub.resendNegotiationMessages.callCount, 1);
+    });
+
+    it('should remove the queued ROOM_JOIN and ROOM_LEAVE messages of the rooms joined again', () => {
+      const { ROOM_JOIN, ROOM_LEAVE, SEND_OFFER } = config.MESSAGE_TYPES.CLIENT;
+      peer._initializeSfuRoom('sfuRoom');
+
+      peer._restoreSession();
+
+      assert.equal(peer.socket.removeQueuedMessages.callCount, 1);
+      const predicate = peer.socket.removeQueuedMessages.args[0][0];
+      assert(predicate(ROOM_JOIN.key, { roomName: 'sfuRoom' }));
+      assert(predicate(ROOM_LEAVE.key, { roomName: 'sfuRoom' }));
+      assert.equal(predicate(ROOM_LEAVE.key, { roomName: 'leftRoom' }), false);
+      assert.equal(predicate(SEND_OFFER.key, { dst: 'remoteId' }), false);
+      assert(
+        peer.socket.removeQueuedMessages.calledBefore(
+          peer.socket.send.withArgs(ROOM_JOIN.key)
+        )
+      );
+    });
+
+    it('should resend negotiation messages of p2p connections', () => {
+      const connection = { resendNegotiationMessages: sinon.spy() };
+      peer.connections = { remotePeerId: [connection] };
+
+      peer._restoreSession();
+
+      assert.equal(connection.resendNegotiationMessages.callCount, 1);
+    });
+
+    it('should emit a reconnected event with peerId', done => {
+      peer.on(Peer.EVENTS.reconnected.key, id => {
+        assert.equal(id, peerId);
+        done();
+      });
+
+      peer._restoreSession();
+    });
+  });
+
   describe('_abort', () => {
     const type = 'testType';
     const message = 'testMessage';
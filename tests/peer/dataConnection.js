@@ -38,6 +38,7 @@ describe('DataConnection', () => {
       cleanup: cleanupSpy,
       handleAnswer: answerSpy,
       handleCandidate: candidateSpy,
+      updateQuality: sinon.spy(),
     });
     // hoist statics
     negotiatorStub.EVENTS = Negotiator.EVENTS;
@@ -307,6 +308,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 0,
           totalParts: 1,
+          size: BinaryPack.pack(message).size,
           data: BinaryPack.pack(message),
           type: typeof message,
         };
@@ -330,6 +332,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 0,
           totalParts: 1,
+          size: BinaryPack.pack(message).size,
           data: BinaryPack.pack(message),
           type: typeof message,
         };
@@ -356,6 +359,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 0,
           totalParts: 1,
+          size: packedJson.size,
           data: packedJson,
           type: 'json',
         };
@@ -381,6 +385,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 0,
           totalParts: 1,
+          size: BinaryPack.pack(blob).size,
           data: BinaryPack.pack(blob),
           type: blob.type,
         };
@@ -416,6 +421,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 0,
           totalParts: 2,
+          size: packedString.size,
           data: slice1,
           type: typeof slice1,
         };
@@ -423,6 +429,7 @@ describe('DataConnection', () => {
           id: 'test',
           index: 1,
           totalParts: 2,
+          size: packedString.size,
           data: slice2,
           type: typeof slice2,
         };
@@ -445,6 +452,336 @@ describe('DataConnection', () => {
       });
     });
 
+    describe('progress', () => {
+      it('should emit receiveProgress for every chunk', done => {
+        const file = new File(['foobar'], 'testfile', { type: 'text/plain' });
+        const packedFile = BinaryPack.pack(file);
+        const slice1 = packedFile.slice(0, 4);
+        const slice2 = packedFile.slice(4);
+
+        const dataMeta = {
+          id: 'test',
+          totalParts: 2,
+          size: packedFile.size,
+          type: 'File',
+          name: file.name,
+          mimeType: file.type,
+        };
+
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const progresses = [];
+        dc.on(DataConnection.EVENTS.receiveProgress.key, progress => {
+          progresses.push(progress);
+        });
+        dc.on(DataConnection.EVENTS.data.key, () => {
+          assert.equal(progresses.length, 2);
+          assert.equal(progresses[0].id, 'test');
+          assert.equal(progresses[0].name, 'testfile');
+          assert.equal(progresses[0].mimeType, 'text/plain');
+          assert.equal(progresses[0].receivedParts, 1);
+          assert.equal(progresses[0].receivedBytes, 4);
+          assert.equal(progresses[1].receivedParts, 2);
+          assert.equal(progresses[1].totalParts, 2);
+          assert.equal(progresses[1].receivedBytes, packedFile.size);
+          done();
+        });
+
+        const meta1 = Object.assign({ index: 0, data: slice1 }, dataMeta);
+        const meta2 = Object.assign({ index: 1, data: slice2 }, dataMeta);
+        util.blobToArrayBuffer(BinaryPack.pack(meta1), ab1 => {
+          dc._handleDataMessage({ data: ab1 });
+          util.blobToArrayBuffer(BinaryPack.pack(meta2), ab2 => {
+            dc._handleDataMessage({ data: ab2 });
+          });
+        });
+      });
+    });
+
+    describe('transfer', () => {
+      const file = new File(['foobar'], 'testfile', { type: 'text/plain' });
+      const packedFile = BinaryPack.pack(file);
+      const dataMeta = {
+        id: 'test',
+        totalParts: 2,
+        size: packedFile.size,
+        type: 'File',
+        name: file.name,
+        mimeType: file.type,
+      };
+      const meta1 = Object.assign(
+        { index: 0, data: packedFile.slice(0, 4) },
+        dataMeta
+      );
+      const meta2 = Object.assign(
+        { index: 1, data: packedFile.slice(4) },
+        dataMeta
+      );
+
+      it('should accumulate received parts of a File into a File', done => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        dc.on(DataConnection.EVENTS.transfer.key, transfer => {
+          assert.equal(transfer.id, 'test');
+          assert.equal(transfer.name, 'testfile');
+          assert.equal(typeof transfer.pipeTo, 'function');
+        });
+        dc.on(DataConnection.EVENTS.data.key, data => {
+          assert(data instanceof File);
+          assert.equal(data.name, 'testfile');
+          assert.equal(data.type, 'text/plain');
+          assert.deepEqual(dc._receivedData, {});
+
+          util.blobToArrayBuffer(data, ab => {
+            assert.equal(String.fromCharCode(...new Uint8Array(ab)), 'foobar');
+            done();
+          });
+        });
+
+        // Parts arriving out of order are written in order
+        util.blobToArrayBuffer(BinaryPack.pack(meta2), ab2 => {
+          dc._handleDataMessage({ data: ab2 });
+          util.blobToArrayBuffer(BinaryPack.pack(meta1), ab1 => {
+            dc._handleDataMessage({ data: ab1 });
+          });
+        });
+      });
+
+      it('should write received parts to a WritableStream passed to pipeTo()', done => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const chunks = [];
+        const writable = new WritableStream({
+          write(chunk) {
+            chunks.push(...chunk);
+          },
+          close() {
+            assert.equal(String.fromCharCode(...chunks), 'foobar');
+            done();
+          },
+        });
+
+        dc.on(DataConnection.EVENTS.transfer.key, transfer => {
+          transfer.pipeTo(writable);
+        });
+        dc.on(DataConnection.EVENTS.data.key, () => {
+          assert.fail('data should not be emitted');
+        });
+
+        util.blobToArrayBuffer(BinaryPack.pack(meta1), ab1 => {
+          dc._handleDataMessage({ data: ab1 });
+          util.blobToArrayBuffer(BinaryPack.pack(meta2), ab2 => {
+            dc._handleDataMessage({ data: ab2 });
+          });
+        });
+      });
+    });
+
+    describe('limits', () => {
+      const receiveChunk = (dc, dataMeta) => {
+        return new Promise(resolve => {
+          util.blobToArrayBuffer(BinaryPack.pack(dataMeta), ab => {
+            dc._handleDataMessage({ data: ab });
+            resolve();
+          });
+        });
+      };
+
+      it('should emit an error and cancel a message larger than maxMessageSize', done => {
+        const sendSpy = sinon.spy();
+        const dc = new DataConnection('remoteId', { maxMessageSize: 10 });
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+        dc._dc.onopen();
+
+        dc.on(DataConnection.EVENTS.error.key, err => {
+          assert.equal(err.type, 'data-limit');
+          assert.deepEqual(dc._receivedData, {});
+
+          setTimeout(() => {
+            const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+            assert.deepEqual(unpacked, { control: 'cancel', id: 'test' });
+            done();
+          }, 100);
+        });
+
+        receiveChunk(dc, {
+          id: 'test',
+          index: 0,
+          totalParts: 2,
+          size: 11,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        });
+      });
+
+      it('should emit an error if too many messages are being received', async () => {
+        const dc = new DataConnection('remoteId', { maxPartialMessages: 1 });
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const errorSpy = sinon.spy();
+        dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+        const dataMeta = {
+          index: 0,
+          totalParts: 2,
+          size: 8,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        };
+        await receiveChunk(dc, Object.assign({ id: 'test1' }, dataMeta));
+        await receiveChunk(dc, Object.assign({ id: 'test2' }, dataMeta));
+
+        assert(errorSpy.calledOnce);
+        assert.deepEqual(Object.keys(dc._receivedData), ['test1']);
+      });
+
+      it('should emit an error for an invalid or duplicated index', async () => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const errorSpy = sinon.spy();
+        dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+        const dataMeta = {
+          totalParts: 2,
+          size: 8,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        };
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test1', index: 2 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test2', index: 0 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test2', index: 0 }, dataMeta)
+        );
+
+        assert(errorSpy.calledTwice);
+        assert.deepEqual(dc._receivedData, {});
+      });
+
+      it('should emit an error for a size which is not a non-negative integer', async () => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const errorSpy = sinon.spy();
+        dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+        const dataMeta = {
+          index: 0,
+          totalParts: 2,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        };
+        await receiveChunk(dc, Object.assign({ id: 'test1' }, dataMeta));
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test2', size: -8 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test3', size: 7.5 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test4', size: '8' }, dataMeta)
+        );
+
+        assert.equal(errorSpy.callCount, 4);
+        errorSpy.args.forEach(([err]) => assert.equal(err.type, 'data-limit'));
+        assert.deepEqual(dc._receivedData, {});
+      });
+
+      it('should emit an error for totalParts which is not a positive integer', async () => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const errorSpy = sinon.spy();
+        dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+        const dataMeta = {
+          index: 0,
+          size: 8,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        };
+        await receiveChunk(dc, Object.assign({ id: 'test1' }, dataMeta));
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test2', totalParts: 0 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test3', totalParts: 1.5 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test4', totalParts: '2' }, dataMeta)
+        );
+
+        assert.equal(errorSpy.callCount, 4);
+        assert.deepEqual(dc._receivedData, {});
+      });
+
+      it('should emit an error for data without byteLength or size', async () => {
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        const errorSpy = sinon.spy();
+        dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+        const dataMeta = {
+          index: 0,
+          totalParts: 2,
+          size: 8,
+          type: 'string',
+        };
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test1', data: 'foo' }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test2', data: 4 }, dataMeta)
+        );
+        await receiveChunk(
+          dc,
+          Object.assign({ id: 'test3', data: { length: 4 } }, dataMeta)
+        );
+
+        assert.equal(errorSpy.callCount, 3);
+        assert.deepEqual(dc._receivedData, {});
+      });
+
+      it('should discard a message not completed within reassemblyTimeout', done => {
+        const dc = new DataConnection('remoteId', { reassemblyTimeout: 10 });
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+        dc.on(DataConnection.EVENTS.error.key, err => {
+          assert.equal(err.type, 'data-limit');
+          assert.deepEqual(dc._receivedData, {});
+          done();
+        });
+
+        receiveChunk(dc, {
+          id: 'test',
+          index: 0,
+          totalParts: 2,
+          size: 8,
+          data: BinaryPack.pack('foo'),
+          type: 'string',
+        });
+      });
+    });
+
     describe('when serialization is json', () => {
       it('should correctly parse JSON messages', done => {
         const jsonObj = { name: 'testObject' };
@@ -508,6 +845,124 @@ describe('DataConnection', () => {
       dc.send();
     });
 
+    it('should return false and emit drain after reaching highWaterMark', done => {
+      const dcObj = { send: sinon.spy(), bufferedAmount: 0 };
+
+      const dc = new DataConnection('remoteId', {
+        serialization: 'none',
+        highWaterMark: 10,
+        lowWaterMark: 0,
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, dcObj);
+      dc._dc.onopen();
+
+      assert.equal(dcObj.bufferedAmountLowThreshold, 0);
+
+      dc.on(DataConnection.EVENTS.drain.key, () => {
+        assert.equal(dc.bufferedAmount, 0);
+        done();
+      });
+
+      assert.equal(dc.send('foo'), true);
+      dcObj.bufferedAmount = 20;
+      assert.equal(dc.send('bar'), false);
+      assert.equal(dc.bufferedAmount, 23);
+
+      dcObj.bufferedAmount = 0;
+      dcObj.onbufferedamountlow();
+    });
+
+    it('should stop sending while the RTCDataChannel buffer is above highWaterMark', () => {
+      const dcObj = { send: sinon.spy(), bufferedAmount: 100 };
+
+      const dc = new DataConnection('remoteId', {
+        serialization: 'none',
+        highWaterMark: 10,
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, dcObj);
+      dc._dc.onopen();
+
+      dc.send('foo');
+      dc.send('bar');
+      assert.equal(dcObj.send.callCount, 0);
+      assert.equal(dc.bufferedAmount, 106);
+
+      dcObj.bufferedAmount = 0;
+      dcObj.onbufferedamountlow();
+      assert.equal(dcObj.send.callCount, 2);
+      assert.equal(dcObj.send.args[0][0], 'foo');
+      assert.equal(dcObj.send.args[1][0], 'bar');
+    });
+
+    it('should retry a failed chunk without reordering chunks', done => {
+      const sendStub = sinon.stub();
+      sendStub.onFirstCall().throws(new Error('send queue is full'));
+
+      const dc = new DataConnection('remoteId', { serialization: 'none' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sendStub,
+        readyState: 'open',
+      });
+      dc._dc.onopen();
+
+      setTimeout(() => {
+        assert.equal(sendStub.callCount, 3);
+        assert.equal(sendStub.args[1][0], 'foo');
+        assert.equal(sendStub.args[2][0], 'bar');
+        done();
+      }, 100);
+
+      dc.send('foo');
+      dc.send('bar');
+    });
+
+    it('should stop retrying when the RTCDataChannel is not open', done => {
+      const sendStub = sinon.stub().throws(new Error('not open'));
+      const dcObj = { send: sendStub, readyState: 'open' };
+
+      const dc = new DataConnection('remoteId', { serialization: 'none' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, dcObj);
+      dc._dc.onopen();
+      dcObj.readyState = 'closed';
+
+      setTimeout(() => {
+        assert.equal(sendStub.callCount, 1);
+        assert.equal(dc._isSending, false);
+        done();
+      }, 100);
+
+      dc.send('foo');
+    });
+
+    it('should emit an error after retrying a chunk dcSendMaxRetries times', done => {
+      const sendStub = sinon.stub().throws(new Error('send queue is full'));
+      const maxRetriesStub = sinon.stub(config, 'dcSendMaxRetries').value(2);
+
+      const dc = new DataConnection('remoteId', { serialization: 'none' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sendStub,
+        readyState: 'open',
+      });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        maxRetriesStub.restore();
+        assert.equal(err.type, 'send-error');
+        assert.equal(sendStub.callCount, 3);
+        assert.equal(dc.bufferedAmount, 0);
+        done();
+      });
+
+      dc.send('foo');
+    });
+
+    it('should count the bytes of multi-byte strings', () => {
+      const dc = new DataConnection('remoteId', { serialization: 'none' });
+
+      assert.equal(dc._getByteLength('abc'), 3);
+      assert.equal(dc._getByteLength('ほげ'), 6);
+    });
+
     describe('when serialization is binary', () => {
       it('should correctly send string messages', done => {
         const message = 'foobar.　ほげホゲ文字化け。éü£ (ಠل͜ಠ)( ͡° ͜ʖ ͡°)(ง◕ᴥ◕)ง';
@@ -636,6 +1091,33 @@ describe('DataConnection', () => {
 
         dc.send(string);
       });
+
+      it('should emit sendProgress for every chunk', done => {
+        const len = config.maxChunkSize + 1000;
+        const string = new Array(len + 1).join('a');
+
+        const dc = new DataConnection('remoteId', {});
+        dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+          send: sinon.spy(),
+        });
+        dc._dc.onopen();
+
+        const progresses = [];
+        dc.on(DataConnection.EVENTS.sendProgress.key, progress => {
+          progresses.push(progress);
+
+          if (progress.sentParts === progress.totalParts) {
+            assert.equal(progresses.length, 2);
+            assert.equal(progresses[0].sentParts, 1);
+            assert.equal(progresses[0].type, 'String');
+            assert.equal(progress.id, progresses[0].id);
+            assert.equal(progress.sentBytes, progress.size);
+            done();
+          }
+        });
+
+        dc.send(string);
+      });
     });
 
     describe('when serialization is json', () => {
@@ -681,21 +1163,1228 @@ describe('DataConnection', () => {
     });
   });
 
-  describe('Cleanup', () => {
-    it('should close the socket and call the negotiator to cleanup on close()', () => {
-      const dc = new DataConnection('remoteId', {});
+  describe('registerSerialization', () => {
+    it('should throw an error if the serializer is invalid', () => {
+      assert.throws(() => {
+        DataConnection.registerSerialization('invalid', { encode: () => {} });
+      });
+    });
 
-      // Force to be open
-      dc.open = true;
+    it('should encode and decode messages with a registered serializer', done => {
+      DataConnection.registerSerialization('test-text', {
+        encode: data => `text:${data}`,
+        decode: data => data.slice('text:'.length),
+      });
+      const sendSpy = sinon.spy();
 
-      const spy = sinon.spy(dc, 'close');
+      const dc = new DataConnection('remoteId', {
+        serialization: 'test-text',
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
 
-      dc.close();
-      assert(dc);
-      assert(spy.calledOnce);
-      assert.equal(dc.open, false);
+      assert(DataConnection.SERIALIZATIONS.get('test-text'));
+      assert.equal(dc.serialization, 'test-text');
 
-      assert(cleanupSpy.called);
+      dc.on(DataConnection.EVENTS.data.key, data => {
+        assert.equal(data, 'bar');
+
+        setTimeout(() => {
+          assert(sendSpy.calledWith('text:foo'));
+          done();
+        }, 100);
+      });
+
+      dc.send('foo');
+      dc._handleDataMessage({ data: 'text:bar' });
+    });
+
+    it('should chunk data encoded by a chunked serializer', done => {
+      DataConnection.registerSerialization('test-chunked', {
+        encode: data => new TextEncoder().encode(data),
+        decode: ab => new TextDecoder().decode(ab),
+        chunked: true,
+      });
+      const len = config.maxChunkSize + 1000;
+      const string = new Array(len + 1).join('a');
+      const sendSpy = sinon.spy();
+
+      const dc = new DataConnection('remoteId', {
+        serialization: 'test-chunked',
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.data.key, data => {
+        assert.equal(data, string);
+        done();
+      });
+
+      dc.send(string);
+
+      setTimeout(() => {
+        assert(sendSpy.calledTwice);
+        for (const args of sendSpy.args) {
+          dc._handleDataMessage({ data: args[0] });
+        }
+      }, 100);
+    });
+
+    it('should emit an error if the received data can not be decoded', done => {
+      const dc = new DataConnection('remoteId', { serialization: 'json' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        assert.equal(err.type, 'serialization-error');
+        done();
+      });
+
+      dc._handleDataMessage({ data: '{' });
+    });
+  });
+
+  describe('compression', () => {
+    it('should throw an error if the compression is invalid', () => {
+      assert.throws(() => {
+        new DataConnection('remoteId', { compression: 'brotli' });
+      }, /Invalid compression/);
+    });
+
+    it('should compress data and decompress it before emitting data', done => {
+      const data = { foo: 'bar'.repeat(config.maxChunkSize) };
+      const sendSpy = sinon.spy();
+
+      const dc = new DataConnection('remoteId', { compression: 'gzip' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.data.key, receivedData => {
+        assert.deepEqual(receivedData, data);
+        done();
+      });
+
+      dc.send(data);
+
+      setTimeout(() => {
+        // compressed enough to fit in a single chunk
+        assert(sendSpy.calledOnce);
+        const chunk = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.equal(chunk.compression, 'gzip');
+
+        dc._handleDataMessage({ data: sendSpy.args[0][0] });
+      }, 100);
+    });
+  });
+
+  describe('encryption', () => {
+    let key;
+
+    beforeEach(async () => {
+      key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    });
+
+    it('should throw an error if the key is invalid', () => {
+      assert.throws(() => {
+        new DataConnection('remoteId', { encryption: 'foobar' });
+      }, /Invalid encryption/);
+    });
+
+    it('should throw an error if serialization is not chunked', () => {
+      assert.throws(() => {
+        new DataConnection('remoteId', {
+          encryption: key,
+          serialization: 'json',
+        });
+      });
+    });
+
+    it('should encrypt data and decrypt it before emitting data', done => {
+      const data = { foo: 'bar' };
+      const sendSpy = sinon.spy();
+
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.data.key, receivedData => {
+        assert.deepEqual(receivedData, data);
+        done();
+      });
+
+      dc.send(data);
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const chunk = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.equal(chunk.encrypted, true);
+
+        dc._handleDataMessage({ data: sendSpy.args[0][0] });
+      }, 100);
+    });
+
+    it('should emit a Blob sent by send() after decrypting it', done => {
+      const sendSpy = sinon.spy();
+
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.transfer.key, () => {
+        assert.fail('should not start a transfer');
+      });
+      dc.on(DataConnection.EVENTS.data.key, receivedData => {
+        assert(receivedData instanceof Blob);
+        assert.equal(receivedData.type, 'text/plain');
+        util.blobToArrayBuffer(receivedData, ab => {
+          assert.equal(new TextDecoder().decode(ab), 'foobar');
+          done();
+        });
+      });
+
+      dc.send(new Blob(['foobar'], { type: 'text/plain' }));
+
+      setTimeout(() => {
+        dc._handleDataMessage({ data: sendSpy.args[0][0] });
+      }, 100);
+    });
+
+    it('should emit an error if received data is not encrypted', done => {
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.data.key, () => {
+        assert.fail('should not emit data');
+      });
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        assert.equal(err.type, 'encryption-error');
+        done();
+      });
+
+      const chunk = {
+        id: 'plainId',
+        type: 'String',
+        size: 4,
+        totalParts: 1,
+        index: 0,
+        data: BinaryPack.pack('foo'),
+      };
+      util.blobToArrayBuffer(BinaryPack.pack(chunk), ab => {
+        dc._handleDataMessage({ data: ab });
+      });
+    });
+
+    it('should not allow sendFile', done => {
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        assert(err.message.includes('encryption'));
+        done();
+      });
+
+      assert.equal(dc.sendFile(new Blob(['foo'])), null);
+    });
+
+    it('should derive the same key with public keys in the offer and the answer', async () => {
+      const originator = new DataConnection('remoteId', {
+        encryption: 'ecdh',
+      });
+      await originator._prepareKeyExchange();
+      assert(originator._localPublicKey);
+      assert.equal(originator._encryptionKey, null);
+
+      const answerer = new DataConnection('originatorId', {
+        payload: { publicKey: originator._localPublicKey },
+      });
+      assert.equal(answerer._encryption, 'ecdh');
+      await answerer._prepareKeyExchange();
+      assert(answerer._encryptionKey);
+
+      originator._pcAvailable = true;
+      await originator.handleAnswer({ publicKey: answerer._localPublicKey });
+      assert(originator._encryptionKey);
+      assert(answerSpy.calledOnce);
+
+      const data = new TextEncoder().encode('foobar').buffer;
+      const decrypted = await util.decrypt(
+        await util.encrypt(data, originator._encryptionKey),
+        answerer._encryptionKey
+      );
+      assert.deepEqual(new Uint8Array(decrypted), new Uint8Array(data));
+    });
+
+    it('should emit an error if the answer has no public key', async () => {
+      const dc = new DataConnection('remoteId', { encryption: 'ecdh' });
+      await dc._prepareKeyExchange();
+      dc._pcAvailable = true;
+      const errorSpy = sinon.spy();
+      dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+      await dc.handleAnswer({ answer: {} });
+
+      assert(errorSpy.calledOnce);
+      assert.equal(errorSpy.args[0][0].type, 'encryption-error');
+      assert(answerSpy.notCalled);
+      assert(cleanupSpy.calledOnce);
+    });
+  });
+
+  describe('createChannel', () => {
+    let dc;
+    let createDataChannelStub;
+
+    beforeEach(() => {
+      dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      createDataChannelStub = sinon.stub().returns({
+        send: sinon.spy(),
+        close: sinon.spy(),
+      });
+      dc._negotiator._pc = { createDataChannel: createDataChannelStub };
+    });
+
+    it('should create a RTCDataChannel on the same RTCPeerConnection', () => {
+      const channel = dc.createChannel(
+        'telemetry',
+        { maxRetransmits: 0 },
+        { serialization: 'binary-utf8' }
+      );
+
+      assert(channel instanceof DataConnection);
+      assert.equal(channel.label, 'telemetry');
+      assert.equal(channel.remoteId, 'remoteId');
+      assert(
+        createDataChannelStub.calledWith('telemetry', {
+          maxRetransmits: 0,
+          protocol: channel.serialization,
+        })
+      );
+      assert.equal(channel._dc, createDataChannelStub.returnValues[0]);
+
+      channel._dc.onopen();
+      assert.equal(channel.getPeerConnection(), dc._negotiator._pc);
+    });
+
+    it('should emit an error if the connection is not open', done => {
+      dc.open = false;
+      dc.on(DataConnection.EVENTS.error.key, () => {
+        assert(createDataChannelStub.notCalled);
+        done();
+      });
+
+      assert.equal(dc.createChannel('control'), null);
+    });
+
+    it('should emit channel event when the remote peer creates a channel', done => {
+      const remoteDc = {
+        label: 'control',
+        protocol: 'json',
+        ordered: true,
+        maxRetransmits: null,
+        maxPacketLifeTime: null,
+        send: sinon.spy(),
+      };
+
+      dc.on(DataConnection.EVENTS.channel.key, channel => {
+        assert.equal(channel.label, 'control');
+        assert.equal(channel.serialization, 'json');
+        assert.deepEqual(channel.dcInit, { ordered: true });
+        assert.equal(channel._dc, remoteDc);
+        // The main data channel is not replaced
+        assert.notEqual(dc._dc, remoteDc);
+        done();
+      });
+
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, remoteDc);
+    });
+
+    it('should emit an error if the serialization of the remote channel is not registered', done => {
+      const remoteDc = {
+        label: 'control',
+        protocol: 'unknown-serialization',
+        close: sinon.spy(),
+      };
+
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        assert.equal(err.type, 'serialization-error');
+        assert(remoteDc.close.calledOnce);
+        done();
+      });
+
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, remoteDc);
+    });
+
+    it('should close only the RTCDataChannel when the channel is closed', () => {
+      const channel = dc.createChannel('control');
+      channel._dc.onopen();
+
+      channel.close();
+
+      assert(channel._dc.close.calledOnce);
+      assert.equal(channel.open, false);
+      assert.equal(dc.open, true);
+      assert.deepEqual(dc._channels, []);
+    });
+
+    it('should close channels when the connection is closed', () => {
+      const channel = dc.createChannel('control');
+      channel._dc.onopen();
+      const closeSpy = sinon.spy();
+      channel.on(DataConnection.EVENTS.close.key, closeSpy);
+
+      dc.close();
+
+      assert(closeSpy.calledOnce);
+      assert(channel._dc.close.calledOnce);
+    });
+  });
+
+  describe('unreliable mode', () => {
+    const createChunk = (id, index, totalParts, extraMeta = {}) =>
+      new Promise(resolve => {
+        const chunk = Object.assign(
+          {
+            id: id,
+            type: 'String',
+            // 'foobar' is packed into 7 bytes
+            size: 7,
+            totalParts: totalParts,
+            index: index,
+            data: BinaryPack.pack('foobar').slice(index * 3, index * 3 + 3),
+          },
+          extraMeta
+        );
+        util.blobToArrayBuffer(BinaryPack.pack(chunk), resolve);
+      });
+
+    it('should keep the serialization on unreliable mode', () => {
+      const dc = new DataConnection('remoteId', {
+        serialization: 'json',
+        dcInit: { maxRetransmits: 0 },
+      });
+
+      assert.equal(dc.serialization, 'json');
+      assert.equal(dc._reassemblyTimeout, config.dcUnreliableReassemblyTimeout);
+    });
+
+    it('should emit messageLost if a message is not completed within reassemblyTimeout', async () => {
+      const dc = new DataConnection('remoteId', {
+        dcInit: { maxRetransmits: 0 },
+        reassemblyTimeout: 10,
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+      const errorSpy = sinon.spy();
+      dc.on(DataConnection.EVENTS.error.key, errorSpy);
+
+      const lost = new Promise(resolve => {
+        dc.on(DataConnection.EVENTS.messageLost.key, resolve);
+      });
+      dc._handleDataMessage({ data: await createChunk('lostId', 0, 3) });
+
+      const event = await lost;
+      assert.equal(event.id, 'lostId');
+      assert.equal(event.totalParts, 3);
+      assert.equal(event.receivedParts, 1);
+      assert(errorSpy.notCalled);
+      assert.deepEqual(dc._receivedData, {});
+      // Late chunks are ignored
+      dc._handleDataMessage({ data: await createChunk('lostId', 1, 3) });
+      assert.deepEqual(dc._receivedData, {});
+    });
+
+    it('should not keep the ids of lost messages longer than reassemblyTimeout', async () => {
+      const dc = new DataConnection('remoteId', {
+        dcInit: { maxRetransmits: 0 },
+        reassemblyTimeout: 10,
+      });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      const waitForLost = () =>
+        new Promise(resolve => {
+          dc.once(DataConnection.EVENTS.messageLost.key, resolve);
+        });
+
+      let lost = waitForLost();
+      dc._handleDataMessage({ data: await createChunk('first', 0, 3) });
+      await lost;
+      assert(dc._isCancelled('first'));
+
+      lost = waitForLost();
+      dc._handleDataMessage({ data: await createChunk('second', 0, 3) });
+      await lost;
+
+      assert.equal(dc._isCancelled('first'), false);
+      assert.deepEqual(Array.from(dc._cancelledIds.keys()), ['second']);
+    });
+
+    it('should number messages sent by send() with latestWins option', done => {
+      const sendSpy = sinon.spy();
+      const dc = new DataConnection('remoteId', { latestWins: true });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.send('foo');
+      dc.send('bar');
+
+      setTimeout(() => {
+        assert(sendSpy.calledTwice);
+        assert.equal(BinaryPack.unpack(sendSpy.args[0][0]).seq, 1);
+        assert.equal(BinaryPack.unpack(sendSpy.args[1][0]).seq, 2);
+        done();
+      }, 100);
+    });
+
+    it('should drop messages older than the latest received one', async () => {
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+      const dataSpy = sinon.spy();
+      dc.on(DataConnection.EVENTS.data.key, dataSpy);
+
+      // Message 1 is being received when message 2 is completed
+      dc._handleDataMessage({
+        data: await createChunk('first', 0, 3, { seq: 1 }),
+      });
+      for (let index = 0; index < 3; index++) {
+        dc._handleDataMessage({
+          data: await createChunk('second', index, 3, { seq: 2 }),
+        });
+      }
+      dc._handleDataMessage({
+        data: await createChunk('first', 1, 3, { seq: 1 }),
+      });
+      dc._handleDataMessage({
+        data: await createChunk('zeroth', 0, 3, { seq: 0 }),
+      });
+
+      assert(dataSpy.calledOnce);
+      assert.equal(dataSpy.args[0][0], 'foobar');
+      assert.deepEqual(dc._receivedData, {});
+    });
+  });
+
+  describe('request', () => {
+    let local;
+    let remote;
+
+    beforeEach(() => {
+      local = new DataConnection('remoteId', {});
+      remote = new DataConnection('localId', {});
+      // Deliver chunks to each other
+      local._setDataChannel({
+        send: data => remote._handleDataMessage({ data }),
+      });
+      remote._setDataChannel({
+        send: data => local._handleDataMessage({ data }),
+      });
+      local._dc.onopen();
+      remote._dc.onopen();
+    });
+
+    it('should resolve with the result of the handler', async () => {
+      const dataSpy = sinon.spy();
+      remote.on(DataConnection.EVENTS.data.key, dataSpy);
+      remote.handle('add', ({ a, b }) => a + b);
+
+      const result = await local.request('add', { a: 1, b: 2 });
+
+      assert.equal(result, 3);
+      assert(dataSpy.notCalled);
+      assert.deepEqual(local._pendingRequests, {});
+    });
+
+    it('should resolve with the value of the Promise returned by the handler', async () => {
+      remote.handle('echo', params => Promise.resolve(params));
+
+      const result = await local.request('echo', 'foobar');
+
+      assert.equal(result, 'foobar');
+    });
+
+    it('should reject with the message of the error thrown by the handler', async () => {
+      remote.handle('fail', () => {
+        throw new Error('Something went wrong');
+      });
+
+      try {
+        await local.request('fail');
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert.equal(err.type, 'rpc-error');
+        assert.equal(err.message, 'Something went wrong');
+      }
+    });
+
+    it('should reject if the method is not handled', async () => {
+      remote.handle('foo', () => {});
+      remote.handle('foo');
+
+      try {
+        await local.request('foo');
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert.equal(err.type, 'rpc-error');
+      }
+    });
+
+    it('should reject if the response does not arrive before timeout', done => {
+      local._dc.send = sinon.spy();
+
+      local.request('foo', null, { timeout: 10 }).catch(err => {
+        assert(err instanceof Error);
+        assert.deepEqual(local._pendingRequests, {});
+        done();
+      });
+    });
+
+    it('should reject pending requests on close()', done => {
+      local._dc.send = sinon.spy();
+
+      local.request('foo').catch(err => {
+        assert(err instanceof Error);
+        done();
+      });
+      local.close();
+    });
+
+    it('should reject if the request fails to be encrypted', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+      const errorSpy = sinon.spy();
+      dc.on(DataConnection.EVENTS.error.key, errorSpy);
+      const encryptStub = sinon
+        .stub(util, 'encrypt')
+        .rejects(new Error('Failed to encrypt'));
+
+      try {
+        await dc.request('add', { a: 1, b: 2 });
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert.equal(err.message, 'Failed to encrypt');
+      } finally {
+        encryptStub.restore();
+      }
+      assert.deepEqual(dc._pendingRequests, {});
+      assert.equal(errorSpy.callCount, 0);
+    });
+
+    it('should reject if the params can not be serialized', async () => {
+      const params = {};
+      params.self = params;
+
+      try {
+        await local.request('foo', params);
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert(err instanceof Error);
+        assert.notEqual(err.message, 'should not be resolved');
+      }
+      assert.deepEqual(local._pendingRequests, {});
+    });
+
+    it('should reject if serialization is not chunked', done => {
+      const dc = new DataConnection('remoteId', { serialization: 'json' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.request('foo').catch(err => {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+  });
+
+  describe('sendAsync', () => {
+    it('should reject if serialization is not binary', done => {
+      const dc = new DataConnection('remoteId', { serialization: 'json' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.sendAsync({ foo: 'bar' }).catch(err => {
+        assert(err instanceof Error);
+        done();
+      });
+    });
+
+    it('should send chunks with ack flag and resolve on ack message', done => {
+      const sendSpy = sinon.spy();
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.sendAsync('foobar').then(() => {
+        assert.deepEqual(dc._pendingAcks, {});
+        done();
+      });
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.equal(unpacked.ack, true);
+
+        const ackMessage = { control: 'ack', id: unpacked.id };
+        util.blobToArrayBuffer(BinaryPack.pack(ackMessage), ab => {
+          dc._handleDataMessage({ data: ab });
+        });
+      }, 100);
+    });
+
+    it('should reject if ack does not arrive before timeout', done => {
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.sendAsync('foobar', { timeout: 10 }).catch(err => {
+        assert(err instanceof Error);
+        assert.deepEqual(dc._pendingAcks, {});
+        done();
+      });
+    });
+
+    it('should reject if the data fails to be encrypted', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+      const errorSpy = sinon.spy();
+      dc.on(DataConnection.EVENTS.error.key, errorSpy);
+      const encryptStub = sinon
+        .stub(util, 'encrypt')
+        .rejects(new Error('Failed to encrypt'));
+
+      try {
+        await dc.sendAsync('foobar');
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert.equal(err.message, 'Failed to encrypt');
+      } finally {
+        encryptStub.restore();
+      }
+      assert.deepEqual(dc._pendingAcks, {});
+      assert.equal(errorSpy.callCount, 0);
+    });
+
+    it('should reject if the connection is closed while encoding', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const dc = new DataConnection('remoteId', { encryption: key });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      const promise = dc.sendAsync('foobar');
+      dc.open = false;
+
+      try {
+        await promise;
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert(/Connection closed/.test(err.message));
+      }
+      assert.deepEqual(dc._pendingAcks, {});
+    });
+
+    it('should reject pending promises on close()', done => {
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+      });
+      dc._dc.onopen();
+
+      dc.sendAsync('foobar').catch(err => {
+        assert(err instanceof Error);
+        done();
+      });
+      dc.close();
+    });
+
+    it('should send ack message after reassembling a message with ack flag', done => {
+      const sendSpy = sinon.spy();
+      const dataMeta = {
+        id: 'test',
+        index: 0,
+        totalParts: 1,
+        size: BinaryPack.pack('foobar').size,
+        data: BinaryPack.pack('foobar'),
+        type: 'string',
+        ack: true,
+      };
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.deepEqual(unpacked, { control: 'ack', id: 'test' });
+        done();
+      }, 100);
+
+      util.blobToArrayBuffer(BinaryPack.pack(dataMeta), ab => {
+        dc._handleDataMessage({ data: ab });
+      });
+    });
+  });
+
+  describe('sendFile', () => {
+    it('should send a File in the same format as send()', done => {
+      const sendSpy = sinon.spy();
+      const file = new File(['foobar'], 'testfile', { type: 'text/plain' });
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      const id = dc.sendFile(file);
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.equal(unpacked.id, id);
+        assert.equal(unpacked.type, 'File');
+        assert.equal(unpacked.name, 'testfile');
+        assert.equal(unpacked.mimeType, 'text/plain');
+        assert.equal(unpacked.totalParts, 1);
+        const unpackedFile = new Uint8Array(BinaryPack.unpack(unpacked.data));
+        assert.equal(String.fromCharCode(...unpackedFile), 'foobar');
+        done();
+      }, 100);
+    });
+
+    it('should not queue chunks while the buffered amount is above highWaterMark', done => {
+      const sendSpy = sinon.spy();
+      const len = config.maxChunkSize * 3;
+      const file = new File([new Array(len + 1).join('a')], 'testfile');
+
+      const dc = new DataConnection('remoteId', { highWaterMark: 1 });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sendSpy,
+        bufferedAmount: 10,
+      });
+      dc._dc.onopen();
+
+      dc.sendFile(file);
+
+      setTimeout(() => {
+        assert.equal(dc._sendBuffer.length, 0);
+        assert.equal(sendSpy.callCount, 0);
+        done();
+      }, 100);
+    });
+
+    it('should emit an error if serialization is not binary', done => {
+      const dc = new DataConnection('remoteId', { serialization: 'json' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+      dc._dc.onopen();
+
+      dc.on(DataConnection.EVENTS.error.key, err => {
+        assert(err instanceof Error);
+        done();
+      });
+
+      assert.equal(dc.sendFile(new Blob(['foobar'])), null);
+    });
+  });
+
+  describe('sendStream', () => {
+    it('should re-chunk a stream and send totalParts with the last chunk', done => {
+      const sendSpy = sinon.spy();
+      const len = config.maxChunkSize + 100;
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new Uint8Array(len));
+          controller.enqueue(new Uint8Array(10).buffer);
+          controller.close();
+        },
+      });
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      const id = dc.sendStream(stream, {
+        name: 'testfile',
+        mimeType: 'text/plain',
+      });
+
+      setTimeout(() => {
+        assert(sendSpy.calledTwice);
+        const unpacked1 = BinaryPack.unpack(sendSpy.args[0][0]);
+        const unpacked2 = BinaryPack.unpack(sendSpy.args[1][0]);
+        assert.equal(unpacked1.id, id);
+        assert.equal(unpacked1.stream, true);
+        assert.equal(unpacked1.type, 'File');
+        assert.equal(unpacked1.name, 'testfile');
+        assert.equal(unpacked1.totalParts, undefined);
+        assert.equal(unpacked2.index, 1);
+        assert.equal(unpacked2.totalParts, 2);
+        assert.equal(
+          unpacked1.data.byteLength + unpacked2.data.byteLength,
+          len + 10
+        );
+        done();
+      }, 100);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should purge queued chunks and send a cancel message', done => {
+      const sendSpy = sinon.spy();
+      const len = config.maxChunkSize * 3;
+      const string = new Array(len + 1).join('a');
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sendSpy,
+        bufferedAmount: Infinity,
+      });
+      dc._dc.onopen();
+
+      const id = dc._sendChunks(string);
+      dc.cancel(id);
+
+      assert.equal(dc._sendBuffer.length, 1);
+      assert.equal(dc._sendBuffer[0].id, undefined);
+
+      dc._dc.bufferedAmount = 0;
+      dc._dc.onbufferedamountlow();
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.deepEqual(unpacked, { control: 'cancel', id: id });
+        done();
+      }, 100);
+    });
+
+    it('should drop received parts and emit cancel on a cancel message', done => {
+      const dataMeta = {
+        id: 'test',
+        index: 0,
+        totalParts: 2,
+        size: 8,
+        data: BinaryPack.pack('foo'),
+        type: 'string',
+      };
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+      dc.on(DataConnection.EVENTS.cancel.key, event => {
+        assert.equal(event.id, 'test');
+        assert.deepEqual(dc._receivedData, {});
+        done();
+      });
+
+      util.blobToArrayBuffer(BinaryPack.pack(dataMeta), ab => {
+        dc._handleDataMessage({ data: ab });
+        assert(dc._receivedData.test);
+
+        const cancelMessage = { control: 'cancel', id: 'test' };
+        util.blobToArrayBuffer(BinaryPack.pack(cancelMessage), ab => {
+          dc._handleDataMessage({ data: ab });
+        });
+      });
+    });
+
+    it('should forget the cancelled ids after reassemblyTimeout', () => {
+      const clock = sinon.useFakeTimers();
+      const dc = new DataConnection('remoteId', { reassemblyTimeout: 1000 });
+
+      dc.cancel('old');
+      clock.tick(500);
+      dc.cancel('new');
+      assert(dc._isCancelled('old'));
+
+      clock.tick(500);
+      assert.equal(dc._isCancelled('old'), false);
+      assert(dc._isCancelled('new'));
+
+      dc.cancel('newer');
+      assert.deepEqual(Array.from(dc._cancelledIds.keys()), ['new', 'newer']);
+      clock.restore();
+    });
+
+    it('should evict the oldest cancelled ids over dcMaxCancelledIds', () => {
+      const maxCancelledIdsStub = sinon
+        .stub(config, 'dcMaxCancelledIds')
+        .value(2);
+      const dc = new DataConnection('remoteId', {});
+
+      dc.cancel('a');
+      dc.cancel('b');
+      dc.cancel('c');
+      maxCancelledIdsStub.restore();
+
+      assert.deepEqual(Array.from(dc._cancelledIds.keys()), ['b', 'c']);
+      assert.equal(dc._isCancelled('a'), false);
+    });
+  });
+
+  describe('resumeFile', () => {
+    it('should send the parts after the index the remote peer replied', done => {
+      const sendSpy = sinon.spy();
+      const len = config.maxChunkSize * 2;
+      const file = new File([new Array(len + 1).join('a')], 'testfile');
+
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      dc.resumeFile(file, 'test');
+
+      setTimeout(() => {
+        assert(sendSpy.calledOnce);
+        const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+        assert.deepEqual(unpacked, { control: 'resume', id: 'test' });
+
+        const resumeFromMessage = {
+          control: 'resumeFrom',
+          id: 'test',
+          index: 1,
+        };
+        util.blobToArrayBuffer(BinaryPack.pack(resumeFromMessage), ab => {
+          dc._handleDataMessage({ data: ab });
+        });
+
+        setTimeout(() => {
+          const chunks = sendSpy.args
+            .slice(1)
+            .map(args => BinaryPack.unpack(args[0]));
+          assert.equal(chunks[0].id, 'test');
+          assert.equal(chunks[0].index, 1);
+          assert.equal(
+            chunks[chunks.length - 1].index,
+            chunks[0].totalParts - 1
+          );
+          done();
+        }, 100);
+      }, 100);
+    });
+
+    it('should resume a File received by a closed connection from the same peer', done => {
+      const file = new File(['foobar'], 'testfile', { type: 'text/plain' });
+      const packedFile = BinaryPack.pack(file);
+      const dataMeta = {
+        id: 'test',
+        totalParts: 2,
+        size: packedFile.size,
+        type: 'File',
+        name: file.name,
+        mimeType: file.type,
+      };
+      const meta1 = Object.assign(
+        { index: 0, data: packedFile.slice(0, 4) },
+        dataMeta
+      );
+
+      const closedDc = new DataConnection('remoteId', {});
+      closedDc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+      closedDc._dc.onopen();
+
+      const sendSpy = sinon.spy();
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, { send: sendSpy });
+      dc._dc.onopen();
+
+      util.blobToArrayBuffer(BinaryPack.pack(meta1), ab1 => {
+        closedDc._handleDataMessage({ data: ab1 });
+        closedDc.close();
+
+        const resumeMessage = { control: 'resume', id: 'test' };
+        util.blobToArrayBuffer(BinaryPack.pack(resumeMessage), ab => {
+          dc._handleDataMessage({ data: ab });
+
+          setTimeout(() => {
+            const unpacked = BinaryPack.unpack(sendSpy.args[0][0]);
+            assert.deepEqual(unpacked, {
+              control: 'resumeFrom',
+              id: 'test',
+              index: 1,
+            });
+            assert(dc._receivedData.test);
+            done();
+          }, 100);
+        });
+      });
+    });
+  });
+
+  describe('ready', () => {
+    it('should resolve when the DataConnection is open', async () => {
+      const dc = new DataConnection('remoteId', {});
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+      dc._dc.onopen();
+
+      await dc.ready;
+      assert.equal(dc.open, true);
+    });
+
+    it('should reject if the DataConnection is closed before open', async () => {
+      const dc = new DataConnection('remoteId', {});
+      // Force to be open
+      dc.open = true;
+
+      dc.close();
+
+      try {
+        await dc.ready;
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
+  describe('messages', () => {
+    it('should yield received data until the DataConnection is closed', async () => {
+      const dc = new DataConnection('remoteId', { serialization: 'json' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+      dc._dc.onopen();
+
+      const messages = dc.messages();
+      dc._handleDataMessage({ data: JSON.stringify({ name: 'first' }) });
+      dc._handleDataMessage({ data: JSON.stringify({ name: 'second' }) });
+
+      const received = [];
+      setTimeout(() => dc.close(), 0);
+      for (;;) {
+        const { value, done } = await messages.next();
+        if (done) {
+          break;
+        }
+        received.push(value);
+      }
+
+      assert.deepEqual(received, [{ name: 'first' }, { name: 'second' }]);
+      assert.equal(dc.listenerCount(DataConnection.EVENTS.data.key), 0);
+    });
+  });
+
+  describe('stats', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should emit stats event periodically after open if statsInterval is set', async () => {
+      const dc = new DataConnection('remoteId', { statsInterval: 1000 });
+      const report = { rtt: 10 };
+      const getStatsStub = sinon
+        .stub(dc, '_getNormalizedStats')
+        .resolves(report);
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+
+      clock.tick(1000);
+      assert.equal(getStatsStub.callCount, 0);
+
+      dc._dc.onopen();
+      const statsPromise = new Promise(resolve =>
+        dc.once(DataConnection.EVENTS.stats.key, resolve)
+      );
+      clock.tick(1000);
+
+      assert.equal(await statsPromise, report);
+    });
+
+    it('should not emit stats event if statsInterval is not set', () => {
+      const dc = new DataConnection('remoteId', {});
+      const getStatsSpy = sinon.spy(dc, '_getNormalizedStats');
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {});
+      dc._dc.onopen();
+
+      clock.tick(10000);
+
+      assert.equal(getStatsSpy.callCount, 0);
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should close the socket and call the negotiator to cleanup on close()', () => {
+      const dc = new DataConnection('remoteId', {});
+
+      // Force to be open
+      dc.open = true;
+
+      const spy = sinon.spy(dc, 'close');
+
+      dc.close();
+      assert(dc);
+      assert(spy.calledOnce);
+      assert.equal(dc.open, false);
+
+      assert(cleanupSpy.called);
+    });
+
+    it('should clear the send buffer on close()', () => {
+      const dc = new DataConnection('remoteId', { serialization: 'none' });
+      dc._negotiator.emit(Negotiator.EVENTS.dcCreated.key, {
+        send: sinon.spy(),
+        bufferedAmount: config.dcHighWaterMark + 1,
+      });
+      dc._dc.onopen();
+
+      dc.send('foobar');
+      assert.equal(dc._sendBuffer.length, 1);
+
+      dc.close();
+      assert.equal(dc._sendBuffer.length, 0);
+      assert.equal(dc._sendBufferSize, 0);
     });
   });
 });
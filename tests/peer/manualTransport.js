@@ -0,0 +1,133 @@
+import assert from 'power-assert';
+import sinon from 'sinon';
+
+import ManualTransport from '../../src/peer/manualTransport';
+import config from '../../src/shared/config';
+
+describe('ManualTransport', () => {
+  const peerId = 'peerId';
+  let transport;
+  let clock;
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    transport = new ManualTransport();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  describe('connect', () => {
+    it('should emit OPEN with the peerId of the query asynchronously', () => {
+      const openSpy = sinon.spy();
+      transport.on(config.MESSAGE_TYPES.SERVER.OPEN.key, openSpy);
+
+      transport.connect(undefined, `apiKey=key&token=token&peerId=${peerId}`);
+      assert.equal(transport.connected, true);
+      assert.equal(openSpy.callCount, 0);
+
+      clock.tick(0);
+      assert(openSpy.calledWith({ peerId: peerId }));
+    });
+
+    it('should emit OPEN with a random peerId without peerId in the query', () => {
+      const openSpy = sinon.spy();
+      transport.on(config.MESSAGE_TYPES.SERVER.OPEN.key, openSpy);
+
+      transport.connect(undefined, 'apiKey=key&token=token');
+      clock.tick(0);
+
+      assert.equal(typeof openSpy.args[0][0].peerId, 'string');
+      assert.equal(openSpy.args[0][0].peerId.length, 16);
+    });
+  });
+
+  describe('send', () => {
+    beforeEach(() => {
+      transport.connect(undefined, `peerId=${peerId}`);
+    });
+
+    it('should emit a signal with the type received by the remote peer', () => {
+      const signalSpy = sinon.spy();
+      transport.on('signal', signalSpy);
+
+      transport.send(config.MESSAGE_TYPES.CLIENT.SEND_OFFER.key, {
+        dst: 'remotePeerId',
+        offer: { sdp: 'sdp' },
+      });
+
+      assert.equal(signalSpy.callCount, 1);
+      assert.deepEqual(signalSpy.args[0][0], {
+        type: config.MESSAGE_TYPES.SERVER.OFFER.key,
+        message: { src: peerId, dst: 'remotePeerId', offer: { sdp: 'sdp' } },
+      });
+    });
+
+    it('should not emit signals for the messages to the server', () => {
+      const signalSpy = sinon.spy();
+      transport.on('signal', signalSpy);
+
+      transport.send(config.MESSAGE_TYPES.CLIENT.PING.key);
+      transport.send(config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key, {
+        roomName: 'room',
+      });
+
+      assert.equal(signalSpy.callCount, 0);
+    });
+  });
+
+  describe('handleSignal', () => {
+    beforeEach(() => {
+      transport.connect(undefined, `peerId=${peerId}`);
+    });
+
+    it('should emit the message with its type', () => {
+      const answerSpy = sinon.spy();
+      transport.on(config.MESSAGE_TYPES.SERVER.ANSWER.key, answerSpy);
+      const message = { src: 'remotePeerId', dst: peerId, answer: {} };
+
+      const result = transport.handleSignal({
+        type: config.MESSAGE_TYPES.SERVER.ANSWER.key,
+        message: message,
+      });
+
+      assert.equal(result, true);
+      assert(answerSpy.calledWith(message));
+    });
+
+    it('should ignore signals of other types', () => {
+      const result = transport.handleSignal({
+        type: config.MESSAGE_TYPES.SERVER.ROOM_DATA.key,
+        message: {},
+      });
+
+      assert.equal(result, false);
+    });
+
+    it('should ignore signals to other peers', () => {
+      const candidateSpy = sinon.spy();
+      transport.on(config.MESSAGE_TYPES.SERVER.CANDIDATE.key, candidateSpy);
+
+      const result = transport.handleSignal({
+        type: config.MESSAGE_TYPES.SERVER.CANDIDATE.key,
+        message: { src: 'remotePeerId', dst: 'otherPeerId' },
+      });
+
+      assert.equal(result, false);
+      assert.equal(candidateSpy.callCount, 0);
+    });
+
+    it('should ignore signals after close', () => {
+      transport.close();
+
+      const result = transport.handleSignal({
+        type: config.MESSAGE_TYPES.SERVER.OFFER.key,
+        message: { src: 'remotePeerId', dst: peerId },
+      });
+
+      assert.equal(transport.connected, false);
+      assert.equal(result, false);
+    });
+  });
+});
@@ -39,6 +39,7 @@ describe('MediaConnection', () => {
       handleCandidate: candidateSpy,
       replaceStream: replaceSpy,
       setRemoteBrowser: sinon.spy(),
+      updateQuality: sinon.spy(),
     });
     // hoist statics
     stub.EVENTS = Negotiator.EVENTS;
@@ -95,6 +96,27 @@ describe('MediaConnection', () => {
       assert(mc);
       assert(startSpy.calledOnce);
     });
+    it('should pass iceRestart option to the negotiator', async () => {
+      const mc = new MediaConnection('remoteId', {
+        stream: {},
+        originator: true,
+        iceRestart: true,
+      });
+      await mc.startConnection();
+
+      assert.equal(startSpy.args[0][0].iceRestart, true);
+    });
+    it('should pass sendEncodings option to the negotiator', async () => {
+      const sendEncodings = [{ rid: 'h' }, { rid: 'l' }];
+      const mc = new MediaConnection('remoteId', {
+        stream: {},
+        originator: true,
+        sendEncodings: sendEncodings,
+      });
+      await mc.startConnection();
+
+      assert.equal(startSpy.args[0][0].sendEncodings, sendEncodings);
+    });
     it("should not call negotiator's startConnection method when created and not originator", async () => {
       const mc = new MediaConnection('remoteId', { stream: {} });
       await mc.startConnection();
@@ -153,6 +175,90 @@ describe('MediaConnection', () => {
       mc._negotiator.emit(Negotiator.EVENTS.offerCreated.key, offer);
     });
 
+    it("should include iceRestart option in 'offer' if enabled", done => {
+      const mc = new MediaConnection('remoteId', { iceRestart: true });
+      mc.on(Connection.EVENTS.offer.key, connectionOffer => {
+        assert.equal(connectionOffer.iceRestart, true);
+        done();
+      });
+
+      mc._negotiator.emit(Negotiator.EVENTS.offerCreated.key, {});
+    });
+
+    describe('resendNegotiationMessages', () => {
+      it('should emit the last offer and candidates again while ICE is being negotiated', () => {
+        const offerSpy = sinon.spy();
+        const candidateSpy = sinon.spy();
+        mc._negotiator._pc = { iceConnectionState: 'checking' };
+        mc._negotiator.emit(Negotiator.EVENTS.offerCreated.key, 'offer');
+        mc._negotiator.emit(Negotiator.EVENTS.iceCandidate.key, 'candidate');
+
+        mc.on(Connection.EVENTS.offer.key, offerSpy);
+        mc.on(Connection.EVENTS.candidate.key, candidateSpy);
+        mc.resendNegotiationMessages();
+
+        assert.equal(offerSpy.callCount, 1);
+        assert.equal(offerSpy.args[0][0].offer, 'offer');
+        assert.equal(offerSpy.args[0][0].resent, true);
+        assert.equal(candidateSpy.callCount, 1);
+        assert.equal(candidateSpy.args[0][0].candidate, 'candidate');
+      });
+
+      it('should only emit the candidates gathered after the last answer', () => {
+        const candidateSpy = sinon.spy();
+        mc._negotiator._pc = { iceConnectionState: 'new' };
+        mc._negotiator.emit(Negotiator.EVENTS.iceCandidate.key, 'old');
+        mc._negotiator.emit(Negotiator.EVENTS.answerCreated.key, 'answer');
+        mc._negotiator.emit(Negotiator.EVENTS.iceCandidate.key, 'new');
+
+        mc.on(Connection.EVENTS.candidate.key, candidateSpy);
+        mc.resendNegotiationMessages();
+
+        assert.equal(candidateSpy.callCount, 1);
+        assert.equal(candidateSpy.args[0][0].candidate, 'new');
+      });
+
+      it('should not emit anything after ICE is connected', () => {
+        const offerSpy = sinon.spy();
+        mc._negotiator._pc = { iceConnectionState: 'connected' };
+        mc._negotiator.emit(Negotiator.EVENTS.offerCreated.key, 'offer');
+
+        mc.on(Connection.EVENTS.offer.key, offerSpy);
+        mc.resendNegotiationMessages();
+
+        assert.equal(offerSpy.callCount, 0);
+      });
+    });
+
+    it("should emit 'reconnecting' and 'reconnected' on negotiator events", () => {
+      const reconnectingSpy = sinon.spy();
+      const reconnectedSpy = sinon.spy();
+      mc.on(Connection.EVENTS.reconnecting.key, reconnectingSpy);
+      mc.on(Connection.EVENTS.reconnected.key, reconnectedSpy);
+
+      mc._negotiator.emit(Negotiator.EVENTS.reconnecting.key);
+      assert.equal(reconnectingSpy.callCount, 1);
+      assert.equal(reconnectedSpy.callCount, 0);
+
+      mc._negotiator.emit(Negotiator.EVENTS.reconnected.key);
+      assert.equal(reconnectedSpy.callCount, 1);
+    });
+
+    it('should emit the quality events of the negotiator', () => {
+      const qualitySpy = sinon.spy();
+      const frozenSpy = sinon.spy();
+      mc.on(Connection.EVENTS.quality.key, qualitySpy);
+      mc.on(Connection.EVENTS.videoFrozen.key, frozenSpy);
+
+      const qualityEvent = { quality: 'good', report: {} };
+      mc._negotiator.emit(Negotiator.EVENTS.quality.key, qualityEvent);
+      mc._negotiator.emit(Negotiator.EVENTS.videoFrozen.key, qualityEvent);
+
+      assert.equal(qualitySpy.callCount, 1);
+      assert.equal(qualitySpy.args[0][0], qualityEvent);
+      assert.equal(frozenSpy.callCount, 1);
+    });
+
     it("should cleanup the connection on negotiator 'iceConnectionDisconnected' event", () => {
       mc.open = true;
       const spy = sinon.spy(mc, 'close');
@@ -221,6 +327,17 @@ describe('MediaConnection', () => {
       assert(answerSpy.calledOnce === true);
     });
 
+    it("should tell negotiator's handleAnswer whether the answer is sent again", () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._pcAvailable = true;
+
+      mc.handleAnswer({ answer: 'answer', resent: true });
+      mc.handleAnswer({ answer: 'answer' });
+
+      assert(answerSpy.firstCall.calledWith('answer', true));
+      assert(answerSpy.secondCall.calledWith('answer', false));
+    });
+
     it("should call negotiator's handleCandidate with a candidate", () => {
       const candidate = 'message';
 
@@ -334,6 +451,193 @@ describe('MediaConnection', () => {
     });
   });
 
+  describe('setEncodingParameters', () => {
+    it("should call negotiator's setEncodingParameters", async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      const parameters = { maxBitrate: 500000, maxFramerate: 15 };
+      mc._negotiator.setEncodingParameters = sinon.stub().resolves();
+
+      await mc.setEncodingParameters('video', parameters);
+
+      assert(
+        mc._negotiator.setEncodingParameters.calledWith('video', parameters)
+      );
+    });
+  });
+
+  describe('setVideoBandwidth', () => {
+    it("should call negotiator's updateMediaOptions and resolve when applied", async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      const promise = mc.setVideoBandwidth(500);
+      assert(
+        mc._negotiator.updateMediaOptions.calledWith({ videoBandwidth: 500 })
+      );
+
+      const options = { videoBandwidth: 500 };
+      mc._negotiator.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, options);
+      await promise;
+    });
+
+    it('should reject when updateMediaOptions throws', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon
+        .stub()
+        .throws(new Error('The connection has not started yet.'));
+
+      try {
+        await mc.setVideoBandwidth(500);
+      } catch (err) {
+        assert.equal(err.message, 'The connection has not started yet.');
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject when the connection is closed before applied', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      // Force to be open
+      mc.open = true;
+
+      const promise = mc.setVideoBandwidth(500);
+      mc.close();
+
+      try {
+        await promise;
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject when the renegotiation fails', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      const promise = mc.setVideoBandwidth(500);
+      const error = new Error('Failed to createOffer');
+      mc._negotiator.emit(Negotiator.EVENTS.error.key, error);
+
+      try {
+        await promise;
+      } catch (err) {
+        assert.equal(err, error);
+        assert.equal(mc._mediaOptionsUpdates.length, 0);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject when the renegotiation is not done before timeout', async () => {
+      const clock = sinon.useFakeTimers();
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      const promise = mc.setVideoBandwidth(500);
+      clock.tick(config.mediaOptionsTimeout);
+      clock.restore();
+
+      try {
+        await promise;
+      } catch (err) {
+        assert(err instanceof Error);
+        assert.equal(mc._mediaOptionsUpdates.length, 0);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should start the next update after the previous one is done', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+      const firstSpy = sinon.spy();
+      const secondSpy = sinon.spy();
+
+      const first = mc.setVideoBandwidth(500).then(firstSpy);
+      const second = mc.setAudioBandwidth(50).then(secondSpy);
+      assert.equal(mc._negotiator.updateMediaOptions.callCount, 1);
+
+      mc._negotiator.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, {});
+      await first;
+      assert.equal(mc._negotiator.updateMediaOptions.callCount, 2);
+      assert(
+        mc._negotiator.updateMediaOptions.secondCall.calledWith({
+          audioBandwidth: 50,
+        })
+      );
+      assert.equal(secondSpy.callCount, 0);
+
+      mc._negotiator.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, {});
+      await second;
+      assert.equal(firstSpy.callCount, 1);
+      assert.equal(secondSpy.callCount, 1);
+    });
+
+    it('should start the next update after the previous one fails', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      const first = mc.setVideoBandwidth(500);
+      const second = mc.setAudioBandwidth(50);
+      mc._negotiator.emit(Negotiator.EVENTS.error.key, new Error('Failed'));
+      await first.catch(() => {});
+      assert.equal(mc._negotiator.updateMediaOptions.callCount, 2);
+
+      mc._negotiator.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, {});
+      await second;
+    });
+
+    it('should reject the queued updates when the connection is closed', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      // Force to be open
+      mc.open = true;
+
+      const first = mc.setVideoBandwidth(500);
+      const second = mc.setAudioBandwidth(50);
+      mc.close();
+
+      const results = await Promise.all(
+        [first, second].map(promise => promise.catch(err => err))
+      );
+      results.forEach(result => assert(result instanceof Error));
+      assert.equal(mc._negotiator.updateMediaOptions.callCount, 1);
+    });
+  });
+
+  describe('setAudioCodec', () => {
+    it("should call negotiator's updateMediaOptions", () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator.updateMediaOptions = sinon.spy();
+
+      mc.setAudioCodec(['opus', 'PCMU']).catch(() => {});
+
+      assert(
+        mc._negotiator.updateMediaOptions.calledWith({
+          audioCodec: ['opus', 'PCMU'],
+        })
+      );
+    });
+  });
+
+  describe('mediaOptionsUpdated', () => {
+    it('should emit mediaOptionsUpdated event when the negotiator emits it', () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      const spy = sinon.spy();
+      mc.on(MediaConnection.EVENTS.mediaOptionsUpdated.key, spy);
+
+      const options = { videoBandwidth: 500, audioCodec: 'opus' };
+      mc._negotiator.emit(Negotiator.EVENTS.mediaOptionsUpdated.key, options);
+
+      assert(spy.calledWith(options));
+    });
+  });
+
   describe('getPeerConnection', () => {
     it('should return null when Connection status is not open', async () => {
       const mc = new MediaConnection('remoteId', { stream: {} });
@@ -356,6 +660,207 @@ describe('MediaConnection', () => {
     });
   });
 
+  describe('getStats', () => {
+    const stats = new Map([
+      [
+        'CP01',
+        {
+          id: 'CP01',
+          type: 'candidate-pair',
+          timestamp: 1000,
+          selected: true,
+          currentRoundTripTime: 0.1,
+          bytesSent: 1000,
+        },
+      ],
+    ]);
+
+    it('should resolve with the normalized report', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator._pc = { getStats: sinon.stub().resolves(stats) };
+      mc.open = true;
+
+      const report = await mc.getStats();
+
+      assert.equal(report.rtt, 100);
+      assert.equal(report.bitrate.out, null);
+      assert.equal(mc._lastStatsReport, report);
+    });
+
+    it('should reject when the connection is not open', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      mc._negotiator._pc = { getStats: sinon.stub().resolves(stats) };
+
+      try {
+        await mc.getStats();
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    describe('when statsInterval option is set', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should emit stats event periodically after answering', async () => {
+        const mc = new MediaConnection('remoteId', { payload: {} });
+        mc._negotiator._pc = { getStats: sinon.stub().resolves(stats) };
+        mc.answer({}, { statsInterval: 1000 });
+
+        const statsPromise = new Promise(resolve =>
+          mc.once(MediaConnection.EVENTS.stats.key, resolve)
+        );
+        clock.tick(1000);
+        const report = await statsPromise;
+
+        assert.equal(report.rtt, 100);
+      });
+
+      it('should compute the deltas apart from getStats()', async () => {
+        const mc = new MediaConnection('remoteId', { payload: {} });
+        const reports = [{ rtt: 1 }, { rtt: 2 }, { rtt: 3 }];
+        const getNormalizedStatsStub = sinon.stub(mc, '_getNormalizedStats');
+        reports.forEach((report, i) =>
+          getNormalizedStatsStub.onCall(i).resolves(report)
+        );
+        mc.answer({}, { statsInterval: 1000 });
+
+        clock.tick(1000);
+        await new Promise(resolve =>
+          mc.once(MediaConnection.EVENTS.stats.key, resolve)
+        );
+        await mc.getStats();
+        clock.tick(1000);
+        await new Promise(resolve =>
+          mc.once(MediaConnection.EVENTS.stats.key, resolve)
+        );
+
+        assert.deepEqual(getNormalizedStatsStub.args, [
+          [null],
+          [null],
+          [reports[0]],
+        ]);
+        assert.equal(mc._lastStatsReport, reports[1]);
+      });
+
+      it('should stop emitting stats event after close', () => {
+        const mc = new MediaConnection('remoteId', { payload: {} });
+        mc.answer({}, { statsInterval: 1000 });
+        const getStatsSpy = sinon.spy(mc, '_getNormalizedStats');
+
+        mc.close();
+        clock.tick(1000);
+
+        assert.equal(getStatsSpy.callCount, 0);
+      });
+
+      it('should not emit stats event before open', () => {
+        const mc = new MediaConnection('remoteId', {
+          stream: {},
+          statsInterval: 1000,
+        });
+        const getStatsSpy = sinon.spy(mc, '_getNormalizedStats');
+
+        clock.tick(1000);
+
+        assert.equal(getStatsSpy.callCount, 0);
+      });
+
+      it('should update the quality with the reports of stats event', async () => {
+        const mc = new MediaConnection('remoteId', {
+          payload: {},
+          quality: { interval: 500 },
+        });
+        const report = { rtt: 10 };
+        sinon.stub(mc, '_getNormalizedStats').resolves(report);
+        const updateQualitySpy = mc._negotiator.updateQuality;
+        mc.answer({}, { statsInterval: 1000 });
+
+        clock.tick(500);
+        assert.equal(updateQualitySpy.callCount, 0);
+
+        const statsPromise = new Promise(resolve =>
+          mc.once(MediaConnection.EVENTS.stats.key, resolve)
+        );
+        clock.tick(500);
+
+        assert.equal(await statsPromise, report);
+        assert(updateQualitySpy.calledOnceWith(report));
+      });
+    });
+
+    describe('when only quality option is set', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should update the quality at the interval of quality option without emitting stats event', async () => {
+        const mc = new MediaConnection('remoteId', {
+          payload: {},
+          quality: { interval: 500 },
+        });
+        const report = { rtt: 10 };
+        const getStatsStub = sinon
+          .stub(mc, '_getNormalizedStats')
+          .resolves(report);
+        const statsSpy = sinon.spy();
+        mc.on(MediaConnection.EVENTS.stats.key, statsSpy);
+        mc.answer({}, {});
+
+        const updatePromise = new Promise(resolve => {
+          mc._negotiator.updateQuality = resolve;
+        });
+        clock.tick(500);
+
+        assert.equal(await updatePromise, report);
+        assert.equal(getStatsStub.callCount, 1);
+        assert.equal(statsSpy.callCount, 0);
+      });
+    });
+  });
+
+  describe('ready', () => {
+    it('should resolve with the remote stream', async () => {
+      const mc = new MediaConnection('remoteId', {});
+      const remoteStream = { id: 'streamId' };
+
+      mc._negotiator.emit(Negotiator.EVENTS.addStream.key, remoteStream);
+
+      assert.equal(await mc.ready, remoteStream);
+    });
+
+    it('should reject if the connection is closed before receiving a stream', async () => {
+      const mc = new MediaConnection('remoteId', { stream: {} });
+      // Force to be open
+      mc.open = true;
+
+      mc.close();
+
+      try {
+        await mc.ready;
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
   describe('Cleanup', () => {
     it('should close the socket and call the negotiator to cleanup on close()', () => {
       const mc = new MediaConnection('remoteId', { stream: {} });
@@ -21,6 +21,8 @@ describe('MeshRoom', () => {
   let closeSpy;
   let answerSpy;
   let replaceStreamSpy;
+  let setEncodingParametersStub;
+  let resolveReady;
 
   beforeEach(() => {
     mcStub = sinon.stub();
@@ -29,6 +31,7 @@ describe('MeshRoom', () => {
     closeSpy = sinon.spy();
     answerSpy = sinon.spy();
     replaceStreamSpy = sinon.spy();
+    setEncodingParametersStub = sinon.stub().resolves();
 
     mcStub.returns({
       type: 'media',
@@ -37,6 +40,10 @@ describe('MeshRoom', () => {
       close: closeSpy,
       answer: answerSpy,
       replaceStream: replaceStreamSpy,
+      setEncodingParameters: setEncodingParametersStub,
+      ready: new Promise(resolve => {
+        resolveReady = resolve;
+      }),
     });
     // hoist statics
     mcStub.EVENTS = MediaConnection.EVENTS;
@@ -76,6 +83,26 @@ describe('MeshRoom', () => {
     });
   });
 
+  describe('opened', () => {
+    it('should resolve when the room is open', async () => {
+      meshRoom.emit(MeshRoom.EVENTS.open.key);
+
+      await meshRoom.opened;
+    });
+
+    it('should reject if the room is closed before open', async () => {
+      meshRoom.close();
+
+      try {
+        await meshRoom.opened;
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
   describe('call', () => {
     it('should emit getPeers event', done => {
       meshRoom.on(MeshRoom.MESSAGE_EVENTS.getPeers.key, data => {
@@ -186,6 +213,18 @@ describe('MeshRoom', () => {
         assert.equal(callStub.callCount, 0);
         meshRoom.handleJoin(joinMessage);
       });
+
+      it('should not call room.call or emit an open event when joined again', () => {
+        const callStub = sinon.stub(meshRoom, 'call');
+        const openSpy = sinon.spy();
+        meshRoom.on(MeshRoom.EVENTS.open.key, openSpy);
+
+        meshRoom.handleJoin(joinMessage);
+        meshRoom.handleJoin(joinMessage);
+
+        assert.equal(callStub.callCount, 1);
+        assert.equal(openSpy.callCount, 1);
+      });
     });
 
     describe('when message src is not your peerId', () => {
@@ -345,6 +384,67 @@ describe('MeshRoom', () => {
 
       meshRoom.send(data);
     });
+
+    it('should emit compressed data if compression option is set', done => {
+      const data = { foo: 'bar'.repeat(100) };
+      const compressedRoom = new MeshRoom(meshRoomName, peerId, {
+        compression: 'deflate',
+      });
+
+      compressedRoom.on(MeshRoom.MESSAGE_EVENTS.broadcast.key, dataMessage => {
+        assert.equal(dataMessage.roomName, meshRoomName);
+        assert.equal(dataMessage.data.compression, 'deflate');
+        assert(dataMessage.data.data instanceof ArrayBuffer);
+
+        compressedRoom.on(MeshRoom.EVENTS.data.key, message => {
+          assert.deepEqual(message, { src: remotePeerId, data: data });
+          done();
+        });
+        compressedRoom.handleData({
+          src: remotePeerId,
+          data: dataMessage.data,
+        });
+      });
+
+      compressedRoom.send(data);
+    });
+
+    it('should emit encrypted data if encryption option is set', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const data = { foo: 'bar' };
+      const encryptedRoom = new MeshRoom(meshRoomName, peerId, {
+        encryption: key,
+        compression: 'gzip',
+      });
+
+      const dataMessage = await new Promise(resolve => {
+        encryptedRoom.on(MeshRoom.MESSAGE_EVENTS.broadcast.key, resolve);
+        encryptedRoom.send(data);
+      });
+      assert.equal(dataMessage.data.encrypted, true);
+      assert.equal(dataMessage.data.compression, 'gzip');
+      assert(dataMessage.data.data instanceof ArrayBuffer);
+
+      const message = await new Promise(resolve => {
+        encryptedRoom.on(MeshRoom.EVENTS.data.key, resolve);
+        encryptedRoom.handleData({
+          src: remotePeerId,
+          data: dataMessage.data,
+        });
+      });
+      assert.deepEqual(message, { src: remotePeerId, data: data });
+    });
+
+    it('should throw an error if compression option is invalid', () => {
+      assert.throws(
+        () => new MeshRoom(meshRoomName, peerId, { compression: 'brotli' }),
+        /Invalid compression/
+      );
+    });
   });
 
   describe('close', () => {
@@ -361,6 +461,23 @@ describe('MeshRoom', () => {
     });
   });
 
+  describe('resendNegotiationMessages', () => {
+    it('should call resendNegotiationMessages of every connection', () => {
+      const resendSpy = sinon.spy();
+      meshRoom.connections = {
+        peerId1: [{ resendNegotiationMessages: resendSpy }],
+        peerId2: [
+          { resendNegotiationMessages: resendSpy },
+          { resendNegotiationMessages: resendSpy },
+        ],
+      };
+
+      meshRoom.resendNegotiationMessages();
+
+      assert.equal(resendSpy.callCount, 3);
+    });
+  });
+
   describe('replaceStream', () => {
     const peers = ['peerId1', 'peerId2', 'peerId3'];
     const newStream = {};
@@ -398,6 +515,182 @@ describe('MeshRoom', () => {
     });
   });
 
+  describe('setEncodingParameters', () => {
+    const peers = ['peerId1', 'peerId2', 'peerId3'];
+    const parameters = { maxBitrate: 500000 };
+
+    it('should call setEncodingParameters for each MediaConnection in connections', async () => {
+      meshRoom.makeMediaConnections(peers);
+      meshRoom.makeDataConnections(peers);
+
+      await meshRoom.setEncodingParameters('video', parameters);
+
+      assert.equal(setEncodingParametersStub.callCount, peers.length);
+      assert(setEncodingParametersStub.alwaysCalledWith('video', parameters));
+    });
+
+    it('should reject if any of the connections fails', async () => {
+      meshRoom.makeMediaConnections(peers);
+      setEncodingParametersStub.onSecondCall().rejects(new Error('failed'));
+
+      try {
+        await meshRoom.setEncodingParameters('video', parameters);
+      } catch (err) {
+        assert.equal(err.message, 'failed');
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should set the parameters to the MediaConnections made later when they are ready', async () => {
+      await meshRoom.setEncodingParameters('video', parameters);
+      await meshRoom.setEncodingParameters('video', { maxFramerate: 15 });
+      await meshRoom.setEncodingParameters('audio', { maxBitrate: 32000 });
+
+      meshRoom.makeMediaConnections(['peerId1']);
+      assert.equal(setEncodingParametersStub.callCount, 0);
+
+      resolveReady();
+      await new Promise(resolve => setTimeout(resolve));
+
+      assert.equal(setEncodingParametersStub.callCount, 2);
+      assert(
+        setEncodingParametersStub.calledWith('video', {
+          maxBitrate: 500000,
+          maxFramerate: 15,
+        })
+      );
+      assert(
+        setEncodingParametersStub.calledWith('audio', { maxBitrate: 32000 })
+      );
+    });
+
+    it('should set the parameters to the MediaConnections made in handleOffer', async () => {
+      await meshRoom.setEncodingParameters('video', parameters);
+
+      meshRoom.handleOffer({
+        connectionId: 'mc_test',
+        connectionType: 'media',
+        src: remotePeerId,
+      });
+      resolveReady();
+      await new Promise(resolve => setTimeout(resolve));
+
+      assert(setEncodingParametersStub.calledOnceWith('video', parameters));
+    });
+  });
+
+  describe('getStats', () => {
+    it('should resolve with the report of each participant', async () => {
+      const report1 = { rtt: 10 };
+      const report2 = { rtt: 20 };
+      meshRoom.connections = {
+        peerId1: [
+          { type: 'media', open: false, getStats: sinon.stub().resolves({}) },
+          {
+            type: 'media',
+            open: true,
+            getStats: sinon.stub().resolves(report1),
+          },
+        ],
+        peerId2: [
+          {
+            type: 'media',
+            open: true,
+            getStats: sinon.stub().resolves(report2),
+          },
+        ],
+        peerId3: [
+          { type: 'media', open: false, getStats: sinon.stub().resolves({}) },
+        ],
+      };
+
+      const reports = await meshRoom.getStats();
+
+      assert.deepEqual(reports, { peerId1: report1, peerId2: report2 });
+    });
+
+    it('should omit the participants failed to get stats', async () => {
+      meshRoom.connections = {
+        peerId1: [
+          {
+            type: 'media',
+            open: true,
+            getStats: sinon.stub().rejects(new Error('failed')),
+          },
+        ],
+      };
+
+      const reports = await meshRoom.getStats();
+
+      assert.deepEqual(reports, {});
+    });
+
+    describe('when statsInterval option is set', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        meshRoom = new MeshRoom(meshRoomName, peerId, { statsInterval: 1000 });
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should emit stats event periodically after open', async () => {
+        const getStatsStub = sinon
+          .stub(meshRoom, '_getTimerStats')
+          .resolves({ peerId1: { rtt: 10 } });
+        meshRoom.handleJoin({ src: peerId });
+
+        const statsPromise = new Promise(resolve =>
+          meshRoom.once(MeshRoom.EVENTS.stats.key, resolve)
+        );
+        clock.tick(1000);
+        const stats = await statsPromise;
+
+        assert.deepEqual(stats, { peerId1: { rtt: 10 } });
+
+        meshRoom.close();
+        clock.tick(1000);
+
+        assert.equal(getStatsStub.callCount, 1);
+      });
+
+      it('should compute the deltas apart from getStats()', async () => {
+        const reports = [{ rtt: 1 }, { rtt: 2 }, { rtt: 3 }];
+        const connection = {
+          id: 'mc_test',
+          type: 'media',
+          open: true,
+          getStats: sinon.stub().resolves(reports[1]),
+          _getNormalizedStats: sinon.stub(),
+        };
+        connection._getNormalizedStats.onFirstCall().resolves(reports[0]);
+        connection._getNormalizedStats.onSecondCall().resolves(reports[2]);
+        meshRoom.connections = { peerId1: [connection] };
+        meshRoom.handleJoin({ src: peerId });
+
+        clock.tick(1000);
+        await new Promise(resolve =>
+          meshRoom.once(MeshRoom.EVENTS.stats.key, resolve)
+        );
+        assert.deepEqual(await meshRoom.getStats(), { peerId1: reports[1] });
+        clock.tick(1000);
+        const stats = await new Promise(resolve =>
+          meshRoom.once(MeshRoom.EVENTS.stats.key, resolve)
+        );
+
+        assert.deepEqual(stats, { peerId1: reports[2] });
+        assert.deepEqual(connection._getNormalizedStats.args, [
+          [null],
+          [reports[0]],
+        ]);
+      });
+    });
+  });
+
   describe('_addConnection', () => {
     it('should add the connection to meshRoom.connections', () => {
       const connection1 = {};
@@ -558,7 +851,11 @@ describe('MeshRoom', () => {
     });
 
     it('should handle stream events if connection is a MediaConnection', () => {
-      meshRoom._setupMessageHandlers({ on: onSpy, type: 'media' });
+      meshRoom._setupMessageHandlers({
+        on: onSpy,
+        type: 'media',
+        ready: new Promise(() => {}),
+      });
 
       assert(
         onSpy.calledWith(MediaConnection.EVENTS.stream.key, sinon.match.func)
@@ -651,6 +948,50 @@ describe('MeshRoom', () => {
           mc.emit(MediaConnection.EVENTS.stream.key, stream);
         });
       });
+
+      describe('reconnecting', () => {
+        it('should emit reconnecting with peerId', done => {
+          meshRoom.on(MeshRoom.EVENTS.reconnecting.key, peerId => {
+            assert.equal(peerId, remoteId);
+
+            done();
+          });
+
+          mc.emit(Connection.EVENTS.reconnecting.key);
+        });
+      });
+
+      describe('reconnected', () => {
+        it('should emit reconnected with peerId', done => {
+          meshRoom.on(MeshRoom.EVENTS.reconnected.key, peerId => {
+            assert.equal(peerId, remoteId);
+
+            done();
+          });
+
+          mc.emit(Connection.EVENTS.reconnected.key);
+        });
+      });
+
+      describe('networkDegraded', () => {
+        it('should emit networkDegraded with peerId', done => {
+          const report = {};
+          meshRoom.on(MeshRoom.EVENTS.networkDegraded.key, qualityEvent => {
+            assert.deepEqual(qualityEvent, {
+              peerId: remoteId,
+              quality: 'poor',
+              report: report,
+            });
+
+            done();
+          });
+
+          mc.emit(Connection.EVENTS.networkDegraded.key, {
+            quality: 'poor',
+            report: report,
+          });
+        });
+      });
     });
   });
 
@@ -670,6 +1011,51 @@ describe('MeshRoom', () => {
 
       meshRoom.handleData(message);
     });
+
+    it('should emit an error if data is not encrypted with encryption option', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const encryptedRoom = new MeshRoom(meshRoomName, peerId, {
+        encryption: key,
+      });
+      const dataSpy = sinon.spy();
+      const errorSpy = sinon.spy();
+      encryptedRoom.on(MeshRoom.EVENTS.data.key, dataSpy);
+      encryptedRoom.on(MeshRoom.EVENTS.error.key, errorSpy);
+
+      encryptedRoom.handleData({ src: remotePeerId, data: 'foobar' });
+
+      assert(dataSpy.notCalled);
+      assert(errorSpy.calledOnce);
+      assert.equal(errorSpy.args[0][0].type, 'encryption-error');
+    });
+
+    it('should emit data events in the received order while decompressing', done => {
+      const compressedRoom = new MeshRoom(meshRoomName, peerId, {
+        compression: 'gzip',
+      });
+      const received = [];
+
+      compressedRoom.on(MeshRoom.MESSAGE_EVENTS.broadcast.key, dataMessage => {
+        compressedRoom.on(MeshRoom.EVENTS.data.key, message => {
+          received.push(message.data);
+          if (received.length === 2) {
+            assert.deepEqual(received, ['first', 'second']);
+            done();
+          }
+        });
+        compressedRoom.handleData({
+          src: remotePeerId,
+          data: dataMessage.data,
+        });
+        compressedRoom.handleData({ src: remotePeerId, data: 'second' });
+      });
+
+      compressedRoom.send('first');
+    });
   });
 
   describe('handleLog', () => {
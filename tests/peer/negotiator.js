@@ -3,6 +3,8 @@ import sinon from 'sinon';
 
 import Negotiator from '../../src/peer/negotiator';
 import logger from '../../src/shared/logger';
+import config from '../../src/shared/config';
+import sdpUtil from '../../src/shared/sdpUtil';
 
 describe('Negotiator', () => {
   describe('Constructor', () => {
@@ -92,6 +94,32 @@ describe('Negotiator', () => {
           assert.equal(handleOfferSpy.callCount, 0);
         });
 
+        it('should call pc.addTransceiver for video tracks with sendEncodings', () => {
+          const sendEncodings = [
+            { rid: 'h', maxBitrate: 1000000 },
+            { rid: 'l', maxBitrate: 200000, scaleResolutionDownBy: 4 },
+          ];
+          const options = {
+            type: 'media',
+            stream: audioVideoStream,
+            originator: true,
+            pcConfig: {},
+            sendEncodings: sendEncodings,
+          };
+
+          negotiator.startConnection(options);
+
+          // audio
+          assert.equal(addTrackSpy.callCount, 1);
+          // video
+          assert.equal(addTransceiverSpy.callCount, 1);
+          assert.deepEqual(addTransceiverSpy.args[0][1], {
+            direction: 'sendrecv',
+            streams: [audioVideoStream],
+            sendEncodings: sendEncodings,
+          });
+        });
+
         it('should call pc.addTransceiver when stream does not exist', () => {
           const options = {
             type: 'media',
@@ -578,6 +606,30 @@ describe('Negotiator', () => {
 
         assert.equal(negotiationNeededSpy.callCount, 1);
       });
+
+      it('should ignore the answer sent again and already set as remote description', () => {
+        const negotiationNeededSpy = sinon.spy();
+        negotiator._pc = {
+          remoteDescription: { type: 'answer', sdp: 'sdp' },
+          onnegotiationneeded: negotiationNeededSpy,
+        };
+
+        negotiator.handleAnswer({ type: 'answer', sdp: 'sdp' }, true);
+
+        assert.equal(negotiationNeededSpy.callCount, 0);
+      });
+
+      it('should trigger onnegotiationneeded on the same answer not sent again', () => {
+        const negotiationNeededSpy = sinon.spy();
+        negotiator._pc = {
+          remoteDescription: { type: 'answer', sdp: 'sdp' },
+          onnegotiationneeded: negotiationNeededSpy,
+        };
+
+        negotiator.handleAnswer({ type: 'answer', sdp: 'sdp' });
+
+        assert.equal(negotiationNeededSpy.callCount, 1);
+      });
     });
   });
 
@@ -768,6 +820,51 @@ describe('Negotiator', () => {
             assert.equal(typeof pc.onicecandidate, 'function');
           });
         });
+
+        describe('when iceRestart is enabled', () => {
+          let startIceRecoveryStub;
+
+          beforeEach(() => {
+            negotiator._iceRestart = { maxAttempts: 3, timeout: 1000 };
+            startIceRecoveryStub = sinon.stub(negotiator, '_startIceRecovery');
+          });
+
+          it("should start ICE recovery when pc.iceConnectionState is 'disconnected'", () => {
+            pc.iceConnectionState = 'disconnected';
+
+            pc.oniceconnectionstatechange();
+            assert.equal(startIceRecoveryStub.callCount, 1);
+          });
+
+          it("should start ICE recovery instead of emitting 'iceConnectionFailed' when pc.iceConnectionState is 'failed'", () => {
+            negotiator.on(Negotiator.EVENTS.iceConnectionFailed.key, () => {
+              assert.fail('Should not emit iceConnectionFailed event');
+            });
+            pc.iceConnectionState = 'failed';
+
+            pc.oniceconnectionstatechange();
+            assert.equal(startIceRecoveryStub.callCount, 1);
+          });
+
+          it("should keep pc.onicecandidate when pc.iceConnectionState is 'completed'", () => {
+            const onicecandidate = pc.onicecandidate;
+            pc.iceConnectionState = 'completed';
+
+            pc.oniceconnectionstatechange();
+            assert.equal(pc.onicecandidate, onicecandidate);
+          });
+
+          it("should emit 'reconnected' when pc.iceConnectionState is 'connected' while reconnecting", done => {
+            negotiator._isReconnecting = true;
+            negotiator.on(Negotiator.EVENTS.reconnected.key, () => {
+              assert.equal(negotiator._isReconnecting, false);
+              done();
+            });
+            pc.iceConnectionState = 'connected';
+
+            pc.oniceconnectionstatechange();
+          });
+        });
       });
 
       describe('onnegotiationneeded', () => {
@@ -832,6 +929,164 @@ describe('Negotiator', () => {
     });
   });
 
+  describe('_getIceRestartOptions', () => {
+    it('should return null if iceRestart is not enabled', () => {
+      const negotiator = new Negotiator();
+
+      assert.equal(negotiator._getIceRestartOptions(), null);
+      assert.equal(negotiator._getIceRestartOptions(false), null);
+    });
+
+    it('should return the default options if iceRestart is true', () => {
+      const negotiator = new Negotiator();
+
+      assert.deepEqual(negotiator._getIceRestartOptions(true), {
+        maxAttempts: config.iceRestartMaxAttempts,
+        timeout: config.iceRestartTimeout,
+      });
+    });
+
+    it('should override the default options', () => {
+      const negotiator = new Negotiator();
+
+      assert.deepEqual(
+        negotiator._getIceRestartOptions({ maxAttempts: 0, timeout: 500 }),
+        { maxAttempts: 0, timeout: 500 }
+      );
+    });
+  });
+
+  describe('ICE recovery', () => {
+    let negotiator;
+    let clock;
+    let restartIceStub;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      negotiator = new Negotiator();
+      negotiator._pc = { close: sinon.spy() };
+      negotiator._iceRestart = { maxAttempts: 2, timeout: 1000 };
+      restartIceStub = sinon.stub(negotiator, '_restartIce').resolves();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should emit 'reconnecting' only once", () => {
+      const spy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.reconnecting.key, spy);
+
+      negotiator._startIceRecovery();
+      negotiator._startIceRecovery();
+      assert.equal(spy.callCount, 1);
+    });
+
+    it('should restart ICE on each attempt if originator', () => {
+      negotiator.originator = true;
+
+      negotiator._startIceRecovery();
+      assert.equal(restartIceStub.callCount, 1);
+
+      clock.tick(1000);
+      assert.equal(restartIceStub.callCount, 2);
+    });
+
+    it('should not restart ICE if not originator', () => {
+      negotiator.originator = false;
+
+      negotiator._startIceRecovery();
+      clock.tick(1000);
+      assert.equal(restartIceStub.callCount, 0);
+    });
+
+    it("should emit 'iceConnectionFailed' when all attempts time out", () => {
+      const spy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.iceConnectionFailed.key, spy);
+      negotiator.originator = true;
+
+      negotiator._startIceRecovery();
+      clock.tick(1000);
+      assert.equal(spy.callCount, 0);
+
+      clock.tick(1000);
+      assert.equal(spy.callCount, 1);
+      assert.equal(negotiator._isReconnecting, false);
+    });
+
+    it("should not emit 'iceConnectionFailed' after ICE recovered", () => {
+      const spy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.iceConnectionFailed.key, spy);
+
+      negotiator._startIceRecovery();
+      negotiator._handleIceRecovered();
+      clock.tick(2000);
+      assert.equal(spy.callCount, 0);
+    });
+
+    it('should stop recovering on cleanup', () => {
+      const spy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.iceConnectionFailed.key, spy);
+
+      negotiator._startIceRecovery();
+      negotiator.cleanup();
+      clock.tick(2000);
+      assert.equal(spy.callCount, 0);
+    });
+  });
+
+  describe('_restartIce', () => {
+    let negotiator;
+    let makeOfferSdpStub;
+    let setLocalDescriptionStub;
+
+    beforeEach(() => {
+      negotiator = new Negotiator();
+      negotiator._pc = {
+        signalingState: 'stable',
+        setLocalDescription: sinon.stub().resolves(),
+      };
+      negotiator._iceRestart = { maxAttempts: 1, timeout: 1000 };
+      makeOfferSdpStub = sinon
+        .stub(negotiator, '_makeOfferSdp')
+        .resolves('offer');
+      setLocalDescriptionStub = sinon
+        .stub(negotiator, '_setLocalDescription')
+        .resolves();
+    });
+
+    it('should create an offer with iceRestart and set it', async () => {
+      await negotiator._restartIce();
+
+      assert(makeOfferSdpStub.calledWith({ iceRestart: true }));
+      assert(setLocalDescriptionStub.calledWith('offer'));
+    });
+
+    it('should rollback the offer waiting for an answer', async () => {
+      const pc = negotiator._pc;
+      pc.setLocalDescription = sinon.spy(() => {
+        pc.signalingState = 'stable';
+        return Promise.resolve();
+      });
+      pc.signalingState = 'have-local-offer';
+      negotiator._isExpectingAnswer = true;
+
+      await negotiator._restartIce();
+
+      assert(pc.setLocalDescription.calledWith({ type: 'rollback' }));
+      assert.equal(negotiator._isExpectingAnswer, false);
+      assert.equal(makeOfferSdpStub.callCount, 1);
+    });
+
+    it('should not create an offer while handling a remote offer', async () => {
+      negotiator._pc.signalingState = 'have-remote-offer';
+
+      await negotiator._restartIce();
+
+      assert.equal(makeOfferSdpStub.callCount, 0);
+    });
+  });
+
   describe('_makeOfferSdp', () => {
     let negotiator;
     let pc;
@@ -884,6 +1139,332 @@ describe('Negotiator', () => {
         assert.fail();
       });
     });
+
+    describe('when codecs are preferred', () => {
+      let setPreferencesStub;
+      let preferVideoCodecsStub;
+
+      beforeEach(() => {
+        negotiator._videoCodec = ['VP9', 'H264'];
+        createOfferStub.resolves({ type: 'offer', sdp: 'sdp' });
+        setPreferencesStub = sinon.stub(
+          negotiator,
+          '_setTransceiverCodecPreferences'
+        );
+        preferVideoCodecsStub = sinon
+          .stub(sdpUtil, 'preferVideoCodecs')
+          .returns('preferredSdp');
+      });
+
+      afterEach(() => {
+        preferVideoCodecsStub.restore();
+      });
+
+      it('should set the preferences to the transceivers before createOffer', async () => {
+        setPreferencesStub.returns(true);
+
+        const offer = await negotiator._makeOfferSdp();
+
+        assert(setPreferencesStub.calledWith('video', ['VP9', 'H264']));
+        assert(setPreferencesStub.calledBefore(createOfferStub));
+        assert.equal(preferVideoCodecsStub.callCount, 0);
+        assert.equal(offer.sdp, 'sdp');
+      });
+
+      it('should order the codecs in SDP if setCodecPreferences is not supported', async () => {
+        setPreferencesStub.returns(false);
+
+        const offer = await negotiator._makeOfferSdp();
+
+        assert(preferVideoCodecsStub.calledWith('sdp', ['VP9', 'H264']));
+        assert.equal(offer.sdp, 'preferredSdp');
+      });
+    });
+  });
+
+  describe('_setTransceiverCodecPreferences', () => {
+    let negotiator;
+    let origTransceiver;
+    let origReceiver;
+
+    beforeEach(() => {
+      negotiator = new Negotiator();
+      origTransceiver = window.RTCRtpTransceiver;
+      origReceiver = window.RTCRtpReceiver;
+    });
+
+    afterEach(() => {
+      window.RTCRtpTransceiver = origTransceiver;
+      window.RTCRtpReceiver = origReceiver;
+    });
+
+    it('should return false if setCodecPreferences is not supported', () => {
+      window.RTCRtpTransceiver = function() {};
+
+      assert.equal(
+        negotiator._setTransceiverCodecPreferences('video', 'H264'),
+        false
+      );
+    });
+
+    it('should set the ordered capabilities to the transceivers of the kind', () => {
+      window.RTCRtpTransceiver = function() {};
+      window.RTCRtpTransceiver.prototype.setCodecPreferences = () => {};
+      const vp8 = { mimeType: 'video/VP8', clockRate: 90000 };
+      const h264 = { mimeType: 'video/H264', clockRate: 90000 };
+      window.RTCRtpReceiver = {
+        getCapabilities: () => ({ codecs: [vp8, h264] }),
+      };
+      const videoTransceiver = {
+        receiver: { track: { kind: 'video' } },
+        setCodecPreferences: sinon.spy(),
+      };
+      const audioTransceiver = {
+        receiver: { track: { kind: 'audio' } },
+        setCodecPreferences: sinon.spy(),
+      };
+      negotiator._pc = {
+        getTransceivers: () => [videoTransceiver, audioTransceiver],
+      };
+
+      assert.equal(
+        negotiator._setTransceiverCodecPreferences('video', 'H264'),
+        true
+      );
+      assert(videoTransceiver.setCodecPreferences.calledWith([h264, vp8]));
+      assert.equal(audioTransceiver.setCodecPreferences.callCount, 0);
+    });
+  });
+
+  describe('setEncodingParameters', () => {
+    let negotiator;
+    let videoSender;
+    let audioSender;
+
+    beforeEach(() => {
+      negotiator = new Negotiator();
+      videoSender = {
+        track: { kind: 'video' },
+        getParameters: sinon.stub().returns({
+          encodings: [{ rid: 'h', active: true }, { rid: 'l', active: true }],
+        }),
+        setParameters: sinon.stub().resolves(),
+      };
+      audioSender = {
+        track: { kind: 'audio' },
+        getParameters: sinon.stub().returns({ encodings: [] }),
+        setParameters: sinon.stub().resolves(),
+      };
+      negotiator._pc = {
+        getSenders: () => [videoSender, audioSender],
+      };
+    });
+
+    it('should merge the parameters to every encoding of the kind', async () => {
+      await negotiator.setEncodingParameters('video', {
+        maxFramerate: 15,
+        degradationPreference: 'maintain-resolution',
+        encodings: [{ rid: 'l', active: false, scaleResolutionDownBy: 4 }],
+      });
+
+      assert.equal(audioSender.setParameters.callCount, 0);
+      assert.deepEqual(videoSender.setParameters.args[0][0], {
+        encodings: [
+          { rid: 'h', active: true, maxFramerate: 15 },
+          {
+            rid: 'l',
+            active: false,
+            maxFramerate: 15,
+            scaleResolutionDownBy: 4,
+          },
+        ],
+        degradationPreference: 'maintain-resolution',
+      });
+    });
+
+    it('should create an encoding if the sender has no encodings', async () => {
+      await negotiator.setEncodingParameters('audio', { maxBitrate: 32000 });
+
+      assert.deepEqual(audioSender.setParameters.args[0][0], {
+        encodings: [{ maxBitrate: 32000 }],
+      });
+    });
+
+    it('should reject with webrtc error when setParameters fails', async () => {
+      videoSender.setParameters.rejects(new Error('InvalidModificationError'));
+
+      try {
+        await negotiator.setEncodingParameters('video', { maxBitrate: 1 });
+      } catch (err) {
+        assert.equal(err.type, 'webrtc');
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject before the connection is started', async () => {
+      negotiator._pc = null;
+
+      try {
+        await negotiator.setEncodingParameters('video', { maxBitrate: 1 });
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
+  describe('updateMediaOptions', () => {
+    let negotiator;
+    let negotiationNeededSpy;
+
+    beforeEach(() => {
+      negotiator = new Negotiator();
+      negotiationNeededSpy = sinon.spy();
+      negotiator._pc = {
+        signalingState: 'stable',
+        onnegotiationneeded: negotiationNeededSpy,
+      };
+      negotiator._isNegotiationAllowed = false;
+      negotiator._videoBandwidth = 1000;
+      negotiator._audioCodec = 'opus';
+    });
+
+    it('should update only the passed options', () => {
+      negotiator.updateMediaOptions({ videoBandwidth: 500, videoCodec: 'VP9' });
+
+      assert.equal(negotiator._videoBandwidth, 500);
+      assert.equal(negotiator._videoCodec, 'VP9');
+      assert.equal(negotiator._audioCodec, 'opus');
+    });
+
+    it('should remove the option when null is passed', () => {
+      negotiator.updateMediaOptions({ videoBandwidth: null });
+
+      assert.equal(negotiator._videoBandwidth, null);
+    });
+
+    it('should trigger onnegotiationneeded', () => {
+      negotiator.originator = true;
+      negotiator.updateMediaOptions({ videoBandwidth: 500 });
+
+      assert.equal(negotiationNeededSpy.callCount, 1);
+      assert.equal(negotiator._isNegotiationAllowed, true);
+      assert.equal(negotiator._isMediaOptionsUpdated, true);
+      assert.equal(negotiator._replaceStreamCalled, false);
+    });
+
+    it('should answer the last offer again on the answerer side', () => {
+      negotiator.originator = false;
+      negotiator.updateMediaOptions({ audioCodec: 'PCMU' });
+
+      assert.equal(negotiationNeededSpy.callCount, 1);
+      assert.equal(negotiator._replaceStreamCalled, true);
+    });
+
+    it('should throw when the bandwidth is not a number', () => {
+      assert.throws(
+        () => negotiator.updateMediaOptions({ audioBandwidth: '64' }),
+        /64 is not a number/
+      );
+      assert.equal(negotiationNeededSpy.callCount, 0);
+    });
+
+    it('should throw before the connection is started', () => {
+      negotiator._pc = null;
+
+      assert.throws(
+        () => negotiator.updateMediaOptions({ videoBandwidth: 500 }),
+        /The connection has not started yet./
+      );
+    });
+
+    describe('on the originator side', () => {
+      beforeEach(() => {
+        negotiator.originator = true;
+        sinon.stub(negotiator, '_setRemoteDescription').resolves();
+        negotiator._pc.onnegotiationneeded = sinon
+          .stub()
+          .callsFake(async () => {
+            if (negotiator._pc.signalingState === 'stable') {
+              await negotiator._makeOfferSdp();
+              negotiator._isExpectingAnswer = true;
+            }
+          });
+        sinon.stub(negotiator, '_setCodecPreferences').returns({});
+        negotiator._pc.createOffer = sinon
+          .stub()
+          .resolves({ type: 'offer', sdp: 'offer' });
+      });
+
+      it('should emit mediaOptionsUpdated when the answer is set', async () => {
+        const spy = sinon.spy();
+        negotiator.on(Negotiator.EVENTS.mediaOptionsUpdated.key, spy);
+
+        negotiator._videoBandwidth = null;
+        negotiator.updateMediaOptions({ audioBandwidth: 64 });
+        await negotiator._pc.onnegotiationneeded.returnValues[0];
+        assert.equal(spy.callCount, 0);
+
+        await negotiator.handleAnswer({ type: 'answer', sdp: 'answer' });
+
+        assert.equal(spy.callCount, 1);
+        assert.deepEqual(spy.args[0][0], {
+          videoBandwidth: null,
+          audioBandwidth: 64,
+          videoCodec: undefined,
+          audioCodec: 'opus',
+        });
+      });
+
+      it('should renegotiate again if updated after the offer is created', async () => {
+        const spy = sinon.spy();
+        negotiator.on(Negotiator.EVENTS.mediaOptionsUpdated.key, spy);
+        negotiator._isExpectingAnswer = true;
+        negotiator._pc.signalingState = 'have-local-offer';
+
+        negotiator.updateMediaOptions({ audioBandwidth: 64 });
+        await negotiator.handleAnswer({ type: 'answer', sdp: 'answer' });
+
+        assert.equal(spy.callCount, 0);
+        assert.equal(negotiator._pc.onnegotiationneeded.callCount, 2);
+      });
+    });
+
+    describe('on the answerer side', () => {
+      beforeEach(() => {
+        negotiator.originator = false;
+        negotiator._lastOffer = { type: 'offer', sdp: 'offer' };
+        sinon.stub(negotiator, '_setRemoteDescription').resolves();
+        sinon
+          .stub(negotiator, '_makeAnswerSdp')
+          .resolves({ type: 'answer', sdp: 'answer' });
+      });
+
+      it('should not emit mediaOptionsUpdated when the last offer is answered again', async () => {
+        const spy = sinon.spy();
+        negotiator.on(Negotiator.EVENTS.mediaOptionsUpdated.key, spy);
+
+        negotiator.updateMediaOptions({ videoCodec: 'H264' });
+        await negotiator.handleOffer();
+
+        assert.equal(spy.callCount, 0);
+        assert.equal(negotiator._isMediaOptionsUpdated, true);
+      });
+
+      it('should emit mediaOptionsUpdated when a new offer is answered', async () => {
+        const spy = sinon.spy();
+        negotiator.on(Negotiator.EVENTS.mediaOptionsUpdated.key, spy);
+
+        negotiator.updateMediaOptions({ videoCodec: 'H264' });
+        await negotiator.handleOffer({ type: 'offer', sdp: 'new offer' });
+
+        assert.equal(spy.callCount, 1);
+        assert.equal(spy.args[0][0].videoCodec, 'H264');
+        assert.equal(negotiator._isMediaOptionsUpdated, false);
+      });
+    });
   });
 
   describe('_makeAnswerSdp', () => {
@@ -1323,4 +1904,62 @@ describe('Negotiator', () => {
       });
     });
   });
+
+  describe('quality monitoring', () => {
+    const report = {
+      timestamp: 1000,
+      rtt: 400,
+      audio: { inbound: null, outbound: null },
+      video: { inbound: null, outbound: null },
+    };
+    let negotiator;
+
+    beforeEach(() => {
+      negotiator = new Negotiator();
+      negotiator._pc = { close: sinon.spy() };
+    });
+
+    afterEach(() => {
+      negotiator.cleanup();
+    });
+
+    it('should not monitor the quality if quality is not enabled', () => {
+      const qualitySpy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.quality.key, qualitySpy);
+      negotiator._startQualityMonitor(undefined);
+
+      negotiator.updateQuality(report);
+
+      assert.equal(qualitySpy.callCount, 0);
+      assert.equal(negotiator.quality, null);
+    });
+
+    it('should emit the events of the quality monitor updated by updateQuality', () => {
+      const qualitySpy = sinon.spy();
+      const degradedSpy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.quality.key, qualitySpy);
+      negotiator.on(Negotiator.EVENTS.networkDegraded.key, degradedSpy);
+      negotiator._startQualityMonitor({ interval: 1000 });
+
+      negotiator.updateQuality(report);
+
+      assert.equal(qualitySpy.callCount, 1);
+      assert.equal(qualitySpy.args[0][0].quality, 'poor');
+      assert.equal(qualitySpy.args[0][0].report, report);
+      assert.equal(degradedSpy.callCount, 1);
+      assert.equal(negotiator.quality, 'poor');
+    });
+
+    it('should stop monitoring the quality on cleanup', () => {
+      const qualitySpy = sinon.spy();
+      negotiator.on(Negotiator.EVENTS.quality.key, qualitySpy);
+      negotiator._startQualityMonitor(true);
+
+      negotiator.cleanup();
+      negotiator.updateQuality(report);
+
+      assert.equal(qualitySpy.callCount, 0);
+      assert.equal(negotiator.quality, null);
+    });
+  });
 });
@@ -0,0 +1,175 @@
+import assert from 'power-assert';
+import sinon from 'sinon';
+
+import QualityMonitor from '../../src/peer/qualityMonitor';
+
+describe('QualityMonitor', () => {
+  const createReport = (timestamp, metrics = {}) => {
+    const inbound = Object.assign(
+      {
+        bytes: 1000,
+        packetLossRate: 0,
+        jitter: 10,
+        rtt: null,
+        frameRate: null,
+        framesDecoded: null,
+        audioLevel: null,
+      },
+      metrics.inbound
+    );
+    return {
+      timestamp: timestamp,
+      rtt: metrics.rtt !== undefined ? metrics.rtt : 50,
+      audio: {
+        inbound: Object.assign({}, inbound, metrics.audio),
+        outbound: null,
+      },
+      video: {
+        inbound: Object.assign({}, inbound, metrics.video),
+        outbound: null,
+      },
+    };
+  };
+
+  describe('getQuality', () => {
+    it('should be the best quality whose thresholds all metrics are within', () => {
+      const monitor = new QualityMonitor();
+
+      assert.equal(monitor.getQuality(createReport(0)), 'excellent');
+      assert.equal(monitor.getQuality(createReport(0, { rtt: 200 })), 'good');
+      assert.equal(
+        monitor.getQuality(
+          createReport(0, { inbound: { packetLossRate: 0.05 } })
+        ),
+        'poor'
+      );
+      assert.equal(
+        monitor.getQuality(createReport(0, { inbound: { jitter: 150 } })),
+        'bad'
+      );
+    });
+
+    it('should ignore metrics which are not reported', () => {
+      const monitor = new QualityMonitor();
+      const report = createReport(0, {
+        rtt: null,
+        inbound: { packetLossRate: null, jitter: null },
+      });
+
+      assert.equal(monitor.getQuality(report), null);
+
+      report.video.outbound = { rtt: 300, packetLossRate: null, jitter: null };
+      assert.equal(monitor.getQuality(report), 'poor');
+    });
+
+    it('should use the thresholds passed in the options', () => {
+      const monitor = new QualityMonitor({
+        thresholds: { excellent: { rtt: 10 } },
+      });
+
+      assert.equal(monitor.getQuality(createReport(0)), 'good');
+    });
+  });
+
+  describe('update', () => {
+    it('should emit quality event when the quality is changed', () => {
+      const monitor = new QualityMonitor();
+      const spy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.quality.key, spy);
+
+      const report = createReport(0);
+      monitor.update(report);
+      monitor.update(createReport(1000));
+
+      assert.equal(spy.callCount, 1);
+      assert.deepEqual(spy.args[0][0], {
+        quality: 'excellent',
+        report: report,
+      });
+      assert.equal(monitor.quality, 'excellent');
+    });
+
+    it('should emit networkDegraded and networkRecovered events', () => {
+      const monitor = new QualityMonitor();
+      const degradedSpy = sinon.spy();
+      const recoveredSpy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.networkDegraded.key, degradedSpy);
+      monitor.on(QualityMonitor.EVENTS.networkRecovered.key, recoveredSpy);
+
+      monitor.update(createReport(0));
+      monitor.update(createReport(1000, { rtt: 400 }));
+      monitor.update(createReport(2000, { rtt: 600 }));
+      monitor.update(createReport(3000, { rtt: 200 }));
+
+      assert.equal(degradedSpy.callCount, 1);
+      assert.equal(degradedSpy.args[0][0].quality, 'poor');
+      assert.equal(recoveredSpy.callCount, 1);
+      assert.equal(recoveredSpy.args[0][0].quality, 'good');
+    });
+
+    it('should emit videoFrozen and videoResumed events', () => {
+      const monitor = new QualityMonitor({ videoFreezeDuration: 2000 });
+      const frozenSpy = sinon.spy();
+      const resumedSpy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.videoFrozen.key, frozenSpy);
+      monitor.on(QualityMonitor.EVENTS.videoResumed.key, resumedSpy);
+
+      monitor.update(createReport(0, { video: { framesDecoded: 0 } }));
+      monitor.update(createReport(1000, { video: { framesDecoded: 30 } }));
+      monitor.update(createReport(2000, { video: { framesDecoded: 30 } }));
+      monitor.update(createReport(3000, { video: { framesDecoded: 30 } }));
+      assert.equal(frozenSpy.callCount, 1);
+
+      monitor.update(createReport(4000, { video: { framesDecoded: 30 } }));
+      monitor.update(createReport(5000, { video: { framesDecoded: 60 } }));
+
+      assert.equal(frozenSpy.callCount, 1);
+      assert.equal(resumedSpy.callCount, 1);
+    });
+
+    it('should not emit videoFrozen event before frames are decoded', () => {
+      const monitor = new QualityMonitor({ videoFreezeDuration: 2000 });
+      const frozenSpy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.videoFrozen.key, frozenSpy);
+
+      for (let timestamp = 0; timestamp <= 5000; timestamp += 1000) {
+        monitor.update(
+          createReport(timestamp, { video: { framesDecoded: 0 } })
+        );
+      }
+
+      assert.equal(frozenSpy.callCount, 0);
+    });
+
+    it('should emit audioSilent and audioResumed events', () => {
+      const monitor = new QualityMonitor({ audioSilenceDuration: 3000 });
+      const silentSpy = sinon.spy();
+      const resumedSpy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.audioSilent.key, silentSpy);
+      monitor.on(QualityMonitor.EVENTS.audioResumed.key, resumedSpy);
+
+      monitor.update(createReport(0, { audio: { audioLevel: 0.2 } }));
+      monitor.update(createReport(1000, { audio: { audioLevel: 0 } }));
+      monitor.update(createReport(3000, { audio: { audioLevel: 0 } }));
+      assert.equal(silentSpy.callCount, 0);
+
+      monitor.update(createReport(4000, { audio: { audioLevel: 0 } }));
+      assert.equal(silentSpy.callCount, 1);
+
+      monitor.update(createReport(5000, { audio: { audioLevel: 0.2 } }));
+      assert.equal(resumedSpy.callCount, 1);
+    });
+
+    it('should regard audio as silent while no byte is received if the audio level is not supported', () => {
+      const monitor = new QualityMonitor({ audioSilenceDuration: 1000 });
+      const silentSpy = sinon.spy();
+      monitor.on(QualityMonitor.EVENTS.audioSilent.key, silentSpy);
+
+      monitor.update(createReport(0, { audio: { bytes: 1000 } }));
+      monitor.update(createReport(1000, { audio: { bytes: 1000 } }));
+      monitor.update(createReport(2000, { audio: { bytes: 1000 } }));
+
+      assert.equal(silentSpy.callCount, 1);
+    });
+  });
+});
@@ -73,6 +73,15 @@ describe('SFURoom', () => {
       assert.equal(startConnectionArgs.offer.sdp, dummyOfferMessage.offer.sdp);
     });
 
+    it('should pass sendEncodings option to negotiator.startConnection', () => {
+      const sendEncodings = [{ rid: 'h' }, { rid: 'l' }];
+      sfuRoom._options.sendEncodings = sendEncodings;
+
+      sfuRoom.handleOffer(dummyOfferMessage);
+
+      assert.equal(startConnectionStub.args[0][0].sendEncodings, sendEncodings);
+    });
+
     it('should call _setupNegotiatorMessageHandlers', () => {
       sfuRoom.handleOffer(dummyOfferMessage);
 
@@ -227,6 +236,39 @@ describe('SFURoom', () => {
           assert.equal(closeStub.callCount, 1);
         });
       });
+
+      describe('reconnecting', () => {
+        it('should emit a reconnecting event', done => {
+          sfuRoom.on(SFURoom.EVENTS.reconnecting.key, () => {
+            done();
+          });
+
+          sfuRoom._negotiator.emit(Negotiator.EVENTS.reconnecting.key);
+        });
+      });
+
+      describe('reconnected', () => {
+        it('should emit a reconnected event', done => {
+          sfuRoom.on(SFURoom.EVENTS.reconnected.key, () => {
+            done();
+          });
+
+          sfuRoom._negotiator.emit(Negotiator.EVENTS.reconnected.key);
+        });
+      });
+
+      describe('quality', () => {
+        it('should emit a quality event', done => {
+          const qualityEvent = { quality: 'excellent', report: {} };
+          sfuRoom.on(SFURoom.EVENTS.quality.key, emittedEvent => {
+            assert.equal(emittedEvent, qualityEvent);
+
+            done();
+          });
+
+          sfuRoom._negotiator.emit(Negotiator.EVENTS.quality.key, qualityEvent);
+        });
+      });
     });
   });
 
@@ -279,6 +321,18 @@ describe('SFURoom', () => {
         assert.equal(callStub.callCount, 0);
         sfuRoom.handleJoin(joinMessage);
       });
+
+      it('should call room.call without emitting an open event when joined again', () => {
+        const callStub = sinon.stub(sfuRoom, 'call');
+        const openSpy = sinon.spy();
+        sfuRoom.on(SFURoom.EVENTS.open.key, openSpy);
+
+        sfuRoom.handleJoin(joinMessage);
+        sfuRoom.handleJoin(joinMessage);
+
+        assert.equal(callStub.callCount, 2);
+        assert.equal(openSpy.callCount, 1);
+      });
     });
 
     describe('when message src is not your peerId', () => {
@@ -515,6 +569,162 @@ describe('SFURoom', () => {
     });
   });
 
+  describe('setEncodingParameters', () => {
+    it('should call setEncodingParameters on room._negotiator', async () => {
+      const parameters = {
+        encodings: [{ rid: 'l', active: false }],
+      };
+      const setEncodingParametersStub = sinon
+        .stub(sfuRoom._negotiator, 'setEncodingParameters')
+        .resolves();
+
+      await sfuRoom.setEncodingParameters('video', parameters);
+
+      assert.equal(setEncodingParametersStub.callCount, 1);
+      assert(setEncodingParametersStub.calledWith('video', parameters));
+    });
+  });
+
+  describe('getStats', () => {
+    const stats = new Map([
+      [
+        'CP01',
+        {
+          id: 'CP01',
+          type: 'candidate-pair',
+          timestamp: 1000,
+          selected: true,
+          currentRoundTripTime: 0.1,
+        },
+      ],
+    ]);
+
+    it('should resolve with the normalized report', async () => {
+      sfuRoom._open = true;
+      sfuRoom._negotiator._pc = { getStats: sinon.stub().resolves(stats) };
+
+      const report = await sfuRoom.getStats();
+
+      assert.equal(report.rtt, 100);
+      assert.equal(report.timestamp, 1000);
+    });
+
+    it('should reject when the room is not open', async () => {
+      sfuRoom._negotiator._pc = { getStats: sinon.stub().resolves(stats) };
+
+      try {
+        await sfuRoom.getStats();
+      } catch (err) {
+        assert(err instanceof Error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    describe('when statsInterval option is set', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        sfuRoom = new SFURoom(sfuRoomName, peerId, { statsInterval: 1000 });
+        sfuRoom._negotiator._pc = {
+          getStats: sinon.stub().resolves(stats),
+          close: sinon.spy(),
+        };
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should emit stats event periodically after open', async () => {
+        sfuRoom.handleJoin({ src: peerId });
+
+        const statsPromise = new Promise(resolve =>
+          sfuRoom.once(SFURoom.EVENTS.stats.key, resolve)
+        );
+        clock.tick(1000);
+        const report = await statsPromise;
+
+        assert.equal(report.rtt, 100);
+      });
+
+      it('should compute the deltas apart from getStats()', async () => {
+        const reports = [{ rtt: 1 }, { rtt: 2 }, { rtt: 3 }];
+        const getNormalizedStatsStub = sinon.stub(
+          sfuRoom,
+          '_getNormalizedStats'
+        );
+        reports.forEach((report, i) =>
+          getNormalizedStatsStub.onCall(i).resolves(report)
+        );
+        sfuRoom.handleJoin({ src: peerId });
+
+        clock.tick(1000);
+        await new Promise(resolve =>
+          sfuRoom.once(SFURoom.EVENTS.stats.key, resolve)
+        );
+        await sfuRoom.getStats();
+        clock.tick(1000);
+        await new Promise(resolve =>
+          sfuRoom.once(SFURoom.EVENTS.stats.key, resolve)
+        );
+
+        assert.deepEqual(getNormalizedStatsStub.args, [
+          [null],
+          [null],
+          [reports[0]],
+        ]);
+        assert.equal(sfuRoom._lastStatsReport, reports[1]);
+      });
+
+      it('should stop emitting stats event after close', () => {
+        const getStatsSpy = sinon.spy(sfuRoom, '_getNormalizedStats');
+        sfuRoom.handleJoin({ src: peerId });
+        sfuRoom.close();
+
+        clock.tick(1000);
+
+        assert.equal(getStatsSpy.callCount, 0);
+      });
+    });
+
+    describe('when only quality option is set', () => {
+      let clock;
+
+      beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        sfuRoom = new SFURoom(sfuRoomName, peerId, {
+          quality: { interval: 500 },
+        });
+        sfuRoom._negotiator._pc = {
+          getStats: sinon.stub().resolves(stats),
+          close: sinon.spy(),
+        };
+      });
+
+      afterEach(() => {
+        clock.restore();
+      });
+
+      it('should update the quality at the interval of quality option without emitting stats event', async () => {
+        const statsSpy = sinon.spy();
+        sfuRoom.on(SFURoom.EVENTS.stats.key, statsSpy);
+        sfuRoom.handleJoin({ src: peerId });
+
+        const updatePromise = new Promise(resolve =>
+          sinon.stub(sfuRoom._negotiator, 'updateQuality').callsFake(resolve)
+        );
+        clock.tick(500);
+        const report = await updatePromise;
+
+        assert.equal(report.rtt, 100);
+        assert.equal(statsSpy.callCount, 0);
+        sfuRoom.close();
+      });
+    });
+  });
+
   describe('updateMsidMap', () => {
     it('should update room._msidMap', () => {
       const newMsidMap = { stream1: {}, stream2: {} };
@@ -1,9 +1,13 @@
 import assert from 'power-assert';
 import SocketIO from 'socket.io-client';
 import sinon from 'sinon';
+import EventEmitter from 'events';
 
 import socketInjector from 'inject-loader!../../src/peer/socket';
+import socketIoTransportInjector from 'inject-loader!../../src/peer/socketIoTransport';
+import WebSocketTransport from '../../src/peer/webSocketTransport';
 import config from '../../src/shared/config';
+import logger from '../../src/shared/logger';
 
 describe('Socket', () => {
   const serverPort = 5080;
@@ -35,9 +39,12 @@ describe('Socket', () => {
       io: { opts: { query: '' } },
     });
 
-    Socket = socketInjector({
+    const SocketIoTransport = socketIoTransportInjector({
       'socket.io-client': socketIoClientStub,
     }).default;
+    Socket = socketInjector({
+      './socketIoTransport': SocketIoTransport,
+    }).default;
 
     socket = new Socket(apiKey, {
       host: 'localhost',
@@ -57,9 +64,9 @@ describe('Socket', () => {
         it('should be able to connect to a server', done => {
           socket.start(undefined, token).then(() => {
             assert(socketIoClientStub.called);
-            socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-              openMessage
-            );
+            socket._transport._io._fakeMessage[
+              config.MESSAGE_TYPES.SERVER.OPEN.key
+            ](openMessage);
             assert.equal(socket.isOpen, true);
             done();
           });
@@ -68,9 +75,9 @@ describe('Socket', () => {
         it('should be able to connect to a server with a PeerID', done => {
           socket.start(peerId, token).then(() => {
             assert(socketIoClientStub.called);
-            socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-              openMessage
-            );
+            socket._transport._io._fakeMessage[
+              config.MESSAGE_TYPES.SERVER.OPEN.key
+            ](openMessage);
             assert.equal(socket.isOpen, true);
             done();
           });
@@ -88,9 +95,9 @@ describe('Socket', () => {
           })
           .then(() => {
             assert(socketIoClientStub.called);
-            socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-              openMessage
-            );
+            socket._transport._io._fakeMessage[
+              config.MESSAGE_TYPES.SERVER.OPEN.key
+            ](openMessage);
             assert.equal(socket.isOpen, true);
             done();
           });
@@ -135,6 +142,16 @@ describe('Socket', () => {
         );
       });
 
+      it('should use http for the dispatcher if dispatcherSecure is false', () => {
+        socket = new Socket(apiKey, {
+          dispatcherHost: 'localhost',
+          dispatcherPort: 8081,
+          dispatcherSecure: false,
+        });
+
+        assert.equal(socket._dispatcherUrl, 'http://localhost:8081/signaling');
+      });
+
       it('should get set the signalingServerUrl from _getSignalingServer', done => {
         socket.start(null, token).then(() => {
           const httpProtocol = signalingSecure ? 'https://' : 'http://';
@@ -144,16 +161,42 @@ describe('Socket', () => {
           done();
         });
       });
+
+      it('should keep the fallback servers and the region', done => {
+        const fallbacks = [{ host: 'fallback.io', port: 443, secure: true }];
+        getSignalingServerStub.returns(
+          Promise.resolve({
+            host: signalingHost,
+            port: signalingPort,
+            secure: signalingSecure,
+            fallbacks: fallbacks,
+            region: 'ap-northeast-1',
+          })
+        );
+
+        socket.start(null, token).then(() => {
+          assert.deepEqual(socket._fallbackServers, fallbacks);
+          assert.equal(socket.region, 'ap-northeast-1');
+
+          done();
+        });
+      });
     });
   });
 
   describe('updateCredential', () => {
     beforeEach(done => {
-      socket.start(peerId, token).then(() => done());
+      socket
+        .start(peerId, token, {
+          timestamp: 1,
+          ttl: 1000,
+          authToken: 'hogehoge',
+        })
+        .then(() => done());
     });
-    it('should update queryString in this._io and send message to the server', () => {
+    it('should update queryString in the transport and send message to the server', () => {
       const openMessage = { peerId: peerId };
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
       const newCredential = {
@@ -161,12 +204,10 @@ describe('Socket', () => {
         ttl: 1000,
         authToken: 'newCredential',
       };
-      // set current queryString manually
-      socket._io.io.opts.query = `apiKey=${apiKey}&peerId=${peerId}&credential=hogehoge`;
       socket.updateCredential(newCredential);
       // Make sure the queryString contains new credential.
       assert(
-        socket._io.io.opts.query.indexOf(
+        socket._transport._io.io.opts.query.indexOf(
           encodeURIComponent(newCredential.authToken)
         ) !== -1
       );
@@ -187,9 +228,9 @@ describe('Socket', () => {
       socket.start(peerId, token).then(() => {
         assert.equal(socket.isOpen, false);
 
-        socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-          openMessage
-        );
+        socket._transport._io._fakeMessage[
+          config.MESSAGE_TYPES.SERVER.OPEN.key
+        ](openMessage);
         assert.equal(socket.isOpen, true);
 
         socket.close();
@@ -212,9 +253,9 @@ describe('Socket', () => {
       const stopPingsSpy = sinon.spy(socket, '_stopPings');
 
       socket.start(peerId, token).then(() => {
-        socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-          openMessage
-        );
+        socket._transport._io._fakeMessage[
+          config.MESSAGE_TYPES.SERVER.OPEN.key
+        ](openMessage);
         assert.equal(stopPingsSpy.callCount, 0);
 
         socket.close();
@@ -234,7 +275,7 @@ describe('Socket', () => {
       const openMessage = { peerId: peerId };
       const data = { type: 'MSG', message: 'hello world' };
 
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
       socket.send(data.type, data.message);
@@ -245,11 +286,14 @@ describe('Socket', () => {
       const openMessage = { peerId: peerId };
       const data = { message: 'hello world' };
 
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
+      const errorStub = sinon.stub(logger, 'error');
       socket.send(undefined, data.message);
-      assert.deepEqual(eventSpy.args[0], ['error', 'Invalid message']);
+      errorStub.restore();
+      assert.equal(eventSpy.callCount, 0);
+      assert(errorStub.calledWith('Invalid message'));
     });
 
     it.skip('should send queued messages upon connecting', () => {
@@ -265,7 +309,7 @@ describe('Socket', () => {
 
       // Second pass - peerID set, queued messages sent
       // TODO: Headache zone. This invocation of fakeMessage causes a freeze.
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
       assert.deepEqual(socket._queue, []);
@@ -298,7 +342,7 @@ describe('Socket', () => {
     it("should set _isOpen and emit peerId on _io 'OPEN' messages", () => {
       assert.equal(eventSpy.callCount, 0);
 
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
 
@@ -314,24 +358,77 @@ describe('Socket', () => {
 
       const peerIdRegex = new RegExp(`&peerId=${peerId}`);
 
-      let query = socket._io.io.opts.query;
+      let query = socket._transport._io.io.opts.query;
       assert.equal(socket._isPeerIdSet, false);
       assert.equal(peerIdRegex.test(query), false);
 
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
 
-      query = socket._io.io.opts.query;
+      query = socket._transport._io.io.opts.query;
       assert(socket._isPeerIdSet);
       assert(peerIdRegex.test(query));
     });
 
+    it("should emit reconnect instead of 'OPEN' on the second 'OPEN' message", () => {
+      const openMessage = { peerId: peerId };
+      const queuedMessage = { type: 'type', message: 'message' };
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+        openMessage
+      );
+      socket._queue.push(queuedMessage);
+      emitSpy.resetHistory();
+      eventSpy.resetHistory();
+
+      socket.on('reconnect', () => {
+        // queued messages should be sent after the peer restored its state
+        assert.equal(eventSpy.callCount, 0);
+      });
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+        openMessage
+      );
+
+      assert(emitSpy.calledWith('reconnect', openMessage));
+      assert.equal(
+        emitSpy.calledWith(config.MESSAGE_TYPES.SERVER.OPEN.key),
+        false
+      );
+      assert(eventSpy.calledWith(queuedMessage.type, queuedMessage.message));
+      assert.equal(socket._queue.length, 0);
+    });
+
+    it('should not send the queued messages removed on reconnect', () => {
+      const openMessage = { peerId: peerId };
+      const joinType = config.MESSAGE_TYPES.CLIENT.ROOM_JOIN.key;
+      const joinMessage = { roomName: 'room', roomType: 'sfu' };
+      const queuedMessage = { type: 'type', message: 'message' };
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+        openMessage
+      );
+      socket._queue.push({ type: joinType, message: joinMessage });
+      socket._queue.push(queuedMessage);
+      eventSpy.resetHistory();
+
+      // Join the room again like Peer does on reconnect
+      socket.on('reconnect', () => {
+        socket.removeQueuedMessages(type => type === joinType);
+        socket.send(joinType, joinMessage);
+      });
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+        openMessage
+      );
+
+      assert.equal(eventSpy.withArgs(joinType).callCount, 1);
+      assert(eventSpy.calledWith(queuedMessage.type, queuedMessage.message));
+      assert.equal(socket._queue.length, 0);
+    });
+
     it("should start sending pings on 'OPEN' messages", () => {
       const peerId = 'peerId';
       const openMessage = { peerId: peerId };
 
-      socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
+      socket._transport._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
         openMessage
       );
 
@@ -347,7 +444,7 @@ describe('Socket', () => {
         }
 
         const message = Symbol();
-        socket._io._fakeMessage[type.key](message);
+        socket._transport._io._fakeMessage[type.key](message);
 
         assert(emitSpy.calledWith(type.key, message));
       });
@@ -375,9 +472,9 @@ describe('Socket', () => {
       });
 
       socket.start(peerId, token).then(() => {
-        socket._io._fakeMessage[config.MESSAGE_TYPES.SERVER.OPEN.key](
-          openMessage
-        );
+        socket._transport._io._fakeMessage[
+          config.MESSAGE_TYPES.SERVER.OPEN.key
+        ](openMessage);
         done();
       });
     });
@@ -487,6 +584,40 @@ describe('Socket', () => {
       });
     });
 
+    describe('when response from dispatcher is including port, secure, fallback domains and region', () => {
+      it('should resolve with object including them', done => {
+        const result = {
+          domain: fakeDomain,
+          port: 8080,
+          secure: false,
+          fallbackDomains: ['fallback1.domain', 'fallback2.domain'],
+          region: 'local',
+        };
+
+        socket
+          ._getSignalingServer()
+          .then(res => {
+            assert.deepEqual(res, {
+              host: fakeDomain,
+              port: 8080,
+              secure: false,
+              fallbacks: [
+                { host: 'fallback1.domain', port: 8080, secure: false },
+                { host: 'fallback2.domain', port: 8080, secure: false },
+              ],
+              region: 'local',
+            });
+            done();
+          })
+          .catch(err => {
+            assert.fail(err);
+            done();
+          });
+
+        requests[0].respond(200, {}, JSON.stringify(result));
+      });
+    });
+
     describe('when response from dispatcher is empty', () => {
       it('should reject', done => {
         const result = {};
@@ -589,4 +720,271 @@ describe('Socket', () => {
       });
     });
   });
+
+  describe('reconnect option', () => {
+    it('should pass the backoff policy to socket.io', done => {
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        reconnect: { maxAttempts: 5, delay: 100, timeout: 3000 },
+      });
+
+      socket.start(peerId, token).then(() => {
+        const ioOptions = socketIoClientStub.args[0][1];
+        assert.equal(ioOptions.reconnectionAttempts, 5);
+        assert.equal(ioOptions.reconnectionDelay, 100);
+        assert.equal(
+          ioOptions.reconnectionDelayMax,
+          config.reconnectionDelayMax
+        );
+        assert.equal(ioOptions.randomizationFactor, config.reconnectionJitter);
+        assert.equal(ioOptions.timeout, 3000);
+        done();
+      });
+    });
+
+    it("should emit reconnectAttempt on socket.io 'reconnect_attempt'", done => {
+      socket.start(peerId, token).then(() => {
+        socket.on('reconnectAttempt', attemptMessage => {
+          assert.deepEqual(attemptMessage, { type: 'signaling', attempt: 2 });
+          done();
+        });
+
+        socket._transport._io._fakeMessage.reconnect_attempt(2);
+      });
+    });
+  });
+
+  describe('transport option', () => {
+    let transport;
+
+    beforeEach(() => {
+      transport = new EventEmitter();
+      transport.connect = sinon.spy();
+      transport.send = sinon.spy();
+      transport.close = sinon.spy();
+      transport.connected = true;
+    });
+
+    it('should connect and send messages with the custom transport', async () => {
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        transport: transport,
+      });
+
+      await socket.start(peerId, token);
+      assert.equal(transport.connect.callCount, 1);
+      assert.equal(
+        transport.connect.args[0][0],
+        `http://localhost:${serverPort}`
+      );
+      assert(transport.connect.args[0][1].indexOf(`peerId=${peerId}`) !== -1);
+
+      transport.emit(config.MESSAGE_TYPES.SERVER.OPEN.key, { peerId: peerId });
+      assert.equal(socket.isOpen, true);
+
+      socket.send(config.MESSAGE_TYPES.CLIENT.SEND_OFFER.key, {
+        dst: 'remote',
+      });
+      assert(
+        transport.send.calledWith(config.MESSAGE_TYPES.CLIENT.SEND_OFFER.key, {
+          dst: 'remote',
+        })
+      );
+
+      socket.close();
+      assert.equal(transport.close.callCount, 1);
+    });
+
+    it('should not use the dispatcher with the custom transport', async () => {
+      socket = new Socket(apiKey, { transport: transport });
+      const getSignalingServerSpy = sinon.spy(socket, '_getSignalingServer');
+
+      await socket.start(peerId, token);
+
+      assert.equal(socket._dispatcherUrl, undefined);
+      assert.equal(getSignalingServerSpy.callCount, 0);
+      assert.equal(transport.connect.callCount, 1);
+    });
+
+    it("should connect to a new server on the transport's reconnectFailed", async () => {
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        transport: transport,
+      });
+      const connectToNewServerStub = sinon.stub(socket, '_connectToNewServer');
+
+      await socket.start(peerId, token);
+      transport.emit('reconnectFailed');
+
+      assert.equal(connectToNewServerStub.callCount, 1);
+    });
+
+    it("should create WebSocketTransport with 'websocket'", () => {
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        transport: 'websocket',
+        reconnect: { maxAttempts: 5 },
+      });
+
+      assert(socket._transport instanceof WebSocketTransport);
+      assert.equal(socket._transport._options.reconnectionAttempts, 5);
+    });
+  });
+
+  describe('_getBackoffDelay', () => {
+    let randomStub;
+
+    beforeEach(() => {
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        reconnect: { delay: 100, maxDelay: 1000, jitter: 0.5 },
+      });
+      randomStub = sinon.stub(Math, 'random').returns(0);
+    });
+
+    afterEach(() => {
+      randomStub.restore();
+    });
+
+    it('should double the delay after each attempt up to maxDelay', () => {
+      assert.equal(socket._getBackoffDelay(1), 100);
+      assert.equal(socket._getBackoffDelay(2), 200);
+      assert.equal(socket._getBackoffDelay(4), 800);
+      assert.equal(socket._getBackoffDelay(5), 1000);
+    });
+
+    it('should reduce the delay by jitter', () => {
+      randomStub.returns(1);
+
+      assert.equal(socket._getBackoffDelay(2), 100);
+    });
+  });
+
+  describe('_fetchSignalingServer', () => {
+    const serverInfo = { host: 'signaling.io', port: 443, secure: true };
+    let getSignalingServerStub;
+
+    beforeEach(() => {
+      socket = new Socket(apiKey, {
+        dispatcherHost: 'dispatcher.io',
+        reconnect: { maxDispatcherAttempts: 3 },
+      });
+      getSignalingServerStub = sinon.stub(socket, '_getSignalingServer');
+      sinon.stub(socket, '_getBackoffDelay').returns(0);
+    });
+
+    it('should retry failed requests and emit reconnectAttempt', async () => {
+      const attemptSpy = sinon.spy();
+      socket.on('reconnectAttempt', attemptSpy);
+      getSignalingServerStub.onCall(0).rejects(new Error('error'));
+      getSignalingServerStub.onCall(1).resolves(serverInfo);
+
+      const res = await socket._fetchSignalingServer();
+
+      assert.equal(res, serverInfo);
+      assert.equal(getSignalingServerStub.callCount, 2);
+      assert.equal(attemptSpy.callCount, 1);
+      assert(attemptSpy.calledWith({ type: 'dispatcher', attempt: 1 }));
+    });
+
+    it('should reject with the last error after maxDispatcherAttempts', async () => {
+      const lastError = new Error('last');
+      getSignalingServerStub.rejects(new Error('error'));
+      getSignalingServerStub.onCall(2).rejects(lastError);
+
+      try {
+        await socket._fetchSignalingServer();
+        assert.fail('This should be rejected.');
+      } catch (err) {
+        assert.equal(err, lastError);
+        assert.equal(getSignalingServerStub.callCount, 3);
+      }
+    });
+
+    it('should retry until a new server is returned if required', async () => {
+      socket.signalingServerUrl = 'https://signaling.io:443';
+      const newServerInfo = { host: 'new.io', port: 443, secure: true };
+      getSignalingServerStub.onCall(0).resolves(serverInfo);
+      getSignalingServerStub.onCall(1).resolves(newServerInfo);
+
+      const res = await socket._fetchSignalingServer(true);
+
+      assert.equal(res, newServerInfo);
+      assert.equal(getSignalingServerStub.callCount, 2);
+    });
+  });
+
+  describe('_connectToNewServer', () => {
+    let onGiveUpSpy;
+
+    beforeEach(done => {
+      onGiveUpSpy = sinon.spy();
+      socket = new Socket(apiKey, {
+        host: 'localhost',
+        port: serverPort,
+        reconnect: { maxServers: 1, onGiveUp: onGiveUpSpy },
+      });
+      socket.start(peerId, token).then(() => {
+        socket._transport._io.connect = sinon.spy();
+        done();
+      });
+    });
+
+    it('should connect to the new server', async () => {
+      sinon
+        .stub(socket, '_fetchSignalingServer')
+        .resolves({ host: 'new.io', port: 443, secure: true });
+
+      await socket._connectToNewServer();
+
+      assert.equal(socket.signalingServerUrl, 'https://new.io:443');
+      assert.equal(socket._transport._io.io.uri, 'https://new.io:443');
+      assert.equal(socket._transport._io.connect.callCount, 1);
+    });
+
+    it('should connect to the fallback server before requesting the dispatcher', async () => {
+      const fetchSignalingServerStub = sinon.stub(
+        socket,
+        '_fetchSignalingServer'
+      );
+      socket._fallbackServers = [
+        { host: 'fallback.io', port: 8080, secure: false },
+      ];
+
+      await socket._connectToNewServer();
+
+      assert.equal(fetchSignalingServerStub.callCount, 0);
+      assert.equal(socket.signalingServerUrl, 'http://fallback.io:8080');
+      assert.equal(socket._transport._io.io.uri, 'http://fallback.io:8080');
+      assert.equal(socket._transport._io.connect.callCount, 1);
+      assert.equal(socket._fallbackServers.length, 0);
+    });
+
+    it('should give up after trying maxServers servers', async () => {
+      const errorSpy = sinon.spy();
+      socket.on('error', errorSpy);
+      socket._reconnectAttempts = 1;
+
+      await socket._connectToNewServer();
+
+      assert.equal(socket._transport._io.connect.callCount, 0);
+      assert.equal(onGiveUpSpy.callCount, 1);
+      assert.equal(errorSpy.callCount, 1);
+    });
+
+    it('should give up if the dispatcher failed', async () => {
+      const error = new Error('error');
+      socket.on('error', () => {});
+      sinon.stub(socket, '_fetchSignalingServer').rejects(error);
+
+      await socket._connectToNewServer();
+
+      assert(onGiveUpSpy.calledWith(error));
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import assert from 'power-assert';
+import sinon from 'sinon';
+
+import socketIoTransportInjector from 'inject-loader!../../src/peer/socketIoTransport';
+import config from '../../src/shared/config';
+
+describe('SocketIoTransport', () => {
+  let SocketIoTransport;
+  let transport;
+  let ioStub;
+  let fakeIo;
+
+  beforeEach(() => {
+    fakeIo = {
+      handlers: {},
+      on: function(event, callback) {
+        this.handlers[event] = callback;
+      },
+      emit: sinon.spy(),
+      connect: sinon.spy(),
+      disconnect: sinon.spy(),
+      connected: true,
+      io: { uri: '', opts: { query: '' } },
+    };
+    ioStub = sinon.stub().returns(fakeIo);
+
+    SocketIoTransport = socketIoTransportInjector({
+      'socket.io-client': ioStub,
+    }).default;
+    transport = new SocketIoTransport({ reconnectionAttempts: 2 });
+  });
+
+  describe('connect', () => {
+    it('should create a socket.io client with the query and the options', () => {
+      transport.connect('https://localhost:443', 'apiKey=key');
+
+      assert.equal(ioStub.callCount, 1);
+      assert.equal(ioStub.args[0][0], 'https://localhost:443');
+      assert.deepEqual(ioStub.args[0][1], {
+        'force new connection': true,
+        query: 'apiKey=key',
+        reconnectionAttempts: 2,
+      });
+    });
+
+    it('should reconnect the client to the new url', () => {
+      transport.connect('https://localhost:443', 'apiKey=key');
+      transport.connect('https://new.io:443', 'apiKey=key&peerId=peerId');
+
+      assert.equal(ioStub.callCount, 1);
+      assert.equal(fakeIo.io.uri, 'https://new.io:443');
+      assert.equal(fakeIo.io.opts.query, 'apiKey=key&peerId=peerId');
+      assert.equal(fakeIo.connect.callCount, 1);
+    });
+  });
+
+  describe('events', () => {
+    beforeEach(() => {
+      transport.connect('https://localhost:443', 'apiKey=key');
+    });
+
+    it('should emit the messages from the server', () => {
+      const spy = sinon.spy();
+      transport.on(config.MESSAGE_TYPES.SERVER.OFFER.key, spy);
+
+      fakeIo.handlers[config.MESSAGE_TYPES.SERVER.OFFER.key]({ src: 'peerId' });
+
+      assert(spy.calledWith({ src: 'peerId' }));
+    });
+
+    it("should emit reconnectAttempt and reconnectFailed on socket.io's reconnection events", () => {
+      const attemptSpy = sinon.spy();
+      const failedSpy = sinon.spy();
+      transport.on('reconnectAttempt', attemptSpy);
+      transport.on('reconnectFailed', failedSpy);
+
+      fakeIo.handlers.reconnect_attempt(1);
+      fakeIo.handlers.reconnect_failed();
+
+      assert(attemptSpy.calledWith(1));
+      assert.equal(failedSpy.callCount, 1);
+    });
+  });
+
+  describe('send', () => {
+    it('should emit the message to socket.io', () => {
+      transport.connect('https://localhost:443', 'apiKey=key');
+
+      transport.send('PING', undefined);
+
+      assert(fakeIo.emit.calledWith('PING', undefined));
+    });
+  });
+
+  describe('close', () => {
+    it('should disconnect socket.io', () => {
+      transport.connect('https://localhost:443', 'apiKey=key');
+
+      transport.close();
+
+      assert.equal(fakeIo.disconnect.callCount, 1);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import assert from 'power-assert';
+import sinon from 'sinon';
+
+import WebSocketTransport from '../../src/peer/webSocketTransport';
+
+describe('WebSocketTransport', () => {
+  let originalWebSocket;
+  let webSockets;
+  let transport;
+
+  beforeEach(() => {
+    originalWebSocket = window.WebSocket;
+    webSockets = [];
+
+    // Fake WebSocket recording sent messages. Call onopen/onmessage/onclose manually.
+    window.WebSocket = function(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.send = sinon.spy();
+      this.close = sinon.spy();
+      webSockets.push(this);
+    };
+    window.WebSocket.OPEN = 1;
+
+    transport = new WebSocketTransport({
+      reconnectionAttempts: 2,
+      reconnectionDelay: 100,
+      reconnectionDelayMax: 1000,
+      randomizationFactor: 0,
+    });
+  });
+
+  afterEach(() => {
+    transport.close();
+    window.WebSocket = originalWebSocket;
+  });
+
+  const open = ws => {
+    ws.readyState = window.WebSocket.OPEN;
+    ws.onopen();
+  };
+
+  describe('connect', () => {
+    it('should open a WebSocket to the url with the path and the query', () => {
+      transport.connect('https://localhost:8080', 'apiKey=key&token=token');
+
+      assert.equal(webSockets.length, 1);
+      assert.equal(
+        webSockets[0].url,
+        'wss://localhost:8080/ws?apiKey=key&token=token'
+      );
+    });
+
+    it('should close the current WebSocket and open a new one', () => {
+      transport.connect('http://localhost:8080', 'query');
+      transport.connect('http://new.io:8080', 'query');
+
+      assert.equal(webSockets[0].close.callCount, 1);
+      assert.equal(webSockets.length, 2);
+      assert.equal(webSockets[1].url, 'ws://new.io:8080/ws?query');
+    });
+  });
+
+  describe('connected', () => {
+    it('should be true only while the WebSocket is open', () => {
+      transport.connect('http://localhost:8080', 'query');
+      assert.equal(transport.connected, false);
+
+      open(webSockets[0]);
+      assert.equal(transport.connected, true);
+    });
+  });
+
+  describe('send', () => {
+    it('should send the type and the message as JSON', () => {
+      transport.connect('http://localhost:8080', 'query');
+      open(webSockets[0]);
+
+      transport.send('SEND_OFFER', { dst: 'peerId' });
+
+      assert(
+        webSockets[0].send.calledWith(
+          JSON.stringify({ type: 'SEND_OFFER', message: { dst: 'peerId' } })
+        )
+      );
+    });
+
+    it('should send ArrayBuffers and typed arrays as base64', () => {
+      transport.connect('http://localhost:8080', 'query');
+      open(webSockets[0]);
+
+      transport.send('ROOM_SEND_DATA', {
+        roomName: 'room',
+        data: new Uint8Array([0, 1, 255]).buffer,
+        view: new Uint8Array([0, 1, 2, 3]).subarray(1, 3),
+      });
+
+      assert.deepEqual(JSON.parse(webSockets[0].send.args[0][0]), {
+        type: 'ROOM_SEND_DATA',
+        message: {
+          roomName: 'room',
+          data: { __binary__: 'AAH/' },
+          view: { __binary__: 'AQI=' },
+        },
+      });
+    });
+
+    it('should not send before connected', () => {
+      transport.connect('http://localhost:8080', 'query');
+
+      transport.send('PING');
+
+      assert.equal(webSockets[0].send.callCount, 0);
+    });
+  });
+
+  describe('receiving messages', () => {
+    it('should emit the message with its type', () => {
+      const spy = sinon.spy();
+      transport.on('OPEN', spy);
+      transport.connect('http://localhost:8080', 'query');
+      open(webSockets[0]);
+
+      webSockets[0].onmessage({
+        data: JSON.stringify({ type: 'OPEN', message: { peerId: 'peerId' } }),
+      });
+
+      assert(spy.calledWith({ peerId: 'peerId' }));
+    });
+
+    it('should decode the binary data encoded by send as ArrayBuffers', () => {
+      const spy = sinon.spy();
+      transport.on('ROOM_SEND_DATA', spy);
+      transport.connect('http://localhost:8080', 'query');
+      open(webSockets[0]);
+
+      const bytes = new Uint8Array(0x10000).map((_, i) => i % 256);
+      transport.send('ROOM_SEND_DATA', {
+        roomName: 'room',
+        data: { data: bytes.buffer, compression: 'deflate' },
+      });
+      webSockets[0].onmessage({ data: webSockets[0].send.args[0][0] });
+
+      const { data } = spy.args[0][0].data;
+      assert(data instanceof ArrayBuffer);
+      assert.deepEqual(new Uint8Array(data), bytes);
+      assert.equal(spy.args[0][0].data.compression, 'deflate');
+    });
+
+    it('should ignore malformed messages', () => {
+      const spy = sinon.spy();
+      transport.on('OPEN', spy);
+      transport.connect('http://localhost:8080', 'query');
+
+      webSockets[0].onmessage({ data: 'OPEN' });
+
+      assert.equal(spy.callCount, 0);
+    });
+  });
+
+  describe('reconnection', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should reconnect with the updated query and emit reconnectAttempt', () => {
+      const attemptSpy = sinon.spy();
+      transport.on('reconnectAttempt', attemptSpy);
+      transport.connect('http://localhost:8080', 'query');
+      open(webSockets[0]);
+
+      transport.setQuery('query&peerId=peerId');
+      webSockets[0].onclose();
+
+      clock.tick(99);
+      assert.equal(webSockets.length, 1);
+      clock.tick(1);
+      assert.equal(webSockets.length, 2);
+      assert.equal(
+        webSockets[1].url,
+        'ws://localhost:8080/ws?query&peerId=peerId'
+      );
+      assert(attemptSpy.calledWith(1));
+    });
+
+    it('should double the delay and emit reconnectFailed after reconnectionAttempts', () => {
+      const failedSpy = sinon.spy();
+      transport.on('reconnectFailed', failedSpy);
+      transport.connect('http://localhost:8080', 'query');
+
+      webSockets[0].onclose();
+      clock.tick(100);
+      webSockets[1].onclose();
+      clock.tick(199);
+      assert.equal(webSockets.length, 2);
+      clock.tick(1);
+      assert.equal(webSockets.length, 3);
+
+      webSockets[2].onclose();
+      assert.equal(failedSpy.callCount, 1);
+    });
+
+    it('should not reconnect after close', () => {
+      transport.connect('http://localhost:8080', 'query');
+      const ws = webSockets[0];
+
+      transport.close();
+      ws.onclose();
+      clock.tick(1000);
+
+      assert.equal(ws.close.callCount, 1);
+      assert.equal(webSockets.length, 1);
+    });
+  });
+});
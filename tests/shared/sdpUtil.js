@@ -609,149 +609,187 @@ a=ssrc:3344931084 cname:{71eaeac1-5ffa-184a-bdb6-96356857d252}
     });
   });
 
-  describe('filterAudioCodec', () => {
-    const testAudioCodec = 'PCMU';
-
-    it('should throw error when codec does not exist', () => {
-      try {
-        sdpUtil.filterAudioCodec(chromeSdpMultiStream, 'NonExistCodec');
-      } catch (e) {
-        assert(e instanceof Error);
-        assert.equal(e.message, 'NonExistCodec does not exist');
-      }
-    });
+  describe('preferAudioCodecs', () => {
+    const getAudioPayloads = sdp =>
+      sdp.match(/m=audio \d+ [A-Z/]+ (.*)/)[1].split(' ');
 
     it('should throw error when codec is not passed', () => {
       try {
-        sdpUtil.filterAudioCodec(chromeSdpSingleStream);
+        sdpUtil.preferAudioCodecs(chromeSdpSingleStream);
       } catch (e) {
         assert(e instanceof Error);
         assert.equal(e.message, 'codec is not passed');
+        return;
       }
+      assert.fail("Didn't throw an error");
     });
 
-    describe('When Plan B (Chrome)', () => {
-      const pcmuRegex = 'a=rtpmap:0 PCMU/8000';
-      const opusRegex = 'a=rtpmap:111 opus/48000/2';
+    it('should not change the order when codec does not exist', () => {
+      const testSdp = sdpUtil.preferAudioCodecs(
+        chromeSdpMultiStream,
+        'NonExistCodec'
+      );
 
-      describe('When single stream', () => {
-        it('should remove audio codecs except PCMU', () => {
-          const testSdp = sdpUtil.filterAudioCodec(
-            chromeSdpSingleStream,
-            testAudioCodec
-          );
+      assert.deepEqual(
+        getAudioPayloads(testSdp),
+        getAudioPayloads(chromeSdpMultiStream)
+      );
+    });
 
-          assert(new RegExp(pcmuRegex).test(testSdp));
-          assert.equal(new RegExp(opusRegex).test(testSdp), false);
-        });
+    describe('When Plan B (Chrome)', () => {
+      it('should move PCMU to the top and keep the other codecs', () => {
+        const testSdp = sdpUtil.preferAudioCodecs(
+          chromeSdpSingleStream,
+          'PCMU'
+        );
+
+        assert.deepEqual(getAudioPayloads(testSdp), [
+          '0',
+          '111',
+          '103',
+          '104',
+          '9',
+          '8',
+          '106',
+          '105',
+          '13',
+          '126',
+        ]);
+        assert(/a=rtpmap:111 opus\/48000\/2/.test(testSdp));
       });
 
-      describe('When multi stream', () => {
-        it('should remove audio codecs except PCMU', () => {
-          const testSdp = sdpUtil.filterAudioCodec(
-            chromeSdpMultiStream,
-            testAudioCodec
-          );
-
-          assert(new RegExp(pcmuRegex).test(testSdp));
-          assert.equal(new RegExp(opusRegex).test(testSdp), false);
-        });
+      it('should order codecs by the preference and ignore missing ones', () => {
+        const testSdp = sdpUtil.preferAudioCodecs(chromeSdpMultiStream, [
+          'NonExistCodec',
+          'pcma',
+          'PCMU',
+        ]);
+
+        assert.deepEqual(getAudioPayloads(testSdp).slice(0, 3), [
+          '8',
+          '0',
+          '111',
+        ]);
       });
     });
 
     describe('When Unified Plan (Firefox)', () => {
-      const pcmuRegex = 'a=rtpmap:0 PCMU/8000';
-      const opusRegex = 'a=rtpmap:109 opus/48000/2';
-
-      describe('When single stream', () => {
-        it('should remove audio codecs except PCMU', () => {
-          const testSdp = sdpUtil.filterAudioCodec(
-            firefoxSdpSingleStream,
-            testAudioCodec
-          );
-
-          assert(new RegExp(pcmuRegex).test(testSdp));
-          assert.equal(new RegExp(opusRegex).test(testSdp), false);
-        });
-      });
-
-      describe('When multi stream', () => {
-        it('should remove audio codecs except PCMU', () => {
-          const testSdp = sdpUtil.filterAudioCodec(
-            firefoxSdpMultiStream,
-            testAudioCodec
-          );
-
-          assert(new RegExp(pcmuRegex).test(testSdp));
-          assert.equal(new RegExp(opusRegex).test(testSdp), false);
+      it('should move PCMU to the top of every m=audio', () => {
+        const testSdp = sdpUtil.preferAudioCodecs(
+          firefoxSdpMultiStream,
+          'PCMU'
+        );
+
+        const audioLines = testSdp.match(/m=audio .*/g);
+        assert.equal(audioLines.length, 2);
+        audioLines.forEach(line => {
+          assert(/ 0 109 9 8$/.test(line));
         });
       });
     });
   });
 
-  describe('filterVideoCodec', () => {
-    const testVideoCodec = 'H264';
+  describe('preferVideoCodecs', () => {
+    const getVideoPayloads = sdp =>
+      sdp.match(/m=video \d+ [A-Z/]+ (.*)/)[1].split(' ');
 
     describe('When Plan B (Chrome)', () => {
-      const h264Regex = 'a=rtpmap:107 H264/90000';
-      const vp8Regex = 'a=rtpmap:100 VP8/90000';
-
-      describe('When single stream', () => {
-        it('should remove video codecs except H264', () => {
-          const testSdp = sdpUtil.filterVideoCodec(
-            chromeSdpSingleStream,
-            testVideoCodec
-          );
-
-          assert(new RegExp(h264Regex).test(testSdp));
-          assert.equal(new RegExp(vp8Regex).test(testSdp), false);
-        });
+      it('should move H264 to the top and keep the other codecs', () => {
+        const testSdp = sdpUtil.preferVideoCodecs(
+          chromeSdpSingleStream,
+          'H264'
+        );
+
+        assert.deepEqual(getVideoPayloads(testSdp), [
+          '107',
+          '100',
+          '101',
+          '116',
+          '117',
+          '96',
+          '97',
+          '99',
+          '98',
+        ]);
+        assert(/a=rtpmap:100 VP8\/90000/.test(testSdp));
       });
 
-      describe('When multi stream', () => {
-        it('should remove video codecs except H264', () => {
-          const testSdp = sdpUtil.filterVideoCodec(
-            chromeSdpMultiStream,
-            testVideoCodec
-          );
+      it('should match fmtp parameters of the codec', () => {
+        const testSdp = sdpUtil.preferVideoCodecs(chromeSdpMultiStream, [
+          { name: 'H264', parameters: { 'profile-level-id': '640c1f' } },
+          'VP9',
+          { name: 'H264', parameters: { 'packetization-mode': 1 } },
+        ]);
+
+        assert.deepEqual(getVideoPayloads(testSdp).slice(0, 3), [
+          '101',
+          '107',
+          '100',
+        ]);
+      });
 
-          assert(new RegExp(h264Regex).test(testSdp));
-          assert.equal(new RegExp(vp8Regex).test(testSdp), false);
+      it('should compare only the profile of profile-level-id', () => {
+        const testSdp = sdpUtil.preferVideoCodecs(chromeSdpMultiStream, {
+          name: 'H264',
+          parameters: { 'profile-level-id': '42E034' },
         });
+
+        assert.equal(getVideoPayloads(testSdp)[0], '107');
       });
     });
 
     describe('When Unified Plan (Firefox)', () => {
-      const h264Regex = 'a=rtpmap:126 H264/90000';
-      const vp8Regex = 'a=rtpmap:120 VP8/90000';
+      it('should move both H264 codecs to the top', () => {
+        const testSdp = sdpUtil.preferVideoCodecs(
+          firefoxSdpSingleStream,
+          'H264'
+        );
 
-      describe('When single stream', () => {
-        it('should remove video codecs except H264', () => {
-          const testSdp = sdpUtil.filterVideoCodec(
-            firefoxSdpSingleStream,
-            testVideoCodec
-          );
+        assert.deepEqual(getVideoPayloads(testSdp), ['126', '97', '120']);
+      });
 
-          assert(new RegExp(h264Regex).test(testSdp));
-          assert.equal(new RegExp(vp8Regex).test(testSdp), false);
+      it('should prefer H264 with packetization-mode=1', () => {
+        const testSdp = sdpUtil.preferVideoCodecs(firefoxSdpSingleStream, [
+          { name: 'H264', parameters: { 'packetization-mode': '1' } },
+          'VP8',
+        ]);
 
-          // Firefox should generate two H264 codecs
-          const regex = new RegExp('a=rtpmap:\\d+ H264', 'g');
-          assert.equal(testSdp.match(regex).length, 2);
-        });
+        assert.deepEqual(getVideoPayloads(testSdp), ['126', '120', '97']);
       });
+    });
+  });
 
-      describe('When multi stream', () => {
-        it('should remove video codecs except H264', () => {
-          const testSdp = sdpUtil.filterVideoCodec(
-            firefoxSdpMultiStream,
-            testVideoCodec
-          );
+  describe('preferCodecCapabilities', () => {
+    const capabilities = [
+      { mimeType: 'video/VP8', clockRate: 90000 },
+      { mimeType: 'video/rtx', clockRate: 90000 },
+      { mimeType: 'video/VP9', clockRate: 90000, sdpFmtpLine: 'profile-id=0' },
+      { mimeType: 'video/VP9', clockRate: 90000, sdpFmtpLine: 'profile-id=2' },
+      {
+        mimeType: 'video/H264',
+        clockRate: 90000,
+        sdpFmtpLine:
+          'level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42001f',
+      },
+    ];
+
+    it('should move the capabilities to the top in the order of preference', () => {
+      const preferred = sdpUtil.preferCodecCapabilities(capabilities, [
+        { name: 'VP9', parameters: { 'profile-id': 2 } },
+        'h264',
+      ]);
+
+      assert.deepEqual(preferred, [
+        capabilities[3],
+        capabilities[4],
+        capabilities[0],
+        capabilities[1],
+        capabilities[2],
+      ]);
+    });
 
-          assert(new RegExp(h264Regex).test(testSdp));
-          assert.equal(new RegExp(vp8Regex).test(testSdp), false);
-        });
-      });
+    it('should return null when no capability matches', () => {
+      assert.equal(sdpUtil.preferCodecCapabilities(capabilities, 'AV1'), null);
     });
   });
 });
@@ -0,0 +1,240 @@
+import assert from 'power-assert';
+
+import statsUtil from '../../src/shared/statsUtil';
+
+describe('StatsUtil', () => {
+  const createStats = (timestamp, overrides = {}) => {
+    const entries = [
+      {
+        id: 'T01',
+        type: 'transport',
+        selectedCandidatePairId: 'CP01',
+      },
+      {
+        id: 'CP01',
+        type: 'candidate-pair',
+        localCandidateId: 'L01',
+        remoteCandidateId: 'R01',
+        currentRoundTripTime: 0.05,
+        bytesSent: 10000,
+        bytesReceived: 20000,
+      },
+      {
+        id: 'L01',
+        type: 'local-candidate',
+        address: '192.168.0.2',
+        port: 50000,
+        protocol: 'udp',
+        candidateType: 'host',
+      },
+      {
+        id: 'R01',
+        type: 'remote-candidate',
+        address: '203.0.113.1',
+        port: 3478,
+        protocol: 'udp',
+        candidateType: 'relay',
+      },
+      {
+        id: 'IV01',
+        type: 'inbound-rtp',
+        kind: 'video',
+        bytesReceived: 15000,
+        packetsReceived: 90,
+        packetsLost: 10,
+        jitter: 0.02,
+        framesPerSecond: 30,
+        framesDecoded: 300,
+        frameWidth: 640,
+        frameHeight: 480,
+      },
+      {
+        id: 'IA01',
+        type: 'inbound-rtp',
+        kind: 'audio',
+        bytesReceived: 5000,
+        packetsReceived: 100,
+        packetsLost: 0,
+        jitter: 0.001,
+        audioLevel: 0.2,
+      },
+      {
+        id: 'OV01',
+        type: 'outbound-rtp',
+        kind: 'video',
+        rid: 'h',
+        bytesSent: 6000,
+        packetsSent: 60,
+        framesPerSecond: 30,
+        frameWidth: 1280,
+        frameHeight: 720,
+      },
+      {
+        id: 'OV02',
+        type: 'outbound-rtp',
+        kind: 'video',
+        rid: 'l',
+        bytesSent: 2000,
+        packetsSent: 40,
+        framesPerSecond: 15,
+        frameWidth: 320,
+        frameHeight: 240,
+      },
+      {
+        id: 'RV01',
+        type: 'remote-inbound-rtp',
+        kind: 'video',
+        localId: 'OV01',
+        packetsLost: 6,
+        jitter: 0.01,
+        roundTripTime: 0.06,
+      },
+    ];
+
+    const stats = new Map();
+    for (const entry of entries) {
+      stats.set(
+        entry.id,
+        Object.assign({ timestamp: timestamp }, entry, overrides[entry.id])
+      );
+    }
+    return stats;
+  };
+
+  describe('normalizeReport', () => {
+    it('should normalize the selected candidate pair', () => {
+      const report = statsUtil.normalizeReport(createStats(1000));
+
+      assert.equal(report.timestamp, 1000);
+      assert.equal(report.rtt, 50);
+      assert.deepEqual(report.candidatePair, {
+        local: {
+          address: '192.168.0.2',
+          port: 50000,
+          protocol: 'udp',
+          candidateType: 'host',
+          relayProtocol: null,
+        },
+        remote: {
+          address: '203.0.113.1',
+          port: 3478,
+          protocol: 'udp',
+          candidateType: 'relay',
+          relayProtocol: null,
+        },
+        type: 'relay',
+      });
+    });
+
+    it('should find the selected candidate pair without transport stats', () => {
+      const stats = createStats(1000, { CP01: { selected: true } });
+      stats.delete('T01');
+
+      const report = statsUtil.normalizeReport(stats);
+
+      assert.equal(report.rtt, 50);
+      assert.equal(report.candidatePair.type, 'relay');
+    });
+
+    it('should be null without the selected candidate pair', () => {
+      const stats = createStats(1000);
+      stats.delete('T01');
+
+      const report = statsUtil.normalizeReport(stats);
+
+      assert.equal(report.rtt, null);
+      assert.equal(report.candidatePair, null);
+      assert.deepEqual(report.bitrate, { in: null, out: null });
+    });
+
+    it('should normalize the inbound streams', () => {
+      const report = statsUtil.normalizeReport(createStats(1000));
+
+      assert.deepEqual(report.video.inbound, {
+        bytes: 15000,
+        packets: 90,
+        packetsLost: 10,
+        packetLossRate: 0.1,
+        jitter: 20,
+        rtt: null,
+        bitrate: null,
+        frameRate: 30,
+        frameWidth: 640,
+        frameHeight: 480,
+        framesDecoded: 300,
+        audioLevel: null,
+      });
+      assert.equal(report.audio.inbound.frameRate, null);
+      assert.equal(report.audio.inbound.framesDecoded, null);
+      assert.equal(report.audio.inbound.audioLevel, 0.2);
+      assert.equal(report.audio.inbound.packetLossRate, 0);
+      assert.equal(report.audio.outbound, null);
+    });
+
+    it('should aggregate the outbound streams with the stats of the remote peer', () => {
+      const report = statsUtil.normalizeReport(createStats(1000));
+
+      assert.deepEqual(report.video.outbound, {
+        bytes: 8000,
+        packets: 100,
+        packetsLost: 6,
+        packetLossRate: 0.06,
+        jitter: 10,
+        rtt: 60,
+        bitrate: null,
+        frameRate: 30,
+        frameWidth: 1280,
+        frameHeight: 720,
+      });
+    });
+
+    it('should compute the rates from the deltas to the previous report', () => {
+      const previous = statsUtil.normalizeReport(createStats(1000));
+      const report = statsUtil.normalizeReport(
+        createStats(3000, {
+          CP01: { bytesSent: 20000, bytesReceived: 45000 },
+          IV01: { bytesReceived: 35000, packetsReceived: 180, packetsLost: 20 },
+        }),
+        previous
+      );
+
+      assert.deepEqual(report.bitrate, { in: 100000, out: 40000 });
+      assert.equal(report.video.inbound.bitrate, 80000);
+      assert.equal(report.video.inbound.packetLossRate, 0.1);
+      assert.equal(report.audio.inbound.bitrate, 0);
+    });
+
+    it('should not compute the bitrate when the counters are reset', () => {
+      const previous = statsUtil.normalizeReport(createStats(1000));
+      const report = statsUtil.normalizeReport(
+        createStats(2000, { CP01: { bytesSent: 0, bytesReceived: 0 } }),
+        previous
+      );
+
+      assert.deepEqual(report.bitrate, { in: null, out: null });
+    });
+
+    it('should aggregate the data channels', () => {
+      const stats = createStats(1000);
+      stats.set('D01', {
+        id: 'D01',
+        type: 'data-channel',
+        timestamp: 1000,
+        bytesSent: 100,
+        bytesReceived: 200,
+        messagesSent: 1,
+        messagesReceived: 2,
+      });
+
+      const report = statsUtil.normalizeReport(stats);
+
+      assert.deepEqual(report.data, {
+        bytesSent: 100,
+        bytesReceived: 200,
+        messagesSent: 1,
+        messagesReceived: 2,
+      });
+      assert.equal(statsUtil.normalizeReport(createStats(1000)).data, null);
+    });
+  });
+});
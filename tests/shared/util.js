@@ -1,4 +1,5 @@
 import assert from 'power-assert';
+import EventEmitter from 'events';
 import util from '../../src/shared/util';
 
 describe('Util', () => {
@@ -103,4 +104,177 @@ describe('Util', () => {
       assert(typeof patch === 'number');
     });
   });
+
+  describe('validateCompression', () => {
+    it('should be valid only for deflate and gzip', () => {
+      assert(util.validateCompression('deflate'));
+      assert(util.validateCompression('gzip'));
+      assert(!util.validateCompression('brotli'));
+      assert(!util.validateCompression(undefined));
+    });
+  });
+
+  describe('compress and decompress', () => {
+    it('should restore the original data', async () => {
+      const data = new TextEncoder().encode('foobar'.repeat(100)).buffer;
+
+      const compressed = await util.compress(data, 'gzip');
+      assert(compressed.byteLength < data.byteLength);
+
+      const decompressed = await util.decompress(compressed, 'gzip', 1000);
+      assert.deepEqual(new Uint8Array(decompressed), new Uint8Array(data));
+    });
+
+    it('should throw an error if the decompressed data exceeds maxSize', async () => {
+      const data = new TextEncoder().encode('foobar'.repeat(100)).buffer;
+      const compressed = await util.compress(data, 'deflate');
+
+      try {
+        await util.decompress(compressed, 'deflate', 100);
+        assert.fail('should not be resolved');
+      } catch (err) {
+        assert(err instanceof Error);
+        assert(err.message !== 'should not be resolved');
+      }
+    });
+  });
+
+  describe('encrypt and decrypt', () => {
+    it('should restore the original data', async () => {
+      const key = await window.crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+      const data = new TextEncoder().encode('foobar').buffer;
+
+      assert(util.validateEncryptionKey(key));
+
+      const encrypted = await util.encrypt(data, key);
+      assert.notDeepEqual(new Uint8Array(encrypted), new Uint8Array(data));
+
+      const decrypted = await util.decrypt(encrypted, key);
+      assert.deepEqual(new Uint8Array(decrypted), new Uint8Array(data));
+    });
+
+    it('should derive the same key on both sides', async () => {
+      const local = await util.generateKeyPair();
+      const remote = await util.generateKeyPair();
+      const localKey = await util.deriveEncryptionKey(
+        local.keyPair.privateKey,
+        remote.publicKey
+      );
+      const remoteKey = await util.deriveEncryptionKey(
+        remote.keyPair.privateKey,
+        local.publicKey
+      );
+      const data = new TextEncoder().encode('foobar').buffer;
+
+      const decrypted = await util.decrypt(
+        await util.encrypt(data, localKey),
+        remoteKey
+      );
+      assert.deepEqual(new Uint8Array(decrypted), new Uint8Array(data));
+    });
+  });
+
+  describe('waitForEvent', () => {
+    it('should resolve with the first argument of the event', async () => {
+      const emitter = new EventEmitter();
+      const promise = util.waitForEvent(emitter, 'open', ['close']);
+
+      emitter.emit('open', 'foo', 'bar');
+
+      assert.equal(await promise, 'foo');
+      assert.equal(emitter.listenerCount('open'), 0);
+      assert.equal(emitter.listenerCount('close'), 0);
+    });
+
+    it('should reject if a reject event is emitted first', async () => {
+      const emitter = new EventEmitter();
+      const promise = util.waitForEvent(emitter, 'open', ['close', 'error']);
+
+      emitter.emit('close');
+
+      try {
+        await promise;
+      } catch (err) {
+        assert(err instanceof Error);
+        assert.equal(emitter.listenerCount('open'), 0);
+        assert.equal(emitter.listenerCount('error'), 0);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+
+    it('should reject with the error of the reject event', async () => {
+      const emitter = new EventEmitter();
+      const promise = util.waitForEvent(emitter, 'open', ['error']);
+      const error = new Error('foo');
+
+      emitter.emit('error', error);
+
+      try {
+        await promise;
+      } catch (err) {
+        assert.equal(err, error);
+        return;
+      }
+      assert.fail('Should be rejected');
+    });
+  });
+
+  describe('createEventIterator', () => {
+    it('should yield buffered and later events in order', async () => {
+      const emitter = new EventEmitter();
+      const iterator = util.createEventIterator(emitter, 'data', ['close']);
+
+      emitter.emit('data', 1);
+      emitter.emit('data', 2);
+
+      assert.deepEqual(await iterator.next(), { value: 1, done: false });
+      assert.deepEqual(await iterator.next(), { value: 2, done: false });
+
+      const third = iterator.next();
+      emitter.emit('data', 3);
+      assert.deepEqual(await third, { value: 3, done: false });
+    });
+
+    it('should finish after the buffered events on the end event', async () => {
+      const emitter = new EventEmitter();
+      const iterator = util.createEventIterator(emitter, 'data', ['close']);
+      const values = [];
+
+      emitter.emit('data', 1);
+      emitter.emit('close');
+      emitter.emit('data', 2);
+
+      const asyncIterator =
+        Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+      assert.equal(iterator[asyncIterator](), iterator);
+
+      for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          break;
+        }
+        values.push(value);
+      }
+
+      assert.deepEqual(values, [1]);
+      assert.equal(emitter.listenerCount('data'), 0);
+    });
+
+    it('should finish waiting next() and remove listeners on return()', async () => {
+      const emitter = new EventEmitter();
+      const iterator = util.createEventIterator(emitter, 'data', ['close']);
+
+      const next = iterator.next();
+      await iterator.return();
+
+      assert.deepEqual(await next, { value: undefined, done: true });
+      assert.equal(emitter.listenerCount('data'), 0);
+      assert.equal(emitter.listenerCount('close'), 0);
+    });
+  });
 });